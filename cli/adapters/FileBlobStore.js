@@ -0,0 +1,61 @@
+// FileBlobStore - disk-backed replacement for AudioBlobStore (IndexedDB) used by the CLI
+
+import fs from 'fs/promises';
+import path from 'path';
+
+class FileBlobStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    blobPath(id) {
+        return path.join(this.dir, `${this.safeId(id)}.bin`);
+    }
+
+    metaPath(id) {
+        return path.join(this.dir, `${this.safeId(id)}.json`);
+    }
+
+    safeId(id) {
+        return String(id).replace(/[^a-zA-Z0-9_.-]/g, '_');
+    }
+
+    async save(id, blob, meta = {}) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const bytes = Buffer.from(await blob.arrayBuffer());
+        // Blob first, then metadata: a record only counts as saved once its metadata exists
+        await fs.writeFile(this.blobPath(id), bytes);
+        const record = {
+            id: id,
+            type: blob.type || '',
+            meta: meta,
+            createdAt: Date.now()
+        };
+        await fs.writeFile(this.metaPath(id), JSON.stringify(record, null, 2), 'utf8');
+    }
+
+    async load(id) {
+        try {
+            const record = JSON.parse(await fs.readFile(this.metaPath(id), 'utf8'));
+            const bytes = await fs.readFile(this.blobPath(id));
+            return {
+                id: record.id,
+                blob: new Blob([bytes], { type: record.type || '' }),
+                meta: record.meta || {},
+                createdAt: record.createdAt
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async delete(id) {
+        await fs.rm(this.metaPath(id), { force: true });
+        await fs.rm(this.blobPath(id), { force: true });
+    }
+}
+
+export default FileBlobStore;
@@ -0,0 +1,68 @@
+// FileStorage - StorageManager replacement persisting each key as a JSON file in a work directory
+
+import fs from 'fs';
+import path from 'path';
+
+class FileStorage {
+    constructor(dir, prefix = 'Podcastinator', readOnly = false) {
+        this.dir = path.resolve(dir);
+        this.prefix = prefix;
+        // Read-only storage (inspecting commands) keeps its changes in memory and never writes the work directory
+        this.readOnly = readOnly;
+        this.cache = new Map();
+        if (!readOnly) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    filePath(key) {
+        const safeKey = String(key).replace(/[^a-zA-Z0-9_.-]/g, '_');
+        return path.join(this.dir, `${this.prefix}-${safeKey}.json`);
+    }
+
+    load(key, defaultValue = null) {
+        if (this.cache.has(key)) {
+            // A key removed from read-only storage is cached as undefined
+            return this.cache.get(key) === undefined ? defaultValue : this.cache.get(key);
+        }
+        const file = this.filePath(key);
+        if (!fs.existsSync(file)) {
+            return defaultValue;
+        }
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            this.cache.set(key, data);
+            return data;
+        } catch (error) {
+            console.error(`Error loading ${file}:`, error);
+            return defaultValue;
+        }
+    }
+
+    save(key, data) {
+        if (this.readOnly) {
+            this.cache.set(key, data);
+            return;
+        }
+        const file = this.filePath(key);
+        // Write to a temp file and rename so an interrupted run never leaves a truncated checkpoint
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tmp, file);
+        this.cache.set(key, data);
+    }
+
+    remove(key) {
+        if (this.readOnly) {
+            this.cache.set(key, undefined);
+            return;
+        }
+        const file = this.filePath(key);
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+        this.cache.delete(key);
+    }
+}
+
+export default FileStorage;
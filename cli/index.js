@@ -10,6 +10,8 @@ import HeadlessStorage from './adapters/HeadlessStorage.js';
 import HeadlessNotifications from './adapters/HeadlessNotifications.js';
 import HeadlessProgress from './adapters/HeadlessProgress.js';
 import HeadlessContentState from './adapters/HeadlessContentState.js';
+import FileStorage from './adapters/FileStorage.js';
+import FileBlobStore from './adapters/FileBlobStore.js';
 
 const program = new Command();
 program
@@ -17,20 +19,287 @@ program
   .description('CLI to generate outline, script, and audio using Podcastinator service')
   .version('0.1.0');
 
-function createService() {
-  const storage = new HeadlessStorage();
+function createService(workdir, ttsCache, readOnly = false) {
+  // With a workdir, state and TTS segments are checkpointed to disk so runs can be resumed.
+  // TTS segments are cached by request content, so a cache dir can be shared between workdirs.
+  // Read-only commands (estimate, usage, lint, prompts) read the workdir state but keep config changes in memory.
+  const storage = workdir ? new FileStorage(path.join(workdir, 'state'), undefined, readOnly) : new HeadlessStorage();
+  const cacheDir = ttsCache || (workdir ? path.join(workdir, 'segments') : '');
+  const segmentStore = cacheDir && !readOnly ? new FileBlobStore(cacheDir) : null;
   const notifications = new HeadlessNotifications();
   const progress = new HeadlessProgress();
   const contentState = new HeadlessContentState();
-  const service = new PodcastinatorService({ storage, notifications, progress, contentState });
+  const service = new PodcastinatorService({ storage, notifications, progress, contentState, segmentStore });
   return service;
 }
 
+function printSectionStream(service) {
+  // Script sections are printed as the model writes them; a retried request starts again under a new header
+  service.setStreamListener(({ stage, delta, text }) => {
+    if (!stage.startsWith('section')) return;
+    if (delta === text) process.stdout.write(`\n--- ${stage.toUpperCase()} (streaming) ---\n`);
+    process.stdout.write(delta || '\n');
+  });
+}
+
+function cancelOnInterrupt(service) {
+  // Ctrl+C aborts the requests in flight and fails the command (a --workdir run stays resumable);
+  // a second Ctrl+C, or one while nothing is generating, exits at once
+  process.once('SIGINT', () => {
+    if (!service.cancel()) {
+      process.exit(130);
+    }
+    console.error('\nCancelling... press Ctrl+C again to exit immediately');
+    process.once('SIGINT', () => process.exit(130));
+  });
+}
+
+const RUN_MANIFEST = 'run.json';
+
+async function writeRunManifest(workdir, merged, opts) {
+  // Persist everything needed to resume, except the API key (taken from flags/env on resume)
+  const config = { ...merged };
+  delete config.apiKey;
+  if (config.provider) {
+    config.provider = { ...config.provider };
+    delete config.provider.apiKey;
+  }
+  const documents = getConfigDocuments(config);
+  if (documents.length) {
+    config.documents = documents.map((doc) => (doc.path ? { ...doc, path: path.resolve(doc.path) } : doc));
+    delete config.document;
+  }
+  if (config.podcast && config.podcast.cover) {
+    config.podcast = { ...config.podcast, cover: path.resolve(config.podcast.cover) };
+  }
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    config,
+    outputs: {
+      out: opts.out ? path.resolve(opts.out) : '',
+      outlineOut: opts.outlineOut ? path.resolve(opts.outlineOut) : '',
+      scriptOut: opts.scriptOut ? path.resolve(opts.scriptOut) : '',
+      showNotesOut: opts.showNotesOut ? path.resolve(opts.showNotesOut) : '',
+      transcriptOut: opts.transcriptOut ? path.resolve(opts.transcriptOut) : '',
+      configOut: opts.configOut ? path.resolve(opts.configOut) : '',
+      usageOut: opts.usageOut ? path.resolve(opts.usageOut) : ''
+    }
+  };
+  await fs.mkdir(workdir, { recursive: true });
+  await fs.writeFile(path.join(workdir, RUN_MANIFEST), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+async function readRunManifest(workdir) {
+  try {
+    return await readJson(path.join(workdir, RUN_MANIFEST));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`No run found in ${workdir}. Start one with: podcastinator run --workdir ${workdir}`);
+    }
+    throw err;
+  }
+}
+
+// Config of the run in a work directory, or {} when there is none (for commands that work without a run)
+async function readSavedConfig(workdir) {
+  if (!workdir) return {};
+  try {
+    return (await readJson(path.join(workdir, RUN_MANIFEST))).config || {};
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+async function runPipeline(service, merged, outputs, { resume = false } = {}) {
+  try {
+    await runStages(service, merged, outputs, { resume });
+  } finally {
+    // The ledger is written even when a stage fails (e.g. a reached --max-cost) to show where the spend went
+    if (outputs.usageOut) {
+      await writeUsageLedger(service, outputs.usageOut);
+    }
+  }
+}
+
+async function runStages(service, merged, outputs, { resume = false } = {}) {
+  const status = service.getCheckpointStatus();
+
+  let outline;
+  if (resume && status.hasOutline) {
+    outline = service.getOutline();
+    console.log('\n--- OUTLINE (checkpoint) ---\n');
+  } else {
+    outline = await service.generateOutline({
+      duration: merged?.podcast?.duration,
+      focus: merged?.podcast?.focus
+    });
+    console.log('\n--- OUTLINE ---\n');
+  }
+  console.log(outline);
+
+  if (outputs.outlineOut) {
+    const outlinePath = await writeOutline(service, outputs.outlineOut);
+    console.log(`\nSaved outline to ${outlinePath}`);
+  }
+
+  let script;
+  const resumeStatus = service.getCheckpointStatus();
+  if (resume && resumeStatus.hasScript && resumeStatus.scriptPhase === 'complete') {
+    script = service.getScript();
+    console.log('\n--- SCRIPT (checkpoint, length) ---\n', script.length);
+  } else {
+    if (resume && resumeStatus.sectionsDone > 0) {
+      console.log(`\nResuming script after ${resumeStatus.sectionsDone}/${resumeStatus.sectionsTotal} completed sections`);
+    }
+    script = await service.generateScript({
+      language: merged?.podcast?.language || 'english',
+      resume
+    });
+    console.log('\n--- SCRIPT (length) ---\n', script.length);
+  }
+
+  if (outputs.scriptOut) {
+    const scriptPath = path.resolve(outputs.scriptOut);
+    await fs.writeFile(scriptPath, script, 'utf8');
+    console.log(`\nSaved script to ${scriptPath}`);
+  }
+
+  if (outputs.showNotesOut) {
+    await writeShowNotes(service, outputs.showNotesOut);
+  }
+
+  const audioResult = await service.generateAudio({
+    silenceMs: merged?.podcast?.silenceMs,
+    outputPath: outputs.out || '',
+    cover: await readCoverArt(merged?.podcast?.cover)
+  });
+
+  if (audioResult?.buffer && outputs.out) {
+    const absOut = path.resolve(outputs.out);
+    await fs.writeFile(absOut, audioResult.buffer);
+    console.log(`\nSaved MP3 to ${absOut}`);
+  } else if (audioResult?.buffer) {
+    const cwd = process.cwd();
+    const outPath = path.join(cwd, 'podcast.mp3');
+    await fs.writeFile(outPath, audioResult.buffer);
+    console.log(`\nSaved MP3 to ${outPath}`);
+  } else {
+    console.log('\nAudio generated (browser path).');
+  }
+
+  if (outputs.transcriptOut) {
+    await writeTranscripts(service, outputs.transcriptOut);
+  }
+
+  if (outputs.configOut) {
+    const payload = buildUiExportPayloadFromService(service);
+    const cfgOutPath = path.resolve(outputs.configOut);
+    await fs.writeFile(cfgOutPath, JSON.stringify(payload, null, 2), 'utf8');
+    console.log(`\nSaved UI config to ${cfgOutPath}`);
+  }
+}
+
+async function writeUsageLedger(service, filePath) {
+  // .json writes the runs as JSON; any other extension writes CSV with one row per API call
+  const usagePath = path.resolve(filePath);
+  const format = path.extname(usagePath).toLowerCase() === '.json' ? 'json' : 'csv';
+  await fs.writeFile(usagePath, service.exportUsageLedger(format), 'utf8');
+  console.log(`\nSaved usage ledger to ${usagePath}`);
+}
+
 async function readJson(filePath) {
   const data = await fs.readFile(filePath, 'utf8');
   return JSON.parse(data);
 }
 
+// Writes the outline as JSON for a .json path, otherwise in the text form
+async function writeOutline(service, filePath) {
+  const absPath = path.resolve(filePath);
+  const content = path.extname(absPath).toLowerCase() === '.json'
+    ? JSON.stringify(service.getOutlineJson(), null, 2)
+    : service.getOutline();
+  await fs.writeFile(absPath, content, 'utf8');
+  return absPath;
+}
+
+// Writes the transcript in the format of the file extension (.srt, .vtt, .md);
+// any other path is used as a base name for all three
+async function writeTranscripts(service, filePath) {
+  const absPath = path.resolve(filePath);
+  const ext = path.extname(absPath).toLowerCase().slice(1);
+  const formats = ['srt', 'vtt', 'md'].includes(ext) ? [ext] : ['srt', 'vtt', 'md'];
+  const base = formats.length === 1 ? absPath.slice(0, -(ext.length + 1)) : absPath;
+  for (const format of formats) {
+    const text = service.getTranscript(format);
+    if (!text) {
+      console.log('\nNo transcript available (no audio was generated).');
+      return;
+    }
+    const outPath = `${base}.${format}`;
+    await fs.writeFile(outPath, text, 'utf8');
+    console.log(`Saved ${format.toUpperCase()} transcript to ${outPath}`);
+  }
+}
+
+// Writes the show notes: every claim with its source span as JSON for a .json path,
+// otherwise the cited sources as Markdown
+async function writeShowNotes(service, filePath) {
+  const absPath = path.resolve(filePath);
+  const text = service.getShowNotes(path.extname(absPath).toLowerCase() === '.json' ? 'json' : 'md');
+  if (!text) {
+    console.log('\nNo show notes available (no claim of the script was found in the sources).');
+    return;
+  }
+  await fs.writeFile(absPath, text, 'utf8');
+  console.log(`\nSaved show notes to ${absPath}`);
+}
+
+// Cover art for the MP3 tag as { mime, data }, or undefined without a path
+async function readCoverArt(filePath) {
+  if (!filePath) {
+    return undefined;
+  }
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext !== '.jpg' && ext !== '.jpeg' && ext !== '.png') {
+    throw new Error(`Unsupported cover art "${filePath}" (expected .jpg, .jpeg or .png)`);
+  }
+  const bytes = await fs.readFile(path.resolve(filePath));
+  return { mime: ext === '.png' ? 'image/png' : 'image/jpeg', data: new Uint8Array(bytes) };
+}
+
+// Source documents from a config: the `documents` list, or the single `document` of older configs
+function getConfigDocuments(cfg) {
+  if (Array.isArray(cfg.documents)) {
+    return cfg.documents.filter(Boolean);
+  }
+  return cfg.document ? [cfg.document] : [];
+}
+
+function toConfigDocument(doc) {
+  if (typeof doc === 'string') {
+    return { content: doc };
+  }
+  if (doc && typeof doc.content === 'string') {
+    return { content: doc.content, name: doc.name, weight: doc.weight };
+  }
+  if (doc && typeof doc.path === 'string') {
+    return { path: doc.path, weight: doc.weight };
+  }
+  return null;
+}
+
+function toConfigCharacter(character) {
+  return {
+    name: character.name,
+    label: character.label,
+    voice: character.voice,
+    speechRate: character.speechRate,
+    voiceInstructions: character.voiceInstructions,
+    backstory: character.backstory
+  };
+}
+
 function normalizeConfig(input) {
   const cfg = { ...(input || {}) };
 
@@ -39,16 +308,27 @@ function normalizeConfig(input) {
     cfg.models = { ...cfg.aiParameters.models };
   }
 
-  // Map contents.document -> document
-  if (!cfg.document && cfg.contents && cfg.contents.document) {
-    const doc = cfg.contents.document;
-    if (typeof doc === 'string') {
-      cfg.document = { content: doc };
-    } else if (doc && typeof doc.content === 'string') {
-      cfg.document = { content: doc.content };
-    } else if (doc && typeof doc.path === 'string') {
-      cfg.document = { path: doc.path };
-    }
+  // Map aiParameters.provider -> provider
+  if (!cfg.provider && cfg.aiParameters && cfg.aiParameters.provider) {
+    cfg.provider = { ...cfg.aiParameters.provider };
+  }
+
+  // Map documents / document / contents.documents / contents.document -> documents
+  let docs = [];
+  if (Array.isArray(cfg.documents)) {
+    docs = cfg.documents;
+  } else if (cfg.document) {
+    docs = [cfg.document];
+  } else if (cfg.contents && Array.isArray(cfg.contents.documents)) {
+    docs = cfg.contents.documents;
+  } else if (cfg.contents && cfg.contents.document) {
+    docs = [cfg.contents.document];
+  }
+  const mappedDocs = docs.map(toConfigDocument).filter(Boolean);
+  delete cfg.documents;
+  delete cfg.document;
+  if (mappedDocs.length) {
+    cfg.documents = mappedDocs;
   }
 
   // Map podcast prefs
@@ -58,36 +338,61 @@ function normalizeConfig(input) {
   if (cfg.outline && typeof cfg.outline.targetDurationMinutes === 'number') {
     cfg.podcast.duration = cfg.outline.targetDurationMinutes;
   }
+  if (cfg.outline && typeof cfg.outline.episodeFormat === 'string') {
+    cfg.podcast.format = cfg.outline.episodeFormat;
+  }
   if (cfg.script && typeof cfg.script.language === 'string') {
     cfg.podcast.language = cfg.script.language;
   }
   if (cfg.audio && typeof cfg.audio.silenceBetweenSpeakersMs === 'number') {
     cfg.podcast.silenceMs = cfg.audio.silenceBetweenSpeakersMs;
   }
+  if (cfg.audio && typeof cfg.audio.ttsConcurrency === 'number') {
+    cfg.podcast.ttsConcurrency = cfg.audio.ttsConcurrency;
+  }
+  if (cfg.audio && typeof cfg.audio.episodeTitle === 'string') {
+    cfg.podcast.title = cfg.audio.episodeTitle;
+  }
+  if (cfg.audio && typeof cfg.audio.showName === 'string') {
+    cfg.podcast.show = cfg.audio.showName;
+  }
   if (cfg.contents && typeof cfg.contents.podcastFocus === 'string') {
     cfg.podcast.focus = cfg.contents.podcastFocus;
   }
 
-  // Map hostCharacter/guestCharacter -> characters
-  if (!cfg.characters && (cfg.hostCharacter || cfg.guestCharacter)) {
+  // Map aiParameters.budget -> budget
+  if (!cfg.budget && cfg.aiParameters && cfg.aiParameters.budget) {
+    cfg.budget = { ...cfg.aiParameters.budget };
+  }
+
+  // Map aiParameters.lint -> lint
+  if (!cfg.lint && cfg.aiParameters && cfg.aiParameters.lint) {
+    cfg.lint = { ...cfg.aiParameters.lint };
+  }
+
+  // Map prompt overrides in the stored form ({ id: { template, version, history } }) -> { id: template }
+  if (cfg.prompts && typeof cfg.prompts === 'object') {
+    const prompts = {};
+    Object.keys(cfg.prompts).forEach((id) => {
+      const value = cfg.prompts[id];
+      prompts[id] = value && typeof value === 'object' ? value.template : value;
+    });
+    cfg.prompts = prompts;
+  }
+
+  // Map hostCharacter/guestCharacter(s)/solo -> characters
+  if (!cfg.characters && (cfg.hostCharacter || cfg.guestCharacter || cfg.guestCharacters)) {
     cfg.characters = {};
     if (cfg.hostCharacter) {
-      cfg.characters.host = {
-        name: cfg.hostCharacter.name,
-        voice: cfg.hostCharacter.voice,
-        speechRate: cfg.hostCharacter.speechRate,
-        voiceInstructions: cfg.hostCharacter.voiceInstructions,
-        backstory: cfg.hostCharacter.backstory
-      };
+      cfg.characters.host = toConfigCharacter(cfg.hostCharacter);
     }
-    if (cfg.guestCharacter) {
-      cfg.characters.guest = {
-        name: cfg.guestCharacter.name,
-        voice: cfg.guestCharacter.voice,
-        speechRate: cfg.guestCharacter.speechRate,
-        voiceInstructions: cfg.guestCharacter.voiceInstructions,
-        backstory: cfg.guestCharacter.backstory
-      };
+    if (Array.isArray(cfg.guestCharacters)) {
+      cfg.characters.guests = cfg.guestCharacters.map(toConfigCharacter);
+    } else if (cfg.guestCharacter) {
+      cfg.characters.guest = toConfigCharacter(cfg.guestCharacter);
+    }
+    if (typeof cfg.solo === 'boolean') {
+      cfg.characters.solo = cfg.solo;
     }
   }
 
@@ -96,43 +401,95 @@ function normalizeConfig(input) {
 
 async function loadConfigToService(service, cfg) {
   cfg = cfg || {};
-  // Fallback to environment variable if apiKey not provided
+  const provider = cfg.provider || { type: 'openai' };
+  // Fallback to environment variables if apiKey not provided
+  if (!cfg.apiKey && process.env && provider.type === 'azure' && process.env.AZURE_OPENAI_API_KEY) {
+    cfg.apiKey = process.env.AZURE_OPENAI_API_KEY;
+  }
   if (!cfg.apiKey && process.env && process.env.OPENAI_API_KEY) {
     cfg.apiKey = process.env.OPENAI_API_KEY;
   }
-  // API & Models & podcast prefs
+  // API & Models & provider & podcast prefs
   await service.loadConfig({
     apiKey: cfg.apiKey,
     models: cfg.models || {},
-    podcast: cfg.podcast || {}
+    provider,
+    podcast: cfg.podcast || {},
+    prompts: cfg.prompts,
+    budget: cfg.budget,
+    lint: cfg.lint
   });
 
-  // Document
-  if (cfg.document) {
-    if (cfg.document.content) {
-      await service.loadDocumentFromText(cfg.document.content);
-    } else if (cfg.document.path) {
-      const abs = path.resolve(cfg.document.path);
-      const content = await fs.readFile(abs, 'utf8');
-      await service.loadDocumentFromText(content);
+  // Documents
+  const documents = getConfigDocuments(cfg);
+  if (documents.length) {
+    service.clearDocuments();
+    for (const doc of documents) {
+      if (typeof doc.content === 'string') {
+        await service.addDocumentFromText(doc.content, { name: doc.name, weight: doc.weight });
+      } else if (doc.path) {
+        const abs = path.resolve(doc.path);
+        const bytes = await fs.readFile(abs);
+        await service.addDocumentFromFile(bytes, path.basename(abs), undefined, { weight: doc.weight });
+      }
     }
   }
 
-  // Characters
+  // Characters: guests lists a panel; guest (e.g. from --guest-* flags) adjusts its first guest
   if (cfg.characters) {
+    const guest = cfg.characters.guest || {};
+    let guests;
+    if (Array.isArray(cfg.characters.guests)) {
+      guests = cfg.characters.guests.slice();
+      if (Object.keys(guest).length) {
+        guests[0] = { ...(guests[0] || {}), ...guest };
+      }
+    }
     await service.setCharacters({
       host: cfg.characters.host || {},
-      guest: cfg.characters.guest || {}
+      guest,
+      guests,
+      solo: cfg.characters.solo
     });
   }
 }
 
+// Reads prompt templates from <dir>/<id>.txt or <dir>/<id>.md
+async function readPromptDir(dir) {
+  const absDir = path.resolve(dir);
+  const prompts = {};
+  for (const file of (await fs.readdir(absDir)).sort()) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.txt' || ext === '.md') {
+      prompts[path.basename(file, path.extname(file))] = await fs.readFile(path.join(absDir, file), 'utf8');
+    }
+  }
+  if (!Object.keys(prompts).length) {
+    throw new Error(`No prompt templates (<id>.txt or <id>.md) found in ${absDir}`);
+  }
+  return prompts;
+}
+
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 function attachCommonOptions(cmd) {
   return cmd
     // Config file
     .option('-c, --config <file>', 'Path to config JSON (optional, flags override)')
     // API key
-    .option('--api-key <key>', 'OpenAI API key')
+    .option('--api-key <key>', 'OpenAI (or Azure OpenAI) API key')
+    // Provider
+    .option('--provider <type>', 'API provider: openai, azure, compatible or mock (offline)')
+    .option('--base-url <url>', 'Provider base URL (Azure resource endpoint or OpenAI-compatible server)')
+    .option('--api-version <version>', 'Azure OpenAI api-version')
+    .option('--azure-deployment <model=name>', 'Azure deployment name for a model (repeatable)', collect, [])
+    .option('--provider-api-key <key>', 'API key for the OpenAI-compatible server')
+    .option('--custom-model <id>', 'Model served by the OpenAI-compatible server (repeatable)', collect, [])
+    // Checkpoints
+    .option('--workdir <dir>', 'Work directory for on-disk checkpoints (enables resume)')
+    .option('--tts-cache <dir>', 'Directory of the TTS segment cache (default: <workdir>/segments)')
     // Models
     .option('--model-outline <name>', 'Model for outline')
     .option('--model-outline-verify <name>', 'Model for outline verification')
@@ -143,10 +500,19 @@ function attachCommonOptions(cmd) {
     // Podcast prefs
     .option('--duration <minutes>', 'Podcast duration in minutes', (v) => parseInt(v, 10))
     .option('--focus <text>', 'Podcast focus/topic')
+    .option('--format <name>', 'Episode format: interview (default), debate, explainer, news-roundup or storytelling')
+    .option('--prompts <dir>', 'Directory of prompt templates named <id>.txt or <id>.md (see the prompts command)')
+    .option('--max-cost <usd>', 'Stop the run once it has spent this much (USD, 0 for no cap)', (v) => parseFloat(v))
+    .option('--max-daily-cost <usd>', 'Stop once today\'s spend in this work directory reaches this much (USD, 0 for no cap)', (v) => parseFloat(v))
     .option('--language <lang>', 'Script language (e.g., english)')
-    .option('--silence-ms <ms>', 'Silence between segments in ms (Node path concat currently ignores)', (v) => parseInt(v, 10))
+    .option('--silence-ms <ms>', 'Silence between speaker turns in ms', (v) => parseInt(v, 10))
+    .option('--tts-concurrency <n>', 'Number of TTS requests run in parallel (default 4)', (v) => parseInt(v, 10))
+    .option('--title <text>', 'Episode title for the MP3 tag (default: first document name)')
+    .option('--show <text>', 'Show name for the MP3 tag (default: Podcastinator)')
+    .option('--cover <file>', 'Cover art image (.jpg or .png) embedded in the MP3')
     // Document
-    .option('--doc-path <file>', 'Path to document text file')
+    .option('--doc-path <file>', 'Path to a source document: .txt, .md, .pdf, .docx, .html, .epub (repeatable)', collect, [])
+    .option('--doc-weight <n>', 'Weight of the --doc-path at the same position (repeatable, default 1)', collect, [])
     .option('--doc-content <string>', 'Inline document content')
     .option('--doc-stdin', 'Read document content from STDIN')
     // Characters
@@ -154,10 +520,14 @@ function attachCommonOptions(cmd) {
     .option('--host-voice <s>', 'Host TTS voice id')
     .option('--host-speech-rate <n>', 'Host speech rate (number)', (v) => parseFloat(v))
     .option('--host-voice-instructions <s>', 'Host voice instructions (gpt-4o-mini-tts)')
+    .option('--host-label <s>', 'Host speaker label in the script (default HOST, or NARRATOR when solo)')
     .option('--guest-name <s>', 'Guest name')
     .option('--guest-voice <s>', 'Guest TTS voice id')
     .option('--guest-speech-rate <n>', 'Guest speech rate (number)', (v) => parseFloat(v))
-    .option('--guest-voice-instructions <s>', 'Guest voice instructions (gpt-4o-mini-tts)');
+    .option('--guest-voice-instructions <s>', 'Guest voice instructions (gpt-4o-mini-tts)')
+    .option('--guest-label <s>', 'Guest speaker label in the script (default GUEST, or GUEST 1..4 on a panel)')
+    .option('--guest <name:voice>', 'Panel guest as <name>:<voice> (repeatable, up to 4; --guest-* flags adjust the first)', collect, [])
+    .option('--solo', 'Solo episode: the host narrates alone, no guests');
 }
 
 async function buildConfigFromOptions(opts) {
@@ -175,26 +545,64 @@ async function buildConfigFromOptions(opts) {
   if (opts.modelTts) models.tts = opts.modelTts;
   if (Object.keys(models).length) cfg.models = models;
 
+  // Provider
+  const provider = {};
+  if (opts.provider) provider.type = opts.provider;
+  if (opts.baseUrl) provider.baseUrl = opts.baseUrl;
+  if (opts.apiVersion) provider.apiVersion = opts.apiVersion;
+  if (opts.providerApiKey) provider.apiKey = opts.providerApiKey;
+  if (opts.azureDeployment && opts.azureDeployment.length) {
+    provider.deployments = {};
+    for (const entry of opts.azureDeployment) {
+      const [model, deployment] = entry.split('=');
+      if (!model || !deployment) {
+        throw new Error(`Invalid --azure-deployment "${entry}" (expected <model>=<deployment>)`);
+      }
+      provider.deployments[model.trim()] = deployment.trim();
+    }
+  }
+  if (opts.customModel && opts.customModel.length) provider.models = opts.customModel;
+  if (Object.keys(provider).length) cfg.provider = provider;
+
   // Podcast prefs
   const podcast = {};
   if (opts.duration !== undefined) podcast.duration = opts.duration;
   if (opts.focus !== undefined) podcast.focus = opts.focus;
+  if (opts.format !== undefined) podcast.format = opts.format;
   if (opts.language !== undefined) podcast.language = opts.language;
   if (opts.silenceMs !== undefined) podcast.silenceMs = opts.silenceMs;
+  if (opts.ttsConcurrency !== undefined) podcast.ttsConcurrency = opts.ttsConcurrency;
+  if (opts.title !== undefined) podcast.title = opts.title;
+  if (opts.show !== undefined) podcast.show = opts.show;
+  if (opts.cover !== undefined) podcast.cover = opts.cover;
   if (Object.keys(podcast).length) cfg.podcast = podcast;
 
-  // Document
+  // Prompt templates
+  if (opts.prompts) cfg.prompts = await readPromptDir(opts.prompts);
+
+  // Spending caps
+  const budget = {};
+  if (opts.maxCost !== undefined) budget.maxRunCost = opts.maxCost;
+  if (opts.maxDailyCost !== undefined) budget.maxDailyCost = opts.maxDailyCost;
+  if (Object.keys(budget).length) cfg.budget = budget;
+
+  // Documents
+  const documents = [];
   if (opts.docContent) {
-    cfg.document = { content: opts.docContent };
-  } else if (opts.docPath) {
-    cfg.document = { path: opts.docPath };
-  } else if (opts.docStdin) {
+    documents.push({ content: opts.docContent });
+  }
+  (opts.docPath || []).forEach((docPath, index) => {
+    const weight = parseFloat((opts.docWeight || [])[index]);
+    documents.push(Number.isFinite(weight) ? { path: docPath, weight } : { path: docPath });
+  });
+  if (opts.docStdin) {
     const chunks = [];
     for await (const chunk of process.stdin) {
       chunks.push(chunk);
     }
-    cfg.document = { content: Buffer.concat(chunks.map((c) => Buffer.isBuffer(c) ? c : Buffer.from(c))).toString('utf8') };
+    documents.push({ content: Buffer.concat(chunks.map((c) => Buffer.isBuffer(c) ? c : Buffer.from(c))).toString('utf8') });
   }
+  if (documents.length) cfg.documents = documents;
 
   // Characters
   const host = {};
@@ -202,26 +610,88 @@ async function buildConfigFromOptions(opts) {
   if (opts.hostVoice) host.voice = opts.hostVoice;
   if (opts.hostSpeechRate !== undefined) host.speechRate = opts.hostSpeechRate;
   if (opts.hostVoiceInstructions !== undefined) host.voiceInstructions = opts.hostVoiceInstructions;
+  if (opts.hostLabel) host.label = opts.hostLabel;
 
   const guest = {};
   if (opts.guestName) guest.name = opts.guestName;
   if (opts.guestVoice) guest.voice = opts.guestVoice;
   if (opts.guestSpeechRate !== undefined) guest.speechRate = opts.guestSpeechRate;
   if (opts.guestVoiceInstructions !== undefined) guest.voiceInstructions = opts.guestVoiceInstructions;
+  if (opts.guestLabel) guest.label = opts.guestLabel;
 
-  if (Object.keys(host).length || Object.keys(guest).length) {
-    cfg.characters = { host, guest };
+  const characters = {};
+  if (Object.keys(host).length) characters.host = host;
+  if (Object.keys(guest).length) characters.guest = guest;
+  if (opts.guest && opts.guest.length) {
+    characters.guests = opts.guest.map((entry) => {
+      const [name, voice] = entry.split(':');
+      if (!name || !voice) {
+        throw new Error(`Invalid --guest "${entry}" (expected <name>:<voice>)`);
+      }
+      return { name: name.trim(), voice: voice.trim() };
+    });
+    // The panel replaces any guest from the config file; --guest-* flags apply to its first guest
+    characters.guests[0] = { ...characters.guests[0], ...guest };
+    characters.guest = undefined;
+  }
+  if (opts.solo) characters.solo = true;
+  if (Object.keys(characters).length) {
+    cfg.characters = characters;
   }
 
   return cfg;
 }
 
+// Prints one row per stage: cost and running time as expected (min-max), plus the request count
+function printEstimate(estimator, estimate) {
+  const range = (values, format) => `${format(values.expected)} (${format(values.min)}-${format(values.max)})`;
+  const formatCost = (value) => estimator.formatCost(value);
+  const formatTime = (value) => estimator.formatDuration(value);
+  const formatCount = (value) => String(Math.round(value));
+  console.log(`Estimate for a ${estimate.duration}-minute episode: ${estimate.sections} sections, ~${estimate.words} words`);
+  if (estimate.fromOutline || estimate.fromScript) {
+    const used = [estimate.fromOutline && 'outline (sections and words)', estimate.fromScript && 'script (audio length)'].filter(Boolean);
+    console.log(`Based on the existing ${used.join(' and ')}; pass a different --duration to estimate a new episode.`);
+  }
+  const rows = [['stage', 'cost', 'time', 'requests']];
+  for (const [name, figures] of Object.entries(estimate.stages).concat([['total', estimate.total]])) {
+    rows.push([name, range(figures.cost, formatCost), range(figures.seconds, formatTime), range(figures.requests, formatCount)]);
+  }
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  for (const row of rows) {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  }
+  if (estimate.unpricedModels.length) {
+    console.log(`No price known for ${estimate.unpricedModels.join(', ')}; their cost is counted as $0.`);
+  }
+}
+
+function exportProviderSettings(provider) {
+  // Secrets stay out of exported configs
+  const settings = { type: 'openai', ...(provider || {}) };
+  delete settings.apiKey;
+  return settings;
+}
+
+function exportCharacter(character) {
+  return {
+    name: character.name || '',
+    label: character.label || '',
+    personality: character.personality || '',
+    voice: character.voice || '',
+    speechRate: character.speechRate || 1.0,
+    voiceInstructions: character.voiceInstructions || '',
+    backstory: character.backstory || ''
+  };
+}
+
 function buildUiExportPayloadFromService(service) {
   const storage = service.storage;
   const data = storage.load('data', {}) || {};
   const outlineData = storage.load('outlineData', {}) || {};
   const scriptData = storage.load('scriptData', {}) || {};
   const audioData = storage.load('audioData', {}) || {};
+  const characters = service.getCharacters();
 
   const payload = {
     version: 1,
@@ -234,30 +704,22 @@ function buildUiExportPayloadFromService(service) {
         script: data.models?.script || '',
         scriptVerify: data.models?.scriptVerify || '',
         tts: data.models?.tts || ''
-      }
+      },
+      provider: exportProviderSettings(data.provider),
+      budget: service.getBudget(),
+      lint: service.getLintSettings()
     },
     contents: {
-      document: data.document || null,
+      documents: data.documents || (data.document ? [data.document] : []),
       podcastFocus: outlineData.podcastFocus || ''
     },
-    hostCharacter: data.host ? {
-      name: data.host.name || '',
-      personality: data.host.personality || '',
-      voice: data.host.voice || '',
-      speechRate: data.host.speechRate || 1.0,
-      voiceInstructions: data.host.voiceInstructions || '',
-      backstory: data.host.backstory || ''
-    } : undefined,
-    guestCharacter: data.guest ? {
-      name: data.guest.name || '',
-      personality: data.guest.personality || '',
-      voice: data.guest.voice || '',
-      speechRate: data.guest.speechRate || 1.0,
-      voiceInstructions: data.guest.voiceInstructions || '',
-      backstory: data.guest.backstory || ''
-    } : undefined,
+    hostCharacter: Object.keys(characters.host).length ? exportCharacter(characters.host) : undefined,
+    solo: characters.solo,
+    guestCharacter: characters.guests.length ? exportCharacter(characters.guests[0]) : undefined,
+    guestCharacters: characters.guests.length ? characters.guests.map(exportCharacter) : undefined,
     outline: {
       targetDurationMinutes: outlineData.podcastDuration || 30,
+      episodeFormat: outlineData.episodeFormat || 'interview',
       outlineText: outlineData.outline || ''
     },
     script: {
@@ -266,8 +728,12 @@ function buildUiExportPayloadFromService(service) {
     },
     audio: {
       silenceBetweenSpeakersMs: audioData.silenceDuration || 400,
+      ttsConcurrency: audioData.ttsConcurrency || 4,
+      episodeTitle: audioData.episodeTitle || '',
+      showName: audioData.showName || '',
       mp3Base64: null
-    }
+    },
+    prompts: service.getPromptOverrides()
   };
 
   return payload;
@@ -276,71 +742,100 @@ function buildUiExportPayloadFromService(service) {
 attachCommonOptions(program.command('run'))
   .description('Run full pipeline (outline -> script -> audio). Flags override config; config is optional.')
   .option('-o, --out <file>', 'Output MP3 file path (Node only)')
-  .option('--outline-out <file>', 'Output outline text file path')
+  .option('--outline-out <file>', 'Output outline file path (.json writes the JSON outline)')
   .option('--script-out <file>', 'Output script text file path')
+  .option('--show-notes-out <file>', 'Output show notes citing the sources of the script\'s claims: .json, otherwise Markdown')
+  .option('--transcript-out <file>', 'Output timed transcript: .srt, .vtt or .md (any other path writes all three)')
   .option('--config-out <file>', 'Output UI-format config JSON file path')
+  .option('--usage-out <file>', 'Output the usage ledger of the API calls: .json, otherwise CSV')
+  .option('--stream', 'Print each script section as it is written')
   .action(async (opts) => {
     try {
-      const service = createService();
+      const service = createService(opts.workdir, opts.ttsCache);
+      cancelOnInterrupt(service);
+      if (opts.stream) printSectionStream(service);
       const fileCfg = opts.config ? normalizeConfig(await readJson(opts.config)) : {};
       const flagCfg = await buildConfigFromOptions(opts);
       const merged = { ...fileCfg };
-      // Deep merge for models/podcast/characters/document
+      // Deep merge for models/podcast/characters/documents
       if (flagCfg.apiKey) merged.apiKey = flagCfg.apiKey;
       if (flagCfg.models) merged.models = { ...(fileCfg.models || {}), ...flagCfg.models };
+      if (flagCfg.provider) merged.provider = { ...(fileCfg.provider || {}), ...flagCfg.provider };
       if (flagCfg.podcast) merged.podcast = { ...(fileCfg.podcast || {}), ...flagCfg.podcast };
-      if (flagCfg.document) merged.document = flagCfg.document;
+      if (flagCfg.documents) {
+        merged.documents = flagCfg.documents;
+        delete merged.document;
+      }
       if (flagCfg.characters) merged.characters = { ...(fileCfg.characters || {}), ...flagCfg.characters };
-      await loadConfigToService(service, merged);
-
-      const outline = await service.generateOutline({
-        duration: merged?.podcast?.duration,
-        focus: merged?.podcast?.focus
-      });
-      console.log('\n--- OUTLINE ---\n');
-      console.log(outline);
+      if (flagCfg.prompts) merged.prompts = { ...(fileCfg.prompts || {}), ...flagCfg.prompts };
+      if (flagCfg.budget) merged.budget = { ...(fileCfg.budget || {}), ...flagCfg.budget };
 
-      if (opts.outlineOut) {
-        const outlinePath = path.resolve(opts.outlineOut);
-        await fs.writeFile(outlinePath, outline, 'utf8');
-        console.log(`\nSaved outline to ${outlinePath}`);
+      if (opts.workdir) {
+        // A new run starts from scratch; stale segment checkpoints are ignored because they no longer match
+        service.storage.remove('outlineData');
+        service.storage.remove('scriptData');
+        service.clearCheckpoints();
+        await writeRunManifest(opts.workdir, merged, opts);
       }
+      await loadConfigToService(service, merged);
+      service.startRun('run');
 
-      const script = await service.generateScript({
-        language: merged?.podcast?.language || 'english'
-      });
-      console.log('\n--- SCRIPT (length) ---\n', script.length);
-
-      if (opts.scriptOut) {
-        const scriptPath = path.resolve(opts.scriptOut);
-        await fs.writeFile(scriptPath, script, 'utf8');
-        console.log(`\nSaved script to ${scriptPath}`);
+      await runPipeline(service, merged, opts);
+    } catch (err) {
+      console.error('Error:', err.message || err);
+      if (opts.workdir) {
+        console.error(`Progress is checkpointed; continue with: podcastinator resume --workdir ${opts.workdir}`);
       }
+      process.exitCode = 1;
+    }
+  });
 
-      const audioResult = await service.generateAudio({
-        silenceMs: merged?.podcast?.silenceMs,
-        outputPath: opts.out || ''
-      });
-
-      if (audioResult?.buffer && opts.out) {
-        const absOut = path.resolve(opts.out);
-        await fs.writeFile(absOut, audioResult.buffer);
-        console.log(`\nSaved MP3 to ${absOut}`);
-      } else if (audioResult?.buffer) {
-        const cwd = process.cwd();
-        const outPath = path.join(cwd, 'podcast.mp3');
-        await fs.writeFile(outPath, audioResult.buffer);
-        console.log(`\nSaved MP3 to ${outPath}`);
-      } else {
-        console.log('\nAudio generated (browser path).');
+attachCommonOptions(program.command('resume'))
+  .description('Resume an interrupted run from its work directory checkpoints. Flags override the saved config.')
+  .option('-o, --out <file>', 'Output MP3 file path (defaults to the original run)')
+  .option('--outline-out <file>', 'Output outline file path (defaults to the original run)')
+  .option('--script-out <file>', 'Output script text file path (defaults to the original run)')
+  .option('--show-notes-out <file>', 'Output show notes file path (defaults to the original run)')
+  .option('--transcript-out <file>', 'Output timed transcript file path (defaults to the original run)')
+  .option('--config-out <file>', 'Output UI-format config JSON file path (defaults to the original run)')
+  .option('--usage-out <file>', 'Output the usage ledger of the API calls: .json, otherwise CSV')
+  .option('--stream', 'Print each script section as it is written')
+  .action(async (opts) => {
+    try {
+      if (!opts.workdir) {
+        throw new Error('resume requires --workdir <dir>');
       }
-
-      if (opts.configOut) {
-        const payload = buildUiExportPayloadFromService(service);
-        const cfgOutPath = path.resolve(opts.configOut);
-        await fs.writeFile(cfgOutPath, JSON.stringify(payload, null, 2), 'utf8');
-        console.log(`\nSaved UI config to ${cfgOutPath}`);
+      const manifest = await readRunManifest(opts.workdir);
+      const service = createService(opts.workdir, opts.ttsCache);
+      cancelOnInterrupt(service);
+      if (opts.stream) printSectionStream(service);
+      const savedCfg = manifest.config || {};
+      const flagCfg = await buildConfigFromOptions(opts);
+      const merged = { ...savedCfg };
+      if (flagCfg.apiKey) merged.apiKey = flagCfg.apiKey;
+      if (flagCfg.models) merged.models = { ...(savedCfg.models || {}), ...flagCfg.models };
+      if (flagCfg.provider) merged.provider = { ...(savedCfg.provider || {}), ...flagCfg.provider };
+      if (flagCfg.podcast) merged.podcast = { ...(savedCfg.podcast || {}), ...flagCfg.podcast };
+      if (flagCfg.documents) {
+        merged.documents = flagCfg.documents;
+        delete merged.document;
       }
+      if (flagCfg.characters) merged.characters = { ...(savedCfg.characters || {}), ...flagCfg.characters };
+      if (flagCfg.prompts) merged.prompts = { ...(savedCfg.prompts || {}), ...flagCfg.prompts };
+      if (flagCfg.budget) merged.budget = { ...(savedCfg.budget || {}), ...flagCfg.budget };
+      await loadConfigToService(service, merged);
+      service.startRun('resume');
+
+      const outputs = { ...(manifest.outputs || {}) };
+      if (opts.out) outputs.out = opts.out;
+      if (opts.outlineOut) outputs.outlineOut = opts.outlineOut;
+      if (opts.scriptOut) outputs.scriptOut = opts.scriptOut;
+      if (opts.showNotesOut) outputs.showNotesOut = opts.showNotesOut;
+      if (opts.transcriptOut) outputs.transcriptOut = opts.transcriptOut;
+      if (opts.configOut) outputs.configOut = opts.configOut;
+      if (opts.usageOut) outputs.usageOut = opts.usageOut;
+
+      await runPipeline(service, merged, outputs, { resume: true });
     } catch (err) {
       console.error('Error:', err.message || err);
       process.exitCode = 1;
@@ -349,20 +844,28 @@ attachCommonOptions(program.command('run'))
 
 attachCommonOptions(program.command('outline'))
   .description('Generate outline. Flags override config; config is optional.')
-  .option('-o, --out <file>', 'Output outline text file path')
-  .option('--outline-out <file>', 'Output outline text file path (alias)')
+  .option('-o, --out <file>', 'Output outline file path (.json writes the JSON outline)')
+  .option('--outline-out <file>', 'Output outline file path (alias)')
   .action(async (opts) => {
     try {
-      const service = createService();
+      const service = createService(opts.workdir, opts.ttsCache);
+      cancelOnInterrupt(service);
       const fileCfg = opts.config ? normalizeConfig(await readJson(opts.config)) : {};
       const flagCfg = await buildConfigFromOptions(opts);
       const merged = { ...fileCfg };
       if (flagCfg.apiKey) merged.apiKey = flagCfg.apiKey;
       if (flagCfg.models) merged.models = { ...(fileCfg.models || {}), ...flagCfg.models };
+      if (flagCfg.provider) merged.provider = { ...(fileCfg.provider || {}), ...flagCfg.provider };
       if (flagCfg.podcast) merged.podcast = { ...(fileCfg.podcast || {}), ...flagCfg.podcast };
-      if (flagCfg.document) merged.document = flagCfg.document;
+      if (flagCfg.documents) {
+        merged.documents = flagCfg.documents;
+        delete merged.document;
+      }
       if (flagCfg.characters) merged.characters = { ...(fileCfg.characters || {}), ...flagCfg.characters };
+      if (flagCfg.prompts) merged.prompts = { ...(fileCfg.prompts || {}), ...flagCfg.prompts };
+      if (flagCfg.budget) merged.budget = { ...(fileCfg.budget || {}), ...flagCfg.budget };
       await loadConfigToService(service, merged);
+      service.startRun('outline');
       const outline = await service.generateOutline({
         duration: merged?.podcast?.duration,
         focus: merged?.podcast?.focus
@@ -370,8 +873,7 @@ attachCommonOptions(program.command('outline'))
       console.log(outline);
       const outPath = opts.outlineOut || opts.out;
       if (outPath) {
-        const outlinePath = path.resolve(outPath);
-        await fs.writeFile(outlinePath, outline, 'utf8');
+        const outlinePath = await writeOutline(service, outPath);
         console.log(`Saved outline to ${outlinePath}`);
       }
     } catch (err) {
@@ -382,23 +884,34 @@ attachCommonOptions(program.command('outline'))
 
 attachCommonOptions(program.command('script'))
   .description('Generate script (requires outline). Flags override config; config is optional.')
-  .option('--outline-path <file>', 'Path to outline text file (overrides stored outline)')
-  .option('--outline-content <string>', 'Inline outline content (overrides stored outline)')
+  .option('--outline-path <file>', 'Path to an outline file, text or JSON (overrides stored outline)')
+  .option('--outline-content <string>', 'Inline outline content, text or JSON (overrides stored outline)')
   .option('--outline-stdin', 'Read outline content from STDIN (overrides stored outline)')
   .option('-o, --out <file>', 'Output script text file path')
   .option('--script-out <file>', 'Output script text file path (alias)')
+  .option('--show-notes-out <file>', 'Output show notes citing the sources of the script\'s claims: .json, otherwise Markdown')
+  .option('--stream', 'Print each script section as it is written')
   .action(async (opts) => {
     try {
-      const service = createService();
+      const service = createService(opts.workdir, opts.ttsCache);
+      cancelOnInterrupt(service);
+      if (opts.stream) printSectionStream(service);
       const fileCfg = opts.config ? normalizeConfig(await readJson(opts.config)) : {};
       const flagCfg = await buildConfigFromOptions(opts);
       const merged = { ...fileCfg };
       if (flagCfg.apiKey) merged.apiKey = flagCfg.apiKey;
       if (flagCfg.models) merged.models = { ...(fileCfg.models || {}), ...flagCfg.models };
+      if (flagCfg.provider) merged.provider = { ...(fileCfg.provider || {}), ...flagCfg.provider };
       if (flagCfg.podcast) merged.podcast = { ...(fileCfg.podcast || {}), ...flagCfg.podcast };
-      if (flagCfg.document) merged.document = flagCfg.document;
+      if (flagCfg.documents) {
+        merged.documents = flagCfg.documents;
+        delete merged.document;
+      }
       if (flagCfg.characters) merged.characters = { ...(fileCfg.characters || {}), ...flagCfg.characters };
+      if (flagCfg.prompts) merged.prompts = { ...(fileCfg.prompts || {}), ...flagCfg.prompts };
+      if (flagCfg.budget) merged.budget = { ...(fileCfg.budget || {}), ...flagCfg.budget };
       await loadConfigToService(service, merged);
+      service.startRun('script');
 
       // Outline override from CLI
       let outlineOverride = '';
@@ -416,9 +929,8 @@ attachCommonOptions(program.command('script'))
       }
 
       if (outlineOverride && outlineOverride.trim()) {
-        const outlineData = service.storage.load('outlineData', {}) || {};
-        outlineData.outline = outlineOverride;
-        service.storage.save('outlineData', outlineData);
+        // Text or JSON outline; JSON is validated and rendered to the text form
+        service.setOutline(outlineOverride);
       }
 
       const script = await service.generateScript({ language: merged?.podcast?.language || 'english' });
@@ -429,6 +941,76 @@ attachCommonOptions(program.command('script'))
         await fs.writeFile(absScriptPath, script, 'utf8');
         console.log(`Saved script to ${absScriptPath}`);
       }
+      if (opts.showNotesOut) {
+        await writeShowNotes(service, opts.showNotesOut);
+      }
+    } catch (err) {
+      console.error('Error:', err.message || err);
+      process.exitCode = 1;
+    }
+  });
+
+attachCommonOptions(program.command('sections'))
+  .description('List, lock or regenerate single script sections of a work directory. Flags override the saved config.')
+  .option('--regenerate <number>', 'Regenerate one section, then re-run the cross-section review')
+  .option('--lock <number>', 'Lock a section so full script regenerations keep it (repeatable)', collect, [])
+  .option('--unlock <number>', 'Unlock a section (repeatable)', collect, [])
+  .option('-o, --out <file>', 'Output script text file path')
+  .option('--script-out <file>', 'Output script text file path (alias)')
+  .option('--show-notes-out <file>', 'Output show notes citing the sources of the script\'s claims: .json, otherwise Markdown')
+  .option('--stream', 'Print each script section as it is written')
+  .action(async (opts) => {
+    try {
+      if (!opts.workdir) {
+        throw new Error('sections requires --workdir <dir>');
+      }
+      const service = createService(opts.workdir, opts.ttsCache);
+      cancelOnInterrupt(service);
+      if (opts.stream) printSectionStream(service);
+      const savedCfg = opts.config ? normalizeConfig(await readJson(opts.config)) : ((await readRunManifest(opts.workdir)).config || {});
+      const flagCfg = await buildConfigFromOptions(opts);
+      const merged = { ...savedCfg };
+      if (flagCfg.apiKey) merged.apiKey = flagCfg.apiKey;
+      if (flagCfg.models) merged.models = { ...(savedCfg.models || {}), ...flagCfg.models };
+      if (flagCfg.provider) merged.provider = { ...(savedCfg.provider || {}), ...flagCfg.provider };
+      if (flagCfg.podcast) merged.podcast = { ...(savedCfg.podcast || {}), ...flagCfg.podcast };
+      if (flagCfg.documents) {
+        merged.documents = flagCfg.documents;
+        delete merged.document;
+      }
+      if (flagCfg.characters) merged.characters = { ...(savedCfg.characters || {}), ...flagCfg.characters };
+      if (flagCfg.prompts) merged.prompts = { ...(savedCfg.prompts || {}), ...flagCfg.prompts };
+      if (flagCfg.budget) merged.budget = { ...(savedCfg.budget || {}), ...flagCfg.budget };
+      await loadConfigToService(service, merged);
+      service.startRun('sections');
+
+      for (const number of opts.unlock) {
+        service.setSectionLocked(number, false);
+        console.log(`Unlocked section ${number}`);
+      }
+      for (const number of opts.lock) {
+        service.setSectionLocked(number, true);
+        console.log(`Locked section ${number}`);
+      }
+
+      if (opts.regenerate) {
+        const script = await service.regenerateSection(opts.regenerate);
+        const scriptOutPath = opts.scriptOut || opts.out;
+        if (scriptOutPath) {
+          const absScriptPath = path.resolve(scriptOutPath);
+          await fs.writeFile(absScriptPath, script, 'utf8');
+          console.log(`Saved script to ${absScriptPath}`);
+        }
+      }
+
+      console.log('\n--- SECTIONS ---\n');
+      for (const section of service.getScriptSections()) {
+        const unsupported = section.unsupportedClaims ? ` [${section.unsupportedClaims} unsupported claim(s)]` : '';
+        console.log(`${section.number}. ${section.title} (${section.words} words)${section.verification === 'unavailable' ? ' [not verified]' : ''}${unsupported}${section.locked ? ' [locked]' : ''}`);
+      }
+      if (opts.showNotesOut) {
+        await writeShowNotes(service, opts.showNotesOut);
+      }
     } catch (err) {
       console.error('Error:', err.message || err);
       process.exitCode = 1;
@@ -438,21 +1020,30 @@ attachCommonOptions(program.command('script'))
 attachCommonOptions(program.command('audio'))
   .description('Generate audio (requires script). Flags override config; config is optional.')
   .option('-o, --out <file>', 'Output MP3 file path (Node only)')
+  .option('--transcript-out <file>', 'Output timed transcript: .srt, .vtt or .md (any other path writes all three)')
   .option('--script-path <file>', 'Path to script text file (overrides stored script)')
   .option('--script-content <string>', 'Inline script content (overrides stored script)')
   .option('--script-stdin', 'Read script content from STDIN (overrides stored script)')
   .action(async (opts) => {
     try {
-      const service = createService();
+      const service = createService(opts.workdir, opts.ttsCache);
+      cancelOnInterrupt(service);
       const fileCfg = opts.config ? normalizeConfig(await readJson(opts.config)) : {};
       const flagCfg = await buildConfigFromOptions(opts);
       const merged = { ...fileCfg };
       if (flagCfg.apiKey) merged.apiKey = flagCfg.apiKey;
       if (flagCfg.models) merged.models = { ...(fileCfg.models || {}), ...flagCfg.models };
+      if (flagCfg.provider) merged.provider = { ...(fileCfg.provider || {}), ...flagCfg.provider };
       if (flagCfg.podcast) merged.podcast = { ...(fileCfg.podcast || {}), ...flagCfg.podcast };
-      if (flagCfg.document) merged.document = flagCfg.document;
+      if (flagCfg.documents) {
+        merged.documents = flagCfg.documents;
+        delete merged.document;
+      }
       if (flagCfg.characters) merged.characters = { ...(fileCfg.characters || {}), ...flagCfg.characters };
+      if (flagCfg.prompts) merged.prompts = { ...(fileCfg.prompts || {}), ...flagCfg.prompts };
+      if (flagCfg.budget) merged.budget = { ...(fileCfg.budget || {}), ...flagCfg.budget };
       await loadConfigToService(service, merged);
+      service.startRun('audio');
 
       // Script override from CLI
       let scriptOverride = '';
@@ -471,11 +1062,19 @@ attachCommonOptions(program.command('audio'))
 
       if (scriptOverride && scriptOverride.trim()) {
         const scriptData = service.storage.load('scriptData', {}) || {};
+        if (scriptData.script !== scriptOverride) {
+          // The sections belong to the generated script; an outside script gets no chapters
+          delete scriptData.generatedSections;
+        }
         scriptData.script = scriptOverride;
         service.storage.save('scriptData', scriptData);
       }
 
-      const audioResult = await service.generateAudio({ silenceMs: merged?.podcast?.silenceMs, outputPath: opts.out || '' });
+      const audioResult = await service.generateAudio({
+        silenceMs: merged?.podcast?.silenceMs,
+        outputPath: opts.out || '',
+        cover: await readCoverArt(merged?.podcast?.cover)
+      });
       if (audioResult?.buffer) {
         const absOut = path.resolve(opts.out || 'podcast.mp3');
         await fs.writeFile(absOut, audioResult.buffer);
@@ -483,10 +1082,131 @@ attachCommonOptions(program.command('audio'))
       } else {
         console.log('Audio generated (browser path).');
       }
+      if (opts.transcriptOut) {
+        await writeTranscripts(service, opts.transcriptOut);
+      }
     } catch (err) {
       console.error('Error:', err.message || err);
       process.exitCode = 1;
     }
   });
 
+attachCommonOptions(program.command('estimate'))
+  .description('Estimate the cost and running time of each stage without calling the API. Flags override config; config is optional.')
+  .option('--json', 'Print the estimate as JSON')
+  .action(async (opts) => {
+    try {
+      const service = createService(opts.workdir, opts.ttsCache, true);
+      // Without --config the run's saved config is used, so its provider decides which roles are free
+      const fileCfg = opts.config ? normalizeConfig(await readJson(opts.config)) : await readSavedConfig(opts.workdir);
+      const flagCfg = await buildConfigFromOptions(opts);
+      const merged = { ...fileCfg };
+      if (flagCfg.apiKey) merged.apiKey = flagCfg.apiKey;
+      if (flagCfg.models) merged.models = { ...(fileCfg.models || {}), ...flagCfg.models };
+      if (flagCfg.provider) merged.provider = { ...(fileCfg.provider || {}), ...flagCfg.provider };
+      if (flagCfg.podcast) merged.podcast = { ...(fileCfg.podcast || {}), ...flagCfg.podcast };
+      if (flagCfg.documents) {
+        merged.documents = flagCfg.documents;
+        delete merged.document;
+      }
+      if (flagCfg.characters) merged.characters = { ...(fileCfg.characters || {}), ...flagCfg.characters };
+      if (flagCfg.prompts) merged.prompts = { ...(fileCfg.prompts || {}), ...flagCfg.prompts };
+      if (flagCfg.budget) merged.budget = { ...(fileCfg.budget || {}), ...flagCfg.budget };
+      await loadConfigToService(service, merged);
+
+      const estimate = service.estimateCost({
+        duration: merged?.podcast?.duration,
+        ttsConcurrency: merged?.podcast?.ttsConcurrency
+      });
+      if (opts.json) {
+        console.log(JSON.stringify(estimate, null, 2));
+        return;
+      }
+      printEstimate(service.costEstimator, estimate);
+      const budget = service.getBudget();
+      if (budget.maxRunCost > 0 && estimate.total.cost.max > budget.maxRunCost) {
+        console.log(`\nNote: the run may exceed the ${service.costEstimator.formatCost(budget.maxRunCost)} cap (--max-cost) and stop early.`);
+      }
+    } catch (err) {
+      console.error('Error:', err.message || err);
+      process.exitCode = 1;
+    }
+  });
+
+program.command('usage')
+  .description('Show the usage ledger of a work directory: cost per run and per stage')
+  .requiredOption('--workdir <dir>', 'Work directory of the runs')
+  .option('-o, --out <file>', 'Export every API call: .json, otherwise CSV')
+  .option('--calls', 'List every API call instead of the totals per stage')
+  .action(async (opts) => {
+    try {
+      const service = createService(opts.workdir, undefined, true);
+      const runs = service.getUsageLedger();
+      if (!runs.length) {
+        console.log('No API calls recorded in this work directory.');
+        return;
+      }
+      for (const summary of service.getUsageSummary()) {
+        const run = runs.find((item) => item.id === summary.id);
+        console.log(`\n${summary.startedAt}  ${summary.label}${summary.episode ? `  "${summary.episode}"` : ''}  ${summary.calls} calls  $${summary.cost.toFixed(4)}`);
+        const rows = opts.calls ? run.entries : summary.stages;
+        for (const row of rows) {
+          const usage = row.characters ? `${row.characters} chars` : `${row.inputTokens}/${row.outputTokens} tokens`;
+          const label = opts.calls ? `${row.timestamp.slice(11, 19)}  ${row.stage}` : row.stage;
+          const detail = opts.calls ? `${row.model}  ${row.requestId}` : `${row.calls} calls`;
+          console.log(`  ${label.padEnd(opts.calls ? 34 : 24)} ${detail.padEnd(opts.calls ? 28 : 10)} ${usage.padEnd(20)} $${row.cost.toFixed(4)}`);
+        }
+      }
+      if (opts.out) {
+        await writeUsageLedger(service, opts.out);
+      }
+    } catch (err) {
+      console.error('Error:', err.message || err);
+      process.exitCode = 1;
+    }
+  });
+
+program.command('lint')
+  .description('Run the local checks on the outline and script of a work directory, without calling the API')
+  .requiredOption('--workdir <dir>', 'Work directory to check')
+  .option('--json', 'Print the issues as JSON')
+  .action((opts) => {
+    try {
+      const service = createService(opts.workdir, undefined, true);
+      const report = service.lintContent();
+      if (opts.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        const printIssues = (title, issues) => {
+          console.log(`${title}: ${issues.length ? `${issues.length} issue(s)` : 'ok'}`);
+          for (const issue of issues) {
+            console.log(`  [${issue.severity}] ${issue.category}: ${issue.description}${issue.evidence ? `\n    ${issue.evidence}` : ''}`);
+          }
+        };
+        printIssues('Outline', report.outline);
+        for (const section of report.sections) {
+          printIssues(`Section ${section.number}. ${section.title}`, section.issues);
+        }
+      }
+      if (report.failed) {
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      console.error('Error:', err.message || err);
+      process.exitCode = 1;
+    }
+  });
+
+program.command('prompts')
+  .description('List the prompts that --prompts <dir> can override, with their placeholders')
+  .option('--workdir <dir>', 'Work directory whose stored overrides to show')
+  .action((opts) => {
+    const service = createService(opts.workdir, undefined, true);
+    for (const prompt of service.listPrompts()) {
+      const state = prompt.overridden ? ` (custom, version ${prompt.version})` : '';
+      console.log(`${prompt.id}${state}: ${prompt.description}`);
+      console.log(`  placeholders: ${prompt.placeholders.map((name) => `{{${name}}}`).join(', ')}`);
+    }
+  });
+
 program.parseAsync(process.argv);
@@ -3,6 +3,9 @@ import NotificationsManager from '../ui/notifications.js';
 import LanguageSupport from '../utils/languageSupport.js';
 import RetryManager from '../utils/retryManager.js';
 import ModelCatalog from '../utils/modelCatalog.js';
+import ProviderFactory from './providers/providerFactory.js';
+import SpendingBudget from '../usage/spendingBudget.js';
+import UsageLedger from '../usage/usageLedger.js';
 
 class OpenAIManager {
     constructor(storageManager, contentStateManager) {
@@ -10,6 +13,13 @@ class OpenAIManager {
         this.contentStateManager = contentStateManager;
         this.notifications = new NotificationsManager();
         this.modelCatalog = new ModelCatalog();
+        this.providerFactory = new ProviderFactory();
+        
+        // Per-run and per-day spending caps checked before every request
+        this.budget = new SpendingBudget(storageManager);
+        
+        // Every API call with its stage, usage and cost, grouped by run
+        this.usageLedger = new UsageLedger(storageManager);
         
         // Load models data from storage
         const savedData = this.storageManager.load('data', {});
@@ -28,9 +38,13 @@ class OpenAIManager {
         // We'll initialize from the DOM selected attributes during init()
         this.data = {
             apiKey: savedData.apiKey || '',
-            models: savedData.models || {}
+            models: savedData.models || {},
+            provider: savedData.provider || { type: 'openai' }
         };
         
+        // Register custom models of the configured provider and build provider instances
+        this.applyProviderSettings(this.data.provider);
+        
         // Track if user has explicitly set non-deprecated models
         this.hasValidatedModels = false;
     }
@@ -40,6 +54,9 @@ class OpenAIManager {
      */
     init() {
     
+        // Provider selection (OpenAI, Azure OpenAI, OpenAI-compatible, offline mock)
+        this.initializeProviderUI();
+
         // Populate model selectors from catalog
         this.populateAllModelSelectors();
         
@@ -119,8 +136,8 @@ class OpenAIManager {
 
         selectElement.innerHTML = '';
         
-        // Get all options including deprecated
-        const options = this.modelCatalog.getAllSelectOptions(category);
+        // Get all options including deprecated, limited to models the configured provider can serve
+        const options = this.modelCatalog.getAllSelectOptions(category, this.getAvailableProviderTags());
         
         options.forEach(function addOption(option) {
             const optionElement = document.createElement('option');
@@ -289,7 +306,8 @@ class OpenAIManager {
         const updatedData = {
             ...existingData,
             apiKey: this.data.apiKey,
-            models: this.data.models
+            models: this.data.models,
+            provider: this.data.provider
         };
         this.storageManager.save('data', updatedData);
     }
@@ -327,12 +345,16 @@ class OpenAIManager {
         const validateText = document.getElementById('validate-text');
         const validateSpinner = document.getElementById('validate-spinner');
         
-        if (!apiKey) {
-            this.notifications.showError('Please enter your OpenAI API key');
+        // Provider settings are validated together with the key
+        this.saveProviderSettingsFromUI();
+        const provider = this.getProvider();
+        
+        if (!apiKey && provider.requiresApiKey()) {
+            this.notifications.showError('Please enter your API key');
             return;
         }
 
-        if (!apiKey.startsWith('sk-')) {
+        if (provider.getType() === 'openai' && !apiKey.startsWith('sk-')) {
             this.notifications.showError('Invalid API key format. OpenAI keys start with "sk-"');
             return;
         }
@@ -351,13 +373,10 @@ class OpenAIManager {
         validateSpinner.style.display = 'inline-block';
 
         try {
-            // Test API key with real OpenAI API call
-            const response = await fetch('https://api.openai.com/v1/models', {
+            // Test API key with a real call to the configured provider
+            const response = await provider.send('/v1/models', {
                 method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                headers: provider.buildHeaders(apiKey)
             });
 
             if (response.ok) {
@@ -381,7 +400,7 @@ class OpenAIManager {
                 } else if (response.status === 429) {
                     errorMsg = 'API rate limit exceeded. Please try again later.';
                 } else if (response.status >= 500) {
-                    errorMsg = 'OpenAI API is currently unavailable. Please try again later.';
+                    errorMsg = 'The API is currently unavailable. Please try again later.';
                 }
                 this.notifications.showError(errorMsg);
             }
@@ -404,8 +423,297 @@ class OpenAIManager {
     
         return {
             apiKey: this.data.apiKey,
-            models: this.data.models
+            models: this.data.models,
+            provider: this.data.provider
+        };
+    }
+
+    /**
+     * Apply provider settings: rebuild provider instances and register custom models
+     * @param {Object} settings - Provider settings ({ type, baseUrl, apiVersion, deployments, apiKey, models })
+     */
+    applyProviderSettings(settings) {
+    
+        this.data.provider = { type: 'openai', ...(settings || {}) };
+        this.provider = this.providerFactory.create(this.data.provider);
+        this.openaiProvider = this.providerFactory.create({ type: 'openai' });
+
+        // Custom models (strings or metadata objects) are served by the configured provider
+        this.modelCatalog.clearCustomModels();
+        const customModels = Array.isArray(this.data.provider.models) ? this.data.provider.models : [];
+        const self = this;
+        customModels.forEach(function registerCustomModel(model) {
+            if (typeof model === 'string') {
+                self.modelCatalog.registerModel(model.trim(), { provider: self.provider.getType() });
+            } else if (model && model.id) {
+                self.modelCatalog.registerModel(model.id, { ...model, provider: self.provider.getType() });
+            }
+        });
+    }
+
+    /**
+     * Update provider settings and persist them
+     * @param {Object} settings - Provider settings
+     */
+    setProviderSettings(settings) {
+    
+        this.applyProviderSettings(settings);
+        this.saveToStorage();
+    }
+
+    /**
+     * Get the configured provider
+     * @returns {LlmProvider}
+     */
+    getProvider() {
+    
+        return this.provider;
+    }
+
+    /**
+     * Get the provider serving a model. Built-in OpenAI catalog models keep going to
+     * OpenAI when an OpenAI-compatible server is configured (e.g. self-hosted text
+     * generation with OpenAI TTS); everything else goes to the configured provider.
+     * @param {string} modelId - Model identifier
+     * @returns {LlmProvider}
+     */
+    getProviderForModel(modelId) {
+    
+        const tag = this.modelCatalog.getProviderTag(modelId);
+        if (this.provider.getType() === 'compatible' && tag === 'openai') {
+            return this.openaiProvider;
+        }
+        return this.provider;
+    }
+
+    /**
+     * Whether a model's requests are answered offline by the mock provider; they cost nothing
+     * @param {string} modelId - Model identifier
+     * @returns {boolean}
+     */
+    isMockModel(modelId) {
+    
+        return this.getProviderForModel(modelId).getType() === 'mock';
+    }
+
+    /**
+     * Refuse a request that would go over a spending cap. Mock-served requests are free and never refused.
+     * @param {string} modelId - Model identifier
+     * @param {number} cost - Known cost of the request in USD at the model's price
+     * @throws {Error} - With status 'BUDGET_EXCEEDED' when a cap is reached or would be exceeded
+     */
+    checkBudget(modelId, cost) {
+    
+        if (!this.isMockModel(modelId)) {
+            this.budget.checkRequest(cost);
+        }
+    }
+
+    /**
+     * Refuse a request that would go over a spending cap, else reserve its cost while it is in flight,
+     * so requests sent side by side cannot go over the cap together. Mock-served requests reserve nothing.
+     * @param {string} modelId - Model identifier
+     * @param {number} cost - Known cost of the request in USD at the model's price
+     * @returns {number} - Reserved cost; pass it to recordUsage() as reservedCost, or to releaseBudget() when the request fails
+     * @throws {Error} - With status 'BUDGET_EXCEEDED' when a cap is reached or would be exceeded
+     */
+    reserveBudget(modelId, cost) {
+    
+        if (this.isMockModel(modelId)) {
+            return 0;
+        }
+        this.budget.reserve(cost);
+        return cost;
+    }
+
+    /**
+     * Give back the cost reserved for a request that failed
+     * @param {number} reservedCost - Cost returned by reserveBudget()
+     */
+    releaseBudget(reservedCost) {
+    
+        this.budget.release(reservedCost);
+    }
+
+    /**
+     * Get catalog provider tags of models that can be used with the configured provider
+     * @returns {Array<string>}
+     */
+    getAvailableProviderTags() {
+    
+        if (this.provider.getType() === 'compatible') {
+            return ['compatible', 'openai'];
+        }
+        return [this.provider.getCatalogTag(), this.provider.getType()];
+    }
+
+    /**
+     * Check whether credentials for calling a model are available
+     * @param {string} modelId - Model identifier
+     * @param {string} apiKey - API key
+     * @returns {boolean}
+     */
+    hasCredentialsFor(modelId, apiKey) {
+    
+        return !!apiKey || !this.getProviderForModel(modelId).requiresApiKey();
+    }
+
+    /**
+     * Build fetch options for a JSON POST request to the provider serving the model
+     * @param {Object} requestBody - Request body (must include model)
+     * @param {string} apiKey - API key
+     * @returns {Object} - Fetch options
+     */
+    buildRequestOptions(requestBody, apiKey) {
+    
+        return {
+            method: 'POST',
+            headers: this.getProviderForModel(requestBody.model).buildHeaders(apiKey),
+            body: JSON.stringify(requestBody)
+        };
+    }
+
+    /**
+     * Send a single request (no retries) to the provider serving the request's model
+     * @param {string} endpoint - OpenAI-style endpoint (e.g. '/v1/audio/speech')
+     * @param {Object} options - Fetch options from buildRequestOptions()
+     * @returns {Promise<Response>} - Raw fetch response
+     */
+    async sendRequest(endpoint, options) {
+    
+        const provider = this.getProviderForModel(this.provider.getRequestModel(options));
+        return await provider.send(endpoint, options);
+    }
+
+    /**
+     * Create provider selection controls behaviour
+     */
+    initializeProviderUI() {
+    
+        const self = this;
+        const providerSelect = document.getElementById('api-provider');
+        if (!providerSelect) {
+            return;
+        }
+
+        providerSelect.innerHTML = '';
+        this.providerFactory.getSelectOptions().forEach(function addProviderOption(option) {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.value;
+            optionElement.textContent = option.label;
+            providerSelect.appendChild(optionElement);
+        });
+
+        this.initializeProviderFields();
+
+        providerSelect.addEventListener('change', function onProviderChange() {
+            self.updateProviderFieldsVisibility(providerSelect.value);
+            self.saveProviderSettingsFromUI();
+            self.populateAllModelSelectors();
+            self.saveAllModelSelections();
+        });
+
+        const customModelsInput = document.getElementById('custom-models');
+        if (customModelsInput) {
+            customModelsInput.addEventListener('change', function onCustomModelsChange() {
+                self.saveProviderSettingsFromUI();
+                self.populateAllModelSelectors();
+                self.setSelectValueIfExists('outline-model', self.data.models.outline);
+                self.setSelectValueIfExists('outline-verify-model', self.data.models.outlineVerify);
+                self.setSelectValueIfExists('script-model', self.data.models.script);
+                self.setSelectValueIfExists('script-verify-model', self.data.models.scriptVerify);
+                self.setSelectValueIfExists('backstory-model', self.data.models.backstory);
+                self.setSelectValueIfExists('tts-model', self.data.models.tts);
+            });
+        }
+    }
+
+    /**
+     * Fill provider form fields from the stored provider settings
+     */
+    initializeProviderFields() {
+    
+        const providerSelect = document.getElementById('api-provider');
+        if (!providerSelect) {
+            return;
+        }
+
+        const settings = this.data.provider || {};
+        providerSelect.value = settings.type || 'openai';
+        this.setInputValueIfExists('api-base-url', settings.baseUrl || '');
+        this.setInputValueIfExists('api-version', settings.apiVersion || '');
+        this.setInputValueIfExists('provider-api-key', settings.apiKey || '');
+        this.setInputValueIfExists('custom-models', (settings.models || []).map(function modelId(m) {
+            return typeof m === 'string' ? m : m.id;
+        }).join(', '));
+        this.updateProviderFieldsVisibility(providerSelect.value);
+    }
+
+    /**
+     * Show only the provider fields relevant to the selected provider type
+     * @param {string} type - Provider type
+     */
+    updateProviderFieldsVisibility(type) {
+    
+        const visibility = {
+            'api-base-url-group': type === 'azure' || type === 'compatible',
+            'api-version-group': type === 'azure',
+            'provider-api-key-group': type === 'compatible',
+            'custom-models-group': type === 'compatible'
         };
+        Object.keys(visibility).forEach(function toggleGroup(elementId) {
+            const element = document.getElementById(elementId);
+            if (element) {
+                element.style.display = visibility[elementId] ? '' : 'none';
+            }
+        });
+
+        const baseUrlInput = document.getElementById('api-base-url');
+        if (baseUrlInput) {
+            baseUrlInput.placeholder = type === 'azure' ? 'https://<resource>.openai.azure.com' : 'http://localhost:11434/v1';
+        }
+
+        const apiKeyLabel = document.querySelector('label[for="api-key"]');
+        if (apiKeyLabel) {
+            apiKeyLabel.textContent = type === 'azure' ? 'Azure OpenAI API Key:' : 'Open AI API Key:';
+        }
+    }
+
+    /**
+     * Read provider settings from the form and apply them
+     */
+    saveProviderSettingsFromUI() {
+    
+        const providerSelect = document.getElementById('api-provider');
+        if (!providerSelect) {
+            return;
+        }
+        const getValue = function getValue(elementId) {
+            const element = document.getElementById(elementId);
+            return element ? element.value.trim() : '';
+        };
+        const settings = {
+            ...(this.data.provider || {}),
+            type: providerSelect.value || 'openai',
+            baseUrl: getValue('api-base-url'),
+            apiVersion: getValue('api-version'),
+            apiKey: getValue('provider-api-key'),
+            models: getValue('custom-models').split(',').map(function trimModel(model) { return model.trim(); }).filter(Boolean)
+        };
+        this.setProviderSettings(settings);
+    }
+
+    /**
+     * Set value of an input element if it exists
+     * @param {string} elementId - ID of input element
+     * @param {string} value - Value to set
+     */
+    setInputValueIfExists(elementId, value) {
+    
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.value = value;
+        }
     }
     
     /**
@@ -495,6 +803,54 @@ class OpenAIManager {
         this.usageCounter = usageCounter;
     }
     
+    /**
+     * Start a run: resets the run budget and groups the following API calls in the usage ledger
+     * @param {string} label - What started the run (e.g. 'outline', 'script', 'audio')
+     */
+    startRun(label) {
+    
+        this.budget.startRun();
+        this.usageLedger.startRun(label);
+    }
+    
+    /**
+     * Record a completed API call in the spending budget, the usage ledger and the usage counter.
+     * A cost reserved with reserveBudget() (usage.reservedCost) is settled by the recorded cost.
+     * @param {Object} usage - { stage, model, requestId } plus { inputTokens, outputTokens } for chat completions
+     *                         or { characters } for speech
+     */
+    recordUsage(usage) {
+    
+        const { reservedCost, ...entry } = usage;
+
+        // Requests the mock provider answered offline are recorded at no cost
+        const isSpeech = usage.characters !== undefined;
+        let cost = 0;
+        if (!this.isMockModel(usage.model)) {
+            cost = isSpeech
+                ? this.budget.getSpeechCost(usage.model, usage.characters)
+                : this.budget.getTokenCost(usage.model, usage.inputTokens, usage.outputTokens);
+        }
+        
+        this.budget.release(reservedCost);
+        this.budget.recordSpend(cost);
+        this.usageLedger.addEntry({ ...entry, provider: this.getProviderForModel(usage.model).getType(), cost: cost });
+        if (isSpeech) {
+            this.trackTTSUsage(usage.model, usage.characters);
+        } else {
+            this.trackCompletionUsage(usage.model, usage.inputTokens, usage.outputTokens);
+        }
+    }
+    
+    /**
+     * Create an id that ties the log lines and the ledger entry of one request together
+     * @returns {string} - Short random id
+     */
+    createRequestId() {
+    
+        return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+    
     /**
      * Track completion usage
      * @param {string} model - Model name
@@ -549,6 +905,12 @@ class OpenAIManager {
             requestBody[tokenField] = options.maxTokens;
         }
         
+        // Request structured output (a JSON schema) where the model supports it; other models
+        // rely on the prompt asking for JSON
+        if (options.responseFormat && modelMeta && modelMeta.supportsStructuredOutputs) {
+            requestBody.response_format = options.responseFormat;
+        }
+        
         // Add any other options that are model-agnostic
         const otherOptions = ['stream', 'top_p', 'frequency_penalty', 'presence_penalty'];
         otherOptions.forEach(option => {
@@ -593,12 +955,14 @@ class OpenAIManager {
      * @param {string} endpoint - API endpoint (e.g., '/v1/chat/completions')
      * @param {Object} options - Fetch options including method, headers, and body
      * @param {Function} [responseValidator] - Optional function to validate response content
-     * @returns {Promise<Object>} - API response data (already JSON parsed)
+     * @param {string} [responseType] - 'json' (default) or 'arrayBuffer' for binary responses
+     * @param {string} [requestId] - Id used in the logs (a new one by default)
+     * @param {Function} [onDelta] - For 'stream' responses: called with each piece of text and the text so far
+     * @returns {Promise<Object|ArrayBuffer>} - API response data (JSON parsed unless binary requested;
+     *                                          'stream' responses are assembled into a chat completion)
      */
-    async fetchWithRetry(endpoint, options, responseValidator) {
+    async fetchWithRetry(endpoint, options, responseValidator, responseType = 'json', requestId = this.createRequestId(), onDelta = null) {
     
-        const apiUrl = `https://api.openai.com${endpoint}`;
-        const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
         
         // Log request attempt
         console.log(`[API:${requestId}] Making request to ${endpoint}`);
@@ -611,7 +975,7 @@ class OpenAIManager {
                     const startTime = performance.now();
                     
                     try {
-                        const response = await fetch(apiUrl, options);
+                        const response = await this.sendRequest(endpoint, options);
                         const endTime = performance.now();
                         const duration = Math.round(endTime - startTime);
                         
@@ -648,8 +1012,15 @@ class OpenAIManager {
                             throw error;
                         }
                         
-                        // Parse the JSON response
-                        const responseData = await response.json();
+                        // Binary responses (e.g. audio) are returned as-is
+                        if (responseType === 'arrayBuffer') {
+                            return await response.arrayBuffer();
+                        }
+                        
+                        // Parse the JSON response, or read a server-sent event stream to its end
+                        const responseData = responseType === 'stream'
+                            ? await this.readChatStream(response, onDelta)
+                            : await response.json();
                         
                         // If a response validator is provided, use it to check the response
                         if (responseValidator && !responseValidator(responseData)) {
@@ -664,6 +1035,16 @@ class OpenAIManager {
                         
                         return responseData;
                     } catch (error) {
+                        // An aborted request was cancelled on purpose and must not be retried
+                        if (options.signal && options.signal.aborted) {
+                            console.log(`[API:${requestId}] Request aborted`);
+                            const abortError = new Error('Request cancelled');
+                            abortError.status = 'ABORTED';
+                            abortError.endpoint = endpoint;
+                            abortError.requestId = requestId;
+                            throw abortError;
+                        }
+                        
                         // Enhance error with endpoint info if it's a network error
                         if (!error.status) {
                             error.endpoint = endpoint;
@@ -698,9 +1079,15 @@ class OpenAIManager {
                     );
                     
                     return isRetryable;
-                }
+                },
+                options.signal
             );
         } catch (finalError) {
+            // Cancelled on purpose, nothing failed
+            if (finalError.status === 'ABORTED') {
+                throw finalError;
+            }
+            
             // Final error after all retries
             console.error(`[API:${requestId}] All retry attempts failed for ${endpoint}:`, {
                 error: finalError.message,
@@ -714,19 +1101,26 @@ class OpenAIManager {
     /**
      * Make a chat completions API call with retry logic
      * @param {Object} requestBody - Request body for the API call
-     * @param {string} apiKey - OpenAI API key
-     * @returns {Promise<Object>} - API response data
+     * @param {string} apiKey - API key
+     * @param {string} [stage] - Pipeline stage recorded in the usage ledger (e.g. 'outline', 'section 2 verify')
+     * @param {Object} [streamOptions] - Streaming and cancellation options
+     * @param {Function} [streamOptions.onDelta] - Stream the response: called with each piece of text and the
+     *                                             text so far, then once more with an empty piece at the end
+     * @param {AbortSignal} [streamOptions.signal] - Aborts the request in flight
+     * @returns {Promise<Object>} - API response data (a streamed response has the same shape)
      */
-    async createChatCompletion(requestBody, apiKey) {
+    async createChatCompletion(requestBody, apiKey, stage = 'other', streamOptions = {}) {
     
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(requestBody)
-        };
+        // Refuse the request when it would go over a spending cap
+        this.checkBudget(requestBody.model, this.budget.estimateChatCost(requestBody));
+        
+        // Streamed responses only report usage when asked to
+        const stream = typeof streamOptions.onDelta === 'function';
+        const body = stream ? { ...requestBody, stream: true, stream_options: { include_usage: true } } : requestBody;
+        const options = this.buildRequestOptions(body, apiKey);
+        if (streamOptions.signal) {
+            options.signal = streamOptions.signal;
+        }
         
         // Define a content validator function to check for valid content in the response
         const chatContentValidator = (responseData) => {
@@ -750,25 +1144,40 @@ class OpenAIManager {
             return hasValidContent;
         };
         
+        const requestId = this.createRequestId();
         try {
             // Use fetchWithRetry with our content validator
             const responseData = await this.fetchWithRetry(
                 '/v1/chat/completions', 
                 options, 
-                chatContentValidator
+                chatContentValidator,
+                stream ? 'stream' : 'json',
+                requestId,
+                streamOptions.onDelta
             );
             
-            // Track usage if available
-            if (responseData.usage && this.usageCounter) {
-                this.trackCompletionUsage(
-                    requestBody.model,
-                    responseData.usage.prompt_tokens,
-                    responseData.usage.completion_tokens
-                );
+            // Track usage and spend if available. Servers that ignore include_usage (Azure, some compatible
+            // ones) end a stream without it; estimate it then, so the ledger and the budget still count the call
+            let usage = responseData.usage;
+            if (!usage && stream) {
+                usage = this.budget.estimateChatUsage(requestBody, responseData.choices[0].message.content);
+                console.log(`[API:${requestId}] Stream reported no usage; estimated ${usage.prompt_tokens} / ${usage.completion_tokens} tokens`);
+            }
+            if (usage) {
+                this.recordUsage({
+                    stage: stage,
+                    model: requestBody.model,
+                    requestId: requestId,
+                    inputTokens: usage.prompt_tokens || 0,
+                    outputTokens: usage.completion_tokens || 0
+                });
             }
             
             return responseData;
         } catch (error) {
+            if (error.status === 'ABORTED') {
+                throw error;
+            }
             console.error('Chat completion failed after all retries:', error);
             
             // Add more context to the error if it was a validation failure
@@ -780,35 +1189,121 @@ class OpenAIManager {
         }
     }
     
+    /**
+     * Read a streamed chat completion (server-sent events) and assemble it into a regular chat completion
+     * @param {Response} response - Fetch response with an event stream body
+     * @param {Function} [onDelta] - Called with each piece of text and the text so far, then with '' at the end
+     * @returns {Promise<Object>} - { choices: [{ message: { role, content }, finish_reason }], usage }
+     */
+    async readChatStream(response, onDelta) {
+    
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const streamState = { content: '', finishReason: null, usage: null };
+        let buffer = '';
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(function readLine(line) {
+                this.readStreamEvent(line, streamState, onDelta);
+            }, this);
+        }
+        this.readStreamEvent(buffer + decoder.decode(), streamState, onDelta);
+        
+        if (onDelta) {
+            onDelta('', streamState.content);
+        }
+        
+        return {
+            object: 'chat.completion',
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: streamState.content },
+                finish_reason: streamState.finishReason
+            }],
+            usage: streamState.usage
+        };
+    }
+    
+    /**
+     * Apply one line of a chat completion event stream to the text, finish reason and usage read so far
+     * @param {string} line - Event stream line
+     * @param {Object} streamState - { content, finishReason, usage }, updated in place
+     * @param {Function} [onDelta] - Called with each piece of text and the text so far
+     * @throws {Error} - When the server sends an error event
+     */
+    readStreamEvent(line, streamState, onDelta) {
+    
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+            return;
+        }
+        const data = trimmed.slice(5).trim();
+        if (!data || data === '[DONE]') {
+            return;
+        }
+        
+        const event = JSON.parse(data);
+        if (event.error) {
+            const error = new Error(event.error.message || 'Stream error');
+            error.status = 500;
+            error.body = event;
+            throw error;
+        }
+        // The last event carries the usage and no choices (only when the server honours include_usage)
+        if (event.usage) {
+            streamState.usage = event.usage;
+        }
+        const choice = event.choices && event.choices[0];
+        if (!choice) {
+            return;
+        }
+        if (choice.finish_reason) {
+            streamState.finishReason = choice.finish_reason;
+        }
+        const delta = choice.delta && choice.delta.content;
+        if (delta) {
+            streamState.content += delta;
+            if (onDelta) {
+                onDelta(delta, streamState.content);
+            }
+        }
+    }
+    
     /**
      * Make a text-to-speech API call with retry logic
      * @param {Object} requestBody - Request body for the API call
-     * @param {string} apiKey - OpenAI API key
+     * @param {string} apiKey - API key
+     * @param {AbortSignal} [signal] - Aborts the request in flight
      * @returns {Promise<ArrayBuffer>} - Audio data as ArrayBuffer
      */
-    async createSpeech(requestBody, apiKey) {
+    async createSpeech(requestBody, apiKey, signal = null) {
     
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(requestBody)
-        };
+        const options = this.buildRequestOptions(requestBody, apiKey);
+        if (signal) {
+            options.signal = signal;
+        }
+        const requestId = this.createRequestId();
         
         try {
-            const response = await this.fetchWithRetry('/v1/audio/speech', options);
-            const audioData = await response.arrayBuffer();
+            const audioData = await this.fetchWithRetry('/v1/audio/speech', options, null, 'arrayBuffer', requestId);
             
             // Track TTS usage if available
-            if (this.usageCounter && requestBody.input) {
+            if (requestBody.input) {
                 this.trackTTSUsage(requestBody.model, requestBody.input.length);
             }
             
             return audioData;
         } catch (error) {
-            console.error('Speech generation error:', error);
+            if (error.status !== 'ABORTED') {
+                console.error('Speech generation error:', error);
+            }
             throw error;
         }
     }
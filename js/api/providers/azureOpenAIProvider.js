@@ -0,0 +1,69 @@
+// Podcastinator App - Azure OpenAI Provider
+import LlmProvider from './llmProvider.js';
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Provider for Azure OpenAI resources. Requests are routed to deployments;
+ * by default a model id maps to a deployment of the same name, which can be
+ * overridden through the `deployments` map (model id -> deployment name).
+ */
+class AzureOpenAIProvider extends LlmProvider {
+    getType() {
+
+        return 'azure';
+    }
+
+    /**
+     * Azure hosts the OpenAI model family, so catalog entries tagged 'openai' apply
+     * @returns {string}
+     */
+    getCatalogTag() {
+
+        return 'openai';
+    }
+
+    buildUrl(endpoint, options = {}) {
+
+        if (!this.settings.baseUrl) {
+            throw this.createConfigError('Azure OpenAI endpoint is not configured (e.g. https://<resource>.openai.azure.com).');
+        }
+
+        const apiVersion = encodeURIComponent(this.settings.apiVersion || DEFAULT_API_VERSION);
+        const operation = endpoint.replace(/^\/v1/, '');
+
+        // Listing models is not deployment-scoped
+        if (operation === '/models') {
+            return this.joinUrl(this.settings.baseUrl, `/openai/models?api-version=${apiVersion}`);
+        }
+
+        const model = this.getRequestModel(options);
+        const deployment = this.getDeployment(model);
+        if (!deployment) {
+            throw this.createConfigError(`No Azure OpenAI deployment configured for model "${model}".`);
+        }
+
+        return this.joinUrl(this.settings.baseUrl, `/openai/deployments/${encodeURIComponent(deployment)}${operation}?api-version=${apiVersion}`);
+    }
+
+    buildHeaders(apiKey) {
+
+        return {
+            'Content-Type': 'application/json',
+            'api-key': apiKey
+        };
+    }
+
+    /**
+     * Resolve the deployment name for a model
+     * @param {string} model - Model id
+     * @returns {string} - Deployment name
+     */
+    getDeployment(model) {
+
+        const deployments = this.settings.deployments || {};
+        return deployments[model] || model;
+    }
+}
+
+export default AzureOpenAIProvider;
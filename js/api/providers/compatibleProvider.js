@@ -0,0 +1,44 @@
+// Podcastinator App - OpenAI-Compatible Provider
+import LlmProvider from './llmProvider.js';
+
+/**
+ * Provider for any server exposing the OpenAI wire format under a custom base URL
+ * (llama.cpp server, Ollama, vLLM, LM Studio, proxies, ...).
+ * The base URL may or may not include the '/v1' prefix.
+ * Uses its own optional API key so the OpenAI key is never sent to third-party servers.
+ */
+class CompatibleProvider extends LlmProvider {
+    getType() {
+
+        return 'compatible';
+    }
+
+    requiresApiKey() {
+
+        return false;
+    }
+
+    buildUrl(endpoint) {
+
+        if (!this.settings.baseUrl) {
+            throw this.createConfigError('OpenAI-compatible base URL is not configured (e.g. http://localhost:11434/v1).');
+        }
+
+        const base = String(this.settings.baseUrl).replace(/\/+$/, '');
+        const path = /\/v1$/.test(base) ? endpoint.replace(/^\/v1/, '') : endpoint;
+        return `${base}${path}`;
+    }
+
+    buildHeaders() {
+
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        if (this.settings.apiKey) {
+            headers['Authorization'] = `Bearer ${this.settings.apiKey}`;
+        }
+        return headers;
+    }
+}
+
+export default CompatibleProvider;
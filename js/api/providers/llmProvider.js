@@ -0,0 +1,123 @@
+// Podcastinator App - LLM Provider Base
+
+/**
+ * Base class for API providers. A provider knows how to turn an OpenAI-style
+ * endpoint (e.g. '/v1/chat/completions') into a concrete URL and which
+ * authentication headers the backend expects. Request and response bodies
+ * stay in the OpenAI wire format for every provider.
+ */
+class LlmProvider {
+    /**
+     * Create a provider
+     * @param {Object} settings - Provider settings (type, baseUrl, apiVersion, deployments, apiKey, models)
+     */
+    constructor(settings = {}) {
+
+        this.settings = settings || {};
+    }
+
+    /**
+     * Provider type identifier
+     * @returns {string}
+     */
+    getType() {
+
+        return 'base';
+    }
+
+    /**
+     * ModelCatalog provider tag of models served natively by this provider
+     * @returns {string}
+     */
+    getCatalogTag() {
+
+        return this.getType();
+    }
+
+    /**
+     * Whether requests need an API key
+     * @returns {boolean}
+     */
+    requiresApiKey() {
+
+        return true;
+    }
+
+    /**
+     * Resolve the full URL for an endpoint
+     * @param {string} endpoint - OpenAI-style endpoint path (e.g. '/v1/chat/completions')
+     * @param {Object} options - Fetch options (body may be inspected, e.g. for the model)
+     * @returns {string} - Request URL
+     */
+    buildUrl(endpoint, options = {}) {
+
+        throw new Error(`${this.getType()} provider does not implement buildUrl`);
+    }
+
+    /**
+     * Build request headers including authentication
+     * @param {string} apiKey - API key supplied by the caller
+     * @returns {Object} - Headers object
+     */
+    buildHeaders(apiKey) {
+
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`
+        };
+    }
+
+    /**
+     * Send a single request (no retries) and return the raw fetch Response
+     * @param {string} endpoint - OpenAI-style endpoint path
+     * @param {Object} options - Fetch options (method, headers, body)
+     * @returns {Promise<Response>}
+     */
+    async send(endpoint, options = {}) {
+
+        return await fetch(this.buildUrl(endpoint, options), options);
+    }
+
+    /**
+     * Extract the model id from a JSON request body
+     * @param {Object} options - Fetch options
+     * @returns {string} - Model id or empty string
+     */
+    getRequestModel(options = {}) {
+
+        if (!options.body || typeof options.body !== 'string') {
+            return '';
+        }
+        try {
+            return JSON.parse(options.body).model || '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * Create an error for missing provider settings. Its status makes
+     * OpenAIManager fail fast instead of retrying like a network error.
+     * @param {string} message - Error message
+     * @returns {Error}
+     */
+    createConfigError(message) {
+
+        const error = new Error(message);
+        error.status = 'PROVIDER_CONFIG';
+        return error;
+    }
+
+    /**
+     * Join a base URL and a path without duplicate slashes
+     * @param {string} base - Base URL
+     * @param {string} path - Path starting with '/'
+     * @returns {string}
+     */
+    joinUrl(base, path) {
+
+        return `${String(base || '').replace(/\/+$/, '')}${path}`;
+    }
+}
+
+export default LlmProvider;
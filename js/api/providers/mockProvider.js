@@ -0,0 +1,705 @@
+// Podcastinator App - Mock Provider
+import LlmProvider from './llmProvider.js';
+
+const WORDS_PER_MINUTE = 160;
+const SAMPLE_RATE = 24000;
+
+/**
+ * Offline provider that answers every request locally without network access.
+ * Responses are derived from the prompts (document sentences, target durations,
+ * word targets), so the same input always yields the same outline, script,
+ * verifier feedback and audio. Intended for demos and automated end-to-end runs.
+ */
+class MockProvider extends LlmProvider {
+    getType() {
+
+        return 'mock';
+    }
+
+    getCatalogTag() {
+
+        // Serves the regular catalog models so existing model selections keep working
+        return 'openai';
+    }
+
+    requiresApiKey() {
+
+        return false;
+    }
+
+    buildUrl(endpoint) {
+
+        return `mock://podcastinator${endpoint}`;
+    }
+
+    /**
+     * Answer a request with a canned response
+     * @param {string} endpoint - OpenAI-style endpoint path
+     * @param {Object} options - Fetch options (method, headers, body)
+     * @returns {Promise<Response>}
+     */
+    async send(endpoint, options = {}) {
+
+        const latencyMs = Number(this.settings.latencyMs) || 0;
+        if (latencyMs > 0) {
+            await new Promise(function wait(resolve) {
+                setTimeout(resolve, latencyMs);
+            });
+        }
+        // Like fetch, an aborted request rejects
+        if (options.signal && options.signal.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+
+        const path = endpoint.replace(/\?.*$/, '');
+        let body = {};
+        try {
+            body = options.body ? JSON.parse(options.body) : {};
+        } catch (e) {
+            return this.jsonResponse({ error: { message: 'Mock provider expects a JSON request body' } }, 400);
+        }
+
+        if (path === '/v1/models') {
+            return this.jsonResponse({ object: 'list', data: [{ id: 'mock', object: 'model', owned_by: 'podcastinator' }] });
+        }
+        if (path === '/v1/chat/completions' && body.stream) {
+            return this.streamResponse(this.createChatCompletion(body), options.signal);
+        }
+        if (path === '/v1/chat/completions') {
+            return this.jsonResponse(this.createChatCompletion(body));
+        }
+        if (path === '/v1/audio/speech') {
+            return new Response(this.createSpeechWav(body), {
+                status: 200,
+                headers: { 'Content-Type': 'audio/wav' }
+            });
+        }
+        return this.jsonResponse({ error: { message: `Mock provider does not support ${path}` } }, 404);
+    }
+
+    /**
+     * Build a chat completion payload for a request body
+     * @param {Object} body - Chat completion request body
+     * @returns {Object} - OpenAI-style chat completion
+     */
+    createChatCompletion(body) {
+
+        const messages = Array.isArray(body.messages) ? body.messages : [];
+        const system = this.getMessageText(messages, 'system');
+        const user = this.getMessageText(messages, 'user');
+        const content = this.buildChatContent(system, user);
+
+        return {
+            id: 'chatcmpl-mock',
+            object: 'chat.completion',
+            model: body.model || 'mock',
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: content },
+                finish_reason: 'stop'
+            }],
+            usage: {
+                prompt_tokens: Math.ceil((system.length + user.length) / 4),
+                completion_tokens: Math.ceil(content.length / 4)
+            }
+        };
+    }
+
+    /**
+     * Pick the canned answer matching the task described by the prompts
+     * @param {string} system - System prompt
+     * @param {string} user - User prompt
+     * @returns {string} - Assistant message content
+     */
+    buildChatContent(system, user) {
+
+        // Editors return their input unchanged; the mock verifiers only flag real format problems
+        if (system.includes('Edit mode rules')) {
+            return this.extractBlock(user, '--- ORIGINAL OUTLINE ---', '--- FEEDBACK').trim();
+        }
+        if (system.includes('podcast outline reviewer')) {
+            return JSON.stringify(this.reviewOutline(user), null, 2);
+        }
+        if (system.includes('digest writer')) {
+            return this.buildDigest(system, user);
+        }
+        if (system.includes('podcast outline planner')) {
+            return this.buildOutline(user, system.includes('Output ONLY a JSON object'));
+        }
+        if (system.includes('analyzer of podcast conversation')) {
+            return this.buildSummary(user);
+        }
+        if (system.includes('script section reviewer')) {
+            return JSON.stringify(this.reviewSection(this.extractFence(user, '--- THIS SECTION ---')), null, 2);
+        }
+        if (system.includes('script section editor')) {
+            return this.extractFence(user, '--- THIS SECTION ---');
+        }
+        if (system.includes('cross-section reviewer')) {
+            return JSON.stringify(this.reviewSection(this.extractFence(user, '--- FULL SCRIPT ---')), null, 2);
+        }
+        if (system.includes('cross-section script editor')) {
+            return this.extractFence(user, '--- SCRIPT (to improve) ---');
+        }
+        if (system.includes('podcast script writer')) {
+            return this.buildSection(system, user);
+        }
+        if (system.includes('character developer')) {
+            return this.buildBackstory(system);
+        }
+        return 'This is a mock response.';
+    }
+
+    /**
+     * Build an outline whose durations sum to the requested target
+     * @param {string} user - Outline generation user prompt
+     * @param {boolean} asJson - Answer with the JSON outline instead of the text form
+     * @returns {string} - Outline JSON or text
+     */
+    buildOutline(user, asJson = false) {
+
+        const target = Math.max(1, Math.round(this.matchNumber(user, /Target duration:\s*(\d+(?:\.\d+)?)/, 10)));
+        const facts = this.extractSourceFacts(this.extractBlock(user, '--- SOURCES (ground truth) ---', '--- CRITICAL REQUIREMENTS ---'));
+
+        // Introduction and outro take a minute each; the rest is split into sections of at most 5 minutes
+        const sections = [{ title: 'Introduction', duration: 1, overview: 'The host welcomes listeners, introduces the guest and the topic.' }];
+        const bodyMinutes = target - (target >= 2 ? 2 : 1);
+        const bodyCount = bodyMinutes > 0 ? Math.ceil(bodyMinutes / 5) : 0;
+        for (let i = 0; i < bodyCount; i++) {
+            const duration = Math.floor(bodyMinutes / bodyCount) + (i < bodyMinutes % bodyCount ? 1 : 0);
+            const lead = facts.length > 0 ? this.stripSourceTags(facts[i % facts.length]) : '';
+            sections.push({
+                title: lead ? this.firstWords(lead, 6) : `Main topic ${i + 1}`,
+                duration: duration,
+                overview: lead ? `The guest explains: ${lead}` : 'The guest explains the main points of the document.',
+                facts: facts.filter(function byIndex(fact, index) { return index % bodyCount === i; }).slice(0, duration * 2)
+            });
+        }
+        if (target >= 2) {
+            sections.push({ title: 'Conclusion', duration: 1, overview: 'The host recaps key takeaways, thanks the guest and signs off.' });
+        }
+
+        if (asJson) {
+            return JSON.stringify({
+                sections: sections.map(function toJson(section, index) {
+                    return {
+                        number: `${index + 1}`,
+                        title: section.title,
+                        durationMinutes: section.duration,
+                        overview: section.overview,
+                        keyFacts: section.facts || [],
+                        uniqueFocus: '',
+                        carryover: index > 1 ? `Builds on ${sections[index - 1].title}` : ''
+                    };
+                })
+            }, null, 2);
+        }
+
+        return sections.map(function formatSection(section, index) {
+            const lines = [
+                '---',
+                `${index + 1}. ${section.title}`,
+                `Duration: ${section.duration} minutes`,
+                `Overview: ${section.overview}`
+            ];
+            if (section.facts && section.facts.length > 0) {
+                lines.push('KEY FACTS:');
+                section.facts.forEach(function addFact(fact) {
+                    lines.push(`- ${fact}`);
+                });
+            }
+            return lines.join('\n');
+        }).join('\n');
+    }
+
+    /**
+     * Build an extractive digest of an excerpt, or shorten digests being merged
+     * @param {string} system - Digest system prompt
+     * @param {string} user - Digest user prompt
+     * @returns {string} - Summary / KEY FACTS text
+     */
+    buildDigest(system, user) {
+
+        let facts;
+        if (system.includes('Merge several')) {
+            facts = this.extractBullets(this.extractBlock(user, '--- DIGESTS ---'))
+                .filter(function everyOther(fact, index) { return index % 2 === 0; });
+        } else {
+            facts = this.splitSentences(this.extractBlock(user, '--- EXCERPT ---')).slice(0, 8);
+        }
+
+        const summary = facts.length > 0 ? facts[0] : 'The excerpt has no usable facts.';
+        return [`Summary: ${summary}`, 'KEY FACTS:'].concat(facts.map(function formatFact(fact) { return `- ${fact}`; })).join('\n');
+    }
+
+    /**
+     * Review an outline: only the duration total is checked
+     * @param {string} user - Outline verification user prompt
+     * @returns {Object} - Verifier JSON
+     */
+    reviewOutline(user) {
+
+        const target = this.matchNumber(user, /Target duration:\s*(\d+(?:\.\d+)?)/, 0);
+        const outline = user.split('--- OUTLINE TO REVIEW ---')[1] || '';
+        const durationRegex = /Duration:\s*(\d+(?:\.\d+)?)/g;
+        let total = 0;
+        let match;
+        while ((match = durationRegex.exec(outline)) !== null) {
+            total += parseFloat(match[1]);
+        }
+
+        const issues = [];
+        if (target && total !== target) {
+            issues.push({
+                category: 'TIMING',
+                severity: 'critical',
+                description: `Total duration ${total} != target ${target} (delta ${total - target}).`,
+                section: null,
+                evidence: `Summed section durations equal ${total} minutes.`,
+                fix: `Adjust section durations by ${target - total} minutes in total.`,
+                actions: [],
+                suggestedDuration: null,
+                notes: 'Reported by the mock provider.'
+            });
+        }
+
+        return {
+            isValid: issues.length === 0,
+            issues: issues,
+            totalDuration: total,
+            targetDuration: target,
+            durationDelta: total - target,
+            summary: issues.length === 0 ? 'Mock review: outline meets the target duration.' : 'Mock review: duration mismatch.'
+        };
+    }
+
+    /**
+     * Review a section or full script: checks the '---' / speaker label (HOST:, GUEST:, ...) format
+     * @param {string} scriptText - Script text to review
+     * @returns {Object} - Verifier JSON
+     */
+    reviewSection(scriptText) {
+
+        const issues = [];
+        if (!/^---[^\S\n]*\n[^\S\n]*[^\s:][^:\n]{0,40}:/m.test(scriptText)) {
+            issues.push({
+                category: 'FORMAT',
+                severity: 'major',
+                description: 'No speaker labels found.',
+                evidence: scriptText.slice(0, 80),
+                fix: "Use '---' separators followed by speaker label lines such as HOST: or GUEST:.",
+                actions: [],
+                notes: 'Reported by the mock provider.'
+            });
+        }
+
+        return {
+            isValid: issues.length === 0,
+            issues: issues,
+            summary: issues.length === 0 ? 'Mock review: no issues found.' : 'Mock review: format problems found.'
+        };
+    }
+
+    /**
+     * Build a dialogue (or solo narration) matching the section's word target,
+     * with one turn label per persona of the prompt (HOST/GUEST, panel guests or a narrator)
+     * @param {string} system - Section generation system prompt (personas)
+     * @param {string} user - Section generation user prompt
+     * @returns {string} - Section dialogue
+     */
+    buildSection(system, user) {
+
+        const targetWords = Math.max(20, Math.round(this.matchNumber(user, /\*\*TARGET WORDS\*\*\s*(\d+)/, WORDS_PER_MINUTE)));
+        const partType = (user.match(/Write the (\w+) of a podcast/) || [null, 'section'])[1];
+        const outline = this.extractFence(user, '--- SECTION OUTLINE');
+        const speakers = this.extractPersonas(system);
+        const host = speakers[0];
+        const guests = speakers.slice(1);
+        const guestNames = this.joinNames(guests.map(function getName(guest) { return guest.name; }));
+        const overview = (outline.match(/Overview:\s*([^\r\n]+)/) || [null, 'the topic of the document'])[1].trim();
+        const facts = this.extractBullets(outline).map(this.stripSourceTags, this);
+        if (facts.length === 0) {
+            facts.push(overview);
+        }
+
+        const turns = [];
+        const closing = [];
+        if (partType === 'intro' && guests.length === 0) {
+            turns.push([host.label, `Welcome to the show! I'm ${host.name}. ${overview}`]);
+        } else if (partType === 'intro') {
+            turns.push([host.label, `Welcome to the show! I'm ${host.name}, and today ${guests.length === 1 ? 'my guest is' : 'my guests are'} ${guestNames}. ${overview}`]);
+            guests.forEach(function thank(guest) {
+                turns.push([guest.label, `Thanks for having me, ${host.name}. I'm glad to be here.`]);
+            });
+        } else if (partType === 'outro') {
+            if (guests.length > 0) {
+                closing.push([host.label, `That's all for today. Thank you, ${guestNames}, for joining us.`]);
+                guests.forEach(function thank(guest) {
+                    closing.push([guest.label, `Thank you, ${host.name}. It was a pleasure.`]);
+                });
+            }
+            closing.push([host.label, 'Thanks for listening, and see you next time!']);
+        }
+
+        const questions = ['Can you tell us more about this?', 'What should listeners take away from that?', 'How does that work in practice?', 'Why does that matter?'];
+        const openers = ['Sure.', 'Good question.', 'Absolutely.', 'Right.'];
+        const narration = ['Here is what matters.', 'Consider this.', 'Think of it this way.', 'Now, the next point.'];
+        const closingWords = this.countWords(closing.map(this.getTurnText).join(' '));
+        let words = this.countWords(turns.map(this.getTurnText).join(' '));
+        let step = 0;
+        while (words + closingWords < targetWords) {
+            const fact = facts[step % facts.length];
+            if (guests.length === 0) {
+                const line = `${narration[step % narration.length]} ${fact}`;
+                turns.push([host.label, line]);
+                words += this.countWords(line);
+                step++;
+                continue;
+            }
+            // Panels put the question to each guest in turn
+            const guest = guests[step % guests.length];
+            const question = questions[step % questions.length];
+            const hostLine = guests.length > 1 ? `${guest.name}, ${question.charAt(0).toLowerCase()}${question.slice(1)}` : question;
+            const guestLine = `${openers[step % openers.length]} ${fact}`;
+            turns.push([host.label, hostLine]);
+            turns.push([guest.label, guestLine]);
+            words += this.countWords(hostLine) + this.countWords(guestLine);
+            step++;
+        }
+
+        return turns.concat(closing).map(function formatTurn(turn) {
+            return `---\n${turn[0]}:\n${turn[1]}`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Build a continuity summary from a section
+     * @param {string} user - Summary user prompt
+     * @returns {string} - SUMMARY / TOPICS COVERED text
+     */
+    buildSummary(user) {
+
+        const section = user.split('Section:\n').slice(1).join('Section:\n');
+        const sentences = this.splitSentences(section.replace(/^\s*(---|[^\s:][^:\n]{0,40}:)\s*$/gm, ' '));
+        const summary = this.firstWords(sentences.join(' '), 150) || 'The speakers continued the conversation.';
+        const topics = sentences.slice(0, 5).map(function formatTopic(sentence) {
+            return `- ${this.firstWords(sentence, 12)}`;
+        }, this);
+
+        return `SUMMARY: ${summary}\n\nTOPICS COVERED:\n${topics.join('\n') || '- General discussion'}`;
+    }
+
+    /**
+     * Build a short backstory
+     * @param {string} system - Backstory system prompt
+     * @returns {string} - Backstory text
+     */
+    buildBackstory(system) {
+
+        const name = (system.match(/character named ([^.\n]+)\./) || [null, 'This character'])[1].trim();
+        return `${name} grew up curious about how things work and turned that curiosity into a career of explaining ideas to others. ` +
+            `${name} is known for clear examples, a calm voice and a good sense of humor.`;
+    }
+
+    /**
+     * Create 16-bit mono WAV audio lasting as long as the text takes to speak
+     * @param {Object} body - Speech request body (input, voice, speed)
+     * @returns {Uint8Array} - WAV bytes
+     */
+    createSpeechWav(body) {
+
+        const words = Math.max(1, this.countWords(body.input || ''));
+        const speed = Number(body.speed) > 0 ? Number(body.speed) : 1;
+        const seconds = words / (WORDS_PER_MINUTE / 60) / speed;
+        const sampleCount = Math.round(seconds * SAMPLE_RATE);
+        const bytes = new Uint8Array(44 + sampleCount * 2);
+        const view = new DataView(bytes.buffer);
+        const writeTag = function writeTag(offset, tag) {
+            for (let i = 0; i < 4; i++) {
+                view.setUint8(offset + i, tag.charCodeAt(i));
+            }
+        };
+
+        writeTag(0, 'RIFF');
+        view.setUint32(4, 36 + sampleCount * 2, true);
+        writeTag(8, 'WAVE');
+        writeTag(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, SAMPLE_RATE, true);
+        view.setUint32(28, SAMPLE_RATE * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+        writeTag(36, 'data');
+        view.setUint32(40, sampleCount * 2, true);
+
+        // A quiet tone per voice, pulsing once per word, so speakers are distinguishable
+        const voice = String(body.voice || '');
+        let hash = 0;
+        for (let i = 0; i < voice.length; i++) {
+            hash = (hash * 31 + voice.charCodeAt(i)) % 997;
+        }
+        const frequency = 110 + (hash % 110);
+        const wordRate = words / seconds;
+        for (let i = 0; i < sampleCount; i++) {
+            const t = i / SAMPLE_RATE;
+            const envelope = Math.abs(Math.sin(Math.PI * wordRate * t));
+            const sample = 0.1 * envelope * Math.sin(2 * Math.PI * frequency * t);
+            view.setInt16(44 + i * 2, Math.round(sample * 32767), true);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Create a JSON response
+     * @param {Object} data - Response payload
+     * @param {number} [status] - HTTP status
+     * @returns {Response}
+     */
+    jsonResponse(data, status = 200) {
+
+        return new Response(JSON.stringify(data), {
+            status: status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    /**
+     * Stream a chat completion as server-sent events, a few words per event, ending with the usage
+     * @param {Object} completion - Chat completion from createChatCompletion()
+     * @param {AbortSignal} [signal] - Abort signal of the request
+     * @returns {Response}
+     */
+    streamResponse(completion, signal) {
+
+        const encoder = new TextEncoder();
+        const pieces = completion.choices[0].message.content.match(/\S+\s*|\s+/g) || [];
+        const events = [];
+        for (let i = 0; i < pieces.length; i += 4) {
+            events.push({ choices: [{ index: 0, delta: { content: pieces.slice(i, i + 4).join('') }, finish_reason: null }] });
+        }
+        events.push({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+        events.push({ choices: [], usage: completion.usage });
+
+        const chunkDelayMs = Number(this.settings.streamDelayMs) || 0;
+        let index = 0;
+        const body = new ReadableStream({
+            async pull(controller) {
+                if (signal && signal.aborted) {
+                    controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+                    return;
+                }
+                if (chunkDelayMs > 0) {
+                    await new Promise(function wait(resolve) {
+                        setTimeout(resolve, chunkDelayMs);
+                    });
+                }
+                if (index < events.length) {
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify(events[index++])}\n\n`));
+                } else {
+                    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                    controller.close();
+                }
+            }
+        });
+
+        return new Response(body, {
+            status: 200,
+            headers: { 'Content-Type': 'text/event-stream' }
+        });
+    }
+
+    /**
+     * Get the text between two markers
+     * @param {string} text - Source text
+     * @param {string} startMarker - Marker preceding the block
+     * @param {string} endMarker - Marker following the block (optional)
+     * @returns {string}
+     */
+    extractBlock(text, startMarker, endMarker) {
+
+        const start = text.indexOf(startMarker);
+        if (start === -1) {
+            return '';
+        }
+        const rest = text.slice(start + startMarker.length);
+        const end = endMarker ? rest.indexOf(endMarker) : -1;
+        return end === -1 ? rest : rest.slice(0, end);
+    }
+
+    /**
+     * Get the speakers of a section prompt from its '--- LABEL PERSONA ---' blocks, host first
+     * @param {string} system - Section generation system prompt
+     * @returns {Array<Object>} - { label, name }; HOST and GUEST when no personas are found
+     */
+    extractPersonas(system) {
+
+        const personas = [];
+        const pattern = /^--- (.+?) PERSONA ---$/gm;
+        let match;
+        while ((match = pattern.exec(system)) !== null) {
+            const label = match[1].trim();
+            const name = (this.extractBlock(system.slice(match.index), match[0], ' PERSONA ---').match(/\*\*Name\*\*:\s*([^\r\n]+)/) || [null, label])[1].trim();
+            personas.push({ label: label, name: name });
+        }
+        return personas.length > 0 ? personas : [{ label: 'HOST', name: 'Host' }, { label: 'GUEST', name: 'Guest' }];
+    }
+
+    /**
+     * Join names into prose ("A, B and C")
+     * @param {Array<string>} names - Names
+     * @returns {string}
+     */
+    joinNames(names) {
+
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : (names[0] || '');
+    }
+
+    /**
+     * Get the content of the first code fence following a marker
+     * @param {string} text - Source text
+     * @param {string} marker - Marker preceding the fence
+     * @returns {string}
+     */
+    extractFence(text, marker) {
+
+        const block = this.extractBlock(text, marker);
+        const match = block.match(/```[a-z]*\n([\s\S]*?)\n```/);
+        return match ? match[1].trim() : block.trim();
+    }
+
+    /**
+     * Split delimited sources into sentences tagged with their source ("... [S2]"), interleaved
+     * @param {string} text - Sources block
+     * @returns {Array<string>}
+     */
+    extractSourceFacts(text) {
+
+        const sources = [];
+        const sourceRegex = /=== SOURCE \[(S\d+)\][^\n]*\n([\s\S]*?)\n=== END SOURCE \[\1\] ===/g;
+        let match;
+        while ((match = sourceRegex.exec(text)) !== null) {
+            const tag = match[1];
+            // Digested sources already list their facts as KEY FACTS bullets
+            const sentences = match[2].includes('KEY FACTS:')
+                ? this.extractBullets(match[2])
+                : this.splitSentences(match[2]);
+            sources.push(sentences.map(function tagSentence(sentence) { return `${sentence} [${tag}]`; }));
+        }
+        if (sources.length === 0) {
+            return this.splitSentences(text);
+        }
+
+        // Interleave sources so every section draws on all of them
+        const facts = [];
+        const longest = Math.max(...sources.map(function getLength(list) { return list.length; }));
+        for (let i = 0; i < longest; i++) {
+            sources.forEach(function addFact(list) {
+                if (i < list.length) {
+                    facts.push(list[i]);
+                }
+            });
+        }
+        return facts;
+    }
+
+    /**
+     * Remove source tags from a fact
+     * @param {string} text - Fact text
+     * @returns {string}
+     */
+    stripSourceTags(text) {
+
+        return String(text || '').replace(/\s*(\[S\d+\])+\s*$/, '').trim();
+    }
+
+    /**
+     * Split text into sentences usable as facts
+     * @param {string} text - Source text
+     * @returns {Array<string>}
+     */
+    splitSentences(text) {
+
+        return String(text || '')
+            .replace(/^\s*(#+|[-*]|\d+(\.\d+)*\.)\s+/gm, '')
+            .replace(/\s+/g, ' ')
+            .split(/(?<=[.!?])\s+/)
+            .map(function trimSentence(sentence) { return sentence.trim(); })
+            .filter(function isLongEnough(sentence) { return this.countWords(sentence) >= 4; }, this);
+    }
+
+    /**
+     * Get the bullet items of a text ('-' or '*' lists)
+     * @param {string} text - Text with bullet lines
+     * @returns {Array<string>} - Item texts without the bullets
+     */
+    extractBullets(text) {
+
+        return String(text || '').split('\n')
+            .filter(function isBullet(line) { return /^\s*[-*]\s+/.test(line); })
+            .map(function stripBullet(line) { return line.replace(/^\s*[-*]\s+/, '').trim(); });
+    }
+
+    /**
+     * Join the contents of all messages of a role
+     * @param {Array<Object>} messages - Chat messages
+     * @param {string} role - 'system' or 'user'
+     * @returns {string}
+     */
+    getMessageText(messages, role) {
+
+        return messages
+            .filter(function hasRole(message) { return message.role === role; })
+            .map(function getContent(message) { return message.content; })
+            .join('\n');
+    }
+
+    /**
+     * Get the spoken text of a [label, text] turn
+     * @param {Array<string>} turn - Script turn
+     * @returns {string}
+     */
+    getTurnText(turn) {
+
+        return turn[1];
+    }
+
+    /**
+     * Get the first words of a text
+     * @param {string} text - Source text
+     * @param {number} count - Number of words
+     * @returns {string}
+     */
+    firstWords(text, count) {
+
+        const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+        return words.slice(0, count).join(' ').replace(/[.,;:!?]+$/, '');
+    }
+
+    /**
+     * Count words in a text
+     * @param {string} text - Source text
+     * @returns {number}
+     */
+    countWords(text) {
+
+        return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+    }
+
+    /**
+     * Read a number from text
+     * @param {string} text - Source text
+     * @param {RegExp} regex - Pattern with the number as first group
+     * @param {number} fallback - Value when not found
+     * @returns {number}
+     */
+    matchNumber(text, regex, fallback) {
+
+        const match = String(text || '').match(regex);
+        return match ? parseFloat(match[1]) : fallback;
+    }
+}
+
+export default MockProvider;
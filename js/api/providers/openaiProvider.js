@@ -0,0 +1,21 @@
+// Podcastinator App - OpenAI Provider
+import LlmProvider from './llmProvider.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com';
+
+/**
+ * Provider for the public OpenAI API
+ */
+class OpenAIProvider extends LlmProvider {
+    getType() {
+
+        return 'openai';
+    }
+
+    buildUrl(endpoint) {
+
+        return this.joinUrl(this.settings.baseUrl || OPENAI_BASE_URL, endpoint);
+    }
+}
+
+export default OpenAIProvider;
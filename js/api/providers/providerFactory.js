@@ -0,0 +1,70 @@
+// Podcastinator App - LLM Provider Factory
+import OpenAIProvider from './openaiProvider.js';
+import AzureOpenAIProvider from './azureOpenAIProvider.js';
+import CompatibleProvider from './compatibleProvider.js';
+import MockProvider from './mockProvider.js';
+
+/**
+ * Creates provider instances from stored provider settings
+ */
+class ProviderFactory {
+    constructor() {
+
+        this.providers = {
+            openai: {
+                label: 'OpenAI',
+                providerClass: OpenAIProvider
+            },
+            azure: {
+                label: 'Azure OpenAI',
+                providerClass: AzureOpenAIProvider
+            },
+            compatible: {
+                label: 'OpenAI-compatible server',
+                providerClass: CompatibleProvider
+            },
+            mock: {
+                label: 'Offline mock (no API calls)',
+                providerClass: MockProvider
+            }
+        };
+    }
+
+    /**
+     * Create a provider for the given settings
+     * @param {Object} settings - Provider settings; `type` selects the provider (default 'openai')
+     * @returns {LlmProvider}
+     */
+    create(settings = {}) {
+
+        const type = (settings && settings.type) || 'openai';
+        const entry = this.providers[type];
+        if (!entry) {
+            throw new Error(`Unknown API provider "${type}". Expected one of: ${this.getTypes().join(', ')}`);
+        }
+        return new entry.providerClass(settings || {});
+    }
+
+    /**
+     * Get registered provider types
+     * @returns {Array<string>}
+     */
+    getTypes() {
+
+        return Object.keys(this.providers);
+    }
+
+    /**
+     * Get options for a provider select element
+     * @returns {Array} Array of {value, label} objects
+     */
+    getSelectOptions() {
+
+        const self = this;
+        return this.getTypes().map(function toOption(type) {
+            return { value: type, label: self.providers[type].label };
+        });
+    }
+}
+
+export default ProviderFactory;
@@ -11,8 +11,10 @@ import OutlineGenerator from './content/outlineGenerator.js';
 import ScriptGenerator from './content/scriptGenerator.js';
 import AudioGenerator from './content/audioGenerator.js';
 import UsageCounter from './usage/usageCounter.js';
+import EstimateDisplay from './usage/estimateDisplay.js';
 import FullscreenTextControl from './ui/fullscreenTextControl.js';
 import ConfigManager from './utils/configManager.js';
+import PromptLibraryEditor from './ui/promptLibraryEditor.js';
 
 class PodcastinatorApp {
     constructor() {
@@ -32,6 +34,7 @@ class PodcastinatorApp {
         this.outlineGenerator = new OutlineGenerator(this.storageManager, this.contentStateManager, this.apiManager);
         this.scriptGenerator = new ScriptGenerator(this.storageManager, this.contentStateManager, this.apiManager);
         this.audioGenerator = new AudioGenerator(this.storageManager, this.contentStateManager, this.apiManager);
+        this.promptLibraryEditor = new PromptLibraryEditor(this.storageManager);
         this.configManager = new ConfigManager(
             this.storageManager,
             this.contentStateManager,
@@ -40,12 +43,16 @@ class PodcastinatorApp {
             this.characterManager,
             this.outlineGenerator,
             this.scriptGenerator,
-            this.audioGenerator
+            this.audioGenerator,
+            this.promptLibraryEditor
         );
         
         // Initialize usage counter
         this.usageCounter = new UsageCounter(this.storageManager, this.apiManager);
         
+        // Initialize cost and time estimates shown before each stage
+        this.estimateDisplay = new EstimateDisplay(this.storageManager, this.apiManager);
+        
         // Initialize UI enhancements
         this.fullscreenTextControl = null;
         
@@ -81,6 +88,8 @@ class PodcastinatorApp {
         this.scriptGenerator.init();
         this.audioGenerator.init();
         this.usageCounter.init();
+        this.estimateDisplay.init();
+        this.promptLibraryEditor.init();
         
         // Initialize UI enhancements after all components are ready
         this.initUIEnhancements();
@@ -192,7 +201,8 @@ class PodcastinatorApp {
             guest: isChecked('cfg-guest'),
             outline: isChecked('cfg-outline'),
             script: isChecked('cfg-script'),
-            audio: isChecked('cfg-audio')
+            audio: isChecked('cfg-audio'),
+            prompts: isChecked('cfg-prompts')
         };
     }
 }
@@ -1,6 +1,7 @@
 // Podcastinator App - Character Manager
 import NotificationsManager from '../ui/notifications.js';
 import ProgressManager from '../ui/progressManager.js';
+import Speakers from './speakers.js';
 
 class CharacterManager {
     constructor(storageManager, contentStateManager, apiManager) {
@@ -9,8 +10,9 @@ class CharacterManager {
         this.apiManager = apiManager;
         this.notifications = new NotificationsManager();
         this.progressManager = new ProgressManager();
+        this.speakers = new Speakers();
         
-        // Define character types
+        // Define character types (the guest form edits one guest of the panel at a time)
         this.types = ['host', 'guest'];
         
         // Define personality types with descriptions
@@ -90,11 +92,9 @@ class CharacterManager {
         };
         
         // Load characters data from storage
-        const savedData = this.storageManager.load('data', {});
-        this.data = {
-            host: savedData.host || {},
-            guest: savedData.guest || {}
-        };
+        this.data = {};
+        this.activeGuest = 0;
+        this.loadCharacters(this.storageManager.load('data', {}));
         
         // Status flags for API calls
         this.isGeneratingBackstory = {
@@ -103,6 +103,19 @@ class CharacterManager {
         };
     }
 
+    /**
+     * Load host, guests and solo mode from stored data
+     * @param {Object} savedData - Contents of the 'data' storage key
+     */
+    loadCharacters(savedData) {
+    
+        this.data.host = (savedData && savedData.host) || {};
+        this.data.guests = this.speakers.getGuests(savedData);
+        this.data.solo = this.speakers.isSolo(savedData);
+        this.activeGuest = Math.min(this.activeGuest, Math.max(0, this.data.guests.length - 1));
+        this.data.guest = this.data.guests[this.activeGuest] || {};
+    }
+
     /**
      * Initialize character manager
      */
@@ -170,7 +183,7 @@ class CharacterManager {
             }
             
             // Real-time updates for form fields
-            const formFields = [`${type}-name`, `${type}-personality`, `${type}-voice`, `${type}-backstory`, `${type}-voice-instructions`, `${type}-speech-rate`];
+            const formFields = [`${type}-name`, `${type}-label`, `${type}-personality`, `${type}-voice`, `${type}-backstory`, `${type}-voice-instructions`, `${type}-speech-rate`];
             formFields.forEach(function(fieldId) {
             
                 const field = document.getElementById(fieldId);
@@ -188,6 +201,36 @@ class CharacterManager {
             });
         });
         
+        // Solo episode toggle
+        const soloCheckbox = document.getElementById('solo-episode');
+        if (soloCheckbox) {
+            soloCheckbox.addEventListener('change', function() {
+                self.handleSoloChange(soloCheckbox.checked);
+            });
+        }
+        
+        // Guest selection for panel episodes
+        const guestSelect = document.getElementById('guest-select');
+        if (guestSelect) {
+            guestSelect.addEventListener('change', function() {
+                self.selectGuest(parseInt(guestSelect.value, 10));
+            });
+        }
+        
+        const addGuestButton = document.getElementById('add-guest');
+        if (addGuestButton) {
+            addGuestButton.addEventListener('click', function() {
+                self.addGuest();
+            });
+        }
+        
+        const removeGuestButton = document.getElementById('remove-guest');
+        if (removeGuestButton) {
+            removeGuestButton.addEventListener('click', function() {
+                self.removeGuest();
+            });
+        }
+        
         // Set up listener for TTS model change to show/hide voice instructions and speech rate
         const ttsModelSelect = document.getElementById('tts-model');
         if (ttsModelSelect) {
@@ -259,12 +302,25 @@ class CharacterManager {
      */
     populateCharacterData() {
     
+        // Solo toggle and guest selector
+        const soloCheckbox = document.getElementById('solo-episode');
+        if (soloCheckbox) {
+            soloCheckbox.checked = !!this.data.solo;
+        }
+        this.renderGuestSelector();
+        
         this.types.forEach(function(type) {
         
             const characterData = this.data[type];
             if (characterData && characterData.name) {
                 document.getElementById(`${type}-name`).value = characterData.name;
                 
+                // Set optional speaker label
+                const labelField = document.getElementById(`${type}-label`);
+                if (labelField) {
+                    labelField.value = characterData.label || '';
+                }
+                
                 // Get the personality select and set its value if it exists in the saved data
                 const personalitySelect = document.getElementById(`${type}-personality`);
                 if (personalitySelect && characterData.personality) {
@@ -428,6 +484,8 @@ class CharacterManager {
         const backstory = document.getElementById(`${type}-backstory`).value.trim();
         const voiceInstructions = document.getElementById(`${type}-voice-instructions`).value.trim();
         const voiceInstructionsPreset = document.getElementById(`${type}-voice-instructions-preset`).value;
+        const labelField = document.getElementById(`${type}-label`);
+        const label = labelField ? this.speakers.normalizeLabel(labelField.value) : '';
         
         // Get the raw slider value
         const rawSliderValue = document.getElementById(`${type}-speech-rate`).value;
@@ -451,18 +509,26 @@ class CharacterManager {
             voiceInstructionsPreset,
             speechRate
         };
+        if (label) {
+            this.data[type].label = label;
+        }
         
-        // Save to storage
-        const existingData = this.storageManager.load('data', {});
-        existingData[type] = this.data[type];
-        this.storageManager.save('data', existingData);
+        // Save to storage (the guest form fills the selected slot of the guest list)
+        if (type === 'guest') {
+            this.data.guests[this.activeGuest] = this.data.guest;
+        }
+        this.saveToStorage();
+        this.renderGuestSelector();
         
         // Show success message
         this.notifications.showSuccess(`${type.charAt(0).toUpperCase() + type.slice(1)} character saved successfully!`);
         
-        // Update content state to enable next section
+        // Update content state to enable next section (a solo episode needs no guest)
         if (type === 'host') {
             this.contentStateManager.updateState('hasHostCharacter', true);
+            if (this.data.solo) {
+                this.contentStateManager.updateState('hasGuestCharacter', true);
+            }
         } else if (type === 'guest') {
             this.contentStateManager.updateState('hasGuestCharacter', true);
         }
@@ -494,8 +560,8 @@ class CharacterManager {
         
         // Get API data
         const apiData = this.apiManager.getApiData();
-        if (!apiData.apiKey) {
-            this.notifications.showError('OpenAI API key is required. Please configure it in step 1.');
+        if (!this.apiManager.hasCredentialsFor(apiData.models.backstory, apiData.apiKey)) {
+            this.notifications.showError('API key is required. Please configure it in step 1.');
             return;
         }
         
@@ -520,6 +586,7 @@ class CharacterManager {
             generateButton.disabled = true;
             generateButton.innerHTML = '<span class="spinner"></span> Generating...';
             backstoryArea.classList.add('loading');
+            this.apiManager.startRun('backstory');
             
             // Build context for more interesting results
             let characterName = document.getElementById(`${type}-name`).value.trim();
@@ -547,19 +614,9 @@ class CharacterManager {
             );
             
             // Create API request using centralized API manager
-            const data = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
+            const data = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey, 'backstory');
             const backstory = data.choices[0]?.message?.content?.trim();
             
-            // Track token usage if available
-            if (data.usage) {
-                const modelName = apiData.models.backstory;
-                const promptTokens = data.usage.prompt_tokens || 0;
-                const completionTokens = data.usage.completion_tokens || 0;
-                
-                // Track usage via API manager
-                this.apiManager.trackCompletionUsage(modelName, promptTokens, completionTokens);
-            }
-            
             if (backstory) {
                 backstoryArea.value = backstory;
                 this.notifications.showSuccess('Backstory generated! You can edit it if needed.');
@@ -586,52 +643,170 @@ class CharacterManager {
     saveToStorage() {
     
         const existingData = this.storageManager.load('data', {});
-        const updatedData = {
-            ...existingData,
-            host: this.data.host,
-            guest: this.data.guest
-        };
-        this.storageManager.save('data', updatedData);
+        existingData.host = this.data.host;
+        existingData.solo = !!this.data.solo;
+        this.speakers.setGuests(existingData, this.data.guests);
+        this.storageManager.save('data', existingData);
     }
 
     /**
      * Get character data
-     * @returns {Object} - Character data for host and guest
+     * @returns {Object} - Character data for host, guests and solo mode
      */
     getCharacterData() {
     
-        return {
-            host: this.data.host,
-            guest: this.data.guest
-        };
+        return this.speakers.getCharacterData(this.data);
     }
     
     /**
-     * Check if both characters are complete
-     * @returns {boolean} - True if both characters are complete and valid
+     * Check if the cast is complete
+     * @returns {boolean} - True if the host and every guest (none when solo) are complete and valid
      */
     areCharactersComplete() {
     
-        // Check if both host and guest have required fields
-        return this.types.every(function(type) {
-        
-            const character = this.data[type];
+        const isComplete = function(character) {
             return character && 
                    character.name && 
                    character.personality && 
                    character.voice;
-        }.bind(this));
+        };
+        
+        if (!isComplete(this.data.host)) {
+            return false;
+        }
+        return this.data.solo || (this.data.guests.length > 0 && this.data.guests.every(isComplete));
     }
-
+    
     /**
-     * Save all data to storage
+     * Switch solo mode: the host narrates alone and no guest is needed
+     * @param {boolean} solo - Whether the episode is solo
      */
-    saveToStorage() {
+    handleSoloChange(solo) {
     
-        const existingData = this.storageManager.load('data', {});
-        existingData.host = this.data.host;
-        existingData.guest = this.data.guest;
-        this.storageManager.save('data', existingData);
+        this.data.solo = !!solo;
+        this.saveToStorage();
+        
+        const hostSaved = this.contentStateManager.getState('hasHostCharacter');
+        const hasGuest = this.data.solo ? hostSaved : this.data.guests.length > 0;
+        this.contentStateManager.updateState('hasGuestCharacter', !!hasGuest);
+        this.contentStateManager.updateState('hasCharacters', !!(hostSaved && hasGuest));
+        this.contentStateManager.updateSections();
+    }
+    
+    /**
+     * Render the guest selector and its add/remove buttons
+     */
+    renderGuestSelector() {
+    
+        const select = document.getElementById('guest-select');
+        if (!select) {
+            return;
+        }
+        
+        // One option per saved guest, plus the unsaved slot being edited
+        const count = Math.max(this.data.guests.length, this.activeGuest + 1);
+        select.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            const guest = this.data.guests[i];
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.text = guest && guest.name ? `Guest ${i + 1}: ${guest.name}` : `Guest ${i + 1} (new)`;
+            select.appendChild(option);
+        }
+        select.value = String(this.activeGuest);
+        
+        const addButton = document.getElementById('add-guest');
+        if (addButton) {
+            addButton.disabled = count >= this.speakers.maxGuests;
+        }
+        const removeButton = document.getElementById('remove-guest');
+        if (removeButton) {
+            removeButton.disabled = !this.data.guests[this.activeGuest];
+        }
+        
+        // Default label hint matches what the script will use
+        const labelField = document.getElementById('guest-label');
+        if (labelField) {
+            labelField.placeholder = count > 1 ? `GUEST ${this.activeGuest + 1}` : 'GUEST';
+        }
+    }
+    
+    /**
+     * Show a guest of the panel in the guest form
+     * @param {number} index - Guest index
+     */
+    selectGuest(index) {
+    
+        if (isNaN(index) || index < 0 || index >= this.speakers.maxGuests) {
+            return;
+        }
+        
+        this.activeGuest = index;
+        this.data.guest = this.data.guests[index] || {};
+        this.resetCharacterForm('guest');
+        this.populateCharacterData();
+    }
+    
+    /**
+     * Start editing a new guest (up to four guests)
+     */
+    addGuest() {
+    
+        if (this.data.guests.length >= this.speakers.maxGuests) {
+            this.notifications.showError(`A panel can have at most ${this.speakers.maxGuests} guests.`);
+            return;
+        }
+        
+        this.selectGuest(this.data.guests.length);
+    }
+    
+    /**
+     * Remove the selected guest from the panel
+     */
+    removeGuest() {
+    
+        if (!this.data.guests[this.activeGuest]) {
+            return;
+        }
+        
+        this.data.guests.splice(this.activeGuest, 1);
+        this.saveToStorage();
+        this.selectGuest(Math.max(0, this.activeGuest - 1));
+        
+        // Without guests an interview or panel cannot continue
+        const hasGuest = this.data.solo ? this.contentStateManager.getState('hasHostCharacter') : this.data.guests.length > 0;
+        this.contentStateManager.updateState('hasGuestCharacter', !!hasGuest);
+        this.contentStateManager.updateState('hasCharacters', !!(this.contentStateManager.getState('hasHostCharacter') && hasGuest));
+        this.contentStateManager.updateSections();
+        this.notifications.showInfo('Guest removed.');
+    }
+    
+    /**
+     * Clear a character form before showing another character
+     * @param {string} type - Character type ('host' or 'guest')
+     */
+    resetCharacterForm(type) {
+    
+        const fields = [`${type}-name`, `${type}-label`, `${type}-personality`, `${type}-voice`, `${type}-backstory`, `${type}-backstory-prompt`, `${type}-voice-instructions`, `${type}-voice-instructions-preset`];
+        fields.forEach(function(fieldId) {
+        
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.value = '';
+            }
+        });
+        
+        const speechRateSlider = document.getElementById(`${type}-speech-rate`);
+        const speechRateValue = document.getElementById(`${type}-speech-rate-value`);
+        if (speechRateSlider && speechRateValue) {
+            speechRateSlider.value = 0;
+            speechRateValue.textContent = '1.0';
+        }
+        
+        const preview = document.getElementById(`${type}-preview`);
+        if (preview) {
+            preview.style.display = 'none';
+        }
     }
     
     /**
@@ -0,0 +1,205 @@
+// Podcastinator App - Speakers
+
+// One host plus up to four guests
+const MAX_GUESTS = 4;
+
+/**
+ * Resolves the episode cast from stored data and maps script speaker labels to characters.
+ * The host is stored in data.host and guests in data.guests (older saves with a single
+ * data.guest are read as a one-item list). With data.solo the host narrates alone.
+ * Each speaker gets a script label: the character's own label if set, otherwise
+ * HOST / GUEST for an interview, HOST / GUEST 1..4 for a panel and NARRATOR when solo.
+ */
+class Speakers {
+    constructor() {
+        this.maxGuests = MAX_GUESTS;
+    }
+
+    /**
+     * Get the guest characters from stored data
+     * @param {Object} data - Contents of the 'data' storage key
+     * @returns {Array<Object>} - Guest characters (at most maxGuests)
+     */
+    getGuests(data) {
+
+        let guests = [];
+        if (data && Array.isArray(data.guests)) {
+            guests = data.guests;
+        } else if (data && data.guest) {
+            guests = [data.guest];
+        }
+
+        return guests
+            .filter(function isGuest(guest) { return guest && typeof guest === 'object' && Object.keys(guest).length > 0; })
+            .slice(0, MAX_GUESTS);
+    }
+
+    /**
+     * Store the guest list, replacing the legacy single-guest field
+     * @param {Object} data - Contents of the 'data' storage key (modified in place)
+     * @param {Array<Object>} guests - Guest characters
+     * @returns {Object} - Updated data
+     */
+    setGuests(data, guests) {
+
+        data.guests = (guests || []).filter(Boolean).slice(0, MAX_GUESTS);
+        delete data.guest;
+        return data;
+    }
+
+    /**
+     * Check whether the episode is narrated by the host alone
+     * @param {Object} data - Contents of the 'data' storage key
+     * @returns {boolean}
+     */
+    isSolo(data) {
+
+        return !!(data && data.solo);
+    }
+
+    /**
+     * Check whether the cast needed for generation is set (a host, plus a guest unless solo)
+     * @param {Object} data - Contents of the 'data' storage key
+     * @returns {boolean}
+     */
+    hasCast(data) {
+
+        const host = data && data.host;
+        if (!host || Object.keys(host).length === 0) {
+            return false;
+        }
+        return this.isSolo(data) || this.getGuests(data).length > 0;
+    }
+
+    /**
+     * Get the speakers of the episode in speaking order (host first)
+     * @param {Object} data - Contents of the 'data' storage key, or character data with host/guest(s)
+     * @returns {Array<Object>} - Speakers as { id, role: 'host'|'guest'|'narrator', label, character }
+     */
+    getSpeakers(data) {
+
+        const host = (data && data.host) || {};
+        if (this.isSolo(data)) {
+            return [{ id: 'host', role: 'narrator', label: this.normalizeLabel(host.label) || 'NARRATOR', character: host }];
+        }
+
+        const guests = this.getGuests(data);
+        const speakers = [{ id: 'host', role: 'host', label: this.normalizeLabel(host.label) || 'HOST', character: host }];
+        guests.forEach(function addGuest(guest, index) {
+            speakers.push({
+                id: `guest-${index + 1}`,
+                role: 'guest',
+                label: this.normalizeLabel(guest.label) || (guests.length === 1 ? 'GUEST' : `GUEST ${index + 1}`),
+                character: guest
+            });
+        }, this);
+
+        // Labels must be unique; fall back to the default label (or SPEAKER n) on clashes
+        const seen = new Set();
+        speakers.forEach(function dedupe(speaker, index) {
+            if (seen.has(speaker.label)) {
+                const fallback = index === 0 ? 'HOST' : (guests.length === 1 ? 'GUEST' : `GUEST ${index}`);
+                speaker.label = seen.has(fallback) ? `SPEAKER ${index + 1}` : fallback;
+            }
+            seen.add(speaker.label);
+        });
+        return speakers;
+    }
+
+    /**
+     * Build the character data passed through outline, script and audio generation
+     * @param {Object} data - Contents of the 'data' storage key
+     * @returns {Object} - { host, guest, guests, solo, speakers }; guest is the first guest for older callers
+     */
+    getCharacterData(data) {
+
+        const guests = this.isSolo(data) ? [] : this.getGuests(data);
+        return {
+            host: (data && data.host) || {},
+            guest: guests[0] || {},
+            guests: guests,
+            solo: this.isSolo(data),
+            speakers: this.getSpeakers(data)
+        };
+    }
+
+    /**
+     * Normalize a speaker label: upper case, single spaces, no colons
+     * @param {string} label - Raw label
+     * @returns {string} - Label or '' when empty
+     */
+    normalizeLabel(label) {
+
+        return String(label || '')
+            .replace(/[:\r\n]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toUpperCase();
+    }
+
+    /**
+     * Get the labels of a speaker list
+     * @param {Array<Object>} speakers - Speakers from getSpeakers()
+     * @returns {Array<string>}
+     */
+    getLabels(speakers) {
+
+        return (speakers || []).map(function getLabel(speaker) { return speaker.label; });
+    }
+
+    /**
+     * Build a regex alternation matching any of the speakers' labels (longest first)
+     * @param {Array<Object>} speakers - Speakers from getSpeakers()
+     * @returns {string} - Alternation source, e.g. 'GUEST 1|GUEST 2|HOST'
+     */
+    getLabelPattern(speakers) {
+
+        return this.getLabels(speakers)
+            .slice()
+            .sort(function byLength(a, b) { return b.length - a.length; })
+            .map(function toPattern(label) { return this.escapeRegExp(label).replace(/ /g, '\\s+'); }, this)
+            .join('|');
+    }
+
+    /**
+     * Find the speaker for a script label, also accepting a character's name
+     * @param {Array<Object>} speakers - Speakers from getSpeakers()
+     * @param {string} label - Label as written in the script
+     * @returns {Object|null} - Speaker or null if unknown
+     */
+    findSpeaker(speakers, label) {
+
+        const normalized = this.normalizeLabel(label);
+        const list = speakers || [];
+        return list.find(function hasLabel(speaker) { return speaker.label === normalized; }) ||
+            list.find(function hasName(speaker) { return this.normalizeLabel(speaker.character && speaker.character.name) === normalized; }, this) ||
+            null;
+    }
+
+    /**
+     * Rewrite speaker lines to the canonical labels: fixes letter case and character names used as labels
+     * @param {string} text - Script text
+     * @param {Array<Object>} speakers - Speakers from getSpeakers()
+     * @returns {string}
+     */
+    normalizeScriptLabels(text, speakers) {
+
+        const self = this;
+        return String(text || '').replace(/^([^\S\r\n]*)([^:\r\n]{1,60}?)[^\S\r\n]*:/gm, function replaceLabel(line, indent, label) {
+            const speaker = self.findSpeaker(speakers, label);
+            return speaker ? `${indent}${speaker.label}:` : line;
+        });
+    }
+
+    /**
+     * Escape a string for use inside a RegExp
+     * @param {string} str - Text to escape
+     * @returns {string}
+     */
+    escapeRegExp(str) {
+
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+export default Speakers;
@@ -3,8 +3,15 @@ import NotificationsManager from '../ui/notifications.js';
 import ProgressManager from '../ui/progressManager.js';
 import Mp3Encoder from '../utils/mp3Encoder.js';
 import RetryManager from '../utils/retryManager.js';
+import TtsScheduler from '../utils/ttsScheduler.js';
 import AudioBlobStore from '../utils/idbAudio.js';
 import ModelCatalog from '../utils/modelCatalog.js';
+import WavDecoder from '../utils/wavDecoder.js';
+import Speakers from '../characters/speakers.js';
+import Id3Writer from '../utils/id3Writer.js';
+import LanguageSupport from '../utils/languageSupport.js';
+import SourceDocuments from '../document/sourceDocuments.js';
+import TranscriptFormatter from '../utils/transcriptFormatter.js';
 
 /**
  * Handles the generation of podcast audio using OpenAI TTS
@@ -15,6 +22,11 @@ class AudioGenerator {
         this.contentStateManager = contentStateManager;
         this.apiManager = apiManager;
         this.modelCatalog = new ModelCatalog();
+        this.speakers = new Speakers();
+        this.id3Writer = new Id3Writer();
+        this.languageSupport = new LanguageSupport();
+        this.sourceDocuments = new SourceDocuments();
+        this.transcriptFormatter = new TranscriptFormatter();
         this.notifications = new NotificationsManager();
         this.progressManager = new ProgressManager();
         
@@ -23,12 +35,17 @@ class AudioGenerator {
         this.cancelGeneration = false;
         this.currentSegment = 0;
         this.totalSegments = 0;
+        // Aborts the TTS requests in flight when generation is cancelled (one controller per generation)
+        this.abortController = null;
+        
+        // Stop requesting segments once a spending cap is reached
+        this.apiManager.budget.onExceeded(this.handleBudgetExceeded.bind(this));
         
         // Initialize retry manager with default settings
         this.retryManager = new RetryManager({
-            maxRetries: 3,
+            maxRetries: 5,
             baseDelay: 1000,
-            maxDelay: 10000,
+            maxDelay: 30000,
             jitter: 0.25,
             onRetry: this.handleRetryNotification.bind(this),
             shouldCancel: this.checkCancelStatus.bind(this)
@@ -41,9 +58,12 @@ class AudioGenerator {
         
         // MP3 encoder for efficient audio encoding
         this.mp3Encoder = null;
+
+        // Fallback WAV decoder for environments without Web Audio (Node/CLI)
+        this.wavDecoder = new WavDecoder();
         
-        // Session storage for cached audio segments
-        this.segmentCache = {};
+        // Scheduler of the running generation (parallel TTS requests), null when idle
+        this.ttsScheduler = null;
         
         // Blob URL for current audio
         this.audioUrl = null;
@@ -51,10 +71,23 @@ class AudioGenerator {
         // IndexedDB audio store
         this.audioStore = new AudioBlobStore();
         this.audioId = 'latest';
+
+        // Persistent TTS segment cache (AudioBlobStore interface), keyed by a hash of the full
+        // TTS request so a re-render only synthesizes changed turns. Headless runs inject a
+        // disk-backed store instead; without IndexedDB and an injected store nothing is cached.
+        this.segmentStore = typeof indexedDB !== 'undefined' ? new AudioBlobStore('podcastinator-tts', 'segments') : null;
+        
+        // Cover art written into the MP3 tag as { mime, data: Uint8Array }.
+        // The browser keeps it in the audio store; headless runs set it directly.
+        this.coverArt = null;
+        this.coverId = 'cover';
         
         // Load saved preferences (only small metadata here)
         const savedData = this.storageManager.load('audioData', {});
         this.silenceDuration = savedData.silenceDuration || 500; // Default 500ms silence between speakers
+        this.ttsConcurrency = savedData.ttsConcurrency || 4; // Segments synthesized in parallel
+        this.episodeTitle = savedData.episodeTitle || '';
+        this.showName = savedData.showName || '';
     }
 
     /**
@@ -67,8 +100,9 @@ class AudioGenerator {
         // Set up event listeners
         this.setupEventListeners();
 
-        // Load saved audio blob from IndexedDB
+        // Load saved audio blob and cover art from IndexedDB
         await this.loadSavedAudio();
+        await this.loadCoverArt();
 
         // Restore saved data if it exists
         this.restoreSavedData();
@@ -105,14 +139,44 @@ class AudioGenerator {
         }
     }
     
+    /**
+     * Load previously saved cover art from IndexedDB
+     */
+    async loadCoverArt() {
+        try {
+            const record = await this.audioStore.load(this.coverId);
+            if (record && record.blob) {
+                this.coverArt = {
+                    mime: record.blob.type || (record.meta && record.meta.type) || 'image/jpeg',
+                    data: new Uint8Array(await record.blob.arrayBuffer()),
+                    name: (record.meta && record.meta.name) || ''
+                };
+            }
+        } catch (e) {
+            console.error('Failed to load cover art from IndexedDB:', e);
+        }
+    }
+    
     /**
      * Initialize UI components
      */
     initializeUI() {
         // Get UI elements
         this.silenceInput = document.getElementById('silence-duration');
+        this.concurrencyInput = document.getElementById('tts-concurrency');
+        this.episodeTitleInput = document.getElementById('episode-title');
+        this.showNameInput = document.getElementById('show-name');
+        this.coverArtInput = document.getElementById('cover-art');
+        this.coverArtStatus = document.getElementById('cover-art-status');
+        this.chooseCoverButton = document.getElementById('choose-cover-art');
+        this.clearCoverButton = document.getElementById('clear-cover-art');
         this.generateButton = document.getElementById('generate-audio');
         this.downloadButton = document.getElementById('download-audio');
+        this.transcriptButtons = {
+            srt: document.getElementById('download-srt'),
+            vtt: document.getElementById('download-vtt'),
+            md: document.getElementById('download-transcript')
+        };
         this.progressContainer = document.getElementById('audio-progress');
         this.progressBar = this.progressContainer.querySelector('.progress-bar .progress-fill');
         this.cancelButton = this.progressContainer.querySelector('.btn-cancel');
@@ -145,11 +209,42 @@ class AudioGenerator {
             this.downloadButton.addEventListener('click', this.handleDownloadAudio.bind(this));
         }
         
+        // Transcript download buttons
+        Object.keys(this.transcriptButtons).forEach(function bindTranscriptButton(format) {
+            const button = this.transcriptButtons[format];
+            if (button) {
+                button.addEventListener('click', this.handleDownloadTranscript.bind(this, format));
+            }
+        }, this);
+        
         // Silence duration input
         if (this.silenceInput) {
             this.silenceInput.addEventListener('change', this.handleSilenceDurationChange.bind(this));
         }
         
+        // Parallel TTS requests input
+        if (this.concurrencyInput) {
+            this.concurrencyInput.addEventListener('change', this.handleConcurrencyChange.bind(this));
+        }
+        
+        // Episode metadata inputs (written into the MP3 tag)
+        if (this.episodeTitleInput) {
+            this.episodeTitleInput.addEventListener('change', this.handleMetadataChange.bind(this));
+        }
+        if (this.showNameInput) {
+            this.showNameInput.addEventListener('change', this.handleMetadataChange.bind(this));
+        }
+        if (this.coverArtInput) {
+            this.coverArtInput.addEventListener('change', this.handleCoverArtChange.bind(this));
+        }
+        if (this.chooseCoverButton && this.coverArtInput) {
+            // File inputs are hidden app-wide; the button opens the picker
+            this.chooseCoverButton.addEventListener('click', this.handleChooseCoverArt.bind(this));
+        }
+        if (this.clearCoverButton) {
+            this.clearCoverButton.addEventListener('click', this.handleClearCoverArt.bind(this));
+        }
+        
         // Listen for content state changes to update button state
         document.addEventListener('contentStateChanged', this.updateButtonState.bind(this));
     }
@@ -162,6 +257,19 @@ class AudioGenerator {
         if (this.silenceDuration && this.silenceInput) {
             this.silenceInput.value = this.silenceDuration;
         }
+        if (this.concurrencyInput) {
+            this.concurrencyInput.value = this.ttsConcurrency;
+        }
+        
+        // Restore episode metadata
+        if (this.episodeTitleInput) {
+            this.episodeTitleInput.value = this.episodeTitle;
+        }
+        if (this.showNameInput) {
+            this.showNameInput.value = this.showName;
+        }
+        this.updateCoverArtStatus();
+        this.updateTranscriptButtons();
         
         // Restore audio if available
         if (this.audioUrl) {
@@ -185,13 +293,14 @@ class AudioGenerator {
         try {
             // Get API data
             const apiData = this.apiManager.getApiData();
-            if (!apiData.apiKey) {
-                this.notifications.showError('OpenAI API key is required. Please configure it in step 1.');
+            if (!this.apiManager.hasCredentialsFor(apiData.models.tts, apiData.apiKey)) {
+                this.notifications.showError('API key is required. Please configure it in step 1.');
                 return;
             }
             
-            // Set generating state
+            // Set generating state; cancelling aborts every TTS request of this generation
             this.setGeneratingState(true);
+            apiData.signal = this.abortController.signal;
             
             // Get script data
             const scriptData = this.storageManager.load('scriptData', {});
@@ -202,12 +311,9 @@ class AudioGenerator {
             
             // Get character data for voices
             const data = this.storageManager.load('data', {});
-            const characterData = {
-                host: data.host || {},
-                guest: data.guest || {}
-            };
+            const characterData = this.speakers.getCharacterData(data);
             
-            if (!characterData.host.voice || !characterData.guest.voice) {
+            if (!this.speakers.hasCast(data) || !characterData.speakers.every(function hasVoice(speaker) { return speaker.character.voice; })) {
                 throw new Error('Host and guest voice selection is required. Please complete character creation first.');
             }
             
@@ -215,7 +321,7 @@ class AudioGenerator {
             await this.initAudioContext();
             
             // Parse script segments
-            const segments = this.parseScriptSegments(scriptData.script);
+            const segments = this.parseScriptSegments(scriptData.script, characterData.speakers);
             this.totalSegments = segments.length;
             
             if (this.totalSegments === 0) {
@@ -224,7 +330,6 @@ class AudioGenerator {
             
             // Clear previous results
             this.audioSegments = [];
-            this.segmentCache = {};
             
             // Generate audio segment by segment
             await this.generatePodcastAudio(segments, characterData, apiData);
@@ -243,9 +348,19 @@ class AudioGenerator {
      */
     handleCancelGeneration() {
         this.cancelGeneration = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
         this.notifications.showInfo('Cancelling audio generation...');
     }
     
+    /**
+     * Handle a spending cap being reached
+     */
+    handleBudgetExceeded() {
+        this.cancelGeneration = true;
+    }
+    
     /**
      * Handle silence duration change
      */
@@ -255,6 +370,88 @@ class AudioGenerator {
         this.saveAudioData();
     }
     
+    /**
+     * Handle parallel TTS requests change
+     */
+    handleConcurrencyChange() {
+        const value = parseInt(this.concurrencyInput.value, 10);
+        this.ttsConcurrency = value > 0 ? Math.min(value, 16) : 4;
+        this.concurrencyInput.value = this.ttsConcurrency;
+        this.saveAudioData();
+    }
+    
+    /**
+     * Handle episode title / show name changes
+     */
+    handleMetadataChange() {
+        this.episodeTitle = this.episodeTitleInput ? this.episodeTitleInput.value.trim() : this.episodeTitle;
+        this.showName = this.showNameInput ? this.showNameInput.value.trim() : this.showName;
+        this.saveAudioData();
+    }
+    
+    /**
+     * Handle choose cover art button click (file inputs are hidden app-wide)
+     */
+    handleChooseCoverArt() {
+        this.coverArtInput.click();
+    }
+    
+    /**
+     * Handle cover art file selection
+     */
+    async handleCoverArtChange() {
+        const file = this.coverArtInput.files && this.coverArtInput.files[0];
+        if (!file) {
+            return;
+        }
+        
+        if (file.type !== 'image/jpeg' && file.type !== 'image/png') {
+            this.notifications.showError('Cover art must be a JPEG or PNG image.');
+            this.coverArtInput.value = '';
+            return;
+        }
+        
+        try {
+            await this.audioStore.save(this.coverId, file, { type: file.type, name: file.name });
+            this.coverArt = {
+                mime: file.type,
+                data: new Uint8Array(await file.arrayBuffer()),
+                name: file.name
+            };
+            this.updateCoverArtStatus();
+            this.notifications.showSuccess('Cover art saved. It will be embedded in the next generated audio.');
+        } catch (error) {
+            console.error('Failed to save cover art:', error);
+            this.notifications.showError('Failed to save cover art.');
+        }
+        this.coverArtInput.value = '';
+    }
+    
+    /**
+     * Handle clear cover art button click
+     */
+    async handleClearCoverArt() {
+        this.coverArt = null;
+        try {
+            await this.audioStore.delete(this.coverId);
+        } catch (error) {
+            console.error('Failed to remove cover art:', error);
+        }
+        this.updateCoverArtStatus();
+    }
+    
+    /**
+     * Show the current cover art file name
+     */
+    updateCoverArtStatus() {
+        if (this.coverArtStatus) {
+            this.coverArtStatus.textContent = this.coverArt ? (this.coverArt.name || 'Cover art set') : 'No cover art';
+        }
+        if (this.clearCoverButton) {
+            this.clearCoverButton.disabled = !this.coverArt;
+        }
+    }
+    
     /**
      * Handle download audio button click
      */
@@ -273,6 +470,44 @@ class AudioGenerator {
         document.body.removeChild(link);
     }
     
+    /**
+     * Handle transcript download button click
+     * @param {string} format - 'srt', 'vtt' or 'md'
+     */
+    handleDownloadTranscript(format) {
+        const text = this.getTranscript(format);
+        if (!text) {
+            this.notifications.showError('No transcript available. Generate the audio first.');
+            return;
+        }
+        
+        const mime = { srt: 'application/x-subrip', vtt: 'text/vtt', md: 'text/markdown' }[format];
+        const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `podcast.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Enable the transcript download buttons when a transcript is stored
+     */
+    updateTranscriptButtons() {
+        if (!this.transcriptButtons) {
+            return;
+        }
+        const transcript = this.storageManager.load('transcriptData', null);
+        const hasTranscript = !!(transcript && Array.isArray(transcript.turns) && transcript.turns.length > 0);
+        Object.values(this.transcriptButtons).forEach(function toggleButton(button) {
+            if (button) {
+                button.disabled = !hasTranscript;
+            }
+        });
+    }
+    
     /**
      * Initialize Web Audio API context
      */
@@ -291,13 +526,18 @@ class AudioGenerator {
     /**
      * Parse script into segments for audio generation
      * @param {string} scriptText - The script text to parse
-     * @returns {Array} - Array of script segments
+     * @param {Array<Object>} speakers - Speakers whose labels start a turn (defaults to the stored cast)
+     * @returns {Array} - Array of script segments; segment.speaker is the speaker's label
      */
-    parseScriptSegments(scriptText) {
+    parseScriptSegments(scriptText, speakers = null) {
         if (!scriptText) {
             return [];
         }
         
+        if (!speakers) {
+            speakers = this.speakers.getSpeakers(this.storageManager.load('data', {}));
+        }
+        
         // Split by lines
         const segments = [];
         const lines = scriptText.split('\n');
@@ -308,9 +548,9 @@ class AudioGenerator {
         // Regex pattern for speaker identification
         // This matches:
         // - Optional whitespace at the beginning of the line
-        // - HOST: or GUEST: (case-insensitive)
+        // - A speaker label such as HOST: or GUEST 2: (case-insensitive)
         // - Captures any text after the colon
-        const speakerPattern = /^\s*(HOST|GUEST)\s*:\s*(.*)/i;
+        const speakerPattern = new RegExp(`^\\s*(${this.speakers.getLabelPattern(speakers)})\\s*:\\s*(.*)`, 'i');
         
         // Section separator pattern
         const separatorPattern = /^\s*---\s*$/;
@@ -348,7 +588,7 @@ class AudioGenerator {
                 }
                 
                 // Update speaker and capture text content if there is any on this line
-                currentSpeaker = speakerMatch[1].toUpperCase();
+                currentSpeaker = this.speakers.findSpeaker(speakers, speakerMatch[1]).label;
                 
                 // If there's text after the speaker label on the same line, include it
                 if (speakerMatch[2] && speakerMatch[2].trim()) {
@@ -388,61 +628,8 @@ class AudioGenerator {
      */
     async generatePodcastAudio(segments, characterData, apiData) {
         try {
-            // Initialize progress tracking
-            this.currentSegment = 0;
-            
-            // We'll initialize the MP3 encoder when we get the first audio segment
-            // This ensures we match OpenAI's TTS sample rate correctly
-            this.mp3Encoder = null;
-            
-            // Generate audio for each segment
-            for (let i = 0; i < segments.length; i++) {
-                // Check if cancelled
-                if (this.cancelGeneration) {
-                    this.cancelGeneration = false;
-                    throw new Error('Audio generation cancelled');
-                }
-                
-                // Update progress
-                this.currentSegment = i + 1;
-                const progressPercentage = Math.floor((this.currentSegment / this.totalSegments) * 100);
-                this.progressManager.updateProgress('audio-progress', progressPercentage);
-                
-                // Generate segment audio
-                const segment = segments[i];
-                const isSpeakerHost = segment.speaker === 'HOST';
-                
-                // Get appropriate voice based on speaker
-                const voice = isSpeakerHost ? 
-                    characterData.host.voice : 
-                    characterData.guest.voice;
-                
-                // Generate audio for this segment
-                const audioBuffer = await this.generateSegmentAudio(segment.text, voice, apiData);
-                
-                // Initialize MP3 encoder with the actual sample rate from OpenAI if needed
-                if (!this.mp3Encoder) {
-                    // Get the actual sample rate from the audio buffer
-                    const sampleRate = audioBuffer.sampleRate;
-                    console.log(`Initializing MP3 encoder with detected sample rate: ${sampleRate}Hz`);
-                    this.mp3Encoder = new Mp3Encoder(sampleRate, 1, 128);
-                }
-                
-                // Encode audio buffer to MP3 immediately
-                this.mp3Encoder.encodeAudioBuffer(audioBuffer);
-                
-                // No need to store WAV chunks in memory as they're now encoded to MP3
-                // We simply discard the audio buffer after encoding
-                
-                // Add silence between segments (except after the last segment)
-                if (i < segments.length - 1) {
-                    // Convert milliseconds to seconds for the encoder
-                    this.mp3Encoder.encodeSilence(this.silenceDuration / 1000);
-                }
-            }
-            
-            // Finalize MP3 encoding
-            const mp3Blob = this.mp3Encoder.finish();
+            // Synthesize, insert silence and encode all segments into a single MP3
+            const mp3Blob = await this.encodePodcastMp3(segments, characterData, apiData);
 
             // Save Blob to IndexedDB and update UI
             await this.audioStore.save(this.audioId, mp3Blob, { type: 'audio/mpeg' });
@@ -475,90 +662,329 @@ class AudioGenerator {
             }
         }
     }
+
+    /**
+     * Synthesize all segments and encode them into a single MP3, inserting
+     * the configured silence between speaker turns. Shared by the browser
+     * pipeline and the headless (Node) service path.
+     * @param {Array} segments - Parsed script segments
+     * @param {Object} characterData - Host and guest character data
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Promise<Blob>} - Encoded MP3 data
+     */
+    async encodePodcastMp3(segments, characterData, apiData) {
+
+        // Initialize progress tracking
+        this.currentSegment = 0;
+        this.totalSegments = segments.length;
+        
+        // Speakers map segment labels to characters and voices
+        const speakers = characterData.speakers || this.speakers.getSpeakers(characterData);
+        
+        // We'll initialize the MP3 encoder when we get the first audio segment
+        // This ensures we match OpenAI's TTS sample rate correctly
+        this.mp3Encoder = null;
+        
+        // Sample offsets of each turn in the final audio (for chapters and the transcript)
+        const turns = [];
+        
+        // Segments are synthesized in parallel (possibly finishing out of order) and
+        // encoded in script order; progress counts finished segments
+        const scheduler = new TtsScheduler({
+            concurrency: this.ttsConcurrency,
+            onProgress: this.updateSegmentProgress.bind(this)
+        });
+        this.ttsScheduler = scheduler;
+        
+        const self = this;
+        try {
+            await scheduler.run(
+                segments.length,
+                function synthesize(i) {
+
+                    return self.synthesizeSegment(segments[i], speakers, apiData);
+                },
+                function encode(i, audioBuffer) {
+
+                    // No silence after the last segment
+                    self.encodeSegment(segments[i], speakers, audioBuffer, turns, i < segments.length - 1);
+                }
+            );
+        } catch (error) {
+            if (this.cancelGeneration || error.message === 'Audio generation cancelled') {
+                this.cancelGeneration = false;
+                throw new Error('Audio generation cancelled');
+            }
+            throw error;
+        } finally {
+            this.ttsScheduler = null;
+        }
+
+        if (!this.mp3Encoder) {
+            throw new Error('No audio segments were generated.');
+        }
+        
+        // Finalize MP3 encoding with the episode tags and chapter markers
+        const sampleRate = this.mp3Encoder.sampleRate;
+        const segmentStarts = turns.map(function getStartMs(turn) { return (turn.startSample / sampleRate) * 1000; });
+        const chapters = this.buildChapters(segments, segmentStarts, this.mp3Encoder.getDurationMs(), speakers);
+        this.saveTranscript({
+            sampleRate: sampleRate,
+            totalSamples: this.mp3Encoder.encodedSamples,
+            title: this.getEpisodeTitle(),
+            turns: turns,
+            chapters: chapters
+        });
+        return this.mp3Encoder.finish(this.buildId3Tag(characterData, chapters));
+    }
+    
+    /**
+     * Report synthesis progress; called by the scheduler after each finished segment
+     * @param {number} completed - Finished segments
+     * @param {number} total - Number of segments
+     */
+    updateSegmentProgress(completed, total) {
+
+        this.currentSegment = completed;
+        this.progressManager.updateProgress('audio-progress', Math.floor((completed / total) * 100));
+    }
+    
+    /**
+     * Get the speaker of a script segment, falling back to the first speaker
+     * @param {Array} speakers - Episode speakers
+     * @param {Object} segment - Parsed script segment
+     * @returns {Object} - Speaker with label and character
+     */
+    findSegmentSpeaker(speakers, segment) {
+
+        return this.speakers.findSpeaker(speakers, segment.speaker) || speakers[0];
+    }
+    
+    /**
+     * Synthesize one script segment with its speaker's voice
+     * @param {Object} segment - Parsed script segment
+     * @param {Array} speakers - Episode speakers
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Promise<AudioBuffer>} - Decoded segment audio
+     */
+    async synthesizeSegment(segment, speakers, apiData) {
+
+        // Check if cancelled before starting another request
+        if (this.cancelGeneration) {
+            throw new Error('Audio generation cancelled');
+        }
+        
+        // Get appropriate character and voice based on speaker
+        const character = this.findSegmentSpeaker(speakers, segment).character;
+        return this.generateSegmentAudio(segment.text, character.voice, apiData, character);
+    }
     
     /**
-     * Generate audio for a script segment
+     * Encode one synthesized segment into the MP3 stream and record its turn
+     * @param {Object} segment - Parsed script segment
+     * @param {Array} speakers - Episode speakers
+     * @param {AudioBuffer} audioBuffer - Segment audio
+     * @param {Array} turns - Turns encoded so far; the new turn is appended
+     * @param {boolean} addSilence - Whether to add the pause between speaker turns after it
+     */
+    encodeSegment(segment, speakers, audioBuffer, turns, addSilence) {
+
+        const speaker = this.findSegmentSpeaker(speakers, segment);
+        
+        // Initialize MP3 encoder with the actual sample rate from OpenAI if needed
+        if (!this.mp3Encoder) {
+            // Get the actual sample rate from the audio buffer
+            const sampleRate = audioBuffer.sampleRate;
+            console.log(`Initializing MP3 encoder with detected sample rate: ${sampleRate}Hz`);
+            this.mp3Encoder = new Mp3Encoder(sampleRate, 1, 128);
+        }
+        
+        // Encode audio buffer to MP3 immediately; the buffer is discarded afterwards
+        const startSample = this.mp3Encoder.encodedSamples;
+        this.mp3Encoder.encodeAudioBuffer(audioBuffer);
+        turns.push({
+            label: speaker.label,
+            name: speaker.character.name || speaker.label,
+            text: segment.text,
+            startSample: startSample,
+            endSample: this.mp3Encoder.encodedSamples
+        });
+        
+        if (addSilence) {
+            // Convert milliseconds to seconds for the encoder
+            this.mp3Encoder.encodeSilence(this.silenceDuration / 1000);
+        }
+    }
+    
+    /**
+     * Save the timed transcript of the latest audio
+     * @param {Object} transcript - { sampleRate, totalSamples, title, turns, chapters }
+     */
+    saveTranscript(transcript) {
+        this.storageManager.save('transcriptData', { ...transcript, timestamp: new Date().toISOString() });
+        this.updateTranscriptButtons();
+    }
+    
+    /**
+     * Get the transcript of the latest audio in a caption or document format
+     * @param {string} format - 'srt', 'vtt' or 'md'
+     * @returns {string} - Formatted transcript, '' if no audio was generated
+     */
+    getTranscript(format) {
+        const transcript = this.storageManager.load('transcriptData', null);
+        if (!transcript || !Array.isArray(transcript.turns) || transcript.turns.length === 0) {
+            return '';
+        }
+        return this.transcriptFormatter.format(transcript, format);
+    }
+    
+    /**
+     * Build chapter markers at the outline sections of the script. Each generated section
+     * (intro and outro included) is parsed into its own segments, so a section starts at
+     * the segment that follows the segments of the sections before it.
+     * @param {Array} segments - Parsed script segments
+     * @param {Array<number>} segmentStarts - Start time of each segment in ms
+     * @param {number} totalMs - Total audio duration in ms
+     * @param {Array<Object>} speakers - Speakers whose labels start a turn
+     * @returns {Array<Object>} - Chapters as { title, startMs, endMs }, empty if sections are unknown
+     */
+    buildChapters(segments, segmentStarts, totalMs, speakers) {
+        const scriptData = this.storageManager.load('scriptData', {}) || {};
+        const sections = (Array.isArray(scriptData.generatedSections) ? scriptData.generatedSections : [])
+            .filter(function hasContent(section) { return section && typeof section.content === 'string' && section.content.trim(); });
+        
+        if (sections.length === 0 || segmentStarts.length === 0) {
+            return [];
+        }
+        
+        const chapters = [];
+        let segmentIndex = 0;
+        let searchFrom = 0;
+        
+        sections.forEach(function addChapter(section) {
+            const sectionSegments = this.parseScriptSegments(section.content, speakers);
+            if (sectionSegments.length === 0) {
+                return;
+            }
+            
+            // Turns edited in the script after generation shift the counts; the section's opening turns are found again
+            if (!this.startsSection(segments, segmentIndex, sectionSegments)) {
+                for (let i = searchFrom; i < segments.length; i++) {
+                    if (this.startsSection(segments, i, sectionSegments)) {
+                        segmentIndex = i;
+                        break;
+                    }
+                }
+            }
+            if (segmentIndex >= segmentStarts.length) {
+                return;
+            }
+            
+            const title = String(section.title || `Section ${section.number}`).replace(/[*_#`]/g, '').trim();
+            chapters.push({ title, startMs: chapters.length === 0 ? 0 : segmentStarts[segmentIndex] });
+            searchFrom = segmentIndex + 1;
+            segmentIndex += sectionSegments.length;
+        }, this);
+        
+        return chapters.map(function withEnd(chapter, index) {
+            const next = chapters[index + 1];
+            return { title: chapter.title, startMs: chapter.startMs, endMs: next ? next.startMs : totalMs };
+        });
+    }
+    
+    /**
+     * Check whether a section's opening turns (up to three) are spoken from a segment on
+     * @param {Array} segments - Parsed script segments
+     * @param {number} index - Segment to start at
+     * @param {Array} sectionSegments - Parsed segments of the section
+     * @returns {boolean}
+     */
+    startsSection(segments, index, sectionSegments) {
+        const count = Math.min(3, sectionSegments.length);
+        if (index + count > segments.length) {
+            return false;
+        }
+        for (let i = 0; i < count; i++) {
+            if (segments[index + i].speaker !== sectionSegments[i].speaker || segments[index + i].text !== sectionSegments[i].text) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Build the ID3 tag for the exported MP3 from the episode's stored metadata
+     * @param {Object} characterData - Host and guest character data
+     * @param {Array<Object>} chapters - Chapters from buildChapters()
+     * @returns {Uint8Array} - ID3v2 tag
+     */
+    buildId3Tag(characterData, chapters) {
+        const scriptData = this.storageManager.load('scriptData', {}) || {};
+        const outlineData = this.storageManager.load('outlineData', {}) || {};
+        const host = (characterData && characterData.host) || {};
+        
+        return this.id3Writer.buildTag({
+            title: this.getEpisodeTitle(),
+            artist: host.name || '',
+            album: this.showName || 'Podcastinator',
+            language: this.languageSupport.getIsoCode(scriptData.language || 'english'),
+            comment: outlineData.podcastFocus || '',
+            cover: this.coverArt,
+            chapters: chapters
+        });
+    }
+    
+    /**
+     * Get the episode title: the configured title, else the first source document's name
+     * @returns {string}
+     */
+    getEpisodeTitle() {
+        if (this.episodeTitle) {
+            return this.episodeTitle;
+        }
+        
+        const documents = this.sourceDocuments.getDocuments(this.storageManager.load('data', {}));
+        return documents.length > 0 ? documents[0].name.replace(/\.[^.]+$/, '') : 'Podcast episode';
+    }
+    
+    /**
+     * Generate audio for a script segment, reusing the cached audio of an identical request
      * @param {string} text - The text to convert to speech
      * @param {string} voice - The voice to use
      * @param {Object} apiData - API credentials and model data
+     * @param {Object} character - Optional character speaking the segment (voice instructions, speech rate)
      * @returns {AudioBuffer} - The audio buffer
      */
-    async generateSegmentAudio(text, voice, apiData) {
-        // Create a cache key based on text, voice and model
-        const cacheKey = `${voice}_${text.substring(0, 100)}`;
+    async generateSegmentAudio(text, voice, apiData, character = null) {
+        // The cache key covers everything that changes the audio (serving provider and endpoint,
+        // model, voice, full text, instructions, speed, language)
+        const requestBody = this.buildSpeechRequestBody(text, voice, apiData, character);
+        const providerScope = this.getSpeechProviderScope(requestBody);
+        const cacheKey = await this.getSegmentCacheKey(requestBody, providerScope);
         
-        // Check if we have this segment cached
-        if (this.segmentCache[cacheKey]) {
-            return this.segmentCache[cacheKey];
+        // Check if this request was already synthesized (in this or an earlier session)
+        const cached = await this.loadCachedSegment(cacheKey, requestBody, providerScope);
+        if (cached) {
+            return cached;
         }
         
+        // Speech is priced by input characters, so a segment over the spending cap is refused before it is sent;
+        // its cost stays reserved while in flight, so segments synthesized side by side cannot overshoot the cap
+        const reservedCost = this.apiManager.reserveBudget(apiData.models.tts, this.apiManager.budget.getSpeechCost(apiData.models.tts, text.length));
+        
+        const requestId = this.apiManager.createRequestId();
+        let audioBuffer;
         try {
             // Use RetryManager to handle retries with exponential backoff
-            const audioBuffer = await this.retryManager.execute(
+            audioBuffer = await this.retryManager.execute(
                 async () => {
-                    // Get TTS model metadata
-                    const ttsModelMeta = this.modelCatalog.getModel(apiData.models.tts);
-                    
-                    // Get character data for voice instructions and speech rate
-                    let voiceInstructions = null;
-                    let speechRate = null;
-                    
-                    // Load character data
-                    const characters = this.storageManager.load('data', {});
-                    let characterType = null;
-                    
-                    // Determine if this is host or guest based on voice
-                    if (characters.host && characters.host.voice === voice) {
-                        characterType = 'host';
-                    } else if (characters.guest && characters.guest.voice === voice) {
-                        characterType = 'guest';
-                    }
-                    
-                    if (characterType) {
-                        // Get voice instructions if available for models that support them
-                        if (ttsModelMeta && ttsModelMeta.supportsTtsInstructions && characters[characterType].voiceInstructions) {
-                            voiceInstructions = characters[characterType].voiceInstructions;
-                        }
-                        
-                        // Get speech rate if available
-                        if (characters[characterType].speechRate) {
-                            speechRate = parseFloat(characters[characterType].speechRate);
-                        }
-                    }
-                    
-                    // Prepare API request body
-                    // Read current script language from storage
-                    const scriptStore = this.storageManager.load('scriptData', {}) || {};
-                    const scriptLanguage = scriptStore.language || 'english';
-
-                    const requestBody = {
-                        model: apiData.models.tts,
-                        voice: voice,
-                        input: text,
-                        response_format: 'wav', // Use uncompressed WAV instead of MP3
-                        language: scriptLanguage
-                    };
                     
-                    // Add voice instructions if available for models that support them
-                    if (ttsModelMeta && ttsModelMeta.supportsTtsInstructions && voiceInstructions) {
-                        requestBody.instructions = voiceInstructions;
-                    }
-                    
-                    // Add speech rate if available for models that support it
-                    if (speechRate && ttsModelMeta && ttsModelMeta.supportsTtsSpeed) {
-                        requestBody.speed = speechRate;
-                    }
-                    
-                    // Call OpenAI TTS API - get uncompressed wav format
+                    // Call the TTS API of the configured provider - get uncompressed wav format
                     // This is more efficient for processing than mp3
-                    const response = await fetch('https://api.openai.com/v1/audio/speech', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${apiData.apiKey}`
-                        },
-                        body: JSON.stringify(requestBody)
-                    });
+                    const response = await this.apiManager.sendRequest(
+                        '/v1/audio/speech',
+                        { ...this.apiManager.buildRequestOptions(requestBody, apiData.apiKey), signal: apiData.signal }
+                    );
                     
                     if (!response.ok) {
                         await this.handleApiError(response);
@@ -567,30 +993,193 @@ class AudioGenerator {
                     // Get audio data as ArrayBuffer
                     const audioData = await response.arrayBuffer();
                     
-                    // Decode audio data
-                    return await this.audioContext.decodeAudioData(audioData);
+                    // Decode audio data (before decodeAudioData detaches the buffer, keep a copy for the cache)
+                    const cacheData = cacheKey ? audioData.slice(0) : null;
+                    const decoded = await this.decodeSegmentAudio(audioData);
+                    if (cacheData) {
+                        await this.saveCachedSegment(cacheKey, requestBody, providerScope, cacheData);
+                    }
+                    return decoded;
                 },
-                this.isRetryableError.bind(this)
+                this.isRetryableError.bind(this),
+                apiData.signal
             );
-            
-            // Track TTS character usage
-            const modelName = apiData.models.tts;
-            const characterCount = text.length;
-            this.apiManager.trackTTSUsage(modelName, characterCount);
-            
-            // Cache the segment (we still need to cache since we might handle cancellation)
-            this.segmentCache[cacheKey] = audioBuffer;
-            
-            return audioBuffer;
         } catch (error) {
-            // If the error is from cancellation, propagate it
-            if (error.message === 'Operation cancelled during retry') {
+            this.apiManager.releaseBudget(reservedCost);
+            
+            // If the error is from cancellation (or an aborted request), propagate it
+            if (error.message === 'Operation cancelled during retry' || (apiData.signal && apiData.signal.aborted)) {
                 throw new Error('Audio generation cancelled');
             }
             
-            console.error('TTS API error:', error);
+            console.error(`[API:${requestId}] TTS API error:`, error);
             throw new Error(`Failed to generate audio: ${error.message}`);
         }
+        
+        // Track TTS character usage and spend (settles the reserved cost)
+        this.apiManager.recordUsage({ stage: 'tts', model: apiData.models.tts, requestId: requestId, characters: text.length, reservedCost: reservedCost });
+        
+        return audioBuffer;
+    }
+
+    /**
+     * Identify the backend that serves a TTS request: the provider type and the resolved
+     * endpoint URL (which includes the Azure deployment). Audio from the mock provider or
+     * another resource must never be reused for a different backend.
+     * @param {Object} requestBody - TTS request body for the segment
+     * @returns {string|null} - Provider scope, null when the provider is not fully configured
+     */
+    getSpeechProviderScope(requestBody) {
+
+        const provider = this.apiManager.getProviderForModel(requestBody.model);
+        try {
+            return `${provider.getType()} ${provider.buildUrl('/v1/audio/speech', { body: JSON.stringify(requestBody) })}`;
+        } catch (error) {
+            // The request itself reports the missing setting
+            return null;
+        }
+    }
+
+    /**
+     * Get the content-addressed cache key of a TTS request
+     * @param {Object} requestBody - TTS request body for the segment
+     * @param {string|null} providerScope - Backend serving the request, from getSpeechProviderScope()
+     * @returns {Promise<string|null>} - 'tts-' plus the SHA-256 of the provider scope and request, null when
+     *   there is no segment store, no provider scope or no Web Crypto (e.g. a page served over plain http)
+     */
+    async getSegmentCacheKey(requestBody, providerScope) {
+
+        const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+        if (!this.segmentStore || !subtle || !providerScope) {
+            return null;
+        }
+
+        const digest = await subtle.digest('SHA-256', new TextEncoder().encode(`${providerScope}\n${JSON.stringify(requestBody)}`));
+        const hex = Array.from(new Uint8Array(digest), function toHex(byte) { return byte.toString(16).padStart(2, '0'); }).join('');
+        return `tts-${hex}`;
+    }
+
+    /**
+     * Load a cached segment if it was synthesized from the same request by the same backend
+     * @param {string} cacheKey - Segment cache key
+     * @param {Object} requestBody - TTS request body for the segment
+     * @param {string} providerScope - Backend serving the request
+     * @returns {Promise<AudioBuffer|null>} - Decoded audio or null when not cached
+     */
+    async loadCachedSegment(cacheKey, requestBody, providerScope) {
+
+        if (!cacheKey) {
+            return null;
+        }
+
+        try {
+            const record = await this.segmentStore.load(cacheKey);
+            if (!record || !record.blob || record.meta.request !== JSON.stringify(requestBody) || record.meta.provider !== providerScope) {
+                return null;
+            }
+            console.log(`Reusing cached audio ${cacheKey.substring(0, 16)}`);
+            return await this.decodeSegmentAudio(await record.blob.arrayBuffer());
+        } catch (error) {
+            console.error(`Failed to load cached segment ${cacheKey}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Persist synthesized segment audio so later renders can reuse it
+     * @param {string} cacheKey - Segment cache key
+     * @param {Object} requestBody - TTS request body used to synthesize the segment
+     * @param {string} providerScope - Backend that synthesized the segment
+     * @param {ArrayBuffer} audioData - WAV bytes returned by the API
+     */
+    async saveCachedSegment(cacheKey, requestBody, providerScope, audioData) {
+
+        try {
+            const blob = new Blob([audioData], { type: 'audio/wav' });
+            await this.segmentStore.save(cacheKey, blob, { request: JSON.stringify(requestBody), provider: providerScope });
+        } catch (error) {
+            // A failed cache write only costs a re-synthesis next time
+            console.error(`Failed to cache segment ${cacheKey}:`, error);
+        }
+    }
+
+    /**
+     * Build the TTS request body for a segment, applying the speaking character's
+     * voice instructions and speech rate where the TTS model supports them
+     * @param {string} text - The text to convert to speech
+     * @param {string} voice - The voice to use
+     * @param {Object} apiData - API credentials and model data
+     * @param {Object} character - Optional character speaking the segment
+     * @returns {Object} - Request body for the speech endpoint
+     */
+    buildSpeechRequestBody(text, voice, apiData, character = null) {
+
+        // Get TTS model metadata
+        const ttsModelMeta = this.modelCatalog.getModel(apiData.models.tts);
+        
+        // Fall back to matching the voice against stored characters
+        if (!character) {
+            const speakers = this.speakers.getSpeakers(this.storageManager.load('data', {}) || {});
+            const match = speakers.find(function hasVoice(speaker) { return speaker.character.voice === voice; });
+            if (match) {
+                character = match.character;
+            }
+        }
+        
+        // Get character data for voice instructions and speech rate
+        let voiceInstructions = null;
+        let speechRate = null;
+        
+        if (character) {
+            // Get voice instructions if available for models that support them
+            if (ttsModelMeta && ttsModelMeta.supportsTtsInstructions && character.voiceInstructions) {
+                voiceInstructions = character.voiceInstructions;
+            }
+            
+            // Get speech rate if available
+            if (character.speechRate) {
+                speechRate = parseFloat(character.speechRate);
+            }
+        }
+        
+        // Read current script language from storage
+        const scriptStore = this.storageManager.load('scriptData', {}) || {};
+        const scriptLanguage = scriptStore.language || 'english';
+
+        const requestBody = {
+            model: apiData.models.tts,
+            voice: voice,
+            input: text,
+            response_format: 'wav', // Use uncompressed WAV instead of MP3
+            language: scriptLanguage
+        };
+        
+        // Add voice instructions if available for models that support them
+        if (voiceInstructions) {
+            requestBody.instructions = voiceInstructions;
+        }
+        
+        // Add speech rate if available for models that support it
+        if (speechRate && ttsModelMeta && ttsModelMeta.supportsTtsSpeed) {
+            requestBody.speed = speechRate;
+        }
+
+        return requestBody;
+    }
+
+    /**
+     * Decode WAV audio returned by the TTS API. Uses the Web Audio API when an
+     * audio context is available, otherwise decodes the PCM data directly.
+     * @param {ArrayBuffer} audioData - WAV bytes
+     * @returns {Promise<AudioBuffer|PcmAudioBuffer>} - Decoded audio
+     */
+    async decodeSegmentAudio(audioData) {
+
+        if (this.audioContext) {
+            return await this.audioContext.decodeAudioData(audioData);
+        }
+
+        return this.wavDecoder.decode(audioData);
     }
     
     // Note: WAV encoding methods have been removed as we now use MP3 encoding directly
@@ -621,6 +1210,8 @@ class AudioGenerator {
             this.progressContainer.style.display = 'flex';
             this.progressManager.resetProgress('audio-progress');
             this.cancelGeneration = false;
+            this.abortController = new AbortController();
+            this.apiManager.startRun('audio');
         } else {
             // Reset UI
             this.generateButton.disabled = false;
@@ -633,7 +1224,11 @@ class AudioGenerator {
      */
     saveAudioData() {
         const audioPrefs = {
-            silenceDuration: this.silenceDuration
+            ...(this.storageManager.load('audioData', {}) || {}),
+            silenceDuration: this.silenceDuration,
+            ttsConcurrency: this.ttsConcurrency,
+            episodeTitle: this.episodeTitle,
+            showName: this.showName
         };
 
         // Save only small metadata to localStorage
@@ -660,14 +1255,38 @@ class AudioGenerator {
         if (response.status === 401) {
             throw new Error('Invalid API key. Please check your OpenAI API key.');
         } else if (response.status === 429) {
-            throw new Error('API rate limit exceeded. Please wait and try again later.');
+            // Rate limits are retried with back-off; an exhausted quota is not
+            const error = new Error(/quota/i.test(errorMsg)
+                ? `API quota exceeded: ${errorMsg}`
+                : 'API rate limit exceeded. Please wait and try again later.');
+            error.status = 429;
+            error.retryAfter = this.getRetryAfter(response);
+            throw error;
         } else {
             throw new Error(`OpenAI API Error: ${errorMsg}`);
         }
     }
     
     /**
-     * Check if an error is retryable (network or server error)
+     * Read the Retry-After header of a response
+     * @param {Response} response - Fetch API response
+     * @returns {number} - Requested wait in milliseconds, 0 if absent
+     */
+    getRetryAfter(response) {
+        const value = response.headers && typeof response.headers.get === 'function' ? response.headers.get('retry-after') : null;
+        if (!value) {
+            return 0;
+        }
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+    }
+    
+    /**
+     * Check if an error is retryable (rate limit, network or server error)
      * @param {Error} error - The error to check
      * @returns {boolean} - True if the error is retryable
      */
@@ -677,9 +1296,9 @@ class AudioGenerator {
             return false;
         }
         
-        // Don't retry rate limit errors
-        if (error.message && error.message.includes('rate limit')) {
-            return false;
+        // Retry rate limits (429) with back-off, but not an exhausted quota
+        if (error.status === 429) {
+            return !error.message.includes('quota');
         }
         
         // Check if it's a server error (5xx)
@@ -708,16 +1327,25 @@ class AudioGenerator {
      */
     handleRetryNotification(retryInfo) {
         const { attempt, delay, maxRetries, error } = retryInfo;
+        const rateLimited = error && error.status === 429;
+        
+        // A rate limit applies to all parallel requests: hold back new segments too
+        if (rateLimited && this.ttsScheduler) {
+            this.ttsScheduler.pause(delay);
+        }
         
         // Show notification about retry
         const delaySeconds = Math.round(delay / 100) / 10;
         this.notifications.showInfo(
-            `Connection issue detected. Retrying in ${delaySeconds}s... (Attempt ${attempt}/${maxRetries})`
+            `${rateLimited ? 'Rate limit reached' : 'Connection issue detected'}. Retrying in ${delaySeconds}s... (Attempt ${attempt}/${maxRetries})`
         );
         
         console.log(`Retry attempt ${attempt}/${maxRetries} after ${delaySeconds}s delay:`, error);
         
-        // Update progress bar to indicate retry
+        // Update progress bar to indicate retry (browser only)
+        if (typeof document === 'undefined') {
+            return;
+        }
         const progressElement = document.querySelector('#audio-progress .progress-fill');
         if (progressElement) {
             progressElement.style.backgroundColor = '#ffaa33'; // Amber color for retry state
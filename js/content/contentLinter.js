@@ -0,0 +1,446 @@
+// Podcastinator App - Content Linter
+import Speakers from '../characters/speakers.js';
+
+const WORDS_PER_MINUTE = 160;
+
+// Words a section may be off its target before it counts as too short or too long (~0.5 minute)
+const WORD_TOLERANCE = WORDS_PER_MINUTE / 2;
+
+// Stock phrases that make a dialogue sound machine-written
+const DEFAULT_BANNED_WORDS = [
+    'delve', 'delves', 'delving', 'tapestry', 'testament to', 'game-changer', 'buckle up',
+    'in today\'s fast-paced world', 'navigate the complexities', 'ever-evolving landscape'
+];
+
+// Severities that fail the checks; minor issues are reported but do not block
+const FAILING_SEVERITIES = ['critical', 'major'];
+
+/**
+ * Rule-based checks of outlines and script sections that need no model: durations against the
+ * 160 wpm target, '---' separators, empty or unlabeled turns, a speaker talking twice in a row,
+ * banned phrases and leftover markdown. They run before the model review and report issues in
+ * the reviewers' format ({ category, severity, description, evidence, fix, actions, notes }).
+ * While the checks fail, the paid review can be skipped (setting stored under 'lintData').
+ */
+class ContentLinter {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.speakers = new Speakers();
+    }
+
+    /**
+     * Current settings
+     * @returns {Object} - { skipReview, bannedWords }
+     */
+    getSettings() {
+
+        const saved = this.storageManager.load('lintData', {}) || {};
+        return {
+            skipReview: saved.skipReview !== false,
+            bannedWords: Array.isArray(saved.bannedWords) ? saved.bannedWords : DEFAULT_BANNED_WORDS.slice()
+        };
+    }
+
+    /**
+     * Update and store the settings
+     * @param {Object} settings - Any of { skipReview, bannedWords }; bannedWords as a list or one phrase per line
+     */
+    setSettings(settings = {}) {
+
+        const current = this.getSettings();
+        if (settings.skipReview !== undefined && settings.skipReview !== null) {
+            current.skipReview = !!settings.skipReview;
+        }
+        if (settings.bannedWords !== undefined && settings.bannedWords !== null) {
+            const words = Array.isArray(settings.bannedWords) ? settings.bannedWords : String(settings.bannedWords).split('\n');
+            current.bannedWords = words.map(function trimWord(word) { return String(word).trim(); }).filter(Boolean);
+        }
+        this.storageManager.save('lintData', current);
+    }
+
+    /**
+     * Check an outline in the text form
+     * @param {string} outlineText - Outline text
+     * @param {number} targetDuration - Target duration in minutes
+     * @returns {Array<Object>} - Issues with outline review categories (TIMING, FORMAT)
+     */
+    lintOutline(outlineText, targetDuration) {
+
+        const text = String(outlineText || '').replace(/\r\n?/g, '\n');
+        const issues = [];
+        const blocks = this.splitBlocks(text);
+        const headings = this.parseOutlineHeadings(blocks);
+
+        if (headings.length === 0) {
+            issues.push(this.createIssue('FORMAT', 'critical', 'The outline has no numbered section titles.',
+                text.slice(0, 120), "Start every section with a numbered title such as '1. Introduction'."));
+            return issues;
+        }
+
+        // Every section is a block of its own
+        if (blocks.length < headings.filter(function isTopLevel(heading) { return !heading.number.includes('.'); }).length) {
+            issues.push(this.createIssue('FORMAT', 'major', "Sections are not separated by '---' lines.",
+                `${headings.length} titles in ${blocks.length} block(s).`, "Put a line with only '---' before every section."));
+        }
+        blocks.forEach(function checkBlock(block, index) {
+            if (!/^\s*\d+(?:\.\d+)*\.\s+\S/.test(block)) {
+                issues.push(this.createIssue('FORMAT', 'major', `Block ${index + 1} does not start with a numbered title.`,
+                    this.firstLine(block), "Begin each block after '---' with its numbered title, or remove the stray text."));
+            }
+        }, this);
+
+        // Leaf sections are the ones a script is written for; each needs a duration and an overview
+        const leaves = this.getLeafHeadings(headings);
+        let totalDuration = 0;
+        leaves.forEach(function checkSection(heading) {
+            if (heading.durationMinutes === null) {
+                issues.push(this.createIssue('FORMAT', 'major', `Section ${heading.number} has no Duration line.`,
+                    `${heading.number}. ${heading.title}`, "Add a line such as 'Duration: 3 minutes' below the title.", heading.number));
+            } else {
+                totalDuration += heading.durationMinutes;
+            }
+            if (!/^\s*Overview:\s*\S/mi.test(heading.body)) {
+                issues.push(this.createIssue('FORMAT', 'major', `Section ${heading.number} has no Overview line.`,
+                    `${heading.number}. ${heading.title}`, "Add a one-sentence 'Overview:' line below the duration.", heading.number));
+            }
+        }, this);
+
+        const target = Number(targetDuration) || 0;
+        const delta = Math.round((totalDuration - target) * 100) / 100;
+        if (target > 0 && Math.abs(delta) >= 0.01) {
+            const issue = this.createIssue('TIMING', 'critical', `Total duration ${totalDuration} != target ${target} (delta ${delta}).`,
+                `Summed durations of ${leaves.length} sections equal ${totalDuration} minutes.`,
+                `${delta < 0 ? 'Increase' : 'Decrease'} the section durations by ${Math.abs(delta)} minutes in total, keeping every section feasible at ${WORDS_PER_MINUTE} words per minute.`);
+            issue.section = null;
+            issues.push(issue);
+        }
+
+        const markdown = this.findMarkdown(text, false);
+        if (markdown) {
+            issues.push(this.createIssue('FORMAT', 'major', 'The outline contains markdown formatting.',
+                markdown, 'Remove headings, bold text and code fences; use the plain outline format.'));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Sum the durations of the outline's leaf sections
+     * @param {string} outlineText - Outline text
+     * @returns {number} - Minutes
+     */
+    getOutlineDuration(outlineText) {
+
+        const blocks = this.splitBlocks(String(outlineText || '').replace(/\r\n?/g, '\n'));
+        return this.getLeafHeadings(this.parseOutlineHeadings(blocks))
+            .reduce(function addDuration(total, heading) { return total + (heading.durationMinutes || 0); }, 0);
+    }
+
+    /**
+     * Check a script section
+     * @param {string} sectionText - Section dialogue
+     * @param {Array<Object>} speakers - Speakers from Speakers.getSpeakers()
+     * @param {number} wordTarget - Target word count (0 to skip the length check)
+     * @returns {Array<Object>} - Issues with section review categories (DURATION, FORMAT, SPEAKER_TURN, CONVERSATION)
+     */
+    lintScriptSection(sectionText, speakers, wordTarget) {
+
+        const text = String(sectionText || '').replace(/\r\n?/g, '\n');
+        const issues = [];
+        const hostLabel = speakers[0].label;
+        const guestLabel = speakers.length > 1 ? this.getLabels(speakers.slice(1)).join('/') : hostLabel;
+
+        // Length against the target at 160 words per minute
+        const wordCount = this.countWords(text, speakers);
+        if (wordTarget > 0 && Math.abs(wordCount - wordTarget) > WORD_TOLERANCE) {
+            const underTarget = wordCount < wordTarget;
+            const issue = this.createIssue('DURATION', 'critical',
+                `Word count ${wordCount} ${underTarget ? '<' : '>'} target ${wordTarget} (${underTarget ? 'short by' : 'over by'} ${Math.abs(wordTarget - wordCount)}).`,
+                `Overall script length across ${this.getLabels(speakers).join(' and ')} turns is ${underTarget ? 'under' : 'over'} target.`,
+                underTarget
+                    ? `Expand ${guestLabel} answers with concrete examples and add one brief ${hostLabel} follow-up to reach target words.`
+                    : `Tighten ${guestLabel} answers (remove redundancy) and keep ${hostLabel} follow-ups concise to reduce word count.`);
+            issue.actions = underTarget
+                ? [
+                    `Add 2–4 sentences of expert, document-grounded elaboration in a ${guestLabel} turn that explains the core point`,
+                    `Add a short ${hostLabel} follow-up question prompting one more concise ${guestLabel} explanation`
+                ]
+                : [
+                    `Remove redundant or repetitive sentences in a ${guestLabel} turn while preserving unique information`,
+                    `Merge or shorten a ${hostLabel} prompt to be more concise`,
+                    'Replace verbose phrasing with tighter wording without losing meaning'
+                ];
+            issue.notes = 'Aim to meet target duration with substance; prefer clarity over filler.';
+            issues.push(issue);
+        }
+
+        if (!/^\s*---\s*$/m.test(text)) {
+            issues.push(this.createIssue('FORMAT', 'critical', "The section has no '---' separators.",
+                this.firstLine(text), "Start every turn with a line containing only '---', followed by the speaker label."));
+        }
+
+        // Turns: every block after a separator starts with a known speaker label and has text
+        const labelPattern = new RegExp(`^(${this.speakers.getLabelPattern(speakers)})\\s*:\\s*([\\s\\S]*)$`);
+        const unlabeled = [];
+        const empty = [];
+        const repeated = [];
+        let previousLabel = null;
+        this.splitBlocks(text).forEach(function checkTurn(block) {
+            const match = block.trim().match(labelPattern);
+            if (!match) {
+                unlabeled.push(this.firstLine(block));
+                previousLabel = null;
+                return;
+            }
+            if (!match[2].trim()) {
+                empty.push(`${match[1]}:`);
+            }
+            if (speakers.length > 1 && match[1] === previousLabel) {
+                repeated.push(`${match[1]}: ${this.firstLine(match[2])}`);
+            }
+            previousLabel = match[1];
+        }, this);
+
+        if (unlabeled.length > 0) {
+            issues.push(this.createIssue('FORMAT', 'major', `${unlabeled.length} turn(s) do not start with a speaker label (${this.getLabels(speakers).join(':, ')}:).`,
+                unlabeled.slice(0, 3).join(' | '), "Begin every turn after '---' with one of the speaker labels, or remove the stray text."));
+        }
+        if (empty.length > 0) {
+            issues.push(this.createIssue('FORMAT', 'major', `${empty.length} turn(s) have a speaker label but no text.`,
+                empty.slice(0, 3).join(' | '), 'Remove the empty turns or give them a line of dialogue.'));
+        }
+        if (repeated.length > 0) {
+            issues.push(this.createIssue('SPEAKER_TURN', 'major', `A speaker talks twice in a row ${repeated.length} time(s).`,
+                repeated.slice(0, 3).join(' | '), 'Merge consecutive turns of the same speaker, or give the other speaker a reply in between.'));
+        }
+
+        const markdown = this.findMarkdown(text, true);
+        if (markdown) {
+            issues.push(this.createIssue('FORMAT', 'major', 'The section contains markdown or list formatting.',
+                markdown, 'Rewrite headings, bold text and bullet or numbered lists as spoken sentences.'));
+        }
+
+        const banned = this.findBannedWords(text);
+        if (banned.length > 0) {
+            issues.push(this.createIssue('CONVERSATION', 'minor', `Banned phrases used: ${banned.join(', ')}.`,
+                banned.join(', '), 'Replace the banned phrases with plain, specific wording.'));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Count the spoken words of a script: labels, separators and stage directions are not counted
+     * @param {string} text - Script text
+     * @param {Array<Object>} speakers - Speakers from Speakers.getSpeakers()
+     * @returns {number}
+     */
+    countWords(text, speakers) {
+
+        if (!text || typeof text !== 'string') {
+            return 0;
+        }
+        const spoken = text
+            .replace(/\r\n?/g, '\n')
+            .replace(/^---\s*$/gm, '')
+            .replace(new RegExp(`^(?:${this.speakers.getLabelPattern(speakers)})\\s*:\\s*`, 'gm'), '')
+            .replace(/\[[^\]]+\]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        // Word-like tokens (basic latin + common accented letters + digits)
+        const matches = spoken.match(/[A-Za-zÀ-ÖØ-öø-ÿ0-9]+(?:'[A-Za-zÀ-ÖØ-öø-ÿ0-9]+)?/g);
+        return matches ? matches.length : 0;
+    }
+
+    /**
+     * Check whether any issue fails the checks
+     * @param {Array<Object>} issues - Lint issues
+     * @returns {boolean} - True when a critical or major issue was found
+     */
+    hasFailures(issues) {
+
+        return issues.some(this.isFailing);
+    }
+
+    /**
+     * Check whether the model review should be skipped for these issues
+     * @param {Array<Object>} issues - Lint issues
+     * @returns {boolean}
+     */
+    shouldSkipReview(issues) {
+
+        return this.getSettings().skipReview && this.hasFailures(issues);
+    }
+
+    /**
+     * Summarize failed checks for the logs and notifications
+     * @param {Array<Object>} issues - Lint issues
+     * @returns {string}
+     */
+    describeFailures(issues) {
+
+        const failing = issues.filter(this.isFailing).map(function describeIssue(issue) { return `[${issue.category}] ${issue.description}`; });
+        return `Local checks failed (${failing.join(' ')}); model review skipped.`;
+    }
+
+    /**
+     * Check whether an issue fails the checks
+     * @param {Object} issue - Lint issue
+     * @returns {boolean} - True for critical and major issues
+     */
+    isFailing(issue) {
+
+        return FAILING_SEVERITIES.includes(issue.severity);
+    }
+
+    /**
+     * Add lint issues to a model review. Duration checks the model also reported are not repeated;
+     * a failing check makes the review invalid.
+     * @param {Object} resultJson - Validated review JSON (modified in place)
+     * @param {Array<Object>} issues - Lint issues
+     * @returns {Object} - The review
+     */
+    mergeIssues(resultJson, issues) {
+
+        const reported = resultJson.issues.map(function getCategory(issue) { return issue.category; });
+        const added = issues.filter(function isNew(issue) {
+            return !(['DURATION', 'TIMING'].includes(issue.category) && reported.includes(issue.category));
+        });
+        resultJson.issues = resultJson.issues.concat(added);
+        if (this.hasFailures(added)) {
+            resultJson.isValid = false;
+        }
+        return resultJson;
+    }
+
+    /**
+     * Split an outline or section at its '---' lines
+     * @param {string} text - Text with '\n' line breaks
+     * @returns {Array<string>} - Non-empty blocks
+     */
+    splitBlocks(text) {
+
+        return text.split(/^\s*---\s*$/m).filter(function hasText(block) { return block.trim(); });
+    }
+
+    /**
+     * Keep the headings without subsections; they are the sections a script is written for
+     * @param {Array<Object>} headings - Headings from parseOutlineHeadings()
+     * @returns {Array<Object>}
+     */
+    getLeafHeadings(headings) {
+
+        return headings.filter(function isLeaf(heading) {
+            return !headings.some(function isSubsection(other) { return other.number.startsWith(`${heading.number}.`); });
+        });
+    }
+
+    /**
+     * Speaker labels in cast order
+     * @param {Array<Object>} speakers - Speakers from Speakers.getSpeakers()
+     * @returns {Array<string>}
+     */
+    getLabels(speakers) {
+
+        return speakers.map(function getLabel(speaker) { return speaker.label; });
+    }
+
+    /**
+     * Find the numbered headings of outline blocks with their duration and text
+     * @param {Array<string>} blocks - Outline text split at '---' lines
+     * @returns {Array<Object>} - Headings as { number, title, durationMinutes, body }
+     */
+    parseOutlineHeadings(blocks) {
+
+        const headings = [];
+        blocks.forEach(function parseBlock(block) {
+            const headingRegex = /^\s*(\d+(?:\.\d+)*)\.\s+([^\n]+)/gm;
+            const matches = [];
+            let match;
+            while ((match = headingRegex.exec(block)) !== null) {
+                matches.push({ number: match[1], title: match[2].trim(), index: match.index });
+            }
+            matches.forEach(function addHeading(heading, index) {
+                const body = block.slice(heading.index, index + 1 < matches.length ? matches[index + 1].index : block.length);
+                const duration = body.match(/Duration:\s*(\d+(?:\.\d+)?)\s*(seconds?|secs?|s|minutes?|mins?|min|m)?/i);
+                let durationMinutes = null;
+                if (duration) {
+                    durationMinutes = /^s/i.test(duration[2] || '') ? parseFloat(duration[1]) / 60 : parseFloat(duration[1]);
+                }
+                headings.push({ number: heading.number, title: heading.title, durationMinutes: durationMinutes, body: body });
+            });
+        });
+        return headings;
+    }
+
+    /**
+     * Find leftover markdown
+     * @param {string} text - Outline or script text
+     * @param {boolean} includeLists - Also flag bullet and numbered lists (outlines use them for KEY FACTS)
+     * @returns {string} - The first offending lines, or '' when there are none
+     */
+    findMarkdown(text, includeLists) {
+
+        const patterns = [/^\s*#{1,6}\s+\S/, /\*\*[^*\n]+\*\*/, /^\s*```/];
+        if (includeLists) {
+            patterns.push(/^\s*(?:[-*•]|\d+[.)])\s+\S/);
+        }
+        const lines = text.split('\n').filter(function isMarkdown(line) {
+            return line.trim() !== '---' && patterns.some(function matches(pattern) { return pattern.test(line); });
+        });
+        return lines.slice(0, 3).map(function trimLine(line) { return line.trim(); }).join(' | ');
+    }
+
+    /**
+     * Find the banned phrases used in a text
+     * @param {string} text - Script text
+     * @returns {Array<string>} - Banned phrases found
+     */
+    findBannedWords(text) {
+
+        return this.getSettings().bannedWords.filter(function isUsed(word) {
+            const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^\\w])${escaped}(?=$|[^\\w])`, 'i').test(text);
+        });
+    }
+
+    /**
+     * Build an issue in the reviewers' format
+     * @param {string} category - Issue category
+     * @param {string} severity - 'critical', 'major' or 'minor'
+     * @param {string} description - What is wrong
+     * @param {string} evidence - Where it was found
+     * @param {string} fix - How to fix it
+     * @param {string} [section] - Outline section number, for outline issues
+     * @returns {Object} - Issue
+     */
+    createIssue(category, severity, description, evidence, fix, section) {
+
+        const issue = {
+            category: category,
+            severity: severity,
+            description: description,
+            evidence: evidence,
+            fix: fix,
+            actions: [],
+            notes: 'Found by the local pre-check.'
+        };
+        if (section !== undefined) {
+            issue.section = section;
+        }
+        return issue;
+    }
+
+    /**
+     * First non-empty line of a text, shortened for evidence
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    firstLine(text) {
+
+        const line = String(text || '').split('\n').find(function hasText(item) { return item.trim(); }) || '';
+        return line.trim().slice(0, 120);
+    }
+}
+
+export default ContentLinter;
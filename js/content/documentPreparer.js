@@ -0,0 +1,607 @@
+// Podcastinator App - Document Preparer
+import ModelCatalog from '../utils/modelCatalog.js';
+import SourceDocuments from '../document/sourceDocuments.js';
+import PromptLibrary from './promptLibrary.js';
+import TextRanker from '../utils/textRanker.js';
+
+// Rough token estimate used for context budgeting
+const CHARS_PER_TOKEN = 4;
+
+// Share of the smallest model context the source text may take in a prompt;
+// the rest is left for instructions, outline, previous sections and the answer
+const DOCUMENT_CONTEXT_SHARE = 0.5;
+
+// Chunk size as a share of the context, capped so digests stay detailed
+const CHUNK_CONTEXT_SHARE = 0.1;
+const MAX_CHUNK_TOKENS = 6000;
+
+// Most excerpts a single script section receives
+const SECTION_MAX_CHUNKS = 4;
+
+// Consecutive digests merged per call, and merge rounds before truncating
+const MERGE_GROUP_SIZE = 4;
+const MAX_MERGE_ROUNDS = 3;
+
+// Extractive digest length when a digest call fails
+const FALLBACK_DIGEST_WORDS = 200;
+
+// Expected digest sizes in tokens (the digest prompts allow 250 and 300 words)
+const DIGEST_TOKENS = 330;
+const MERGED_DIGEST_TOKENS = 400;
+
+// Outline labels and stock words that say nothing about which excerpt a section needs
+const OUTLINE_WORDS = 'guest host section duration minutes overview key facts explains discuss';
+
+/**
+ * Prepares source documents for prompts when they do not fit in the model context.
+ *
+ * When the formatted sources fit the budget, every prompt keeps receiving the full text.
+ * Otherwise each source is split into excerpts (S1.1, S1.2, ...), every excerpt is condensed
+ * into a digest (map), digests are merged until they fit (reduce), and:
+ * - the outline and cross-section review receive the digests
+ * - each script section receives only the excerpts most relevant to its outline section
+ * Digests are cached in storage ('documentDigest') keyed by the sources and digest model.
+ */
+class DocumentPreparer {
+    constructor(apiManager, storageManager) {
+        this.apiManager = apiManager;
+        this.storageManager = storageManager;
+        this.modelCatalog = new ModelCatalog();
+        this.sourceDocuments = new SourceDocuments();
+        this.promptLibrary = new PromptLibrary(storageManager);
+        this.extractiveDigests = 0; // digest requests that fell back to leading sentences in the current run
+    }
+
+    /**
+     * Get the source content for outline generation and verification
+     * @param {Object} data - Contents of the 'data' storage key
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Promise<string>} - Full sources, or their digests when they do not fit
+     */
+    async getOutlineContent(data, apiData) {
+
+        const plan = this.planDocument(data, apiData);
+        if (plan.mode === 'full') {
+            return plan.sourcesText;
+        }
+
+        return this.getDigestContent(plan, apiData);
+    }
+
+    /**
+     * Get the source content for the cross-section script review
+     * @param {Object} data - Contents of the 'data' storage key
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Promise<string>} - Full sources, or their digests when they do not fit
+     */
+    async getReviewContent(data, apiData) {
+
+        return this.getOutlineContent(data, apiData);
+    }
+
+    /**
+     * Get the source content for generating and verifying one script section
+     * @param {Object} data - Contents of the 'data' storage key
+     * @param {Object} apiData - API credentials and model data
+     * @param {Object} section - Section parsed from the outline (title, overview, content)
+     * @returns {Promise<string>} - Full sources, or the excerpts relevant to the section
+     */
+    async getSectionContent(data, apiData, section) {
+
+        const plan = this.planDocument(data, apiData);
+        if (plan.mode === 'full') {
+            return plan.sourcesText;
+        }
+
+        const selected = this.selectChunks(plan.chunks, section, plan.budgetTokens);
+        const documents = plan.documents
+            .map(function toExcerpts(doc) {
+                const excerpts = selected.filter(function isFromDocument(chunk) { return chunk.sourceId === doc.id; });
+                return {
+                    ...doc,
+                    content: excerpts.map(function formatExcerpt(chunk) { return `[Excerpt ${chunk.id}]\n${chunk.text}`; }).join('\n\n')
+                };
+            })
+            .filter(function hasExcerpts(doc) { return doc.content; });
+
+        return this.sourceDocuments.formatSources(documents);
+    }
+
+    /**
+     * Decide whether the sources fit in the prompt budget and chunk them if they do not
+     * @param {Object} data - Contents of the 'data' storage key
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Object} - { mode: 'full'|'chunked', sourcesText, documents, chunks, budgetTokens, chunkTokens }
+     */
+    planDocument(data, apiData) {
+
+        const documents = this.sourceDocuments.getDocuments(data);
+        const sourcesText = this.sourceDocuments.formatSources(documents);
+        const contextTokens = this.getContextTokens(apiData);
+
+        if (!Number.isFinite(contextTokens)) {
+            return { mode: 'full', sourcesText: sourcesText, documents: documents, chunks: [] };
+        }
+
+        const budgetTokens = Math.floor(contextTokens * DOCUMENT_CONTEXT_SHARE);
+        if (this.estimateTokens(sourcesText) <= budgetTokens) {
+            return { mode: 'full', sourcesText: sourcesText, documents: documents, chunks: [] };
+        }
+
+        const chunkTokens = Math.max(100, Math.min(MAX_CHUNK_TOKENS, Math.floor(contextTokens * CHUNK_CONTEXT_SHARE)));
+        const chunks = [];
+        const self = this;
+        documents.forEach(function chunkDocument(doc) {
+            const texts = self.splitText(doc.content, chunkTokens * CHARS_PER_TOKEN);
+            texts.forEach(function addChunk(text, index) {
+                chunks.push({
+                    id: `${doc.id}.${index + 1}`,
+                    sourceId: doc.id,
+                    sourceName: doc.name,
+                    index: index + 1,
+                    count: texts.length,
+                    position: chunks.length,
+                    text: text
+                });
+            });
+        });
+
+        return {
+            mode: 'chunked',
+            sourcesText: sourcesText,
+            documents: documents,
+            chunks: chunks,
+            budgetTokens: budgetTokens,
+            chunkTokens: chunkTokens
+        };
+    }
+
+    /**
+     * Estimate what a plan costs in prompt size and digest calls, without calling the API
+     * @param {Object} plan - Plan from planDocument()
+     * @returns {Object} - { sourceTokens, reviewTokens, sectionTokens, digestCalls, mergeCalls, chunkTokens }
+     *   reviewTokens: sources in the outline and cross-section review prompts; sectionTokens: in each section prompt
+     */
+    estimatePlan(plan) {
+
+        const sourceTokens = this.estimateTokens(plan.sourcesText);
+        if (plan.mode === 'full') {
+            return { sourceTokens: sourceTokens, reviewTokens: sourceTokens, sectionTokens: sourceTokens, digestCalls: 0, mergeCalls: 0, chunkTokens: 0 };
+        }
+
+        let entries = plan.chunks.length;
+        let digestTokens = entries * DIGEST_TOKENS;
+        let mergeCalls = 0;
+        let round = 0;
+        while (digestTokens > plan.budgetTokens && round < MAX_MERGE_ROUNDS && entries > 1) {
+            round++;
+            entries = Math.ceil(entries / MERGE_GROUP_SIZE);
+            mergeCalls += entries;
+            digestTokens = entries * MERGED_DIGEST_TOKENS;
+        }
+
+        return {
+            sourceTokens: sourceTokens,
+            reviewTokens: Math.min(digestTokens, plan.budgetTokens),
+            sectionTokens: Math.min(plan.budgetTokens, SECTION_MAX_CHUNKS * plan.chunkTokens),
+            digestCalls: plan.chunks.length,
+            mergeCalls: mergeCalls,
+            chunkTokens: plan.chunkTokens
+        };
+    }
+
+    /**
+     * Get the smallest known context window among the text models that receive the sources
+     * @param {Object} apiData - API credentials and model data
+     * @returns {number} - Context size in tokens (Infinity when no model lists one)
+     */
+    getContextTokens(apiData) {
+
+        const models = (apiData && apiData.models) || {};
+        const modelIds = [models.outline, models.outlineVerify, models.script, models.scriptVerify];
+        let smallest = Infinity;
+        for (const modelId of modelIds) {
+            const meta = modelId ? this.modelCatalog.getModel(modelId) : null;
+            const tokens = this.parseContext(meta ? meta.context : null);
+            if (tokens && tokens < smallest) {
+                smallest = tokens;
+            }
+        }
+        return smallest;
+    }
+
+    /**
+     * Parse a catalog context size ('200kt', '128kt', '4kt', 'N/A') into tokens
+     * @param {string|number} context - Context size from the model catalog
+     * @returns {number|null} - Tokens or null when unknown
+     */
+    parseContext(context) {
+
+        if (typeof context === 'number') {
+            return context > 0 ? context : null;
+        }
+        const match = String(context || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(k|m)?t?$/);
+        if (!match) {
+            return null;
+        }
+        const multiplier = match[2] === 'm' ? 1000000 : (match[2] === 'k' ? 1000 : 1);
+        return Math.round(parseFloat(match[1]) * multiplier);
+    }
+
+    /**
+     * Estimate the token count of a text
+     * @param {string} text - Text to measure
+     * @returns {number}
+     */
+    estimateTokens(text) {
+
+        return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Split text into chunks of at most maxChars, breaking at paragraphs, then sentences, then words
+     * @param {string} text - Text to split
+     * @param {number} maxChars - Maximum chunk length
+     * @returns {Array<string>}
+     */
+    splitText(text, maxChars) {
+
+        const pieces = [];
+        const paragraphs = String(text || '').split(/\n\s*\n/).map(function trimParagraph(paragraph) { return paragraph.trim(); }).filter(Boolean);
+        for (const paragraph of paragraphs) {
+            if (paragraph.length <= maxChars) {
+                pieces.push(paragraph);
+                continue;
+            }
+            for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+                if (sentence.length <= maxChars) {
+                    pieces.push(sentence);
+                    continue;
+                }
+                // A single oversized sentence (tables, extraction artifacts): cut at word boundaries
+                let rest = sentence;
+                while (rest.length > maxChars) {
+                    const cut = rest.lastIndexOf(' ', maxChars);
+                    const end = cut > maxChars / 2 ? cut : maxChars;
+                    pieces.push(rest.slice(0, end).trim());
+                    rest = rest.slice(end).trim();
+                }
+                if (rest) {
+                    pieces.push(rest);
+                }
+            }
+        }
+
+        // Pack pieces back together up to the chunk size; paragraphs keep their blank line
+        const chunks = [];
+        let current = '';
+        for (const piece of pieces) {
+            const separator = current ? '\n\n' : '';
+            if (current && current.length + separator.length + piece.length > maxChars) {
+                chunks.push(current);
+                current = piece;
+            } else {
+                current += separator + piece;
+            }
+        }
+        if (current) {
+            chunks.push(current);
+        }
+        return chunks;
+    }
+
+    /**
+     * Get the digest of all sources, building it (or reusing the cached one) as needed
+     * @param {Object} plan - Chunked plan from planDocument()
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Promise<string>} - Formatted sources containing digests
+     */
+    async getDigestContent(plan, apiData) {
+
+        const signature = this.computeSignature(`${apiData.models.outline}|${plan.chunkTokens}|${plan.budgetTokens}|${plan.sourcesText}`);
+        const cached = this.storageManager.load('documentDigest', null);
+        if (cached && cached.signature === signature && cached.content) {
+            return cached.content;
+        }
+
+        const reusable = (cached && cached.digests && cached.model === apiData.models.outline && cached.chunkTokens === plan.chunkTokens)
+            ? cached.digests
+            : {};
+        const digests = {};
+        const notifications = this.apiManager.notifications;
+        const notificationId = Date.now();
+        this.extractiveDigests = 0;
+
+        // Map: one digest per excerpt; extractive fallbacks are not reused, so the next run retries them
+        for (let i = 0; i < plan.chunks.length; i++) {
+            const chunk = plan.chunks[i];
+            const key = this.computeSignature(chunk.text);
+            if (reusable[chunk.id] && reusable[chunk.id].key === key && !reusable[chunk.id].extractive) {
+                digests[chunk.id] = reusable[chunk.id];
+                continue;
+            }
+            notifications.showInfo(`Source is larger than the model context: digesting excerpt ${i + 1}/${plan.chunks.length}...`, notificationId);
+            const fallbacksBefore = this.extractiveDigests;
+            const text = await this.digestChunk(chunk, apiData);
+            digests[chunk.id] = { key: key, text: text, extractive: this.extractiveDigests > fallbacksBefore };
+        }
+        notifications.clearNotification(notificationId);
+
+        // Reduce: merge consecutive digests of each source until everything fits
+        let groups = plan.documents.map(function toGroup(doc) {
+            return {
+                doc: doc,
+                entries: plan.chunks
+                    .filter(function isFromDocument(chunk) { return chunk.sourceId === doc.id; })
+                    .map(function toEntry(chunk) { return { label: chunk.id, text: digests[chunk.id].text }; })
+            };
+        });
+        let content = this.formatDigests(groups);
+        let round = 0;
+        while (this.estimateTokens(content) > plan.budgetTokens && round < MAX_MERGE_ROUNDS) {
+            round++;
+            notifications.showInfo(`Digest still too large: merging (round ${round}/${MAX_MERGE_ROUNDS})...`, notificationId);
+            const merged = [];
+            for (const group of groups) {
+                merged.push({ doc: group.doc, entries: await this.mergeEntries(group.doc, group.entries, apiData) });
+            }
+            groups = merged;
+            content = this.formatDigests(groups);
+            notifications.clearNotification(notificationId);
+        }
+
+        // Last resort: trim every source's digest in proportion to its length
+        if (this.estimateTokens(content) > plan.budgetTokens) {
+            console.warn('Document digest still exceeds the context budget after merging; truncating.');
+            content = this.formatDigests(groups, 0.95 * plan.budgetTokens / this.estimateTokens(content));
+        }
+
+        // The outline is built from these digests: say so when some are only the leading sentences of an excerpt
+        if (this.extractiveDigests > 0) {
+            notifications.showError(`${this.extractiveDigests} source digest request(s) failed; the leading sentences of those excerpts were used instead, so the outline may miss facts from them.`);
+        }
+
+        this.storageManager.save('documentDigest', {
+            // A digest with extractive fallbacks is rebuilt next time rather than reused as it is
+            signature: this.extractiveDigests > 0 ? null : signature,
+            model: apiData.models.outline,
+            chunkTokens: plan.chunkTokens,
+            digests: digests,
+            content: content
+        });
+        return content;
+    }
+
+    /**
+     * Condense one excerpt with the outline model, falling back to an extractive digest
+     * @param {Object} chunk - Chunk from planDocument()
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Promise<string>} - Digest text
+     */
+    async digestChunk(chunk, apiData) {
+
+        const messages = [
+            { role: 'system', content: this.promptLibrary.build('chunkDigestSystem') },
+            { role: 'user', content: this.promptLibrary.build('chunkDigestUser', chunk.sourceName, `excerpt ${chunk.id}`, chunk.index, chunk.count, chunk.text) }
+        ];
+        return this.requestDigest(messages, apiData, chunk.text);
+    }
+
+    /**
+     * Merge consecutive digest entries of one source in groups
+     * @param {Object} doc - Source document
+     * @param {Array<Object>} entries - Digest entries ({ label, text })
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Promise<Array<Object>>} - Merged entries
+     */
+    async mergeEntries(doc, entries, apiData) {
+
+        if (entries.length <= 1) {
+            return entries;
+        }
+
+        const merged = [];
+        for (let i = 0; i < entries.length; i += MERGE_GROUP_SIZE) {
+            const group = entries.slice(i, i + MERGE_GROUP_SIZE);
+            if (group.length === 1) {
+                merged.push(group[0]);
+                continue;
+            }
+            const first = group[0].label.split('-')[0];
+            const last = group[group.length - 1].label.split('-').pop();
+            const label = `${first}-${last}`;
+            const digestsText = group.map(this.formatEntry).join('\n\n');
+            const messages = [
+                { role: 'system', content: this.promptLibrary.build('digestMergeSystem') },
+                { role: 'user', content: this.promptLibrary.build('digestMergeUser', doc.name, `excerpts ${label}`, digestsText) }
+            ];
+            merged.push({ label: label, text: await this.requestDigest(messages, apiData, digestsText, 'digest merge') });
+        }
+        return merged;
+    }
+
+    /**
+     * Call the outline model for a digest and track usage
+     * @param {Array<Object>} messages - Chat messages
+     * @param {Object} apiData - API credentials and model data
+     * @param {string} fallbackText - Text to condense extractively if the call fails
+     * @param {string} [stage] - Stage recorded in the usage ledger
+     * @returns {Promise<string>} - Digest text
+     */
+    async requestDigest(messages, apiData, fallbackText, stage = 'digest') {
+
+        const requestBody = this.apiManager.createRequestBody(
+            apiData.models.outline,
+            messages,
+            { temperature: 0.2 }
+        );
+
+        let responseData;
+        try {
+            responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey, stage, { signal: apiData.signal });
+        } catch (error) {
+            // A cancelled generation must not leave extractive fallbacks in the cached digest
+            if (error.status === 'ABORTED') {
+                throw error;
+            }
+            console.error('Document digest failed, using an extractive digest:', error);
+            this.extractiveDigests++;
+            return this.buildExtractiveDigest(fallbackText);
+        }
+
+        const digest = responseData.choices[0]?.message?.content?.trim() || '';
+        if (!digest) {
+            this.extractiveDigests++;
+            return this.buildExtractiveDigest(fallbackText);
+        }
+        return digest;
+    }
+
+    /**
+     * Build a digest from the leading sentences of a text
+     * @param {string} text - Text to condense
+     * @returns {string}
+     */
+    buildExtractiveDigest(text) {
+
+        const sentences = String(text || '').replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/);
+        const kept = [];
+        let words = 0;
+        for (const sentence of sentences) {
+            const count = sentence.split(' ').filter(Boolean).length;
+            if (kept.length > 0 && words + count > FALLBACK_DIGEST_WORDS) {
+                break;
+            }
+            kept.push(sentence.trim());
+            words += count;
+        }
+        return `KEY FACTS:\n${kept.filter(Boolean).map(function formatFact(sentence) { return `- ${sentence}`; }).join('\n')}`;
+    }
+
+    /**
+     * Format digest entries as delimited sources
+     * @param {Array<Object>} groups - Per-source digest entries ({ doc, entries })
+     * @param {number} ratio - Share of each digest to keep (1 keeps everything)
+     * @returns {string}
+     */
+    formatDigests(groups, ratio = 1) {
+
+        const self = this;
+        const documents = groups.map(function toDocument(group) {
+            let content = group.entries.map(self.formatEntry).join('\n\n');
+            if (ratio < 1) {
+                content = `${content.slice(0, Math.floor(content.length * ratio))}\n[... digest truncated to fit the model context ...]`;
+            }
+            return { ...group.doc, content: `(Digest of a long source: each excerpt is condensed.)\n\n${content}` };
+        });
+        return this.sourceDocuments.formatSources(documents);
+    }
+
+    /**
+     * Format a digest entry with its excerpt label
+     * @param {Object} entry - Digest entry ({ label, text })
+     * @returns {string}
+     */
+    formatEntry(entry) {
+
+        return `[Excerpt ${entry.label}]\n${entry.text}`;
+    }
+
+    /**
+     * Pick the excerpts most relevant to an outline section, in document order
+     * @param {Array<Object>} chunks - Chunks from planDocument()
+     * @param {Object} section - Outline section (title, overview, content)
+     * @param {number} budgetTokens - Token budget for the excerpts
+     * @returns {Array<Object>} - Selected chunks
+     */
+    selectChunks(chunks, section, budgetTokens) {
+
+        const sectionText = [section.title, section.overview, section.content].filter(Boolean).join('\n');
+        const scores = this.scoreChunks(chunks, sectionText);
+        const ranked = chunks
+            .map(function toEntry(chunk, index) { return { chunk: chunk, score: scores[index] }; })
+            .filter(function isRelevant(entry) { return entry.score > 0; })
+            .sort(function byScore(a, b) { return b.score - a.score || a.chunk.position - b.chunk.position; });
+
+        // Sections with nothing to match (e.g. a short intro) get the opening excerpt of each source
+        if (ranked.length === 0) {
+            const seen = new Set();
+            chunks.forEach(function addOpening(chunk) {
+                if (!seen.has(chunk.sourceId)) {
+                    seen.add(chunk.sourceId);
+                    ranked.push({ chunk: chunk, score: 0 });
+                }
+            });
+        }
+
+        const selected = [];
+        let usedTokens = 0;
+        for (const entry of ranked) {
+            if (selected.length >= SECTION_MAX_CHUNKS) {
+                break;
+            }
+            const tokens = this.estimateTokens(entry.chunk.text);
+            if (selected.length > 0 && usedTokens + tokens > budgetTokens) {
+                continue;
+            }
+            selected.push(entry.chunk);
+            usedTokens += tokens;
+        }
+        return selected.sort(function byPosition(a, b) { return a.position - b.position; });
+    }
+
+    /**
+     * Score chunks against a query with BM25 (TextRanker), boosted by the source tags the query cites
+     * @param {Array<Object>} chunks - Chunks from planDocument()
+     * @param {string} query - Section text
+     * @returns {Array<number>} - Score per chunk
+     */
+    scoreChunks(chunks, query) {
+
+        const ranker = new TextRanker(chunks.map(function getText(chunk) { return chunk.text; }));
+        const outlineWords = new Set(ranker.tokenize(OUTLINE_WORDS));
+        // Source tags are matched below, not as terms
+        const terms = ranker.tokenize(query.replace(/\[S\d+(?:\.\d+)?\]/g, ' '));
+        const scores = ranker.score(terms.filter(function isTopicWord(term) { return !outlineWords.has(term); }));
+
+        // Outline KEY FACTS cite sources ([S2]) and sometimes excerpts ([S2.3])
+        const citedSources = new Set();
+        const citedChunks = new Set();
+        const tagRegex = /\[(S\d+)(?:\.(\d+))?\]/g;
+        let match;
+        while ((match = tagRegex.exec(query)) !== null) {
+            citedSources.add(match[1]);
+            if (match[2]) {
+                citedChunks.add(`${match[1]}.${match[2]}`);
+            }
+        }
+        const maxScore = Math.max(0, ...scores);
+        return scores.map(function applyCitations(score, index) {
+            const chunk = chunks[index];
+            if (citedChunks.has(chunk.id)) {
+                return score + Math.max(maxScore, 1);
+            }
+            if (score > 0 && citedSources.has(chunk.sourceId)) {
+                return score + maxScore * 0.25;
+            }
+            return score;
+        });
+    }
+
+    /**
+     * Compute a short FNV-1a hash of a text
+     * @param {string} text - Text to hash
+     * @returns {string} - Hex digest
+     */
+    computeSignature(text) {
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${(hash >>> 0).toString(16)}-${text.length}`;
+    }
+}
+
+export default DocumentPreparer;
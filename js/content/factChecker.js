@@ -0,0 +1,308 @@
+// Podcastinator App - Fact Checker
+import Speakers from '../characters/speakers.js';
+import SourceDocuments from '../document/sourceDocuments.js';
+import TextRanker from '../utils/textRanker.js';
+
+// Sentences per source passage; passages overlap so a fact told over two sentences is still found
+const PASSAGE_SENTENCES = 2;
+
+// Best-ranked passages a claim is compared with
+const CANDIDATE_PASSAGES = 3;
+
+// Share of a claim's content words a passage must contain to support it
+const MIN_COVERAGE = 0.5;
+
+// Unsupported claims reported as issues per section (claims with figures first); all stay in the citations
+const MAX_ISSUES = 5;
+
+// Words that mark a sentence as a factual statement even without figures or names
+const CLAIM_CUES = [
+    'percent', 'per cent', 'study', 'studies', 'research', 'survey', 'report', 'according to',
+    'found', 'million', 'billion', 'thousand', 'average', 'measured', 'record', 'data'
+];
+
+// Openings of opinions and small talk, which are not checked
+const OPINION_PATTERN = /^(i think|i feel|i believe|i guess|i'd say|in my (opinion|view)|welcome|thanks|thank you)\b/i;
+
+/**
+ * Checks the factual claims of a script section against the source documents without a model:
+ * sentences with figures, names or factual wording are taken as claims and matched to passages of
+ * the sources with BM25 ranking (TextRanker, shared with the excerpt selection of DocumentPreparer). Each claim is recorded with its supporting source span (or none);
+ * unsupported claims become FACTS issues in the reviewers' format for the improver, and the
+ * supported ones can be exported as show-notes citations.
+ */
+class FactChecker {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.speakers = new Speakers();
+        this.sourceDocuments = new SourceDocuments();
+        this.index = null;
+    }
+
+    /**
+     * Check the claims of a script section
+     * @param {string} sectionText - Section text with '---' separators and speaker labels
+     * @param {Array<Object>} speakers - Speakers from Speakers.getSpeakers()
+     * @returns {Object} - { citations: [{ speaker, claim, supported, coverage, missingNumbers, source }], issues }
+     */
+    checkSection(sectionText, speakers) {
+
+        const index = this.getIndex();
+        if (index.passages.length === 0) {
+            return { citations: [], issues: [] };
+        }
+
+        const citations = this.extractClaims(sectionText, speakers).map(function checkClaim(claim) {
+            return this.checkClaim(claim, index);
+        }, this);
+
+        const unsupported = citations
+            .filter(function isUnsupported(citation) { return !citation.supported; })
+            .sort(function byMissingNumbers(a, b) { return b.missingNumbers.length - a.missingNumbers.length; });
+        const issues = unsupported.slice(0, MAX_ISSUES).map(this.createIssue, this);
+
+        return { citations: citations, issues: issues };
+    }
+
+    /**
+     * Find the factual claims of a script section
+     * @param {string} sectionText - Section text
+     * @param {Array<Object>} speakers - Speakers from Speakers.getSpeakers()
+     * @returns {Array<Object>} - Claims as { speaker, text }
+     */
+    extractClaims(sectionText, speakers) {
+
+        const text = String(sectionText || '').replace(/\r\n?/g, '\n');
+        const labelPattern = new RegExp(`^(${this.speakers.getLabelPattern(speakers)})\\s*:\\s*([\\s\\S]*)$`);
+
+        // Character names are capitalized too but are no claim
+        const names = new Set();
+        speakers.forEach(function addName(speaker) {
+            const name = speaker.character && speaker.character.name;
+            String(name || '').toLowerCase().split(/\s+/).filter(Boolean).forEach(function addWord(word) { names.add(word); });
+        });
+
+        const claims = [];
+        text.split(/^\s*---\s*$/m).forEach(function readTurn(block) {
+            const match = block.trim().match(labelPattern);
+            if (!match) {
+                return;
+            }
+            const spoken = match[2].replace(/\[[^\]]+\]/g, ' ');
+            this.splitSentences(spoken).forEach(function readSentence(sentence) {
+                if (this.isClaim(sentence.text, names)) {
+                    claims.push({ speaker: match[1], text: sentence.text });
+                }
+            }, this);
+        }, this);
+        return claims;
+    }
+
+    /**
+     * Decide whether a sentence states a checkable fact
+     * @param {string} sentence - Sentence
+     * @param {Set<string>} names - Lower-case words of the character names
+     * @returns {boolean}
+     */
+    isClaim(sentence, names) {
+
+        const words = sentence.match(/[A-Za-zÀ-ÖØ-öø-ÿ0-9']+/g) || [];
+        if (sentence.endsWith('?') || words.length < 6 || OPINION_PATTERN.test(sentence)) {
+            return false;
+        }
+        if (/\d/.test(sentence)) {
+            return true;
+        }
+        const hasName = words.slice(1).some(function isName(word) {
+            return /^[A-ZÀ-Ö]/.test(word) && !/^I('|$)/.test(word) && !names.has(word.toLowerCase());
+        });
+        const lower = sentence.toLowerCase();
+        return hasName || CLAIM_CUES.some(function isUsed(cue) { return new RegExp(`\\b${cue}\\b`).test(lower); });
+    }
+
+    /**
+     * Match a claim to the source passages
+     * @param {Object} claim - { speaker, text }
+     * @param {Object} index - Index from getIndex()
+     * @returns {Object} - { speaker, claim, supported, coverage, missingNumbers, source: { id, name, start, end, text } | null }
+     */
+    checkClaim(claim, index) {
+
+        const ranker = index.ranker;
+        const terms = Array.from(new Set(ranker.tokenize(claim.text)));
+        const numbers = terms.filter(this.isNumber);
+        const candidates = ranker.rank(terms).slice(0, CANDIDATE_PASSAGES).map(function measure(position) {
+            return {
+                passage: index.passages[position],
+                coverage: terms.length > 0 ? terms.filter(function isInPassage(term) { return ranker.hasTerm(position, term); }).length / terms.length : 0,
+                missingNumbers: numbers.filter(function isMissing(number) { return !ranker.hasTerm(position, number); })
+            };
+        });
+
+        // The best-ranked passage that supports the claim, else the best-ranked one
+        const best = candidates.find(function supportsClaim(candidate) { return candidate.coverage >= MIN_COVERAGE && candidate.missingNumbers.length === 0; }) ||
+            candidates[0] || { passage: null, coverage: 0, missingNumbers: numbers };
+        const supported = best.coverage >= MIN_COVERAGE && best.missingNumbers.length === 0;
+
+        // Cite the single sentence of the passage when it supports the claim on its own
+        let span = best.passage;
+        if (supported) {
+            span = best.passage.sentences.find(function supportsClaim(sentence) {
+                const sentenceTerms = new Set(ranker.tokenize(sentence.text));
+                const found = terms.filter(function isInSentence(term) { return sentenceTerms.has(term); });
+                return found.length / terms.length >= MIN_COVERAGE && numbers.every(function isInSentence(number) { return sentenceTerms.has(number); });
+            }) || best.passage;
+        }
+
+        return {
+            speaker: claim.speaker,
+            claim: claim.text,
+            supported: supported,
+            coverage: Math.round(best.coverage * 100) / 100,
+            missingNumbers: best.missingNumbers,
+            source: span ? {
+                id: best.passage.id,
+                name: best.passage.name,
+                start: span.start,
+                end: span.end,
+                text: span.text
+            } : null
+        };
+    }
+
+    /**
+     * Check whether a term is a figure
+     * @param {string} term - Term from TextRanker.tokenize()
+     * @returns {boolean}
+     */
+    isNumber(term) {
+
+        return /^\d/.test(term);
+    }
+
+    /**
+     * Passage index of the stored source documents, rebuilt when the sources change
+     * @returns {Object} - { passages: [{ id, name, start, end, text, sentences }], ranker } with the passages ranked by position
+     */
+    getIndex() {
+
+        const documents = this.sourceDocuments.getDocuments(this.storageManager.load('data', {}) || {});
+        const signature = documents.map(function describeDocument(doc) { return `${doc.name}\u0000${doc.content}`; }).join('\u0001');
+        if (this.index && this.index.signature === signature) {
+            return this.index;
+        }
+
+        const passages = [];
+        documents.forEach(function indexDocument(doc) {
+            const sentences = this.splitSentences(doc.content);
+            for (let i = 0; i < Math.max(1, sentences.length - PASSAGE_SENTENCES + 1); i++) {
+                const group = sentences.slice(i, i + PASSAGE_SENTENCES);
+                if (group.length === 0) {
+                    break;
+                }
+                const start = group[0].start;
+                const end = group[group.length - 1].end;
+                passages.push({ id: doc.id, name: doc.name, start: start, end: end, text: doc.content.slice(start, end), sentences: group });
+            }
+        }, this);
+
+        this.index = {
+            signature: signature,
+            passages: passages,
+            ranker: new TextRanker(passages.map(function getText(passage) { return passage.text; }))
+        };
+        return this.index;
+    }
+
+    /**
+     * Split text into sentences with their character offsets
+     * @param {string} text - Text
+     * @returns {Array<Object>} - Sentences as { text, start, end }
+     */
+    splitSentences(text) {
+
+        const sentences = [];
+        // A period followed by a non-space (3.5, e.g.) does not end the sentence
+        const pattern = /[^.!?\n]+(?:[.!?](?=\S)[^.!?\n]*)*[.!?]*/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const leading = match[0].length - match[0].trimStart().length;
+            const sentence = match[0].trim();
+            if (sentence) {
+                const start = match.index + leading;
+                sentences.push({ text: sentence, start: start, end: start + sentence.length });
+            }
+        }
+        return sentences;
+    }
+
+    /**
+     * Build the FACTS issue of an unsupported claim
+     * @param {Object} citation - Claim from checkClaim()
+     * @returns {Object} - Issue in the section reviewers' format
+     */
+    createIssue(citation) {
+
+        const closest = citation.source ? ` The closest source passage is [${citation.source.id}]: "${this.shorten(citation.source.text)}"` : '';
+        const withFigures = citation.missingNumbers.length > 0;
+        return {
+            category: 'FACTS',
+            severity: withFigures ? 'major' : 'minor',
+            description: withFigures
+                ? `The figure(s) ${citation.missingNumbers.join(', ')} are not in the source documents.`
+                : 'Claim not found in the source documents.',
+            evidence: `${citation.speaker}: ${citation.claim}`,
+            fix: withFigures
+                ? `Use the figure the sources give, or drop the number.${closest}`
+                : `Ground the claim in the sources, or say it as an opinion or a question.${closest}`,
+            actions: [],
+            notes: 'Found by the local fact check against the source documents.'
+        };
+    }
+
+    /**
+     * Format the citations of a script as show notes
+     * @param {Array<Object>} sections - Sections as { number, title, citations }
+     * @param {string} format - 'md' for the supported claims with their sources, 'json' for every claim
+     * @returns {string} - Show notes ('' when no claim is cited)
+     */
+    formatShowNotes(sections, format = 'md') {
+
+        if (format === 'json') {
+            return JSON.stringify({ version: 1, sections: sections }, null, 2);
+        }
+
+        const lines = [];
+        sections.forEach(function addSection(section) {
+            // A claim repeated in the dialogue is cited once
+            const cited = (section.citations || []).filter(function isCited(citation, index, citations) {
+                return citation.supported && citation.source && citations.findIndex(function isSameClaim(other) { return other.claim === citation.claim; }) === index;
+            });
+            if (cited.length === 0) {
+                return;
+            }
+            lines.push(`## ${section.number}. ${section.title}`, '');
+            cited.forEach(function addCitation(citation) {
+                lines.push(`- ${citation.claim}`);
+                lines.push(`  > "${this.shorten(citation.source.text, 300)}" (${citation.source.name}, characters ${citation.source.start}-${citation.source.end})`);
+            }, this);
+            lines.push('');
+        }, this);
+
+        return lines.length > 0 ? ['# Sources', ''].concat(lines).join('\n') : '';
+    }
+
+    /**
+     * Collapse whitespace and shorten a quote
+     * @param {string} text - Text
+     * @param {number} [length] - Maximum length
+     * @returns {string}
+     */
+    shorten(text, length = 160) {
+
+        const line = String(text || '').replace(/\s+/g, ' ').trim();
+        return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+    }
+}
+
+export default FactChecker;
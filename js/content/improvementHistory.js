@@ -33,14 +33,37 @@ class ImprovementHistory {
     generateIssueSignature(issue) {
     
         // Create a signature based on issue type, priority, and a portion of the description
-        // This helps identify similar issues across iterations
-        const descriptionSummary = issue.description ? 
-            issue.description.substring(0, 50).replace(/\s+/g, ' ').trim() : '';
+        // This helps identify similar issues across iterations; numbers are masked so that
+        // e.g. a word count issue is recognized while the count changes between attempts
+        const normalize = function normalizeText(text, length) {
+            return String(text).toLowerCase().replace(/\d+(?:\.\d+)?/g, '#').replace(/\s+/g, ' ').trim().substring(0, length);
+        };
+        
+        const descriptionSummary = issue.description ? normalize(issue.description, 50) : '';
         
-        const locationSummary = issue.location ? 
-            issue.location.substring(0, 30).replace(/\s+/g, ' ').trim() : '';
+        const locationSummary = issue.location ? normalize(issue.location, 30) : '';
         
-        return `${issue.type || 'unknown'}-${issue.priority || 'unknown'}-${descriptionSummary}-${locationSummary}`;
+        return `${this.getIssueType(issue)}-${this.getIssuePriority(issue)}-${descriptionSummary}-${locationSummary}`;
+    }
+    
+    /**
+     * Get the type of an issue (verifiers report it as category)
+     * @param {Object} issue - The issue object
+     * @returns {string}
+     */
+    getIssueType(issue) {
+    
+        return issue.type || issue.category || 'unknown';
+    }
+    
+    /**
+     * Get the priority of an issue (verifiers report it as severity)
+     * @param {Object} issue - The issue object
+     * @returns {string}
+     */
+    getIssuePriority(issue) {
+    
+        return issue.priority || issue.severity || 'unknown';
     }
     
     /**
@@ -75,6 +98,26 @@ class ImprovementHistory {
         return attempt;
     }
     
+    /**
+     * Record a verification round, taking the issues from the verifier's result
+     * @param {Object} verificationResult - Verifier result with issues (or rawJson.issues)
+     * @param {string} verifiedText - The text that was verified
+     * @param {string} sectionId - Identifier for the section being improved
+     * @returns {Object} - The recorded attempt
+     */
+    addVerificationResult(verificationResult, verifiedText, sectionId) {
+    
+        const result = verificationResult || {};
+        let issues = Array.isArray(result.issues) ? result.issues : [];
+        if (issues.length === 0 && result.rawJson && Array.isArray(result.rawJson.issues)) {
+            issues = result.rawJson.issues;
+        }
+        
+        // Priority tiers present in this round, most severe first as reported
+        const priorityTiers = [...new Set(issues.map(function toPriority(issue) { return this.getIssuePriority(issue); }, this))];
+        return this.addAttempt(issues, verifiedText, sectionId, priorityTiers);
+    }
+    
     /**
      * Update the tracking of persistent issues
      * @param {Array} issues - The current set of issues
@@ -191,6 +234,25 @@ class ImprovementHistory {
         });
     }
     
+    /**
+     * Describe the persistent issues for the user
+     * @param {number} limit - Maximum number of issues to list
+     * @returns {string} - Short description, or an empty string if no issue persisted
+     */
+    describePersistentIssues(limit = 3) {
+    
+        // Only issues still present in the latest attempt are unresolved
+        const attemptCount = this.attempts.length;
+        const persistent = this.getPersistentIssues(2).filter(function isUnresolved(item) { return item.lastSeen === attemptCount; });
+        if (persistent.length === 0) {
+            return '';
+        }
+        
+        const listed = persistent.slice(0, limit).map(function describeIssue(item) { return `[${this.getIssueType(item.issue)}] ${item.issue.description}`; }, this);
+        const more = persistent.length > limit ? ` (+${persistent.length - limit} more)` : '';
+        return `${persistent.length} issue(s) persisted across ${this.attempts.length} attempts: ${listed.join('; ')}${more}`;
+    }
+    
     /**
      * Determine whether improvement attempts should continue
      * @param {number} maxAttempts - Maximum number of improvement attempts
@@ -205,14 +267,13 @@ class ImprovementHistory {
             return false;
         }
         
-        // Continue if no attempts yet
-        if (this.attempts.length < 1) {
+        // Continue until there is a rate to judge (metrics are recorded from the second attempt on)
+        if (this.attempts.length < 2 || this.metrics.improvementRates.length === 0) {
             return true;
         }
         
         // Check last improvement rate
-        const lastAttemptMetrics = this.calculateImprovementMetrics();
-        const improvementRate = lastAttemptMetrics.improvementRate;
+        const improvementRate = this.metrics.improvementRates[this.metrics.improvementRates.length - 1];
         
         // If improvement rate is below threshold, consider stopping
         if (improvementRate < minImprovementRate) {
@@ -243,8 +304,12 @@ class ImprovementHistory {
         if (persistentIssues.length > 0) {
             historySummary += `Persistent issues that haven't been fully resolved:\n`;
             persistentIssues.slice(0, 5).forEach((item, index) => {
-                historySummary += `${index + 1}. ${item.issue.type} (${item.issue.priority}): ${item.issue.description} (appeared ${item.count} times)\n`;
+                historySummary += `${index + 1}. ${this.getIssueType(item.issue)} (${this.getIssuePriority(item.issue)}): ${item.issue.description} (appeared ${item.count} times)\n`;
+                if (item.issue.fix) {
+                    historySummary += `   Fix already requested without success: ${item.issue.fix}\n`;
+                }
             });
+            historySummary += 'Try a different, more substantial approach for these issues than the fixes already requested.\n';
             historySummary += '\n';
         }
         
@@ -259,7 +324,7 @@ class ImprovementHistory {
             if (attempt.issues.length > 0) {
                 historySummary += `- Example issues:\n`;
                 attempt.issues.slice(0, 2).forEach(issue => {
-                    historySummary += `  * ${issue.type} (${issue.priority}): ${issue.description}\n`;
+                    historySummary += `  * ${this.getIssueType(issue)} (${this.getIssuePriority(issue)}): ${issue.description}\n`;
                 });
             }
             
@@ -0,0 +1,387 @@
+// Podcastinator App - Outline Format
+
+/**
+ * Converts between the two outline forms. The JSON form is canonical:
+ * { sections: [{ number, title, durationMinutes, overview, keyFacts, uniqueFocus, carryover }] }.
+ * The text form is what the outline textarea shows and what script generation parses:
+ *
+ *   ---
+ *   1. Introduction
+ *   Duration: 2 minutes
+ *   Overview: One sentence.
+ *   KEY FACTS:
+ *   - A fact from the sources [S1]
+ *   UNIQUE FOCUS: What sets the section apart
+ *   CARRYOVER: What it builds on
+ */
+class OutlineFormat {
+
+    /**
+     * Get the response_format for requesting a JSON outline as structured output
+     * @returns {Object} - Chat completions response_format
+     */
+    getResponseFormat() {
+
+        return {
+            type: 'json_schema',
+            json_schema: {
+                name: 'podcast_outline',
+                strict: true,
+                schema: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['sections'],
+                    properties: {
+                        sections: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                additionalProperties: false,
+                                required: ['number', 'title', 'durationMinutes', 'overview', 'keyFacts', 'uniqueFocus', 'carryover'],
+                                properties: {
+                                    number: { type: 'string', description: 'Section number, e.g. "1" or "3.1"' },
+                                    title: { type: 'string' },
+                                    durationMinutes: { type: 'number' },
+                                    overview: { type: 'string', description: 'One concise sentence' },
+                                    keyFacts: { type: 'array', items: { type: 'string' }, description: 'Facts from the sources, each ending with its source tag, e.g. [S1]' },
+                                    uniqueFocus: { type: 'string', description: 'What makes this section distinct from the others' },
+                                    carryover: { type: 'string', description: 'What this section builds on from earlier sections; empty for the first' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Check whether text looks like a JSON outline rather than the text form
+     * @param {string} text - Outline in either form
+     * @returns {boolean}
+     */
+    isJson(text) {
+
+        return /^\s*(```(?:json)?\s*)?[{[]/i.test(String(text || ''));
+    }
+
+    /**
+     * Parse and validate a JSON outline
+     * @param {string|Object} input - JSON text (code fences allowed) or an already parsed outline
+     * @returns {Object} - Normalized outline { sections }
+     * @throws {Error} - When the JSON is malformed or does not match the schema
+     */
+    fromJson(input) {
+
+        let outline = input;
+        if (typeof input === 'string') {
+            const json = input.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+            try {
+                outline = JSON.parse(json);
+            } catch (error) {
+                throw new Error(`Outline is not valid JSON: ${error.message}`);
+            }
+        }
+
+        // A bare section list is accepted as well
+        if (Array.isArray(outline)) {
+            outline = { sections: outline };
+        }
+
+        const errors = this.validate(outline);
+        if (errors.length > 0) {
+            throw new Error(`Invalid outline: ${errors.join('; ')}`);
+        }
+        return this.normalize(outline);
+    }
+
+    /**
+     * Validate a JSON outline against the schema
+     * @param {Object} outline - Parsed outline
+     * @returns {Array<string>} - Problems found, empty when the outline is valid
+     */
+    validate(outline) {
+
+        if (!outline || typeof outline !== 'object' || !Array.isArray(outline.sections)) {
+            return ['expected an object with a "sections" array'];
+        }
+        if (outline.sections.length === 0) {
+            return ['the outline has no sections'];
+        }
+
+        const errors = [];
+        const numbers = new Set();
+
+        outline.sections.forEach(function validateSection(section, index) {
+            const name = `section ${index + 1}`;
+            if (!section || typeof section !== 'object') {
+                errors.push(`${name} is not an object`);
+                return;
+            }
+            if (typeof section.title !== 'string' || !section.title.trim()) {
+                errors.push(`${name} has no title`);
+            }
+            if (typeof section.durationMinutes !== 'number' || !isFinite(section.durationMinutes) || section.durationMinutes <= 0) {
+                errors.push(`${name} needs a positive durationMinutes`);
+            }
+            if (section.number !== undefined && section.number !== null && section.number !== '') {
+                const number = String(section.number).replace(/\.$/, '');
+                if (!/^\d+(\.\d+)*$/.test(number)) {
+                    errors.push(`${name} has an invalid number "${section.number}"`);
+                } else if (numbers.has(number)) {
+                    errors.push(`${name} repeats number ${number}`);
+                }
+                numbers.add(number);
+            }
+            if (!this.isOptionalText(section.overview) || !this.isOptionalText(section.uniqueFocus) || !this.isOptionalText(section.carryover)) {
+                errors.push(`${name}: overview, uniqueFocus and carryover must be strings`);
+            }
+            if (section.keyFacts !== undefined && section.keyFacts !== null &&
+                (!Array.isArray(section.keyFacts) || section.keyFacts.some(function isNotText(fact) { return typeof fact !== 'string'; }))) {
+                errors.push(`${name}: keyFacts must be a list of strings`);
+            }
+        }, this);
+
+        return errors;
+    }
+
+    /**
+     * Check that an optional field is a string when present
+     * @param {*} value - Field value
+     * @returns {boolean}
+     */
+    isOptionalText(value) {
+
+        return value === undefined || value === null || typeof value === 'string';
+    }
+
+    /**
+     * Fill in defaults and tidy the fields of a valid outline
+     * @param {Object} outline - Validated outline
+     * @returns {Object} - Outline { sections }
+     */
+    normalize(outline) {
+
+        return {
+            sections: outline.sections.map(function normalizeSection(section, index) {
+                return {
+                    number: section.number ? String(section.number).replace(/\.$/, '') : `${index + 1}`,
+                    title: this.toOneLine(section.title),
+                    durationMinutes: section.durationMinutes,
+                    overview: this.toOneLine(section.overview),
+                    keyFacts: (section.keyFacts || []).map(this.toOneLine).filter(Boolean),
+                    uniqueFocus: this.toOneLine(section.uniqueFocus),
+                    carryover: this.toOneLine(section.carryover)
+                };
+            }, this)
+        };
+    }
+
+    /**
+     * Collapse the whitespace of a text field to a single line
+     * @param {*} value - Field value
+     * @returns {string}
+     */
+    toOneLine(value) {
+
+        return String(value || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Render a JSON outline to the text form
+     * @param {Object} outline - Normalized outline
+     * @returns {string}
+     */
+    toText(outline) {
+
+        return outline.sections.map(function formatSection(section) {
+            const lines = [
+                '---',
+                `${section.number}. ${section.title}`,
+                `Duration: ${section.durationMinutes} ${section.durationMinutes === 1 ? 'minute' : 'minutes'}`,
+                `Overview: ${section.overview || 'No overview provided'}`
+            ];
+            if (section.keyFacts.length > 0) {
+                lines.push('KEY FACTS:');
+                section.keyFacts.forEach(function addFact(fact) {
+                    lines.push(`- ${fact}`);
+                });
+            }
+            if (section.uniqueFocus) {
+                lines.push(`UNIQUE FOCUS: ${section.uniqueFocus}`);
+            }
+            if (section.carryover) {
+                lines.push(`CARRYOVER: ${section.carryover}`);
+            }
+            return lines.join('\n');
+        }).join('\n');
+    }
+
+    /**
+     * Convert a text outline to the JSON form
+     * @param {string} text - Outline text
+     * @returns {Object} - Outline { sections }; only sections with a duration are included
+     */
+    fromText(text) {
+
+        return {
+            sections: this.parseSections(text).map(function toJson(section) {
+                const content = section.content;
+                const factsBlock = (content.match(/^\s*KEY FACTS:\s*$([\s\S]*?)(?=^\s*(?:UNIQUE FOCUS|CARRYOVER):|$(?![\s\S]))/mi) || [null, ''])[1];
+                return {
+                    number: section.number,
+                    title: section.title.trim(),
+                    durationMinutes: section.durationMinutes,
+                    overview: section.overview === 'No overview provided' ? '' : section.overview.trim(),
+                    keyFacts: factsBlock.split('\n')
+                        .filter(function isBullet(line) { return /^\s*[-*•]\s+/.test(line); })
+                        .map(function stripBullet(line) { return line.replace(/^\s*[-*•]\s+/, '').trim(); }),
+                    uniqueFocus: this.getField(content, 'UNIQUE FOCUS'),
+                    carryover: this.getField(content, 'CARRYOVER')
+                };
+            }, this)
+        };
+    }
+
+    /**
+     * Read a one-line field ('LABEL: value') of a text outline section
+     * @param {string} content - Section text
+     * @param {string} label - Field label
+     * @returns {string} - Field value, or an empty string if the section has none
+     */
+    getField(content, label) {
+
+        return (content.match(new RegExp(`^\\s*${label}:[^\\S\\r\\n]*([^\\r\\n]*)`, 'mi')) || [null, ''])[1].trim();
+    }
+
+    /**
+     * Parse a text outline into sections for script generation
+     * @param {string} outlineText - The outline text to parse
+     * @returns {Array} - Leaf sections as { id, number, title, durationMinutes, overview, content }
+     */
+    parseSections(outlineText) {
+
+        console.log('Parsing outline sections, length:', outlineText.length);
+
+        // Split by horizontal rule separators - more forgiving of whitespace
+        const sectionStrings = outlineText.split(/^\s*---\s*$/m).filter(function(section) { return section.trim(); });
+
+        console.log('Found', sectionStrings.length, 'top-level blocks');
+
+        const sections = [];
+        const skipped = [];
+
+        // Helper: parse a numeric duration string within a slice
+        function parseDurationMinutes(slice) {
+            const durationMatch = slice.match(/Duration:\s*(\d+(?:\.\d+)?)\s*(seconds?|secs?|s|minutes?|mins?|min|m)?/mi);
+            if (!durationMatch) {
+                return null;
+            }
+            const value = parseFloat(durationMatch[1]);
+            const unitRaw = (durationMatch[2] || '').trim().toLowerCase();
+            if (!unitRaw || unitRaw.startsWith('m')) {
+                return value;
+            }
+            if (unitRaw.startsWith('s')) {
+                return value / 60;
+            }
+            return value;
+        }
+
+        // For each block, further split by numbered headings (supports 1., 3.1., 4.2.1 etc.)
+        for (let b = 0; b < sectionStrings.length; b++) {
+            const block = sectionStrings[b];
+            // Find all heading matches with their positions
+            const headingRegex = /^\s*(\d+(?:\.\d+)*)\.\s+([^\r\n]+)/gm;
+            const matches = [];
+            let m;
+            while ((m = headingRegex.exec(block)) !== null) {
+                matches.push({ number: m[1], title: m[2], index: m.index });
+            }
+
+            if (matches.length === 0) {
+                // No numbered headings; try to parse the whole block as a single section only if it has a duration
+                const dur = parseDurationMinutes(block);
+                if (dur != null) {
+                    sections.push({
+                        id: sections.length + 1,
+                        number: `${sections.length + 1}`,
+                        title: 'Section',
+                        durationMinutes: dur,
+                        overview: (block.match(/Overview:\s*([^\r\n]+)/m) || [null, 'No overview provided'])[1],
+                        content: block.trim()
+                    });
+                }
+                continue;
+            }
+
+            // Create slices per heading
+            for (let i = 0; i < matches.length; i++) {
+                const start = matches[i].index;
+                const end = (i + 1 < matches.length) ? matches[i + 1].index : block.length;
+                const slice = block.slice(start, end);
+
+                // Determine if this heading has children within the same block (e.g., 3. -> 3.1, 3.2)
+                let hasChildrenInBlock = false;
+                for (let j = i + 1; j < matches.length; j++) {
+                    const childPrefix = matches[i].number + '.';
+                    if (matches[j].number.startsWith(childPrefix)) {
+                        hasChildrenInBlock = true;
+                        break;
+                    }
+                    // Headings are ordered; if the next heading no longer shares the prefix, we can stop checking
+                    if (!matches[j].number.startsWith(matches[i].number)) {
+                        break;
+                    }
+                }
+
+                // If this heading has children, treat it as a container only and skip creating a section for it
+                if (hasChildrenInBlock) {
+                    continue;
+                }
+
+                // Require a duration for a slice to be treated as an actual section
+                const durationMinutes = parseDurationMinutes(slice);
+                if (durationMinutes == null) {
+                    // Skip heading without explicit duration (e.g., a parent heading like "3. Common ...")
+                    skipped.push(matches[i]);
+                    continue;
+                }
+
+                const overviewMatch = slice.match(/Overview:\s*([^\r\n]+)/m);
+                sections.push({
+                    id: sections.length + 1,
+                    number: matches[i].number,
+                    title: matches[i].title,
+                    durationMinutes: durationMinutes,
+                    overview: overviewMatch ? overviewMatch[1] : 'No overview provided',
+                    content: slice.trim()
+                });
+                console.log(`Section ${sections.length}: ${matches[i].number}. ${matches[i].title} (${durationMinutes} min)`);
+            }
+        }
+
+        // Post-process to ensure only leaf sections remain across ALL blocks.
+        // If any section number is a strict prefix of another section's number, treat it as a parent and remove it.
+        const leafSections = sections.filter(function isLeaf(section) {
+            const prefix = section.number + '.';
+            return !sections.some(function hasChild(other) {
+                return other !== section && other.number.startsWith(prefix);
+            });
+        });
+
+        // Parent headings are expected to lack a duration; other headings without one are lost content
+        const dropped = skipped.filter(function isNotParent(heading) {
+            return !sections.some(function isChild(section) { return section.number.startsWith(heading.number + '.'); });
+        });
+        if (dropped.length > 0) {
+            console.warn(`Outline headings without a Duration line were skipped: ${dropped.map(function describeHeading(heading) { return `${heading.number}. ${heading.title}`; }).join(', ')}`);
+        }
+
+        console.log('Total parsed sections:', leafSections.length);
+
+        return leafSections;
+    }
+}
+
+export default OutlineFormat;
@@ -1,9 +1,15 @@
 // Podcastinator App - Outline Generator
 import NotificationsManager from '../ui/notifications.js';
 import ProgressManager from '../ui/progressManager.js';
-import { buildOutlineGenerationSystem, buildOutlineGenerationUser } from './prompts/outlinePrompts.js';
 import OutlineVerifier from './outlineVerifier.js';
 import OutlineImprover from './outlineImprover.js';
+import ImprovementHistory from './improvementHistory.js';
+import SourceDocuments from '../document/sourceDocuments.js';
+import DocumentPreparer from './documentPreparer.js';
+import Speakers from '../characters/speakers.js';
+import OutlineFormat from './outlineFormat.js';
+import PromptLibrary from './promptLibrary.js';
+import { getEpisodeFormats, resolveEpisodeFormat } from './prompts/formatPrompts.js';
 
 /**
  * Handles the generation of podcast outlines using OpenAI
@@ -19,10 +25,22 @@ class OutlineGenerator {
         // Helpers
         this.outlineVerifier = new OutlineVerifier(this.apiManager);
         this.outlineImprover = new OutlineImprover(this.apiManager);
+        this.sourceDocuments = new SourceDocuments();
+        this.documentPreparer = new DocumentPreparer(this.apiManager, this.storageManager);
+        this.speakers = new Speakers();
+        this.outlineFormat = new OutlineFormat();
+        this.promptLibrary = new PromptLibrary(this.storageManager);
         
         // Generation state
         this.isGenerating = false;
         this.cancelGeneration = false;
+        // Aborts the requests in flight when generation is cancelled (one controller per generation)
+        this.abortController = null;
+        // Optional callback receiving the outline as it streams in ({ stage, delta, text }), for headless use
+        this.streamListener = null;
+        
+        // Cancel like the cancel button once a spending cap is reached
+        this.apiManager.budget.onExceeded(this.handleBudgetExceeded.bind(this));
         
         // Load existing outline data from storage
         const savedData = this.storageManager.load('outlineData', {});
@@ -31,6 +49,7 @@ class OutlineGenerator {
         // Load podcast settings or use defaults
         this.podcastDuration = savedData.podcastDuration || 30;
         this.podcastFocus = savedData.podcastFocus || '';
+        this.episodeFormat = resolveEpisodeFormat(savedData.episodeFormat);
     }
 
     /**
@@ -63,6 +82,7 @@ class OutlineGenerator {
         // Get podcast configuration elements
         this.podcastDurationInput = document.getElementById('podcast-duration');
         this.podcastFocusInput = document.getElementById('podcast-focus'); // Now in document upload section
+        this.episodeFormatSelect = document.getElementById('episode-format');
         
         // Set initial values if we have saved data
         if (this.podcastDurationInput) {
@@ -73,6 +93,19 @@ class OutlineGenerator {
             this.podcastFocusInput.value = this.podcastFocus;
         }
         
+        // Fill the episode format options
+        if (this.episodeFormatSelect) {
+            this.episodeFormatSelect.innerHTML = '';
+            getEpisodeFormats().forEach(function addFormatOption(format) {
+                const option = document.createElement('option');
+                option.value = format.id;
+                option.textContent = format.name;
+                option.title = format.description;
+                this.episodeFormatSelect.appendChild(option);
+            }, this);
+            this.episodeFormatSelect.value = this.episodeFormat;
+        }
+        
         // Make sure progress bar is initially hidden
         if (this.progressContainer) {
             this.progressContainer.style.display = 'none';
@@ -108,6 +141,11 @@ class OutlineGenerator {
         if (this.podcastFocusInput) {
             this.podcastFocusInput.addEventListener('input', this.handlePodcastSettingsChange.bind(this));
         }
+        
+        // Listen for changes to episode format
+        if (this.episodeFormatSelect) {
+            this.episodeFormatSelect.addEventListener('change', this.handlePodcastSettingsChange.bind(this));
+        }
     }
     
     /**
@@ -138,27 +176,29 @@ class OutlineGenerator {
         try {
             // Get API data
             const apiData = this.apiManager.getApiData();
-            if (!apiData.apiKey) {
-                this.notifications.showError('OpenAI API key is required. Please configure it in step 1.');
+            if (!this.apiManager.hasCredentialsFor(apiData.models.outline, apiData.apiKey)) {
+                this.notifications.showError('API key is required. Please configure it in step 1.');
                 return;
             }
             
-            // Set generating state
+            // Set generating state; cancelling aborts every request of this generation
             this.setGeneratingState(true);
+            apiData.signal = this.abortController.signal;
             
-            // Get document data from the main data store
+            // Get source documents from the main data store, delimited into one prompt block
+            // (digested first when they do not fit in the model context)
             const data = this.storageManager.load('data', {});
-            if (!data.document || !data.document.content) {
+            if (!this.sourceDocuments.hasDocuments(data)) {
                 throw new Error('No document content found. Please upload a document first.');
             }
             
-            const documentData = data.document;
+            const documentData = { content: await this.documentPreparer.getOutlineContent(data, apiData) };
             
             // Get character data
-            const characterData = this.storageManager.load('data', {});
-            if (!characterData.host || !characterData.guest) {
+            if (!this.speakers.hasCast(data)) {
                 throw new Error('Host and guest character data is required. Please complete character creation first.');
             }
+            const characterData = this.speakers.getCharacterData(data);
             
             // Generate outline
             await this.generateOutline(documentData, characterData, apiData);
@@ -178,9 +218,47 @@ class OutlineGenerator {
     handleCancelGeneration() {
     
         this.cancelGeneration = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
         this.notifications.showInfo('Cancelling outline generation...');
     }
     
+    /**
+     * Stop the outline generation once a spending cap is reached
+     */
+    handleBudgetExceeded() {
+    
+        this.cancelGeneration = true;
+    }
+    
+    /**
+     * Build the streaming options of the outline request: the partial outline is shown in the textarea
+     * (and passed to the stream listener) as it arrives, and cancelling aborts the request
+     * @param {string} stage - Stage of the request, as recorded in the usage ledger
+     * @param {AbortSignal} [signal] - Abort signal of the generation
+     * @returns {Object} - { signal, onDelta } for createChatCompletion (no onDelta when nothing shows the text)
+     */
+    createStreamOptions(stage, signal) {
+    
+        const streamOptions = { signal: signal };
+        if (!this.outlineTextarea && !this.streamListener) {
+            return streamOptions;
+        }
+        
+        const self = this;
+        streamOptions.onDelta = function showDelta(delta, text) {
+            if (self.outlineTextarea) {
+                self.outlineTextarea.value = text;
+                self.outlineTextarea.scrollTop = self.outlineTextarea.scrollHeight;
+            }
+            if (self.streamListener) {
+                self.streamListener({ stage: stage, delta: delta, text: text });
+            }
+        };
+        return streamOptions;
+    }
+    
     /**
      * Handle outline text changes
      */
@@ -208,6 +286,10 @@ class OutlineGenerator {
             this.podcastFocus = this.podcastFocusInput.value.trim();
         }
         
+        if (this.episodeFormatSelect) {
+            this.episodeFormat = resolveEpisodeFormat(this.episodeFormatSelect.value);
+        }
+        
         // Save the updated settings
         this.saveOutlineData();
     }
@@ -238,20 +320,20 @@ class OutlineGenerator {
             const systemPrompt = this.buildSystemPrompt(characterData);
             
             // Build user prompt with document content
-            const userPrompt = this.buildUserPrompt(documentContent);
+            const userPrompt = this.buildUserPrompt(documentContent, characterData);
             
-            // Prepare request body with model-specific parameters
+            // Prepare request body with model-specific parameters; the outline is requested as JSON
             const requestBody = this.apiManager.createRequestBody(
                 apiData.models.outline,
                 [
                     { role: 'system', content: systemPrompt },
                     { role: 'user', content: userPrompt }
                 ],
-                { temperature: 0.7 }
+                { temperature: 0.7, responseFormat: this.outlineFormat.getResponseFormat() }
             );
             
-            // generateOutline: Call OpenAI API with retry logic
-            const responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
+            // generateOutline: Call OpenAI API with retry logic, streaming the outline into the textarea
+            const responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey, 'outline', this.createStreamOptions('outline', apiData.signal));
             
             // Update progress
             this.progressManager.updateProgress('outline-progress', 50);
@@ -262,7 +344,7 @@ class OutlineGenerator {
                 throw new Error('Outline generation cancelled');
             }
             
-            const outlineText = responseData.choices[0]?.message?.content?.trim();
+            const outlineText = this.readOutlineResponse(responseData.choices[0]?.message?.content?.trim());
             
             if (outlineText) {
                 // Update progress - now we'll verify
@@ -271,9 +353,12 @@ class OutlineGenerator {
                 // Set up iterative verification and improvement
                 let currentOutline = outlineText;
                 let isValid = false;
+                let unavailableReview = null;
                 let feedback = '';
                 let iterationCount = 0;
                 const maxIterations = 3;
+                const history = new ImprovementHistory();
+                let stalled = false;
                 
                 // Iterative verification and improvement loop
                 while (!isValid && iterationCount < maxIterations) {
@@ -286,18 +371,38 @@ class OutlineGenerator {
                     // Review the outline with a second model
                     const reviewResult = await this.verifyOutline(currentOutline, documentContent, characterData, apiData);
                     
+                    // The reviewer falls back to accepting the outline on errors; a refused request must cancel instead
+                    if (this.cancelGeneration) {
+                        this.cancelGeneration = false;
+                        this.notifications.clearNotification(reviewNotificationId);
+                        throw new Error('Outline generation cancelled');
+                    }
+                    
                     // Clear the review notification
                     this.notifications.clearNotification(reviewNotificationId);
                     
                     // Log review feedback to console
                     this.logVerificationFeedback(`Outline Review (Iteration ${iterationCount})`, reviewResult);
                     
+                    // Without a usable review there is nothing to edit against; keep the outline as it is
+                    if (reviewResult.status === 'unavailable') {
+                        unavailableReview = reviewResult;
+                        break;
+                    }
+                    
                     // Update status based on review result
                     isValid = reviewResult.isValid;
                     // Prefer structured JSON for downstream improvement if available
                     feedback = (reviewResult && reviewResult.rawJson)
                         ? JSON.stringify(reviewResult.rawJson)
                         : reviewResult.feedback;
+                    history.addVerificationResult(reviewResult, currentOutline, 'outline');
+                    
+                    // Stop early when the last edit resolved too few of the issues
+                    if (!isValid && iterationCount < maxIterations && !history.shouldContinueImprovement(maxIterations)) {
+                        stalled = true;
+                        break;
+                    }
                     
                     // If still not valid and we haven't reached max iterations, edit the outline
                     if (!isValid && iterationCount < maxIterations) {
@@ -305,12 +410,18 @@ class OutlineGenerator {
                         const editingNotificationId = Date.now();
                         this.notifications.showInfo(`Editing outline (attempt ${iterationCount}/${maxIterations})...`, editingNotificationId);
                         
-                        // Attempt to edit the outline
-                        const editedOutline = await this.improveOutline(currentOutline, feedback, documentContent, characterData, apiData);
+                        // Attempt to edit the outline, telling the editor which earlier fixes did not stick
+                        const historySummary = iterationCount > 1 ? history.generateHistorySummary() : '';
+                        const editedOutline = await this.improveOutline(currentOutline, feedback, documentContent, characterData, apiData, historySummary);
                         
                         // Clear the editing notification
                         this.notifications.clearNotification(editingNotificationId);
                         
+                        if (this.cancelGeneration) {
+                            this.cancelGeneration = false;
+                            throw new Error('Outline generation cancelled');
+                        }
+                        
                         if (editedOutline) {
                             currentOutline = editedOutline;
                             this.notifications.showInfo(`Outline editing ${iterationCount} complete. Reviewing again...`);
@@ -327,12 +438,22 @@ class OutlineGenerator {
                 // Show final status notification
                 if (isValid) {
                     this.notifications.showSuccess('Outline review successful!');
+                } else if (unavailableReview) {
+                    this.notifications.showError(`Outline was not reviewed. ${unavailableReview.feedback}`);
+                } else if (stalled) {
+                    this.notifications.showSuccess(`Outline edits stopped improving after ${iterationCount} reviews. Best possible version achieved.`);
                 } else if (iterationCount >= maxIterations) {
                     this.notifications.showSuccess(`Outline edited ${iterationCount} times. Best possible version achieved.`);
                 } else {
                     this.notifications.showSuccess('Outline editing complete.');
                 }
                 
+                // Surface issues the edits could not resolve
+                const persistentIssues = isValid ? '' : history.describePersistentIssues();
+                if (persistentIssues) {
+                    this.notifications.showInfo(`Outline: ${persistentIssues}. Consider editing the outline manually.`);
+                }
+                
                 // Set outline in textarea
                 if (this.outlineTextarea) {
                     this.outlineTextarea.value = finalOutlineText;
@@ -356,10 +477,43 @@ class OutlineGenerator {
             }
             
         } catch (error) {
+            // Replace a partly streamed outline with the stored one
+            if (this.outlineTextarea) {
+                this.outlineTextarea.value = this.storageManager.load('outlineData', {}).outline || '';
+            }
+            
+            // The cancel button aborts the request in flight
+            if (error.status === 'ABORTED') {
+                this.cancelGeneration = false;
+                throw new Error('Outline generation cancelled');
+            }
             throw error;
         }
     }
     
+    /**
+     * Validate the JSON outline returned by the model and render it to the text form
+     * @param {string} content - Model response
+     * @returns {string} - Outline text ('' when the response is empty)
+     */
+    readOutlineResponse(content) {
+    
+        if (!content) {
+            return '';
+        }
+        
+        try {
+            return this.outlineFormat.toText(this.outlineFormat.fromJson(content));
+        } catch (error) {
+            // Models without structured output may still answer in the text form
+            if (!this.outlineFormat.isJson(content) && this.outlineFormat.parseSections(content).length > 0) {
+                console.warn('Outline model returned text instead of JSON; using it as is.');
+                return content;
+            }
+            throw new Error(`The outline model returned an unusable outline. ${error.message}`);
+        }
+    }
+    
     /**
      * Build system prompt for outline generation
      * @param {Object} characterData - Host and guest character data
@@ -367,20 +521,21 @@ class OutlineGenerator {
      */
     buildSystemPrompt(characterData) {
     
-        const host = characterData.host || {};
-        const guest = characterData.guest || {};
+        const speakers = characterData.speakers || this.speakers.getSpeakers(characterData);
         const targetDurationMinutes = this.podcastDuration;
-        return buildOutlineGenerationSystem(host, guest, targetDurationMinutes);
+        return this.promptLibrary.build('outlineGenerationSystem', speakers, targetDurationMinutes, 'json', this.episodeFormat);
     }
     
     /**
      * Build user prompt with document content
      * @param {string} documentContent - Document content
+     * @param {Object} characterData - Host and guest character data
      * @returns {string} - User prompt
      */
-    buildUserPrompt(documentContent) {
+    buildUserPrompt(documentContent, characterData) {
     
-        return buildOutlineGenerationUser(documentContent, this.podcastDuration, this.podcastFocus);
+        const speakers = characterData.speakers || this.speakers.getSpeakers(characterData);
+        return this.promptLibrary.build('outlineGenerationUser', documentContent, this.podcastDuration, this.podcastFocus, speakers, 'json', this.episodeFormat);
     }
     
     /**
@@ -397,6 +552,8 @@ class OutlineGenerator {
             this.progressContainer.style.display = 'flex';
             this.progressManager.resetProgress('outline-progress');
             this.cancelGeneration = false;
+            this.abortController = new AbortController();
+            this.apiManager.startRun('outline');
 
             // Make textarea read-only and add loading animation
             if (this.outlineTextarea) {
@@ -428,6 +585,7 @@ class OutlineGenerator {
             outline: currentOutline,
             podcastDuration: this.podcastDuration,
             podcastFocus: this.podcastFocus,
+            episodeFormat: this.episodeFormat,
             timestamp: new Date().toISOString()
         };
         
@@ -452,7 +610,7 @@ class OutlineGenerator {
         
         // Log the validation status
         console.log(
-            `%cReview: ${result.isValid ? 'PASSED ✅' : 'NEEDS EDITING ⚠️'}`,
+            `%cReview: ${result.status === 'unavailable' ? 'UNAVAILABLE ❔' : (result.isValid ? 'PASSED ✅' : 'NEEDS EDITING ⚠️')}`,
             validStyle
         );
         
@@ -480,24 +638,20 @@ class OutlineGenerator {
      * @param {string} documentContent - Original document content
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
-     * @returns {Object} - Review result with isValid flag and feedback
+     * @returns {Object} - Review result with status ('passed', 'failed' or 'unavailable'), isValid flag and feedback
      */
     async verifyOutline(outlineText, documentContent, characterData, apiData) {
     
-        try {
-            const result = await this.outlineVerifier.verifyOutline(
-                outlineText,
-                documentContent,
-                characterData,
-                apiData,
-                this.podcastDuration,
-                this.podcastFocus
-            );
-            return result;
-        } catch (error) {
-            console.error('Error during outline verification:', error);
-            return { isValid: true, feedback: 'Verification error. Using original outline.' };
-        }
+        // API and schema failures come back as an unavailable review; a cancellation is thrown
+        return await this.outlineVerifier.verifyOutline(
+            outlineText,
+            documentContent,
+            characterData,
+            apiData,
+            this.podcastDuration,
+            this.podcastFocus,
+            this.episodeFormat
+        );
     }
     
     /**
@@ -507,9 +661,10 @@ class OutlineGenerator {
      * @param {string} documentContent - Original document content
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
+     * @param {string} historySummary - Summary of earlier review/edit rounds ('' on the first edit)
      * @returns {string} - Edited outline text
      */
-    async improveOutline(originalOutlineText, feedback, documentContent, characterData, apiData) {
+    async improveOutline(originalOutlineText, feedback, documentContent, characterData, apiData, historySummary = '') {
     
         try {
             const improved = await this.outlineImprover.improveOutline(
@@ -519,7 +674,9 @@ class OutlineGenerator {
                 characterData,
                 apiData,
                 this.podcastDuration,
-                this.podcastFocus
+                this.podcastFocus,
+                historySummary,
+                this.episodeFormat
             );
             return improved;
         } catch (error) {
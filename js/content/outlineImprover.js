@@ -1,11 +1,12 @@
 // Podcastinator App - Outline Improver
 import NotificationsManager from '../ui/notifications.js';
-import { buildOutlineGenerationSystem, buildOutlineImproveSystem, buildOutlineImproveUser } from './prompts/outlinePrompts.js';
+import PromptLibrary from './promptLibrary.js';
 
 class OutlineImprover {
     constructor(apiManager) {
         this.apiManager = apiManager;
         this.notifications = new NotificationsManager();
+        this.promptLibrary = new PromptLibrary(apiManager.storageManager);
     }
 
     /**
@@ -17,23 +18,26 @@ class OutlineImprover {
      * @param {Object} apiData
      * @param {number} podcastDuration
      * @param {string} podcastFocus
+     * @param {string} improvementHistory - Summary of earlier review/edit rounds ('' on the first edit)
+     * @param {string} [episodeFormat] - Episode format id (interview, debate, ...)
      * @returns {Promise<string>} improved outline
      */
-    async improveOutline(originalOutlineText, feedback, documentContent, characterData, apiData, podcastDuration, podcastFocus) {
+    async improveOutline(originalOutlineText, feedback, documentContent, characterData, apiData, podcastDuration, podcastFocus, improvementHistory = '', episodeFormat) {
         try {
             const originalOutlineLength = originalOutlineText.length;
             const modelName = (apiData.models.outline || '').toLowerCase();
             const isAnthropicStyle = modelName.includes('o3') || modelName.includes('o4');
 
-            const baseSystemPrompt = buildOutlineGenerationSystem(characterData.host || {}, characterData.guest || {}, podcastDuration);
-            const systemPrompt = buildOutlineImproveSystem(baseSystemPrompt);
+            const baseSystemPrompt = this.promptLibrary.build('outlineGenerationSystem', characterData.speakers, podcastDuration, 'text', episodeFormat);
+            const systemPrompt = this.promptLibrary.build('outlineImproveSystem', baseSystemPrompt);
 
-            const userPrompt = buildOutlineImproveUser(
+            const userPrompt = this.promptLibrary.build('outlineImproveUser',
                 originalOutlineText,
                 feedback,
                 documentContent,
                 podcastDuration,
-                podcastFocus
+                podcastFocus,
+                improvementHistory
             );
 
             const messages = [
@@ -54,20 +58,12 @@ class OutlineImprover {
 
             let responseData;
             try {
-                responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
+                responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey, 'outline improve', { signal: apiData.signal });
             } catch (error) {
                 console.error('Outline improvement failed:', error);
                 return originalOutlineText;
             }
 
-            if (responseData.usage) {
-                this.apiManager.trackCompletionUsage(
-                    apiData.models.outline,
-                    responseData.usage.prompt_tokens || 0,
-                    responseData.usage.completion_tokens || 0
-                );
-            }
-
             const improvedOutlineText = responseData.choices[0]?.message?.content?.trim();
             return improvedOutlineText || originalOutlineText;
         } catch (error) {
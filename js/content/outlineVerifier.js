@@ -1,11 +1,16 @@
 // Podcastinator App - Outline Verifier
 import NotificationsManager from '../ui/notifications.js';
-import { buildOutlineVerificationSystem, buildOutlineVerificationUser } from './prompts/outlinePrompts.js';
+import PromptLibrary from './promptLibrary.js';
+import VerificationFormat from './verificationFormat.js';
+import ContentLinter from './contentLinter.js';
 
 class OutlineVerifier {
     constructor(apiManager) {
         this.apiManager = apiManager;
         this.notifications = new NotificationsManager();
+        this.promptLibrary = new PromptLibrary(apiManager.storageManager);
+        this.verificationFormat = new VerificationFormat();
+        this.contentLinter = new ContentLinter(apiManager.storageManager);
     }
 
     /**
@@ -16,140 +21,118 @@ class OutlineVerifier {
      * @param {Object} apiData
      * @param {number} podcastDuration
      * @param {string} podcastFocus
-     * @returns {Promise<{isValid: boolean, feedback: string, rawJson?: Object|null}>}
+     * @param {string} [episodeFormat] - Episode format id (interview, debate, ...)
+     * @returns {Promise<{status: string, isValid: boolean, feedback: string, rawJson?: Object|null}>} - status is 'passed', 'failed' or 'unavailable'
      */
-    async verifyOutline(outlineText, documentContent, characterData, apiData, podcastDuration, podcastFocus) {
-        try {
-            const modelName = (apiData.models.outlineVerify || '').toLowerCase();
-            const isAnthropicStyle = modelName.includes('o3') || modelName.includes('o4');
+    async verifyOutline(outlineText, documentContent, characterData, apiData, podcastDuration, podcastFocus, episodeFormat) {
+        const modelName = (apiData.models.outlineVerify || '').toLowerCase();
+        const isAnthropicStyle = modelName.includes('o3') || modelName.includes('o4');
 
-            const systemPrompt = buildOutlineVerificationSystem();
+        const systemPrompt = this.promptLibrary.build('outlineVerificationSystem', characterData && characterData.speakers, episodeFormat);
 
-            const userPrompt = buildOutlineVerificationUser(
-                outlineText,
-                documentContent,
-                podcastDuration,
-                podcastFocus
-            );
+        const userPrompt = this.promptLibrary.build('outlineVerificationUser',
+            outlineText,
+            documentContent,
+            podcastDuration,
+            podcastFocus
+        );
 
-            const messages = [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ];
+        const messages = [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ];
 
-            const options = {};
-            if (!isAnthropicStyle) {
-                options.temperature = 0.3;
-            }
+        const options = { responseFormat: this.verificationFormat.getResponseFormat('outline') };
+        if (!isAnthropicStyle) {
+            options.temperature = 0.3;
+        }
 
-            const requestBody = this.apiManager.createRequestBody(
-                apiData.models.outlineVerify,
-                messages,
-                options
-            );
+        const requestBody = this.apiManager.createRequestBody(
+            apiData.models.outlineVerify,
+            messages,
+            options
+        );
 
-            let responseData;
+        // Duration total and format are checked locally first; while they fail the paid review can be skipped
+        const lintIssues = this.contentLinter.lintOutline(outlineText, podcastDuration);
+        let resultJson;
+        if (this.contentLinter.shouldSkipReview(lintIssues)) {
+            const totalDuration = this.contentLinter.getOutlineDuration(outlineText);
+            resultJson = {
+                isValid: false,
+                issues: lintIssues,
+                totalDuration: totalDuration,
+                targetDuration: Number(podcastDuration),
+                durationDelta: totalDuration - Number(podcastDuration),
+                summary: this.contentLinter.describeFailures(lintIssues),
+                reviewSkipped: true
+            };
+        } else {
+            // Request the review, asking again when the reply does not match the schema
             try {
-                responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
+                resultJson = await this.verificationFormat.request(this.apiManager, requestBody, apiData, 'outline verify', 'outline');
             } catch (error) {
+                if (this.verificationFormat.isCancellation(error, apiData)) {
+                    throw error;
+                }
                 console.error('Outline verification failed:', error);
-                return { isValid: true, feedback: 'Verification skipped due to API error. Using original outline.' };
-            }
-
-            const verificationText = responseData.choices[0]?.message?.content?.trim() || '';
-
-            // Track usage if available
-            if (responseData.usage) {
-                this.apiManager.trackCompletionUsage(
-                    apiData.models.outlineVerify,
-                    responseData.usage.prompt_tokens || 0,
-                    responseData.usage.completion_tokens || 0
-                );
+                return { ...this.verificationFormat.createUnavailableResult(error.message), issues: lintIssues };
             }
+            this.contentLinter.mergeIssues(resultJson, lintIssues);
+        }
 
-            try {
-                const jsonMatch = verificationText.match(/{[\s\S]*}/m);
-                if (jsonMatch) {
-                    const resultJson = JSON.parse(jsonMatch[0]);
-                    
-                    // Handle the new richer JSON feedback format
-                    if (resultJson.issues && Array.isArray(resultJson.issues)) {
-                        // Format the issues into a readable feedback message
-                        let feedbackMessage = '';
-                        
-                        // Add duration information if available
-                        if (resultJson.totalDuration !== undefined && 
-                            resultJson.targetDuration !== undefined) {
-                            feedbackMessage += `Total Duration: ${resultJson.totalDuration} minutes ` +
-                                            `(Target: ${resultJson.targetDuration} minutes, ` +
-                                            `Difference: ${resultJson.durationDelta || 0} minutes)\n\n`;
-                        }
-                        
-                        // Add issues by severity
-                        const criticalIssues = resultJson.issues.filter(function(issue) { return issue.severity === 'critical'; });
-                        const majorIssues = resultJson.issues.filter(function(issue) { return issue.severity === 'major'; });
-                        const minorIssues = resultJson.issues.filter(function(issue) { return issue.severity === 'minor'; });
-                        
-                        if (criticalIssues.length > 0) {
-                            feedbackMessage += 'CRITICAL ISSUES:\n';
-                            criticalIssues.forEach(function(issue) {
-                                feedbackMessage += `- [${issue.category}] ${issue.description}\n`;
-                            });
-                            feedbackMessage += '\n';
-                        }
-                        
-                        if (majorIssues.length > 0) {
-                            feedbackMessage += 'MAJOR ISSUES:\n';
-                            majorIssues.forEach(function(issue) {
-                                feedbackMessage += `- [${issue.category}] ${issue.description}\n`;
-                            });
-                            feedbackMessage += '\n';
-                        }
-                        
-                        if (minorIssues.length > 0) {
-                            feedbackMessage += 'MINOR ISSUES:\n';
-                            minorIssues.forEach(function(issue) {
-                                feedbackMessage += `- [${issue.category}] ${issue.description}\n`;
-                            });
-                            feedbackMessage += '\n';
-                        }
-                        
-                        // Add summary if available
-                        if (resultJson.summary) {
-                            feedbackMessage += `SUMMARY: ${resultJson.summary}`;
-                        }
-                        
-                        return {
-                            isValid: !!resultJson.isValid,
-                            feedback: feedbackMessage.trim() || 'No specific issues found.',
-                            rawJson: resultJson
-                        };
-                    } else {
-                        // Fallback for backward compatibility
-                        return {
-                            isValid: !!resultJson.isValid,
-                            feedback: resultJson.feedback || 'No specific feedback provided.',
-                            rawJson: resultJson
-                        };
-                    }
-                } else {
-                    const isPositive = verificationText.toLowerCase().includes('valid') ||
-                                       verificationText.toLowerCase().includes('accurate') ||
-                                       verificationText.toLowerCase().includes('good');
-                    return {
-                        isValid: isPositive,
-                        feedback: verificationText.substring(0, 200) + '...',
-                        rawJson: null
-                    };
-                }
-            } catch (error) {
-                console.error('Error parsing verification result:', error);
-                return { isValid: true, feedback: 'Unable to parse verification result. Using original outline.', rawJson: null };
-            }
-        } catch (error) {
-            console.error('Error during outline verification:', error);
-            return { isValid: true, feedback: 'Verification error. Using original outline.', rawJson: null };
+        // Format the issues into a readable feedback message
+        let feedbackMessage = '';
+        
+        // Add duration information if available
+        if (resultJson.totalDuration !== undefined && 
+            resultJson.targetDuration !== undefined) {
+            feedbackMessage += `Total Duration: ${resultJson.totalDuration} minutes ` +
+                            `(Target: ${resultJson.targetDuration} minutes, ` +
+                            `Difference: ${resultJson.durationDelta || 0} minutes)\n\n`;
+        }
+        
+        // Add issues by severity
+        const criticalIssues = resultJson.issues.filter(function(issue) { return issue.severity === 'critical'; });
+        const majorIssues = resultJson.issues.filter(function(issue) { return issue.severity === 'major'; });
+        const minorIssues = resultJson.issues.filter(function(issue) { return issue.severity === 'minor'; });
+        
+        if (criticalIssues.length > 0) {
+            feedbackMessage += 'CRITICAL ISSUES:\n';
+            criticalIssues.forEach(function(issue) {
+                feedbackMessage += `- [${issue.category}] ${issue.description}\n`;
+            });
+            feedbackMessage += '\n';
+        }
+        
+        if (majorIssues.length > 0) {
+            feedbackMessage += 'MAJOR ISSUES:\n';
+            majorIssues.forEach(function(issue) {
+                feedbackMessage += `- [${issue.category}] ${issue.description}\n`;
+            });
+            feedbackMessage += '\n';
+        }
+        
+        if (minorIssues.length > 0) {
+            feedbackMessage += 'MINOR ISSUES:\n';
+            minorIssues.forEach(function(issue) {
+                feedbackMessage += `- [${issue.category}] ${issue.description}\n`;
+            });
+            feedbackMessage += '\n';
+        }
+        
+        // Add summary if available
+        if (resultJson.summary) {
+            feedbackMessage += `SUMMARY: ${resultJson.summary}`;
         }
+        
+        return {
+            status: resultJson.isValid ? 'passed' : 'failed',
+            isValid: resultJson.isValid,
+            feedback: feedbackMessage.trim() || 'No specific issues found.',
+            issues: resultJson.issues,
+            rawJson: resultJson
+        };
     }
 }
 
@@ -0,0 +1,332 @@
+// Podcastinator App - Prompt Library
+import * as outlinePrompts from './prompts/outlinePrompts.js';
+import * as scriptPrompts from './prompts/scriptPrompts.js';
+import * as documentPrompts from './prompts/documentPrompts.js';
+
+// Storage key of the per-project prompt overrides
+const STORAGE_KEY = 'promptLibrary';
+
+// Earlier versions kept per prompt
+const MAX_HISTORY = 20;
+
+// Overridable prompt builders: id -> builder, argument names (the template placeholders) and purpose
+const PROMPTS = {
+    outlineGenerationSystem: { builder: outlinePrompts.buildOutlineGenerationSystem, params: ['speakers', 'targetDurationMinutes', 'outputFormat', 'episodeFormat'], description: 'Outline generation: system prompt' },
+    outlineGenerationUser: { builder: outlinePrompts.buildOutlineGenerationUser, params: ['documentContent', 'podcastDuration', 'podcastFocus', 'speakers', 'outputFormat', 'episodeFormat'], description: 'Outline generation: user prompt' },
+    outlineVerificationSystem: { builder: outlinePrompts.buildOutlineVerificationSystem, params: ['speakers', 'episodeFormat'], description: 'Outline review: system prompt' },
+    outlineVerificationUser: { builder: outlinePrompts.buildOutlineVerificationUser, params: ['outlineText', 'documentContent', 'podcastDuration', 'podcastFocus'], description: 'Outline review: user prompt' },
+    outlineImproveSystem: { builder: outlinePrompts.buildOutlineImproveSystem, params: ['baseSystemPrompt'], description: 'Outline editing: system prompt (baseSystemPrompt is the outline generation system prompt)' },
+    outlineImproveUser: { builder: outlinePrompts.buildOutlineImproveUser, params: ['originalOutlineText', 'feedback', 'documentContent', 'podcastDuration', 'podcastFocus', 'improvementHistory'], description: 'Outline editing: user prompt' },
+    summaryGenerateSystem: { builder: scriptPrompts.getSummaryGenerateSystem, params: [], description: 'Section summary: system prompt' },
+    summaryGenerateUser: { builder: scriptPrompts.getSummaryGenerateUser, params: ['lastSectionContent'], description: 'Section summary: user prompt' },
+    sectionGenerateSystem: { builder: scriptPrompts.getSectionGenerateSystem, params: ['speakers', 'podcastFocus', 'partType', 'documentContent', 'episodeFormat'], description: 'Script section generation: system prompt' },
+    sectionGenerateUser: { builder: scriptPrompts.getSectionGenerateUser, params: ['section', 'totalPodcastDuration', 'lastDialogueExchanges', 'topicsSummary', 'partType', 'aggregatedSummaries', 'aggregatedTopics', 'speakers', 'nextDialogueExchanges', 'nextSectionSummary', 'episodeFormat'], description: 'Script section generation: user prompt' },
+    sectionVerifySystem: { builder: scriptPrompts.getSectionVerifySystem, params: ['speakers', 'episodeFormat'], description: 'Script section review: system prompt' },
+    sectionVerifyUser: { builder: scriptPrompts.getSectionVerifyUser, params: ['section', 'sectionText', 'documentContent', 'totalPodcastDuration', 'previousSectionText'], description: 'Script section review: user prompt' },
+    sectionImproveSystem: { builder: scriptPrompts.getSectionImproveSystem, params: ['speakers', 'episodeFormat'], description: 'Script section editing: system prompt' },
+    sectionImproveUser: { builder: scriptPrompts.getSectionImproveUser, params: ['originalSectionText', 'feedback', 'section', 'documentContent', 'totalPodcastDuration', 'characterContext', 'improvementHistory'], description: 'Script section editing: user prompt' },
+    scriptVerifySystem: { builder: scriptPrompts.getScriptVerifySystem, params: ['episodeFormat'], description: 'Cross-section review: system prompt' },
+    scriptVerifyUser: { builder: scriptPrompts.getScriptVerifyUser, params: ['scriptText', 'outlineText', 'totalPodcastDuration'], description: 'Cross-section review: user prompt' },
+    scriptImproveSystem: { builder: scriptPrompts.getScriptImproveSystem, params: ['speakers', 'episodeFormat'], description: 'Cross-section editing: system prompt' },
+    scriptImproveUser: { builder: scriptPrompts.getScriptImproveUser, params: ['originalScriptText', 'feedback', 'outlineText', 'documentContent', 'totalPodcastDuration', 'originalScriptLength', 'characterData', 'improvementHistory'], description: 'Cross-section editing: user prompt' },
+    chunkDigestSystem: { builder: documentPrompts.buildChunkDigestSystem, params: [], description: 'Long source digest: system prompt' },
+    chunkDigestUser: { builder: documentPrompts.buildChunkDigestUser, params: ['sourceName', 'label', 'index', 'count', 'excerpt'], description: 'Long source digest: user prompt' },
+    digestMergeSystem: { builder: documentPrompts.buildDigestMergeSystem, params: [], description: 'Digest merge: system prompt' },
+    digestMergeUser: { builder: documentPrompts.buildDigestMergeUser, params: ['sourceName', 'label', 'digests'], description: 'Digest merge: user prompt' }
+};
+
+/**
+ * Builds prompts from the built-in builders unless the project overrides them.
+ * An override is a template with {{placeholders}}: {{default}} is the built-in prompt and
+ * every builder argument is available by name, e.g. {{podcastFocus}} or {{section.content}}.
+ * Overrides are stored per project under the 'promptLibrary' key as
+ * { overrides: { [id]: { template, version, updatedAt, history: [{ template, version, updatedAt }] } } };
+ * a null template means the built-in prompt is used again (its history is kept).
+ */
+class PromptLibrary {
+    constructor(storageManager) {
+        this.storageManager = storageManager || null;
+    }
+
+    /**
+     * List the overridable prompts
+     * @returns {Array<Object>} - Prompts as { id, description, placeholders, overridden, version }
+     */
+    listPrompts() {
+
+        const overrides = this.getOverrides();
+        return Object.keys(PROMPTS).map(function describePrompt(id) {
+            return {
+                id: id,
+                description: PROMPTS[id].description,
+                placeholders: ['default'].concat(PROMPTS[id].params),
+                overridden: !!(overrides[id] && typeof overrides[id].template === 'string'),
+                version: overrides[id] ? overrides[id].version : 0
+            };
+        });
+    }
+
+    /**
+     * Check whether an id names an overridable prompt
+     * @param {string} id - Prompt id
+     * @returns {boolean}
+     */
+    isPromptId(id) {
+
+        return Object.prototype.hasOwnProperty.call(PROMPTS, id);
+    }
+
+    /**
+     * Build a prompt, applying the project's override when there is one
+     * @param {string} id - Prompt id
+     * @param {...*} args - Arguments of the built-in builder
+     * @returns {string} - Prompt text
+     */
+    build(id, ...args) {
+
+        const prompt = this.getPrompt(id);
+        const builtIn = prompt.builder(...args);
+        const override = this.getOverrides()[id];
+        if (!override || typeof override.template !== 'string') {
+            return builtIn;
+        }
+
+        const values = { default: builtIn };
+        prompt.params.forEach(function addValue(name, index) {
+            values[name] = args[index];
+        });
+        return this.render(override.template, values);
+    }
+
+    /**
+     * Get all stored overrides, including the history of reset ones
+     * @returns {Object} - Overrides by prompt id
+     */
+    getOverrides() {
+
+        if (!this.storageManager) {
+            return {};
+        }
+        const library = this.storageManager.load(STORAGE_KEY, {}) || {};
+        return library.overrides || {};
+    }
+
+    /**
+     * Get the active override templates
+     * @returns {Object} - Templates by prompt id
+     */
+    getTemplates() {
+
+        const overrides = this.getOverrides();
+        const templates = {};
+        Object.keys(overrides).forEach(function addTemplate(id) {
+            if (typeof overrides[id].template === 'string') {
+                templates[id] = overrides[id].template;
+            }
+        });
+        return templates;
+    }
+
+    /**
+     * Store a new version of a prompt override
+     * @param {string} id - Prompt id
+     * @param {string} template - Template text
+     * @returns {Object} - Stored override
+     */
+    setOverride(id, template) {
+
+        const prompt = this.getPrompt(id);
+        const text = String(template || '');
+        if (!text.trim()) {
+            throw new Error(`Prompt template "${id}" is empty`);
+        }
+        const unknown = this.getPlaceholders(text).filter(function isUnknown(name) { return name !== 'default' && prompt.params.indexOf(name) === -1; });
+        if (unknown.length > 0) {
+            throw new Error(`Unknown placeholder${unknown.length > 1 ? 's' : ''} in prompt "${id}": ${this.formatPlaceholders(unknown)} (available: ${this.formatPlaceholders(['default'].concat(prompt.params))})`);
+        }
+
+        const overrides = this.getOverrides();
+        const current = overrides[id];
+        if (current && current.template === text) {
+            return current;
+        }
+        overrides[id] = this.createVersion(current, text);
+        this.saveOverrides(overrides);
+        return overrides[id];
+    }
+
+    /**
+     * Go back to the built-in prompt; earlier versions stay in the history
+     * @param {string} id - Prompt id
+     */
+    resetOverride(id) {
+
+        this.getPrompt(id);
+        const overrides = this.getOverrides();
+        if (!overrides[id] || overrides[id].template === null) {
+            return;
+        }
+        overrides[id] = this.createVersion(overrides[id], null);
+        this.saveOverrides(overrides);
+    }
+
+    /**
+     * Make an earlier version of an override the current one (stored as a new version)
+     * @param {string} id - Prompt id
+     * @param {number} version - Version to restore
+     * @returns {Object} - Stored override
+     */
+    restoreVersion(id, version) {
+
+        const current = this.getOverrides()[id];
+        const entry = current && current.history.find(function isVersion(item) { return item.version === version; });
+        if (!entry) {
+            throw new Error(`Prompt "${id}" has no version ${version}`);
+        }
+        if (entry.template === null) {
+            this.resetOverride(id);
+            return this.getOverrides()[id];
+        }
+        return this.setOverride(id, entry.template);
+    }
+
+    /**
+     * Replace the stored overrides, e.g. from an imported configuration
+     * Accepts the stored form ({ id: { template, version, history } }) or plain templates ({ id: text })
+     * @param {Object} overrides - Overrides by prompt id
+     */
+    importOverrides(overrides) {
+
+        const imported = {};
+        Object.keys(overrides || {}).forEach(function importOverride(id) {
+            const value = overrides[id];
+            this.getPrompt(id);
+            if (typeof value === 'string') {
+                imported[id] = this.createVersion(null, value);
+            } else if (value && typeof value === 'object') {
+                imported[id] = {
+                    template: typeof value.template === 'string' ? value.template : null,
+                    version: parseInt(value.version, 10) || 1,
+                    updatedAt: value.updatedAt || new Date().toISOString(),
+                    history: Array.isArray(value.history) ? value.history.slice(-MAX_HISTORY) : []
+                };
+            }
+        }, this);
+        this.saveOverrides(imported);
+    }
+
+    /**
+     * Render a template with {{name}} and {{name.path}} placeholders
+     * @param {string} template - Template text
+     * @param {Object} values - Placeholder values
+     * @returns {string}
+     */
+    render(template, values) {
+
+        const self = this;
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, function replacePlaceholder(match, name) {
+            const path = name.split('.');
+            if (!Object.prototype.hasOwnProperty.call(values, path[0])) {
+                return match;
+            }
+            let value = values[path[0]];
+            for (let i = 1; i < path.length && value !== undefined && value !== null; i++) {
+                value = value[path[i]];
+            }
+            return self.formatValue(value);
+        });
+    }
+
+    /**
+     * Format a builder argument for a template
+     * Speaker lists become their labels; other objects become JSON
+     * @param {*} value - Argument value
+     * @returns {string}
+     */
+    formatValue(value) {
+
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (Array.isArray(value) && value.every(function isSpeaker(item) { return item && typeof item === 'object' && item.label; })) {
+            return value.map(function getLabel(item) { return item.label; }).join(', ');
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value, null, 2);
+        }
+        return String(value);
+    }
+
+    /**
+     * Get the placeholder names used in a template (first path segment)
+     * @param {string} template - Template text
+     * @returns {Array<string>}
+     */
+    getPlaceholders(template) {
+
+        const names = [];
+        const pattern = /\{\{\s*([\w.]+)\s*\}\}/g;
+        let match;
+        while ((match = pattern.exec(template)) !== null) {
+            const name = match[1].split('.')[0];
+            if (names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Format placeholder names as they are written in templates
+     * @param {Array<string>} names - Placeholder names
+     * @returns {string} - E.g. '{{default}}, {{speakers}}'
+     */
+    formatPlaceholders(names) {
+
+        return names.map(function wrapName(name) { return `{{${name}}}`; }).join(', ');
+    }
+
+    /**
+     * Get a prompt definition
+     * @param {string} id - Prompt id
+     * @returns {Object}
+     */
+    getPrompt(id) {
+
+        if (!this.isPromptId(id)) {
+            throw new Error(`Unknown prompt "${id}" (expected one of: ${Object.keys(PROMPTS).join(', ')})`);
+        }
+        return PROMPTS[id];
+    }
+
+    /**
+     * Build the next version of an override, moving the current one into the history
+     * @param {Object|null} current - Current override
+     * @param {string|null} template - New template (null for the built-in prompt)
+     * @returns {Object}
+     */
+    createVersion(current, template) {
+
+        const history = current ? current.history.concat([{ template: current.template, version: current.version, updatedAt: current.updatedAt }]) : [];
+        return {
+            template: template,
+            version: current ? current.version + 1 : 1,
+            updatedAt: new Date().toISOString(),
+            history: history.slice(-MAX_HISTORY)
+        };
+    }
+
+    /**
+     * Save the overrides
+     * @param {Object} overrides - Overrides by prompt id
+     */
+    saveOverrides(overrides) {
+
+        if (!this.storageManager) {
+            throw new Error('Prompt overrides need a storage manager');
+        }
+        this.storageManager.save(STORAGE_KEY, { overrides: overrides });
+    }
+}
+
+export default PromptLibrary;
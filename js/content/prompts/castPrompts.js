@@ -0,0 +1,92 @@
+// Shared cast descriptions (host and guests, or a solo narrator) for the prompt builders
+
+// Interview cast used when a caller does not pass speakers
+const DEFAULT_SPEAKERS = [
+    { id: 'host', role: 'host', label: 'HOST', character: {} },
+    { id: 'guest-1', role: 'guest', label: 'GUEST', character: {} }
+];
+
+/**
+ * Get the speakers to describe, defaulting to a HOST/GUEST interview.
+ * @param {Array<Object>} [speakers] - Speakers ({ role, label, character }).
+ * @returns {Array<Object>}
+ */
+export function resolveSpeakers(speakers) {
+    return Array.isArray(speakers) && speakers.length > 0 ? speakers : DEFAULT_SPEAKERS;
+}
+
+/**
+ * Get the cast mode: 'solo' (narrator only), 'panel' (host and several guests) or 'interview'.
+ * @param {Array<Object>} [speakers] - Speakers.
+ * @returns {string}
+ */
+export function getCastMode(speakers) {
+    const list = resolveSpeakers(speakers);
+    if (list.length === 1) {
+        return 'solo';
+    }
+    return list.length > 2 ? 'panel' : 'interview';
+}
+
+/**
+ * Get the label of the host (or narrator).
+ * @param {Array<Object>} [speakers] - Speakers.
+ * @returns {string}
+ */
+export function getHostLabel(speakers) {
+    return resolveSpeakers(speakers)[0].label;
+}
+
+/**
+ * Get the labels of the guests.
+ * @param {Array<Object>} [speakers] - Speakers.
+ * @returns {Array<string>}
+ */
+export function getGuestLabels(speakers) {
+    return resolveSpeakers(speakers).slice(1).map(function getLabel(speaker) { return speaker.label; });
+}
+
+/**
+ * Join labels into prose, e.g. "HOST, GUEST 1 and GUEST 2".
+ * @param {Array<string>} labels - Labels.
+ * @returns {string}
+ */
+export function joinLabels(labels) {
+    if (labels.length <= 1) {
+        return labels[0] || '';
+    }
+    return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Format the speaker label lines allowed in a script, e.g. "HOST:/GUEST:".
+ * @param {Array<Object>} [speakers] - Speakers.
+ * @returns {string}
+ */
+export function formatLabelLines(speakers) {
+    return resolveSpeakers(speakers).map(function formatLabel(speaker) { return `${speaker.label}:`; }).join('/');
+}
+
+/**
+ * Quote a speaker's character name, e.g. '"Ann"'.
+ * @param {Object} speaker - Speaker.
+ * @param {string} fallback - Name used when the character has none.
+ * @returns {string}
+ */
+function nameOf(speaker, fallback) {
+    return `"${(speaker.character && speaker.character.name) || fallback}"`;
+}
+
+/**
+ * Describe the cast by role and name for outline planning, e.g. 'a host "Ann" and a guest "Bob"'.
+ * @param {Array<Object>} [speakers] - Speakers.
+ * @returns {string}
+ */
+export function describeCast(speakers) {
+    const list = resolveSpeakers(speakers);
+    if (list.length === 1) {
+        return `a solo narrator ${nameOf(list[0], 'Narrator')}`;
+    }
+    const guests = list.slice(1).map(function nameGuest(speaker, index) { return nameOf(speaker, `Guest ${index + 1}`); });
+    return `a host ${nameOf(list[0], 'Host')} and ${guests.length === 1 ? `a guest ${guests[0]}` : `${guests.length} guests ${joinLabels(guests)}`}`;
+}
@@ -0,0 +1,57 @@
+// Centralized prompt builders for document preparation (chunk digests for long sources)
+
+// Chunk digest prompts
+export function buildChunkDigestSystem() {
+    return `You are a meticulous research document digest writer.
+
+Goal: Condense one excerpt of a longer source document into a compact digest that a podcast planner can rely on instead of the full text.
+
+Rules (CRITICAL):
+1) FACTS ONLY: Use only what the excerpt states. No outside knowledge, no interpretation, no opinions.
+2) PRECISION: Keep exact numbers, units, dates, names, definitions and short key quotes as written.
+3) COVERAGE: Capture every distinct claim, finding, example and argument worth discussing; skip boilerplate (references, page furniture, navigation, legal notices).
+4) LENGTH: At most 250 words.
+
+Format:
+Summary: <one or two sentences on what this excerpt covers>
+KEY FACTS:
+- <fact>
+- <fact>
+`;
+}
+
+export function buildChunkDigestUser(sourceName, label, index, count, excerpt) {
+    return `Write the digest for excerpt ${index} of ${count} (${label}) from the source "${sourceName}".
+
+--- EXCERPT ---
+${excerpt}
+`;
+}
+
+// Digest merge prompts (used when the digests of a very long source still do not fit)
+export function buildDigestMergeSystem() {
+    return `You are a meticulous research document digest writer.
+
+Goal: Merge several consecutive excerpt digests of the same source into one shorter digest.
+
+Rules (CRITICAL):
+1) FACTS ONLY: Use only facts present in the digests. No outside knowledge.
+2) PRECISION: Keep exact numbers, units, dates, names and key quotes.
+3) PRIORITY: Keep the most important and distinctive facts; merge duplicates; drop minor detail first.
+4) LENGTH: At most 300 words.
+
+Format:
+Summary: <two or three sentences on what these excerpts cover>
+KEY FACTS:
+- <fact>
+- <fact>
+`;
+}
+
+export function buildDigestMergeUser(sourceName, label, digests) {
+    return `Merge these digests of "${sourceName}" (${label}) into one.
+
+--- DIGESTS ---
+${digests}
+`;
+}
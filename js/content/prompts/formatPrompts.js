@@ -0,0 +1,240 @@
+// Episode formats (interview, debate, explainer, news roundup, storytelling) for the prompt builders
+import { getCastMode, getGuestLabels, getHostLabel, joinLabels, resolveSpeakers } from './castPrompts.js';
+
+// Format used when none is chosen; its wording comes from the cast prompts alone
+export const DEFAULT_EPISODE_FORMAT = 'interview';
+
+// Selectable formats in display order
+const EPISODE_FORMATS = [
+    { id: 'interview', name: 'Interview', description: 'A layperson host asks, expert guests answer.' },
+    { id: 'debate', name: 'Debate', description: 'Speakers argue opposing positions, the host keeps it fair.' },
+    { id: 'explainer', name: 'Co-host explainer', description: 'Co-hosts explain the material together as equals.' },
+    { id: 'news-roundup', name: 'News roundup', description: 'A brisk run through the stories in the sources, one per segment.' },
+    { id: 'storytelling', name: 'Storytelling', description: 'The host narrates a story built from the sources.' }
+];
+
+/**
+ * Get the selectable episode formats.
+ * @returns {Array<Object>} Formats as { id, name, description }.
+ */
+export function getEpisodeFormats() {
+    return EPISODE_FORMATS.map(function copyFormat(format) { return Object.assign({}, format); });
+}
+
+/**
+ * Check whether an id names an episode format.
+ * @param {string} id - Format id.
+ * @returns {boolean}
+ */
+export function isEpisodeFormat(id) {
+    return EPISODE_FORMATS.some(function hasId(format) { return format.id === id; });
+}
+
+/**
+ * Get a known episode format id, defaulting to the interview.
+ * @param {string} [id] - Format id.
+ * @returns {string}
+ */
+export function resolveEpisodeFormat(id) {
+    return isEpisodeFormat(id) ? id : DEFAULT_EPISODE_FORMAT;
+}
+
+/**
+ * Build the format-specific wording of the outline and script prompts.
+ * The interview has no entry: the cast wording in outlinePrompts/scriptPrompts already describes it.
+ * Every other format returns outline rules (quality, roles, structure, intro, outro, review criterion)
+ * and script rules (cast wording, persona knowledge, intro/section/outro guidance, review criteria).
+ * @param {string} [format] - Episode format id.
+ * @param {Array<Object>} [speakers] - Speakers ({ role, label, character }); defaults to HOST and GUEST.
+ * @returns {Object|null} Wording snippets, or null for the interview.
+ */
+export function getFormatGuidance(format, speakers) {
+    const builder = FORMAT_BUILDERS[resolveEpisodeFormat(format)];
+    if (!builder) {
+        return null;
+    }
+
+    const mode = getCastMode(speakers);
+    const host = getHostLabel(speakers);
+    const guests = joinLabels(getGuestLabels(speakers));
+    const all = joinLabels(resolveSpeakers(speakers).map(function getLabel(speaker) { return speaker.label; }));
+    const guidance = builder({ mode: mode, solo: mode === 'solo', host: host, guests: guests, all: all });
+
+    // Outside the interview the host drives the episode and knows the material
+    guidance.script.knowledge = Object.assign({
+        host: `Knows own backstory, knows the OUTLINE, knows the GUEST KNOWLEDGE facts naturally as personal knowledge (never refer to "GUEST KNOWLEDGE"), and knows things that were shared so far in the conversation. Knows intended direction of conversation, and drives the conversation.`
+    }, guidance.script.knowledge);
+    return guidance;
+}
+
+// Wording per format; each builder gets { mode, solo, host, guests, all } and returns { outline, script }
+const FORMAT_BUILDERS = {
+    debate: function buildDebate(cast) {
+        const { solo, mode, host, guests, all } = cast;
+        const character = {
+            solo: `${host} speaks alone, presenting the strongest case for each position in turn and weighing them fairly; no invented interlocutors. Voice consistent with personality.`,
+            interview: `${host} and ${guests} argue the opposing positions set in the OUTLINE, answer each other's points directly and concede points the evidence supports; respectful, never hostile. Voices consistent with personalities.`,
+            panel: `${host} moderates neutrally, poses each point of contention and keeps the time fair; ${guests} argue their positions from the OUTLINE, rebut each other directly and concede points the evidence supports. Voices consistent with personalities.`
+        }[mode];
+
+        return {
+            outline: {
+                verb: solo ? 'weigh the arguments of' : 'debate',
+                quality: `Plan a structured debate around one central question the sources support. Define two opposing positions grounded in the sources and give each side equal time, its strongest arguments and direct rebuttals; disagreement stays respectful and evidence-based.${solo ? ' The narrator presents both sides fairly.' : (mode === 'panel' ? ' The host moderates neutrally; split the guests between the positions.' : ' The host argues one position and the guest the other.')}`,
+                roles: solo ? 'a solo narrator presenting both sides of a debate' : (mode === 'panel' ? 'a neutral moderator and guests arguing opposing positions' : 'a host and a guest arguing opposing positions'),
+                structure: `- Body sections are debate rounds: each takes one point of contention, states both positions and lets each side rebut the other.
+- Name the positions${solo ? '' : ' and who argues each'} in the Introduction overview and keep them the same throughout.`,
+                intro: `- ${host} welcomes listeners, frames the central question and introduces the opposing positions${solo ? '' : ` and who argues each (introducing ${guests})`}.
+- Move straight into the first point of contention.`,
+                outro: solo
+                    ? `- ${host} sums up the strongest point of each side and where the evidence is still open, without declaring a winner, then signs off.`
+                    : `- Each side gives a short closing statement; ${host} sums up where the sides agree and still differ, without declaring a winner, thanks ${guests}, they sign-off.`,
+                review: 'Each body section covers one point of contention with both positions represented and similar time for each side; positions stay the same across sections.'
+            },
+            script: {
+                writes: solo ? `a vivid, engaging, and balanced solo narration by ${host} that argues both sides of a debate` : `a vivid, engaging, and natural debate between ${all}`,
+                facts: solo
+                    ? `${host} is the expert—${host} can cite/derive from GUEST KNOWLEDGE, but only without explicitly saying "GUEST KNOWLEDGE". Each position is argued only with evidence from it.`
+                    : `${all} argue from GUEST KNOWLEDGE—they can cite/derive from it, but only without explicitly saying "GUEST KNOWLEDGE". No side wins by inventing evidence.`,
+                character: character,
+                expand: 'the arguments of each side',
+                follow: solo ? `${host} weighing the evidence` : 'direct rebuttals',
+                intro: `- This is **introductory section** of the podcast.
+- Start with ${host}.
+- Welcome listeners to the show and state the central question succinctly.
+${solo ? '- Preview the two positions that will be weighed.' : `- You always MUST introduce ${guests} with relevant credentials (no resume dump) and say who argues which position.
+- Each side briefly states its opening position.`}
+`,
+                section: `- This is a debate round: state the point of contention, ${solo ? 'make the case for each side in turn' : 'let each side make its case and rebut the other'}, and keep the time roughly even.
+`,
+                outro: `- This is **conclusion section** of the podcast.
+${solo ? `- ${host} sums up the strongest point of each side (no new arguments).` : '- Each side gives a short closing statement (no new arguments).'}
+- ${host} sums up where the sides agree and still differ, without declaring a winner.
+${solo ? '' : `- ${host} thanks ${guests}.
+`}- Clear ${host} sign‑off to listeners. Keep it tight and natural.`,
+                review: 'Debate: both positions are argued with similar weight, speakers answer each other directly and stay with their positions.',
+                arc: 'DEBATE: Positions stay the same across sections; the debate moves from round to round instead of repeating the same arguments.'
+            }
+        };
+    },
+
+    explainer: function buildExplainer(cast) {
+        const { solo, host, all } = cast;
+
+        return {
+            outline: {
+                verb: 'explain',
+                quality: `Plan an explainer that builds understanding step by step: start from what listeners already know, introduce one idea at a time, and use examples and analogies from the sources.${solo ? ' The narrator explains directly to listeners.' : ' All speakers are co-hosts with equal standing: they share the explaining and ask each other the questions a listener would ask.'}`,
+                roles: solo ? 'a solo narrator explaining the material step by step' : 'co-hosts sharing the explaining as equals',
+                structure: '- Order the body sections from foundations to advanced ideas; each section explains one idea and sets up the next. No idea is used before it is explained.',
+                intro: `- ${solo ? host : all} welcome${solo ? 's' : ''} listeners, pose${solo ? 's' : ''} the question the episode answers and why it matters.
+- Move straight into the first idea (avoid generic small talk).`,
+                outro: `- ${solo ? host : all} recap${solo ? 's' : ''} the key ideas in 2–3 takeaways, say what listeners can now understand, and sign off.`,
+                review: 'Ideas build on each other in order with no jumps; each body section explains one idea.'
+            },
+            script: {
+                writes: solo ? `a vivid, engaging, and natural solo explainer by ${host}` : `vivid, engaging, and natural co-host explainer dialogue between ${all}`,
+                facts: solo
+                    ? `${host} is the expert—${host} can cite/derive from GUEST KNOWLEDGE, but only without explicitly saying "GUEST KNOWLEDGE".`
+                    : `${all} are co-hosts who know the material—they can cite/derive from GUEST KNOWLEDGE, but only without explicitly saying "GUEST KNOWLEDGE".`,
+                character: solo
+                    ? `${host} speaks alone, explaining one idea at a time with examples and analogies; no invented interlocutors. Voice consistent with personality.`
+                    : `${all} are co-hosts with equal standing: they share the explaining, hand ideas back and forth, ask each other the questions a listener would ask, and use examples and analogies. No layperson/expert split. Voices consistent with personalities.`,
+                expand: 'the explanations',
+                follow: solo ? 'examples' : 'clarifying questions between the co-hosts',
+                knowledge: {
+                    guest: `Knows own backstory, knows the OUTLINE, knows the GUEST KNOWLEDGE facts naturally as personal knowledge (never refer to "GUEST KNOWLEDGE"), and knows things that were shared so far in the conversation. Co-hosts the show as an equal.`
+                },
+                intro: `- This is **introductory section** of the podcast.
+- Start with ${host}.
+- Welcome listeners to the show${solo ? '' : `; ${all} briefly introduce themselves as co-hosts`}.
+- Pose the question the episode answers and why it matters.
+`,
+                section: `- Explain one idea at a time, building on what was already explained${solo ? '' : '; alternate who explains and who asks'}.
+`,
+                outro: `- This is **conclusion section** of the podcast.
+- Brief recap: 2–3 key ideas from the whole episode${solo ? '' : ', shared between the co-hosts'}.
+- Say what listeners can now understand (no new topics).
+- Clear sign‑off to listeners. Keep it tight and natural.`,
+                review: `Explainer: ideas are explained step by step, building on earlier ones${solo ? '' : ', and the explaining is shared between the co-hosts'}.`,
+                arc: 'EXPLAINER: Ideas build in order from foundations to advanced ones; no idea is used before it is explained.'
+            }
+        };
+    },
+
+    'news-roundup': function buildNewsRoundup(cast) {
+        const { solo, host, guests } = cast;
+
+        return {
+            outline: {
+                verb: 'cover',
+                quality: `Plan a brisk news roundup: pick the distinct stories or developments in the sources, rank them by importance, and give each its own segment with what happened, why it matters and what to watch next.${solo ? ' The narrator anchors and presents every story.' : ` ${host} anchors the show; ${guests} act as correspondents and analysts who bring the details and context.`}`,
+                roles: solo ? 'a solo anchor presenting the stories' : 'an anchor host and correspondents',
+                structure: '- Body sections are news segments: one story (or a tight cluster of related stories) per section, most important first. Each Overview states the headline.',
+                intro: `- ${host} welcomes listeners${solo ? '' : `, introduces ${guests}`} and gives a quick headline rundown of the stories ahead.
+- Move straight into the top story.`,
+                outro: `- ${host} recaps the headlines in one line each${solo ? '' : `, thanks ${guests},`} and signs off.`,
+                review: 'Each body section covers one distinct story (what happened, why it matters, what to watch); stories are ordered by importance and not mixed across sections.'
+            },
+            script: {
+                writes: solo ? `a brisk, engaging news roundup presented by ${host}` : `a brisk, engaging news roundup between ${host} and ${guests}`,
+                facts: `Every story comes from GUEST KNOWLEDGE—${solo ? host : 'speakers'} can cite/derive from it, but only without explicitly saying "GUEST KNOWLEDGE". Attribute figures and claims to their source naturally (e.g., "according to the report").`,
+                character: solo
+                    ? `${host} anchors alone, presenting each story crisply and directly to listeners; no invented interlocutors. Voice consistent with personality.`
+                    : `${host} anchors: introduces each story and keeps the pace; ${guests} report the details and add analysis. Crisp, factual, conversational. Voices consistent with personalities.`,
+                expand: 'the story details and context',
+                follow: `short ${host} transitions`,
+                intro: `- This is **introductory section** of the podcast.
+- Start with ${host}.
+- Welcome listeners to the show${solo ? '' : ` and briefly introduce ${guests}`}.
+- Give a quick headline rundown of the stories ahead.
+`,
+                section: `- This is a news segment: headline first, then what happened, why it matters and what to watch; clear transition from the previous story.
+`,
+                outro: `- This is **conclusion section** of the podcast.
+- Recap the headlines in one line each (no new stories).
+${solo ? '' : `- ${host} thanks ${guests}.
+`}- Clear ${host} sign‑off to listeners. Keep it tight and natural.`,
+                review: `News roundup: the story is presented clearly (headline, what happened, why it matters) at a brisk pace${solo ? '' : ', with the anchor and correspondent roles kept'}.`,
+                arc: 'NEWS ROUNDUP: Stories follow the order of the outline and each is covered once; transitions between stories are clear.'
+            }
+        };
+    },
+
+    storytelling: function buildStorytelling(cast) {
+        const { solo, host, guests } = cast;
+
+        return {
+            outline: {
+                verb: 'tell the story of',
+                quality: `Plan a narrative episode: turn the sources into a story with a hook, rising tension, a turning point and a resolution, driven by the people, events and stakes in the sources.${solo ? ' The narrator tells the story directly to listeners.' : ` ${host} narrates; ${guests} add short reflections and expert context at key moments without taking over the narration.`}`,
+                roles: solo ? 'a narrator telling a story' : 'a narrating host with guests adding reflections',
+                structure: '- Body sections are story beats in narrative order (setup, rising tension, turning point, aftermath); each ends on a thread that pulls into the next.',
+                intro: `- ${host} opens with a hook (a vivid moment or question from the sources), then welcomes listeners${solo ? '' : `, introduces ${guests}`} and sets up the story.`,
+                outro: `- ${host} resolves the story and reflects on what it means in 2–3 takeaways${solo ? '' : `, thanks ${guests},`} then signs off.`,
+                review: 'Sections follow a clear narrative arc (hook, rising tension, turning point, resolution), and every story element is grounded in the sources.'
+            },
+            script: {
+                writes: solo ? `a vivid, immersive story narrated by ${host}` : `a vivid, immersive story narrated by ${host} with contributions from ${guests}`,
+                facts: `${solo ? `${host} is the storyteller—${host} can` : `${host} narrates and ${guests} add reflections—they can`} cite/derive from GUEST KNOWLEDGE, but only without explicitly saying "GUEST KNOWLEDGE". Dramatize only what the sources support; no invented events, quotes or people.`,
+                character: solo
+                    ? `${host} narrates alone with scene-setting, concrete detail and suspense; no invented interlocutors. Voice consistent with personality.`
+                    : `${host} carries the narration with scene-setting, concrete detail and suspense; ${guests} chime in with short reflections and context at key moments, never taking over the story. Voices consistent with personalities.`,
+                expand: 'the narration',
+                follow: solo ? 'vivid scene detail' : `short ${guests} reflections`,
+                intro: `- This is **introductory section** of the podcast.
+- Start with ${host} and open with a hook: a vivid moment or question from the story.
+- Then welcome listeners to the show${solo ? '' : `, briefly introduce ${guests}`} and set up the story.
+`,
+                section: `- This is a story beat: move the narrative forward with concrete scene detail and keep the tension building towards the next beat.
+`,
+                outro: `- This is **conclusion section** of the podcast.
+- Resolve the story and reflect on what it means: 2–3 takeaways (no new events).
+${solo ? '' : `- ${host} thanks ${guests}.
+`}- Clear ${host} sign‑off to listeners. Keep it tight and natural.`,
+                review: `Storytelling: the section moves the story forward with concrete, grounded scene detail${solo ? '' : `; ${host} carries the narration and contributions from ${guests} stay short`}.`,
+                arc: 'STORY ARC: The story unfolds in order with rising tension toward a clear resolution; no beat is retold.'
+            }
+        };
+    }
+};
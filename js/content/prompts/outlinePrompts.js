@@ -1,68 +1,134 @@
 // Centralized prompt builders for Outline generation/verification/improvement
+import { describeCast, getCastMode, getGuestLabels, getHostLabel, joinLabels } from './castPrompts.js';
+import { getFormatGuidance } from './formatPrompts.js';
+
+// Cast- and format-specific wording: conversation roles, structure, introduction, conclusion and review criterion
+function buildCastGuidance(speakers, episodeFormat) {
+    const formatGuidance = getFormatGuidance(episodeFormat, speakers);
+    if (formatGuidance) {
+        return formatGuidance.outline;
+    }
+
+    const mode = getCastMode(speakers);
+    const host = getHostLabel(speakers);
+    const guests = joinLabels(getGuestLabels(speakers));
+    if (mode === 'solo') {
+        return {
+            verb: 'present',
+            quality: 'Plan a clear, engaging solo narration where the narrator explains the material directly to listeners, with a strong story arc and no invented interlocutors.',
+            roles: 'a solo narrator explaining the material to listeners',
+            intro: `- ${host} welcomes listeners to the show, briefly introduces themselves, and states the overarching topic succinctly.
+- Smooth transition into the first substantive topic (avoid generic small talk).`,
+            outro: `- ${host} does a brief recap: 2–3 concise takeaways from the whole episode, then signs off.`
+        };
+    }
+    if (mode === 'panel') {
+        return {
+            verb: 'discuss',
+            quality: 'Plan a natural, flowing panel conversation where the host has layperson understanding and moderates, and the guests are subject-matter experts. Give every guest a substantive role and let guests build on or respectfully challenge each other.',
+            roles: 'a host (layperson perspective, moderator) and several guests (expert perspectives, each with a substantive role)',
+            intro: `- Host welcomes listeners to the show, introduces each guest, and states the overarching topic succinctly.
+- Smooth handoff into the first substantive question (avoid generic small talk).`,
+            outro: `- ${host} does a brief recap: 2–3 concise takeaways from the whole episode, thanks ${guests}, they sign-off.`
+        };
+    }
+    return {
+        verb: 'discuss',
+        quality: 'Plan a natural, flowing conversation where the host has layperson understanding and the guest is the subject-matter expert.',
+        roles: 'a host (layperson perspective) and a guest (expert perspective)',
+        intro: `- Host welcomes listeners to the show, introduces guest, and states the overarching topic succinctly.
+- Smooth handoff into the first substantive question (avoid generic small talk).`,
+        outro: `- ${host} does a brief recap: 2–3 concise takeaways from the whole episode, thanks ${guests}, they sign-off.`
+    };
+}
+
+// Output format rules: the JSON outline (generation) or its text rendering (editing)
+function buildFormatRules(outputFormat) {
+    if (outputFormat === 'json') {
+        return `Formatting (CRITICAL):
+- Output ONLY a JSON object: {"sections": [{"number", "title", "durationMinutes", "overview", "keyFacts", "uniqueFocus", "carryover"}, ...]}. No code fences, no extra commentary, no totals.
+- number: the section number as a string ("1", "2", "3", ...); title: a short section title (e.g., "Introduction").
+- durationMinutes: the section duration in minutes (a number).
+- overview: one concise sentence.
+- keyFacts: facts from the sources that anchor the discussion. Aim ~1–2 per minute of section duration.
+- Every keyFacts entry MUST end with the tag of the source it came from, e.g. "Adoption doubled between 2022 and 2024 [S2]". If several sources support a fact, list each tag ("[S1][S3]").
+- uniqueFocus: what makes this section distinct from the others.
+- carryover: the topics from earlier sections this section builds on ("" for the first section).
+- No dialogue/script—this is an outline only.`;
+    }
+    return `Formatting (CRITICAL):
+- Output ONLY the outline. No code fences, no extra commentary, no totals at the end.
+- Use '---' as a separator before every section block.
+- Each section starts with: "<number>. <Title>" on the first line (e.g., "1. Introduction", "2. Theme one", "3. Theme two").
+- Include a line: "Duration: <number> minutes" (minutes or min are acceptable).
+- Include a line: "Overview: <one concise sentence>".
+- Optionally include a "KEY FACTS:" list with bullets to anchor discussion to source facts. Aim ~1–2 bullets per minute of section duration.
+- Every KEY FACTS bullet MUST end with the tag of the source it came from, e.g. "- Adoption doubled between 2022 and 2024 [S2]". If several sources support a fact, list each tag ("[S1][S3]").
+- Optionally include "UNIQUE FOCUS: <what makes this section distinct>" and "CARRYOVER: <topics from earlier sections it builds on>" lines after KEY FACTS.
+- No dialogue/script—this is an outline only.`;
+}
 
 // Generation prompts
-export function buildOutlineGenerationSystem(host, guest, targetDurationMinutes) {
+export function buildOutlineGenerationSystem(speakers, targetDurationMinutes, outputFormat = 'text', episodeFormat) {
+    const cast = buildCastGuidance(speakers, episodeFormat);
     return `You are an expert podcast outline planner.
 
-Goal: Design a sectioned outline for a host "${host.name || 'Host'}" and a guest "${guest.name || 'Guest'}" to discuss the provided document content, aligned to user steer, within EXACTLY ${targetDurationMinutes} minutes.
+Goal: Design a sectioned outline for ${describeCast(speakers)} to ${cast.verb} the provided source documents, aligned to user steer, within EXACTLY ${targetDurationMinutes} minutes.
 
 Hard rules (in priority order):
-1) FACT CHECK: Only include topics, claims, and examples that appear in the provided document. No outside knowledge or assumptions.
+1) FACT CHECK: Only include topics, claims, and examples that appear in the provided sources. No outside knowledge or assumptions.
 2) DURATION: Section durations must sum to EXACTLY ${targetDurationMinutes} minutes. Enforce realistic coverage using 160 words per minute as the speaking rate to gauge feasibility.
 3) DURATION: Section duration MUST NOT exceed 10 minutes; if needed split one section into two or more.
-4) CONVERSATION QUALITY: Plan a natural, flowing conversation where the host has layperson understanding and the guest is the subject-matter expert.
+4) CONVERSATION QUALITY: ${cast.quality}
+5) SOURCES: Each source is delimited by '=== SOURCE [S#]: <name> ===' and '=== END SOURCE [S#] ==='. When there are several, synthesize them into one conversation (connect, compare, contrast) rather than covering them one after another, and allocate coverage roughly in proportion to each source's weight.
 
-Formatting (CRITICAL):
-- Output ONLY the outline. No code fences, no extra commentary, no totals at the end.
-- Use '---' as a separator before every section block.
-- Each section starts with: "<number>. <Title>" on the first line (e.g., "1. Introduction", "2. Theme one", "3. Theme two").
-- Include a line: "Duration: <number> minutes" (minutes or min are acceptable).
-- Include a line: "Overview: <one concise sentence>".
-- Optionally include a "KEY FACTS:" list with bullets to anchor discussion to document facts. Aim ~1–2 bullets per minute of section duration.
-- No dialogue/script—this is an outline only.
+${buildFormatRules(outputFormat)}
 
 Structural guidance:
 - Always include an opening Introduction as the first section and a closing Outro/Conclusion as the last section.
 - Think about the story arc when splitting the podcast into sections - all sections should be connected to the previous one and lead to the next one, resulting in a cohesive flow.
 - Avoid redundancy; place each fact/topic once where it best fits the flow.
 - If time is tight, drop lower-priority topics rather than cramming.
-
+${cast.structure ? `${cast.structure}
+` : ''}
 Introduction section guidance (CRITICAL):
-- Host welcomes listeners to the show, introduces guest, and states the overarching topic succinctly.
-- Smooth handoff into the first substantive question (avoid generic small talk).
+${cast.intro}
 
 Conclusion section guidance (CRITICAL):
-- HOST does a brief recap: 2–3 concise takeaways from the whole episode, thanks GUEST, they sign-off.
+${cast.outro}
 - Keep it tight and natural.
 `;
 }
 
-export function buildOutlineGenerationUser(documentContent, podcastDuration, podcastFocus) {
+export function buildOutlineGenerationUser(documentContent, podcastDuration, podcastFocus, speakers, outputFormat = 'text', episodeFormat) {
     const steer = (podcastFocus && podcastFocus.trim()) ? `Podcast steer: ${podcastFocus.trim()}` : 'Podcast steer: (none provided)';
     return `Task: Create a podcast outline strictly following the system rules.
 
 ${steer}
 Target duration: ${podcastDuration} minutes (sum of section durations must equal ${podcastDuration}).
 
---- DOCUMENT (ground truth) ---
+--- SOURCES (ground truth) ---
 ${documentContent}
 
 --- CRITICAL REQUIREMENTS ---
-- Ground all sections and KEY FACTS in the document.
-- Make the flow natural for a host (layperson perspective) and a guest (expert perspective).
+- Ground all sections and KEY FACTS in the sources, and end every KEY FACTS bullet with its source tag ([S1], [S2], ...).
+- Make the flow natural for ${buildCastGuidance(speakers, episodeFormat).roles}.
 - Ensure feasibility at 160 wpm: pick a realistic number of topics per section (about 1–2 bullets per minute).
-- Output ONLY the outline in the exact format with '---' separators, numbered titles, Duration, and Overview.
+- ${outputFormat === 'json'
+        ? 'Output ONLY the outline JSON object described in the system rules.'
+        : "Output ONLY the outline in the exact format with '---' separators, numbered titles, Duration, and Overview."}
 `;
 }
 
 // Verification prompts
-export function buildOutlineVerificationSystem() {
+export function buildOutlineVerificationSystem(speakers, episodeFormat) {
+    const cast = buildCastGuidance(speakers, episodeFormat);
     return `You are a strict podcast outline reviewer.
 
 Review priorities:
-1) FACT CHECK: Every section topic and each KEY FACT must be supported by the provided document. Flag anything not grounded.
+1) FACT CHECK: Every section topic and each KEY FACT must be supported by the provided sources. Each KEY FACT must end with the tag of a source that actually supports it ([S1], [S2], ...). Flag anything not grounded, untagged, or attributed to the wrong source.
 2) DURATION: Sum of section durations must equal the target exactly. If not exact, this is a critical timing error. Also assess feasibility using 160 words/minute; flag overcrowded sections.
-3) CONVERSATION QUALITY: Flow should be natural (intro ➜ body ➜ outro), with host as layperson and guest as expert; sections should be non-redundant and align to any steer.
+3) CONVERSATION QUALITY: Flow should be natural (intro ➜ body ➜ outro) for ${cast.roles}; sections should be non-redundant and align to any steer.${cast.review ? ` ${cast.review}` : ''}
 4) FORMAT: Must follow exact outline format: '---' separators; first line is numbered title (e.g., 2. Title or 1.1. Title); include Duration and Overview lines. No extra commentary or code fences in the outline.
 
 Respond with JSON ONLY (no backticks, no prose), using this structure:
@@ -112,11 +178,11 @@ Examples:
       "severity": "major",
       "description": "Section 3 includes a claim not supported by the document.",
       "section": "3",
-      "evidence": "KEY FACTS bullet 'Market doubled in 2024' has no source in the provided text.",
-      "fix": "Remove ungrounded bullet and replace with a document-supported statistic from the 'Trends' paragraph.",
+      "evidence": "KEY FACTS bullet 'Market doubled in 2024 [S1]' is not supported by S1 or any other source.",
+      "fix": "Remove ungrounded bullet and replace with a source-supported statistic from the 'Trends' paragraph of S1.",
       "actions": [
-        "Delete the bullet 'Market doubled in 2024' in Section 3",
-        "Add a bullet with the exact statistic quoted from the 'Trends' paragraph"
+        "Delete the bullet 'Market doubled in 2024 [S1]' in Section 3",
+        "Add a bullet with the exact statistic quoted from the 'Trends' paragraph, tagged [S1]"
       ],
       "suggestedDuration": null,
       "notes": "Maintains factual integrity and alignment with source."
@@ -157,12 +223,12 @@ Examples:
 
 export function buildOutlineVerificationUser(outlineText, documentContent, podcastDuration, podcastFocus) {
     const steer = (podcastFocus && podcastFocus.trim()) ? `Podcast steer: ${podcastFocus.trim()}` : 'Podcast steer: (none provided)';
-    return `Review this generated outline against the document and requirements. Return JSON only.
+    return `Review this generated outline against the sources and requirements. Return JSON only.
 
 Target duration: ${podcastDuration}
 ${steer}
 
---- DOCUMENT (ground truth) ---
+--- SOURCES (ground truth) ---
 ${documentContent}
 
 --- OUTLINE TO REVIEW ---
@@ -178,13 +244,13 @@ Edit mode rules (CRITICAL):
 - Make precise, minimal edits that fully address the feedback. Do not rewrite unaffected sections.
 - Preserve numbering, separators (---), Duration and Overview lines, and overall structure unless feedback requires a structural change.
 - Fix timing first: reallocate durations so the sum equals the target exactly; prefer trimming/dropping low-priority or off-steer items.
-- Ensure all content is grounded in the document; remove or replace anything not supported.
+- Ensure all content is grounded in the sources; remove or replace anything not supported, and keep every KEY FACTS bullet tagged with its correct source ([S1], [S2], ...).
 - Keep feasibility at 160 wpm with ~1–2 bullets per minute.
 - Output ONLY the full revised outline in the same format; no explanations or code fences.
 `;
 }
 
-export function buildOutlineImproveUser(originalOutlineText, feedback, documentContent, podcastDuration, podcastFocus) {
+export function buildOutlineImproveUser(originalOutlineText, feedback, documentContent, podcastDuration, podcastFocus, improvementHistory = '') {
     const steer = (podcastFocus && podcastFocus.trim()) ? `Podcast steer: ${podcastFocus.trim()}` : 'Podcast steer: (none provided)';
     return `Apply the feedback to improve the outline. Produce ONLY the revised outline.
 
@@ -194,6 +260,6 @@ Target duration: ${podcastDuration} minutes (sum must equal ${podcastDuration}).
 ${originalOutlineText}
 
 --- FEEDBACK (issues to fix) ---
-${feedback}
+${feedback}${improvementHistory}
 `;
 }
@@ -1,4 +1,94 @@
 // Centralized prompt builders for Script generation/verification/improvement
+import { formatLabelLines, getCastMode, getGuestLabels, getHostLabel, joinLabels, resolveSpeakers } from './castPrompts.js';
+import { DEFAULT_EPISODE_FORMAT, getFormatGuidance, resolveEpisodeFormat } from './formatPrompts.js';
+
+
+
+////////////////////////////////////////
+// Cast wording
+
+
+/**
+ * Build the cast-specific rule wording shared by the script prompts.
+ * Interviews keep the original HOST/GUEST wording; panels address every guest; solo episodes have one narrator.
+ * Other episode formats take their wording (and section-type guidance) from formatPrompts.js.
+ * @param {Array<Object>} [speakers] - Speakers ({ role, label, character }); defaults to HOST and GUEST.
+ * @param {string} [episodeFormat] - Episode format id; defaults to the interview.
+ * @returns {Object} Wording snippets.
+ */
+function buildCastRules(speakers, episodeFormat) {
+    const mode = getCastMode(speakers);
+    const host = getHostLabel(speakers);
+    const guestLabels = getGuestLabels(speakers);
+    const guests = joinLabels(guestLabels);
+    const allLabels = joinLabels(resolveSpeakers(speakers).map(function getLabel(speaker) { return speaker.label; }));
+
+    const formatGuidance = getFormatGuidance(episodeFormat, speakers);
+    if (formatGuidance) {
+        return Object.assign({ mode: mode, all: mode === 'solo' ? host : allLabels }, formatGuidance.script);
+    }
+
+    if (mode === 'solo') {
+        return {
+            mode: mode,
+            all: host,
+            writes: `a vivid, engaging, and natural solo narration by ${host}`,
+            facts: `${host} is the expert—${host} can cite/derive from GUEST KNOWLEDGE, but only without explicitly saying "GUEST KNOWLEDGE".`,
+            character: `${host} speaks alone, directly to listeners, explaining GUEST KNOWLEDGE-grounded content; no invented interlocutors. Voice consistent with personality.`,
+            expand: 'the narration',
+            follow: `${host} explains`
+        };
+    }
+    if (mode === 'panel') {
+        return {
+            mode: mode,
+            all: allLabels,
+            writes: `vivid, engaging, and natural panel dialogue between ${host} and ${guests}`,
+            facts: `${host} is layperson, ${guests} are experts—they can cite/derive from GUEST KNOWLEDGE, but only without explicitly saying "GUEST KNOWLEDGE".`,
+            character: `${host} moderates and asks layperson questions, addressing guests by name; ${guests} provide expert, GUEST KNOWLEDGE-grounded answers, each with a fair share of the conversation, and may build on or respectfully challenge each other. Voices consistent with personalities.`,
+            expand: `answers from ${guests}`,
+            follow: `short ${host} follow-ups`
+        };
+    }
+    return {
+        mode: mode,
+        all: allLabels,
+        writes: `vivid, engaging, and natural dialogue between ${host} and ${guests}`,
+        facts: `${host} is layperson, ${guests} is expert—${guests} can cite/derive from GUEST KNOWLEDGE, but only without explicitly saying "GUEST KNOWLEDGE".`,
+        character: `${host} asks layperson questions; ${guests} provides expert, GUEST KNOWLEDGE-grounded answers. Voices consistent with personalities.`,
+        expand: `${guests} answers`,
+        follow: `short ${host} follow-ups`
+    };
+}
+
+/**
+ * Build the persona block of one speaker for the section generation prompt.
+ * @param {Object} speaker - Speaker ({ role, label, character }).
+ * @param {string} hostLabel - Label of the host, who drives the conversation.
+ * @param {Object} [knowledgeOverrides] - Format-specific knowledge text by role.
+ * @returns {string} Persona markdown.
+ */
+function buildPersona(speaker, hostLabel, knowledgeOverrides) {
+    const character = speaker.character || {};
+    const label = speaker.label;
+    const knowledge = Object.assign({
+        host: `Knows own backstory, knows the OUTLINE and has general understanding of the topics, and knows things that were shared so far in the conversation. Does not know or can cite GUEST KNOWLEDGE specifics unless a guest brings them in. Knows intended direction of conversation, and drives the conversation.`,
+        guest: `Knows own backstory, knows the GUEST KNOWLEDGE facts naturally as personal knowledge (never refer to "GUEST KNOWLEDGE"), and knows things that were shared so far in the conversation. Does not know intended direction of conversation, and lets ${hostLabel} drive the conversation.`,
+        narrator: `Knows own backstory, knows the OUTLINE, knows the GUEST KNOWLEDGE facts naturally as personal expertise (never refer to "GUEST KNOWLEDGE"), and knows what was already said in the episode. Speaks alone, directly to listeners.`
+    }, knowledgeOverrides)[speaker.role] || '';
+
+    return `--- ${label} PERSONA ---
+When ${label} speaks, they should realistically incorporate the ${label} personality, speaking style, and backstory.
+**Name**: ${character.name || label.charAt(0) + label.slice(1).toLowerCase()}
+**Knowledge**: ${knowledge}
+${character.personality ? `**Personality**: ${character.personality}` : ''}
+${character.speakingStyle ? `**Speaking style**: ${character.speakingStyle}` : ''}
+${character.backstory ? `
+--- ${label} BACKSTORY ---
+\`\`\`markdown
+${character.backstory}
+\`\`\`` : ''}`;
+}
 
 
 
@@ -45,43 +135,57 @@ ${lastSectionContent}`;
 
 /**
  * Build the system prompt for generating a single script section.
- * @param {Object} host - Host character profile (name, personality, speakingStyle, backstory).
- * @param {Object} guest - Guest character profile (name, personality, speakingStyle, backstory).
+ * @param {Array<Object>} speakers - Speakers in speaking order ({ role, label, character }), host or narrator first.
  * @param {string} podcastFocus - Optional focus/steer text for this podcast.
  * @param {string} partType - Section type: 'intro' | 'section' | 'outro'.
- * @param {string} [documentContent] - Optional ground-truth document content, visible implicitly to GUEST.
+ * @param {string} [documentContent] - Optional ground-truth document content, visible implicitly to the guests (or the narrator).
+ * @param {string} [episodeFormat] - Episode format id; defaults to the interview.
  * @returns {string} System prompt text for section generation.
  */
-export function getSectionGenerateSystem(host, guest, podcastFocus, partType, documentContent = '') {
-    const hostName = (host && host.name) ? host.name : 'Host';
-    const guestName = (guest && guest.name) ? guest.name : 'Guest';
-    const hostPersonality = (host && host.personality) ? host.personality : '';
-    const guestPersonality = (guest && guest.personality) ? guest.personality : '';
-    const hostStyle = (host && host.speakingStyle) ? host.speakingStyle : '';
-    const guestStyle = (guest && guest.speakingStyle) ? guest.speakingStyle : '';
-    const hostBackstory = (host && host.backstory) ? host.backstory : '';
-    const guestBackstory = (guest && guest.backstory) ? guest.backstory : '';
-
-    const personas = [
-        `HOST (“${hostName}”)${hostPersonality ? ` — Personality: ${hostPersonality}` : ''}${hostStyle ? ` — Speaking style: ${hostStyle}` : ''}${hostBackstory ? ` — Backstory: ${hostBackstory}` : ''}`,
-        `GUEST (“${guestName}”)${guestPersonality ? ` — Personality: ${guestPersonality}` : ''}${guestStyle ? ` — Speaking style: ${guestStyle}` : ''}${guestBackstory ? ` — Backstory: ${guestBackstory}` : ''}`
-    ].join('\n');
+export function getSectionGenerateSystem(speakers, podcastFocus, partType, documentContent = '', episodeFormat = DEFAULT_EPISODE_FORMAT) {
+    const cast = buildCastRules(speakers, episodeFormat);
+    const list = resolveSpeakers(speakers);
+    const hostLabel = getHostLabel(speakers);
+    const isSolo = cast.mode === 'solo';
+    const labelChoice = list.map(function quoteLabel(speaker) { return `'${speaker.label}:'`; }).join(' or ');
+    const labelList = list.map(function formatLabel(speaker) { return `${speaker.label}:`; }).join(', ');
+    const personas = list.map(function describeSpeaker(speaker) { return buildPersona(speaker, hostLabel, cast.knowledge); }).join('\n\n');
+
+    // Interviews get a full sample exchange; other casts and formats get the block layout with their own labels
+    const example = cast.mode === 'interview' && resolveEpisodeFormat(episodeFormat) === DEFAULT_EPISODE_FORMAT ? `---
+${hostLabel}:
+Welcome to the "Adriatic AI Community" podcast! I’m Bora, and today we’re exploring Large Language Models (LLMs). These AI systems generate human-like text, trained on vast datasets through self-supervised learning. I’m thrilled to welcome Ilya Sutskever, co-founder of OpenAI and now CEO of Safe Superintelligence Inc., key in creating the GPT series.
+
+---
+${list[1].label}:
+Thanks, Bora! LLMs like GPT revolutionized AI by producing coherent, context-aware responses. Trained on huge, diverse text, they capture nuance and reasoning-like patterns. They don’t think—just predict words from data.
+
+---
+${hostLabel}:
+Exactly! We’ll explore their evolution, coding, creativity, and work applications. Ilya, how do they sound so human?
+
+---
+${list[1].label}:
+It’s scale—massive training data creates fluent outputs. Still, they lack understanding, relying on statistical patterns in collective writing.` : (isSolo ? list.concat(list) : list).map(function exampleBlock(speaker) {
+        return `---\n${speaker.label}:\n<${isSolo ? 'narration paragraph' : `${speaker.label} dialogue`}>`;
+    }).join('\n\n');
 
     return `# Role
 - You are an expert podcast script writer.
-- You write vivid, engaging, and natural dialogue between HOST and GUEST.
+- You write ${cast.writes}.
 
 ## Writing Rules (CRITICAL)
-- Use HOST and GUEST personas and knowledge separation when writing the script.
-- HOST and GUEST do not blindly recite the topic - if their backstory is relevant to the topic, they can use it to build a believable human conversation, but they should not recite it word-for-word.
+- Use ${cast.all} ${isSolo ? 'persona' : 'personas and knowledge separation'} when writing the script.
+- ${cast.all} ${isSolo ? 'does' : 'do'} not blindly recite the topic - if their backstory is relevant to the topic, they can use it to build a believable human ${isSolo ? 'narration' : 'conversation'}, but they should not recite it word-for-word.
 - Use blocks starting with '---' on a line by itself.
-- Each block immediately followed by 'HOST:' or 'GUEST:' on its own line, then that speaker's dialogue.
+- Each block immediately followed by ${labelChoice} on its own line, then that speaker's ${isSolo ? 'narration' : 'dialogue'}.
 - No stage directions, no sound cues, no section headers, no metadata, no code fences, no numbered lists, no bullet points, no code.
-- ONLY natural conversation that's easy to follow.
+- ONLY natural ${isSolo ? 'narration' : 'conversation'} that's easy to follow.
 - Write enough words to meet the section's target at 160 wpm, using depth, examples, and analogies where appropriate.
 - Script is written one section at a time. Sections exist for the sole purpose of directing the flow of conversation, and will be concatenated together to form the final script.
-- HOST and GUEST shouldn't acknowledge the existence of sections - no sign-offs, hand-overs etc. the transition between sections MUST be seamless. 
+- ${cast.all} shouldn't acknowledge the existence of sections - no sign-offs, hand-overs etc. the transition between sections MUST be seamless. 
 - Never use word "delve".
+- Never say source tags such as [S1] or [S2] out loud. If it helps to attribute a fact, refer to the source naturally (e.g., "the paper", "the blog post").
 
 ${podcastFocus ? `
 ## Writing Direction
@@ -91,57 +195,21 @@ ${podcastFocus}
 
 ## Example output
 \`\`\`text
----
-HOST:
-Welcome to the "Adriatic AI Community" podcast! I’m Bora, and today we’re exploring Large Language Models (LLMs). These AI systems generate human-like text, trained on vast datasets through self-supervised learning. I’m thrilled to welcome Ilya Sutskever, co-founder of OpenAI and now CEO of Safe Superintelligence Inc., key in creating the GPT series.
-
----
-GUEST:
-Thanks, Bora! LLMs like GPT revolutionized AI by producing coherent, context-aware responses. Trained on huge, diverse text, they capture nuance and reasoning-like patterns. They don’t think—just predict words from data.
-
----
-HOST:
-Exactly! We’ll explore their evolution, coding, creativity, and work applications. Ilya, how do they sound so human?
-
----
-GUEST:
-It’s scale—massive training data creates fluent outputs. Still, they lack understanding, relying on statistical patterns in collective writing.
+${example}
 \`\`\`
 
 ## Script Quality Scoring (CRITICAL)
 1) DURATION: Write enough words to meet the section's TARGET WORDS.
-2) FACTS: Claims must be grounded in the GUEST KNOWLEDGE and HOST and GUEST backstories. HOST is layperson, GUEST is expert—GUEST can cite/derive from GUEST KNOWLEDGE, but only without explicitly saying "GUEST KNOWLEDGE".
+2) FACTS: Claims must be grounded in the GUEST KNOWLEDGE and ${cast.all} backstor${isSolo ? 'y' : 'ies'}. ${cast.facts}
 3) OUTLINE: Cover the section's Overview and KEY FACTS. No verbatim copying from outline wording.
 4) REDUNDANCY: Avoid going back to already-covered topics, unless explicitly building on top of what was already said, based on the outline.
-5) CONVERSATION: No stage directions. Format is '---' + speaker label lines (HOST:, GUEST:).
+5) CONVERSATION: No stage directions. Format is '---' + speaker label lines (${labelList}).
 6) CONTINUITY: If LAST DISCUSSION is provided, this section continues seamlessly from where it left off.
-7) CHARACTER: HOST asks layperson questions; GUEST provides expert, GUEST KNOWLEDGE-grounded answers. Voices consistent with personalities.
-8) FORMAT: Only '---' separators and HOST:/GUEST: labels. No code fences, no section titles, no metadata.
+7) CHARACTER: ${cast.character}
+8) FORMAT: Only '---' separators and ${formatLabelLines(speakers)} labels. No code fences, no section titles, no metadata.
   
 # Characters
---- HOST PERSONA ---
-When HOST speaks, they should realistically incorporate the HOST personality, speaking style, and backstory.
-**Name**: ${hostName}
-**Knowledge**: Knows own backstory, knows the OUTLINE and has general understanding of the topics, and knows things that were shared so far in the conversation. Does not know or can cite GUEST KNOWLEDGE specifics unless the GUEST brings them in. Knows intended direction of conversation, and drives the conversation.
-${hostPersonality ? `**Personality**: ${hostPersonality}` : ''}
-${hostStyle ? `**Speaking style**: ${hostStyle}` : ''}
-${hostBackstory ? `
---- HOST BACKSTORY ---
-\`\`\`markdown
-${hostBackstory}
-\`\`\`` : ''}
-
---- GUEST PERSONA ---
-When GUEST speaks, they should realistically incorporate the GUEST personality, speaking style, and backstory.
-**Name**: ${guestName}
-**Knowledge**: Knows own backstory, knows the GUEST KNOWLEDGE facts naturally as personal knowledge (never refer to "GUEST KNOWLEDGE"), and knows things that were shared so far in the conversation. Does not know intended direction of conversation, and lets HOST drive the conversation.
-${guestPersonality ? `**Personality**: ${guestPersonality}` : ''}
-${guestStyle ? `**Speaking style**: ${guestStyle}` : ''}
-${guestBackstory ? `
---- GUEST BACKSTORY ---
-\`\`\`markdown
-${guestBackstory}
-\`\`\`` : ''}
+${personas}
 ${documentContent ? `
 --- GUEST KNOWLEDGE ---
 \`\`\`markdown
@@ -159,10 +227,83 @@ ${documentContent}
  * @param {string} partType - 'intro' | 'section' | 'outro'.
  * @param {string} aggregatedSummaries - Aggregated summaries of prior sections.
  * @param {string} aggregatedTopics - Aggregated topics covered so far.
+ * @param {Array<Object>} [speakers] - Speakers ({ role, label, character }); defaults to HOST and GUEST.
+ * @param {string} [nextDialogueExchanges] - Opening exchanges of the following section, when regenerating a section in place.
+ * @param {string} [nextSectionSummary] - Summary of the following section, when regenerating a section in place.
+ * @param {string} [episodeFormat] - Episode format id; defaults to the interview.
  * @returns {string} User prompt text for section generation.
  */
-export function getSectionGenerateUser(section, totalPodcastDuration, lastDialogueExchanges, topicsSummary, partType, aggregatedSummaries, aggregatedTopics) {
+export function getSectionGenerateUser(section, totalPodcastDuration, lastDialogueExchanges, topicsSummary, partType, aggregatedSummaries, aggregatedTopics, speakers, nextDialogueExchanges = '', nextSectionSummary = '', episodeFormat = DEFAULT_EPISODE_FORMAT) {
     const wordsTarget = Math.round((section.durationMinutes || 0) * 160);
+    const mode = getCastMode(speakers);
+    const host = getHostLabel(speakers);
+    const guestLabels = getGuestLabels(speakers);
+    const guests = joinLabels(guestLabels);
+
+    let continuationRules = '';
+    let introRules = '';
+    let sectionRules = '';
+    let outroRules = '';
+    if (mode === 'solo') {
+        continuationRules = `- This section **continues seamlessly** from where the LAST DIALOGUE left off, in line with the SECTION OUTLINE.
+`;
+        introRules = `- This is **introductory section** of the podcast.
+- ${host} welcomes listeners to the show, briefly introduces themselves, and states the overarching topic succinctly.
+- Set expectations: explain what the listeners will learn.
+`;
+        outroRules = `- This is **conclusion section** of the podcast.
+- Brief recap: 2–3 concise takeaways from the whole episode.
+- ${host} offers a short closing reflection (no new topics).
+- Clear ${host} sign‑off to listeners. Keep it tight and natural.`;
+    } else if (mode === 'panel') {
+        continuationRules = `- This section **continues seamlessly** from where the LAST DIALOGUE left off.
+- If LAST DIALOGUE ended with a question directed to a speaker, starts by that speaker answering it and in line with the SECTION OUTLINE.
+- If LAST DIALOGUE ended with a statement, starts by whichever of ${host}, ${guests} is most appropriate to naturally segue into the SECTION OUTLINE.
+`;
+        introRules = `- This is **introductory section** of the podcast.
+- Start with ${host}.
+- Welcome listeners to the show and state the overarching topic succinctly.
+- You always MUST introduce each of ${guests} with relevant credentials (no resume dump).
+- Each guest MUST briefly acknowledge/thank.
+- Set expectations: explain what the listeners will learn.
+`;
+        outroRules = `- This is **conclusion section** of the podcast.
+- Brief recap: 2–3 concise takeaways from the whole episode.
+- ${host} thanks ${guests}.
+- Each guest offers a short closing remark (optional pointer or reflection; no new topics).
+- Clear ${host} sign‑off to listeners. Keep it tight and natural.`;
+    } else {
+        continuationRules = `- This section **continues seamlessly** from where the LAST DIALOGUE left off.
+- If LAST DIALOGUE ended with a question directed to ${guests}, starts by ${guests} answering it and in line with the SECTION OUTLINE.
+- If LAST DIALOGUE ended with a question directed to ${host}, starts by ${host} answering it and in line with the SECTION OUTLINE.
+- If LAST DIALOGUE ended with a statement, starts by either ${host} or ${guests}, whichever is more appropriate to naturally segue into the SECTION OUTLINE.
+`;
+        introRules = `- This is **introductory section** of the podcast.
+- Start with ${host}.
+- Welcome listeners to the show and state the overarching topic succinctly.
+- You always MUST introduce ${guests} with relevant credentials (no resume dump).
+- ${guests} MUST acknowledge/thank.
+- Set expectations: explain what the listeners will learn.
+`;
+        outroRules = `- This is **conclusion section** of the podcast.
+- Brief recap: 2–3 concise takeaways from the whole episode.
+- ${host} thanks ${guests}.
+- ${guests} offers a short closing remark (optional pointer or reflection; no new topics).
+- Clear ${host} sign‑off to listeners. Keep it tight and natural.`;
+    }
+
+    // Formats other than the interview bring their own section-type guidance
+    const formatGuidance = getFormatGuidance(episodeFormat, speakers);
+    if (formatGuidance) {
+        introRules = formatGuidance.script.intro;
+        sectionRules = formatGuidance.script.section;
+        outroRules = formatGuidance.script.outro;
+    }
+
+    const hasNext = !!((nextDialogueExchanges && nextDialogueExchanges.trim()) || (nextSectionSummary && nextSectionSummary.trim()));
+    const nextRules = `- This section replaces an earlier version and is followed by an existing section: end so that the NEXT DIALOGUE follows on naturally.
+- Do not cover topics from the NEXT SECTION SUMMARY; they are discussed in the following section.
+`;
 
     return `
 # Task
@@ -172,27 +313,9 @@ Write the ${partType || 'section'} of a podcast conversation following the syste
 - **TARGET WORDS** ${wordsTarget || 0} words (at 160 words per minute)
 - **Target duration**: ${section.durationMinutes || 0} minutes
 - Follow the SECTION OUTLINE.
-${lastDialogueExchanges && lastDialogueExchanges.trim() ?
-`- This section **continues seamlessly** from where the LAST DIALOGUE left off.
-- If LAST DIALOGUE ended with a question directed to GUEST, starts by GUEST answering it and in line with the SECTION OUTLINE.
-- If LAST DIALOGUE ended with a question directed to HOST, starts by HOST answering it and in line with the SECTION OUTLINE.
-- If LAST DIALOGUE ended with a statement, starts by either HOST or GUEST, whichever is more appropriate to naturally segue into the SECTION OUTLINE.
-`: ""}${partType == "intro" ?
-`- This is **introductory section** of the podcast.
-- Start with HOST.
-- Welcome listeners to the show and state the overarching topic succinctly.
-- You always MUST introduce GUEST with relevant credentials (no resume dump).
-- GUEST MUST acknowledge/thank.
-- Set expectations: explain what the listeners will learn.
-` : ""}${partType == "outro" ?
-`- This is **conclusion section** of the podcast.
-- Brief recap: 2–3 concise takeaways from the whole episode.
-- HOST thanks GUEST.
-- GUEST offers a short closing remark (optional pointer or reflection; no new topics).
-- Clear HOST sign‑off to listeners. Keep it tight and natural.`
-: ""}${((partType == "intro") || (partType == "section")) ?
+${lastDialogueExchanges && lastDialogueExchanges.trim() ? continuationRules : ""}${partType == "intro" ? introRules : ""}${partType == "section" ? sectionRules : ""}${partType == "outro" ? outroRules : ""}${((partType == "intro") || (partType == "section")) ?
 `- Will be followed by a natural continuation of dialogue in the next section, so NO sign-offs, conclusions, recaps, etc.
-`: ""}
+`: ""}${hasNext ? nextRules : ""}
 
 # Relevant Content
 --- SECTION OUTLINE (directions for this section's content) ---
@@ -223,26 +346,42 @@ ${lastDialogueExchanges && lastDialogueExchanges.trim() ?
 \`\`\`markdown
 ${lastDialogueExchanges}
 \`\`\`
+` : ''}${nextSectionSummary && nextSectionSummary.trim() ?
+`
+--- NEXT SECTION SUMMARY ---
+\`\`\`markdown
+${nextSectionSummary}
+\`\`\`
+` : ''}${nextDialogueExchanges && nextDialogueExchanges.trim() ?
+`
+--- NEXT DIALOGUE ---
+\`\`\`markdown
+${nextDialogueExchanges}
+\`\`\`
 ` : ''}`;
 }
 
 /**
  * Build the system prompt for verifying a single generated section.
  * Focuses on facts, outline adherence, conversation quality, continuity, character, and format.
+ * @param {Array<Object>} [speakers] - Speakers ({ role, label, character }); defaults to HOST and GUEST.
+ * @param {string} [episodeFormat] - Episode format id; defaults to the interview.
  * @returns {string} System prompt text for section verification.
  */
-export function getSectionVerifySystem() {
+export function getSectionVerifySystem(speakers, episodeFormat = DEFAULT_EPISODE_FORMAT) {
+  const cast = buildCastRules(speakers, episodeFormat);
+  const labelList = resolveSpeakers(speakers).map(function formatLabel(speaker) { return `${speaker.label}:`; }).join(', ');
   return `#Role
 You are a strict podcast script section reviewer, you check a single generated section for accuracy, adherence to the outline, and quality of conversation.
 
 # Priorities
-1) FACTS: Claims must be grounded in the GUEST KNOWLEDGE. Host is layperson, guest is expert—guest can cite/derive from GUEST KNOWLEDGE without saying "GUEST KNOWLEDGE".
+1) FACTS: Claims must be grounded in the GUEST KNOWLEDGE. ${cast.facts}
 2) OUTLINE: Cover the section's Overview and KEY FACTS. No verbatim copying from outline wording.
 3) REDUNDANCY: Avoid going back to already-covered topics, unless explicitly building on top of what was already said, based on the outline.
-3) CONVERSATION: No stage directions. Format is '---' + speaker label lines (HOST:, GUEST:).
+3) CONVERSATION: No stage directions. Format is '---' + speaker label lines (${labelList}).
 4) CONTINUITY: If PREVIOUS SECTION is provided, continue seamlessly from where it left off.
-5) CHARACTER: Host asks layperson questions; Guest provides expert, GUEST KNOWLEDGE-grounded answers. Voices consistent with personalities.
-6) FORMAT: Only '---' separators and HOST:/GUEST: labels. No code fences, no section titles, no metadata.
+5) CHARACTER: ${cast.character}${cast.review ? ` ${cast.review}` : ''}
+6) FORMAT: Only '---' separators and ${formatLabelLines(speakers)} labels. No code fences, no section titles, no metadata.
 
 Do NOT assess duration or word count. Duration compliance is handled programmatically outside of this review.
 
@@ -320,20 +459,23 @@ ${previousSectionText}
 /**
  * Build the system prompt for improving a single section based on feedback.
  * Includes duration guidance and targeted, minimal edits per issues/actions.
+ * @param {Array<Object>} [speakers] - Speakers ({ role, label, character }); defaults to HOST and GUEST.
+ * @param {string} [episodeFormat] - Episode format id; defaults to the interview.
  * @returns {string} System prompt text for section improvement.
  */
-export function getSectionImproveSystem() {
+export function getSectionImproveSystem(speakers, episodeFormat = DEFAULT_EPISODE_FORMAT) {
+  const cast = buildCastRules(speakers, episodeFormat);
   return `# Role
 You are a targeted podcast script section editor.
 
 # Rules (CRITICAL)
 - Apply precise edits to fully address each feedback issue.
-- Preserve unaffected dialogue; keep '---' separators and HOST:/GUEST: labels. 
+- Preserve unaffected dialogue; keep '---' separators and ${formatLabelLines(speakers)} labels. 
 - Output ONLY the complete improved section; no explanations or code fences.
 - Fix duration shortfall first: compute current word count and expand with grounded detail or reduce details to reach the target words (160 wpm).
-- When expanding, add depth, examples, analogies to GUEST answers and short HOST follow-ups.
+- When expanding, add depth, examples, analogies to ${cast.expand} and ${cast.follow}.
 - When shortening, strategically rephrase, summarize or completely remove parts to reach the target word count, while maintaining as much of the meaning and key points as possible.
-- When removing redundancy, retain any new information or insights that were added, compensate by adding depth, examples, analogies from the GUEST KNOWLEDGE, and short HOST follow-ups, to maintain the same approximate word count.
+- When removing redundancy, retain any new information or insights that were added, compensate by adding depth, examples, analogies from the GUEST KNOWLEDGE, and ${cast.follow}, to maintain the same approximate word count.
 - Duration changes MUST be toward the target duration, NEVER away from it.
 - For each issue, apply the "actions" exactly and incorporate the "fix" instruction. Use the "evidence" quotes to locate the edit position. If locations are ambiguous, fix the first matching occurrence.
 - Address all issues: FACTS, OUTLINE, REDUNDANCY, DURATION, CONVERSATION, CONTINUITY, CHARACTER, FORMAT.
@@ -350,9 +492,10 @@ You are a targeted podcast script section editor.
  * @param {string} documentContent - Ground-truth document content.
  * @param {number} totalPodcastDuration - Total podcast duration (minutes).
  * @param {string} characterContext - Reserved for future character context; currently unused.
+ * @param {string} [improvementHistory] - Summary of earlier verify/improve rounds for this section ('' on the first round).
  * @returns {string} User prompt text for section improvement.
  */
-export function getSectionImproveUser(originalSectionText, feedback, section, documentContent, totalPodcastDuration, characterContext) {
+export function getSectionImproveUser(originalSectionText, feedback, section, documentContent, totalPodcastDuration, characterContext, improvementHistory = '') {
   const wordsTarget = Math.round((section.durationMinutes || 0) * 160);
   const feedbackStr = typeof feedback === 'string' ? feedback : JSON.stringify(feedback, null, 2);
 
@@ -376,7 +519,7 @@ ${originalSectionText}
 --- ISSUES ---
 \`\`\`json
 ${feedbackStr}
-\`\`\`
+\`\`\`${improvementHistory}
 
 --- ISSUE SCHEMA (for reference; ignore if plain text) ---
 {
@@ -413,9 +556,11 @@ ${documentContent}
 /**
  * Build the system prompt for cross-section (whole script) verification.
  * Targets redundancy, transitions, continuity, and flow/character consistency across sections.
+ * @param {string} [episodeFormat] - Episode format id; adds the format's arc check unless it is the interview.
  * @returns {string} System prompt text for whole-script verification.
  */
-export function getScriptVerifySystem() {
+export function getScriptVerifySystem(episodeFormat = DEFAULT_EPISODE_FORMAT) {
+    const formatGuidance = getFormatGuidance(episodeFormat);
     return `You are a podcast script cross-section reviewer.
 
 Scope: Only whole-script issues spanning multiple sections. Do NOT fact-check against the GUEST KNOWLEDGE (already done per-section).
@@ -424,7 +569,8 @@ Check:
 1) REDUNDANCY: Repetition across different sections without adding new value.
 2) TRANSITIONS: Abrupt resets; ensure smooth handoffs between sections.
 3) CONTINUITY: Claims like "as we discussed" that aren’t supported earlier.
-4) FLOW/CHARACTER: Natural overall arc; consistent voices.
+4) FLOW/CHARACTER: Natural overall arc; consistent voices.${formatGuidance ? `
+5) ${formatGuidance.script.arc} (report as FLOW)` : ''}
 
 Respond with JSON ONLY:
 {
@@ -471,15 +617,18 @@ ${scriptText}
 /**
  * Build the system prompt for cross-section (whole script) improvements.
  * Emphasizes fixing redundancy, transitions, continuity, and preserving word count/format.
+ * @param {Array<Object>} [speakers] - Speakers ({ role, label, character }); defaults to HOST and GUEST.
+ * @param {string} [episodeFormat] - Episode format id; defaults to the interview.
  * @returns {string} System prompt text for whole-script improvement.
  */
-export function getScriptImproveSystem() {
+export function getScriptImproveSystem(speakers, episodeFormat = DEFAULT_EPISODE_FORMAT) {
+    const cast = buildCastRules(speakers, episodeFormat);
     return `You are a cross-section script editor.
 
 Rules:
 - Focus ONLY on cross-section issues from feedback: redundancy, transitions, continuity, speaker handoffs, flow/character consistency.
-- When removing redundancy, retain any new information or insights that were added, and you MUST compensate by adding depth, examples, analogies from the GUEST KNOWLEDGE, and short HOST follow-ups to maintain the same original word count.
-- Preserve unaffected dialogue; keep '---' separators and HOST:/GUEST: labels.
+- When removing redundancy, retain any new information or insights that were added, and you MUST compensate by adding depth, examples, analogies from the GUEST KNOWLEDGE, and ${cast.follow} to maintain the same original word count.
+- Preserve unaffected dialogue; keep '---' separators and ${formatLabelLines(speakers)} labels.
 - Use the evidence and actions to perform surgical edits.
 - Output ONLY the full improved script; no explanations or code fences.
 - Never use word "delve".`;
@@ -494,9 +643,10 @@ Rules:
  * @param {number} totalPodcastDuration - Total podcast duration (minutes).
  * @param {number} originalScriptLength - Original full script length (chars) for reference.
  * @param {Object} characterData - Host/Guest character data (not injected into prompt; used for post-processing elsewhere).
+ * @param {string} [improvementHistory] - Summary of earlier cross-section rounds ('' on the first round).
  * @returns {string} User prompt text for whole-script improvement.
  */
-export function getScriptImproveUser(originalScriptText, feedback, outlineText, documentContent, totalPodcastDuration, originalScriptLength, characterData) {
+export function getScriptImproveUser(originalScriptText, feedback, outlineText, documentContent, totalPodcastDuration, originalScriptLength, characterData, improvementHistory = '') {
     const feedbackStr = typeof feedback === 'string' ? feedback : JSON.stringify(feedback, null, 2);
     return `Apply cross-section improvements. Output ONLY the full improved script.
 
@@ -507,7 +657,7 @@ Total podcast duration: ${totalPodcastDuration} minutes.
 ${outlineText}
 \`\`\`
 
---- DOCUMENT (ground truth) ---
+--- SOURCES (ground truth) ---
 \`\`\`markdown
 ${documentContent}
 \`\`\`
@@ -520,5 +670,5 @@ ${originalScriptText}
 --- FEEDBACK (JSON with issues to address) ---
 \`\`\`json
 ${feedbackStr}
-\`\`\``;
+\`\`\`${improvementHistory}`;
 }
@@ -3,12 +3,12 @@ import NotificationsManager from '../ui/notifications.js';
 import ProgressManager from '../ui/progressManager.js';
 import ScriptVerifier from './scriptVerifier.js';
 import ScriptImprover from './scriptImprover.js';
-import {
-    getSectionGenerateUser,
-    getSummaryGenerateSystem,
-    getSummaryGenerateUser,
-    getSectionGenerateSystem
-} from './prompts/scriptPrompts.js';
+import ImprovementHistory from './improvementHistory.js';
+import DocumentPreparer from './documentPreparer.js';
+import Speakers from '../characters/speakers.js';
+import OutlineFormat from './outlineFormat.js';
+import { resolveEpisodeFormat } from './prompts/formatPrompts.js';
+import PromptLibrary from './promptLibrary.js';
 
 // Composite progress weights (overall)
 const PROG_SECTIONS_WEIGHT = 0.80;          // Sections generation + per-section verify/improve
@@ -39,12 +39,23 @@ class ScriptGenerator {
         // Initialize verification and improvement modules
         this.scriptVerifier = new ScriptVerifier(apiManager);
         this.scriptImprover = new ScriptImprover(apiManager);
+        this.documentPreparer = new DocumentPreparer(apiManager, storageManager);
+        this.speakers = new Speakers();
+        this.outlineFormat = new OutlineFormat();
+        this.promptLibrary = new PromptLibrary(storageManager);
         
         // Generation state
         this.isGenerating = false;
         this.cancelGeneration = false;
         this.currentSection = 0;
         this.totalSections = 0;
+        // Aborts the requests in flight when generation is cancelled (one controller per generation)
+        this.abortController = null;
+        // Optional callback receiving section text as it streams in ({ stage, delta, text }), for headless use
+        this.streamListener = null;
+        
+        // A reached spending cap cancels the script the same way the cancel button does
+        this.apiManager.budget.onExceeded(this.handleBudgetExceeded.bind(this));
         
         // Conversation tracking for continuity
         this.conversationSummary = '';
@@ -57,10 +68,14 @@ class ScriptGenerator {
         this.allTopicsCovered = [];
         // Cross-section review diagnostics (persisted)
         this.crossSectionReview = null;
+        // Opening exchanges and summary of the following section while a section is regenerated in place
+        this.nextSectionContext = null;
         
         // Load existing script data from storage
         const savedData = this.storageManager.load('scriptData', {});
         this.scriptData = savedData.script || '';
+        // Sections of the stored script, kept so single sections can be regenerated later
+        this.generatedSections = Array.isArray(savedData.generatedSections) ? savedData.generatedSections : [];
 
         // Bind handlers to ensure correct 'this' context for event listeners
         this.handleGenerateScript = this.handleGenerateScript.bind(this);
@@ -128,6 +143,8 @@ class ScriptGenerator {
         this.progressContainer = document.getElementById('script-progress');
         this.progressBar = this.progressContainer.querySelector('.progress-bar .progress-fill');
         this.cancelButton = document.getElementById('cancel-script');
+        this.sectionList = document.getElementById('script-sections');
+        this.showNotesButton = document.getElementById('download-show-notes');
         
         // Make sure progress bar is initially hidden
         if (this.progressContainer) {
@@ -154,6 +171,11 @@ class ScriptGenerator {
         if (this.scriptTextarea) {
             this.scriptTextarea.addEventListener('input', this.handleScriptChange);
         }
+        
+        // Show notes download button
+        if (this.showNotesButton) {
+            this.showNotesButton.addEventListener('click', this.handleDownloadShowNotes.bind(this));
+        }
     }
     
     /**
@@ -169,6 +191,9 @@ class ScriptGenerator {
                 this.contentStateManager.updateState('hasScript', true);
             }
         }
+        
+        // Show the sections of the stored script with their lock and regenerate controls
+        this.renderSectionList();
     }
     
     /**
@@ -184,13 +209,14 @@ class ScriptGenerator {
         try {
             // Get API data
             const apiData = this.apiManager.getApiData();
-            if (!apiData.apiKey) {
-                this.notifications.showError('OpenAI API key is required. Please configure it in step 1.');
+            if (!this.apiManager.hasCredentialsFor(apiData.models.script, apiData.apiKey)) {
+                this.notifications.showError('API key is required. Please configure it in step 1.');
                 return;
             }
             
-            // Set generating state
+            // Set generating state; cancelling aborts every request of this generation
             this.setGeneratingState(true);
+            apiData.signal = this.abortController.signal;
             
             // Get document and outline data
             const data = this.storageManager.load('data', {});
@@ -201,14 +227,10 @@ class ScriptGenerator {
             }
             
             // Get character data
-            const characterData = {
-                host: data.host || {},
-                guest: data.guest || {}
-            };
-            
-            if (!characterData.host || !characterData.guest) {
+            if (!this.speakers.hasCast(data)) {
                 throw new Error('Host and guest character data is required. Please complete character creation first.');
             }
+            const characterData = this.speakers.getCharacterData(data);
             
             // Parse outline sections
             const sections = this.parseOutlineSections(outlineData.outline);
@@ -237,15 +259,112 @@ class ScriptGenerator {
         }
     }
     
+    /**
+     * Handle a section's regenerate button click
+     * @param {string} sectionNumber - Outline number of the section
+     */
+    async handleRegenerateSection(sectionNumber) {
+    
+        if (this.isGenerating) {
+            return;
+        }
+        
+        try {
+            const apiData = this.apiManager.getApiData();
+            if (!this.apiManager.hasCredentialsFor(apiData.models.script, apiData.apiKey)) {
+                this.notifications.showError('API key is required. Please configure it in step 1.');
+                return;
+            }
+            
+            this.setGeneratingState(true);
+            apiData.signal = this.abortController.signal;
+            
+            const data = this.storageManager.load('data', {});
+            const outlineData = this.storageManager.load('outlineData', {});
+            if (!outlineData.outline) {
+                throw new Error('No outline found. Please generate an outline first.');
+            }
+            if (!this.speakers.hasCast(data)) {
+                throw new Error('Host and guest character data is required. Please complete character creation first.');
+            }
+            
+            const sections = this.parseOutlineSections(outlineData.outline);
+            await this.regenerateSection(sections, sectionNumber, this.speakers.getCharacterData(data), apiData);
+            
+        } catch (error) {
+            console.error('Section regeneration error:', error);
+            this.notifications.showError(error.message || 'Failed to regenerate the section. Please try again.');
+        } finally {
+            this.setGeneratingState(false);
+        }
+    }
+    
+    /**
+     * Handle a section's lock button click
+     * @param {string} sectionNumber - Outline number of the section
+     * @param {boolean} locked - Whether to lock or unlock the section
+     */
+    handleToggleSectionLock(sectionNumber, locked) {
+    
+        try {
+            this.setSectionLocked(sectionNumber, locked);
+            if (locked) {
+                this.notifications.showInfo(`Section ${sectionNumber} locked. It will be kept when the whole script is regenerated.`);
+            } else {
+                this.notifications.showInfo(`Section ${sectionNumber} unlocked.`);
+            }
+        } catch (error) {
+            this.notifications.showError(error.message);
+        }
+    }
+    
     /**
      * Handle cancel generation button click
      */
     handleCancelGeneration() {
     
         this.cancelGeneration = true;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
         this.notifications.showInfo('Cancelling script generation...');
     }
     
+    /**
+     * Stop the script generation before its next request once a spending cap is reached
+     */
+    handleBudgetExceeded() {
+    
+        this.cancelGeneration = true;
+    }
+    
+    /**
+     * Build the streaming options of a section request: the section fills in below the finished
+     * sections (and goes to the stream listener) as it arrives, and cancelling aborts the request
+     * @param {string} stage - Stage of the request, as recorded in the usage ledger
+     * @param {number} replaceIndex - Index of the section regenerated in place (-1 when appending)
+     * @param {AbortSignal} [signal] - Abort signal of the generation
+     * @returns {Object} - { signal, onDelta } for createChatCompletion (no onDelta when nothing shows the text)
+     */
+    createStreamOptions(stage, replaceIndex, signal) {
+    
+        const streamOptions = { signal: signal };
+        if (!this.scriptTextarea && !this.streamListener) {
+            return streamOptions;
+        }
+        
+        const self = this;
+        streamOptions.onDelta = function showDelta(delta, text) {
+            if (self.scriptTextarea) {
+                self.renderInterimWithCurrentSection(text, replaceIndex);
+            }
+            if (self.streamListener) {
+                self.streamListener({ stage: stage, delta: delta, text: text });
+            }
+        };
+        return streamOptions;
+    }
+    
     /**
      * Handle script text changes
      */
@@ -279,6 +398,8 @@ class ScriptGenerator {
                 this.progressManager.resetProgress('script-progress');
             }
             this.cancelGeneration = false;
+            this.abortController = new AbortController();
+            this.apiManager.startRun('script');
 
             // Make textarea read-only and add loading animation
             if (this.scriptTextarea) {
@@ -302,6 +423,9 @@ class ScriptGenerator {
                 this.scriptTextarea.removeAttribute('aria-busy');
             }
         }
+        
+        // Section controls are disabled while generating
+        this.renderSectionList();
     }
     
     /**
@@ -311,127 +435,15 @@ class ScriptGenerator {
      */
     parseOutlineSections(outlineText) {
     
-        console.log('Parsing outline sections, length:', outlineText.length);
-        
-        // Split by horizontal rule separators - more forgiving of whitespace
-        const sectionStrings = outlineText.split(/^\s*---\s*$/m).filter(function(section) { return section.trim(); });
-        
-        console.log('Found', sectionStrings.length, 'top-level blocks');
-        
-        // Track total duration for validation
-        let totalDuration = 0;
-        const sections = [];
-
-        // Helper: parse a numeric duration string within a slice
-        function parseDurationMinutes(slice) {
-            const durationMatch = slice.match(/Duration:\s*(\d+(?:\.\d+)?)\s*(seconds?|secs?|s|minutes?|mins?|min|m)?/mi);
-            if (!durationMatch) {
-                return null;
-            }
-            const value = parseFloat(durationMatch[1]);
-            const unitRaw = (durationMatch[2] || '').trim().toLowerCase();
-            if (!unitRaw || unitRaw.startsWith('m')) {
-                return value;
-            }
-            if (unitRaw.startsWith('s')) {
-                return value / 60;
-            }
-            return value;
-        }
-
-        // For each block, further split by numbered headings (supports 1., 3.1., 4.2.1 etc.)
-        for (let b = 0; b < sectionStrings.length; b++) {
-            const block = sectionStrings[b];
-            // Find all heading matches with their positions
-            const headingRegex = /^\s*(\d+(?:\.\d+)*)\.\s+([^\r\n]+)/gm;
-            const matches = [];
-            let m;
-            while ((m = headingRegex.exec(block)) !== null) {
-                matches.push({ number: m[1], title: m[2], index: m.index });
-            }
-
-            if (matches.length === 0) {
-                // No numbered headings; try to parse the whole block as a single section only if it has a duration
-                const dur = parseDurationMinutes(block);
-                if (dur != null) {
-                    totalDuration += dur;
-                    sections.push({
-                        id: sections.length + 1,
-                        number: `${sections.length + 1}`,
-                        title: 'Section',
-                        durationMinutes: dur,
-                        overview: (block.match(/Overview:\s*([^\r\n]+)/m) || [null, 'No overview provided'])[1],
-                        content: block.trim()
-                    });
-                }
-                continue;
-            }
-
-            // Create slices per heading
-            for (let i = 0; i < matches.length; i++) {
-                const start = matches[i].index;
-                const end = (i + 1 < matches.length) ? matches[i + 1].index : block.length;
-                const slice = block.slice(start, end);
-
-                // Determine if this heading has children within the same block (e.g., 3. -> 3.1, 3.2)
-                let hasChildrenInBlock = false;
-                for (let j = i + 1; j < matches.length; j++) {
-                    const childPrefix = matches[i].number + '.';
-                    if (matches[j].number.startsWith(childPrefix)) {
-                        hasChildrenInBlock = true;
-                        break;
-                    }
-                    // Headings are ordered; if the next heading no longer shares the prefix, we can stop checking
-                    if (!matches[j].number.startsWith(matches[i].number)) {
-                        break;
-                    }
-                }
-
-                // If this heading has children, treat it as a container only and skip creating a section for it
-                if (hasChildrenInBlock) {
-                    continue;
-                }
-
-                // Require a duration for a slice to be treated as an actual section
-                const durationMinutes = parseDurationMinutes(slice);
-                if (durationMinutes == null) {
-                    // Skip heading without explicit duration (e.g., a parent heading like "3. Common ...")
-                    continue;
-                }
+        const sections = this.outlineFormat.parseSections(outlineText);
 
-                totalDuration += durationMinutes;
-                const overviewMatch = slice.match(/Overview:\s*([^\r\n]+)/m);
-                sections.push({
-                    id: sections.length + 1,
-                    number: matches[i].number,
-                    title: matches[i].title,
-                    durationMinutes: durationMinutes,
-                    overview: overviewMatch ? overviewMatch[1] : 'No overview provided',
-                    content: slice.trim()
-                });
-                console.log(`Section ${sections.length}: ${matches[i].number}. ${matches[i].title} (${durationMinutes} min)`);
-            }
-        }
-        
-        // Post-process to ensure only leaf sections remain across ALL blocks.
-        // If any section number is a strict prefix of another section's number, treat it as a parent and remove it.
-        const leafSections = sections.filter(function isLeaf(section) {
-            const prefix = section.number + '.';
-            return !sections.some(function hasChild(other) {
-                return other !== section && other.number.startsWith(prefix);
-            });
-        });
-
-        // Recompute total duration from leaf sections only
-        const leafTotalDuration = leafSections.reduce(function sum(acc, s) {
+        // Store the total duration for use in prompts
+        this.totalPodcastDuration = sections.reduce(function sum(acc, s) {
             return acc + (s.durationMinutes || 0);
         }, 0);
-
-        // Store the total duration for use in prompts
-        this.totalPodcastDuration = leafTotalDuration;
-        console.log('Total parsed sections:', leafSections.length, '| Total minutes:', leafTotalDuration);
+        console.log('Total minutes:', this.totalPodcastDuration);
         
-        return leafSections;
+        return sections;
     }
     
     /**
@@ -439,26 +451,45 @@ class ScriptGenerator {
      * @param {Array} sections - Parsed outline sections
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
+     * @param {Object} options - Generation options
+     * @param {boolean} options.resume - Continue from the last checkpointed section if it matches this outline
      */
-    async generateFullScript(sections, characterData, apiData) {
+    async generateFullScript(sections, characterData, apiData, options = {}) {
     
         try {
+            // Speakers used for prompts and label clean-up in this run
+            this.castSpeakers = characterData.speakers || this.speakers.getSpeakers(characterData);
+            
             // Initialize progress tracking and conversation context
             this.currentSection = 0;
             this.totalSections = sections.length;
             this.conversationSummary = '';
             this.lastSectionSummary = '';
+            this.lastDialogueExchanges = '';
             this.topicsSummary = '';
             this.generatedSections = [];
+            this.allSectionSummaries = [];
+            this.allTopicsCovered = [];
             // Reset composite progress
             this._lastProgress = 0;
             if (this.progressManager) {
                 this.progressManager.resetProgress('script-progress');
                 this.progressManager.updateProgress('script-progress', 0);
             }
+
+            // Restore completed sections from a previous interrupted run
+            let startIndex = 0;
+            if (options.resume) {
+                startIndex = this.restoreCheckpoint(sections);
+                if (startIndex > 0) {
+                    this.notifications.showInfo(`Resuming script generation after section ${this.generatedSections[startIndex - 1].number} (${startIndex}/${sections.length} sections done).`);
+                    this.renderFinalizedScript();
+                    this.updateCompositeProgress('script-progress', this.computeSectionCompositePercent(startIndex - 1, sections.length, 1.0));
+                }
+            }
             
             // Generate each section
-            for (let i = 0; i < sections.length; i++) {
+            for (let i = startIndex; i < sections.length; i++) {
                 // Check if cancelled
                 if (this.cancelGeneration) {
                     this.cancelGeneration = false;
@@ -472,6 +503,22 @@ class ScriptGenerator {
                 // Check if this is the last section
                 const isLastSection = (i === sections.length - 1);
                 
+                // Locked sections are kept as they are; only their summary is needed as context
+                const locked = this.findLockedSection(sections[i]);
+                if (locked) {
+                    this.keepLockedSection(sections[i], locked);
+                    this.updateCompositeProgress('script-progress', this.computeSectionCompositePercent(i, sections.length, 1.0));
+                    if (!isLastSection) {
+                        if (locked.summary) {
+                            this.applySectionSummary(this.generatedSections[i], locked.summary, locked.topics || '');
+                        } else {
+                            await this.updateConversationSummary(apiData);
+                        }
+                    }
+                    this.saveCheckpoint(sections, 'sections');
+                    continue;
+                }
+                
                 // Generate section
                 const partType = (i === 0) ? 'intro' : (isLastSection ? 'outro' : 'section');
                 await this.generateScriptSection(sections[i], characterData, apiData, partType);
@@ -484,133 +531,21 @@ class ScriptGenerator {
                 if (!isLastSection) {
                     await this.updateConversationSummary(apiData);
                 }
+
+                // Checkpoint the completed section together with its conversation context
+                this.saveCheckpoint(sections, 'sections');
             }
             
-            // After all sections complete, move progress through full-script verification band
-            const afterFullVerify = (PROG_SECTIONS_WEIGHT + PROG_FULL_VERIFY_WEIGHT) * 100; // 92%
-            
-            // Get document and outline data
-            const documentData = this.storageManager.load('data', {});
-            const outlineData = this.storageManager.load('outlineData', {});
-            const documentContent = documentData.document?.content || '';
-            
-            // Iterative final cross-section review and improvement (up to 3 attempts)
-            let finalScript = this.scriptData;
-            let csAttempt = 0;
-            const csMaxAttempts = 3;
-            let finalVerificationResult = { isValid: true, summary: '' };
-            const csCandidates = [];
-            const csAttemptDetails = [];
-            
-            while (csAttempt < csMaxAttempts) {
-                csAttempt++;
-                const finalReviewNotificationId = Date.now();
-                this.notifications.showInfo(`Performing cross-section review (attempt ${csAttempt}/${csMaxAttempts})...`, finalReviewNotificationId);
-                
-                // Call cross-section verification via ScriptVerifier
-                finalVerificationResult = await this.scriptVerifier.verifyScriptForCrossSectionIssues(
-                    finalScript,
-                    outlineData.outline,
-                    documentContent,
-                    characterData,
-                    apiData,
-                    this.totalPodcastDuration
-                );
-                
-                // Clear the verification notification
-                this.notifications.clearNotification(finalReviewNotificationId);
-                
-                // Respect cancellation immediately after cross-section verification completes
-                if (this.cancelGeneration) {
-                    this.cancelGeneration = false;
-                    throw new Error('Script generation cancelled');
-                }
-                
-                // Log verification summary
-                this.logVerificationFeedback(`Final Cross-Section Review (Attempt ${csAttempt})`, finalVerificationResult);
-                // Mark completion of full-script verification phase
-                this.updateCompositeProgress('script-progress', afterFullVerify);
-                
-                // Compute and record score for this cross-section attempt
-                const csScore = this.computeSectionScore(finalVerificationResult);
-                csCandidates.push({ text: finalScript, score: csScore, verificationResult: finalVerificationResult, attempt: csAttempt });
-                const csIssuesCount = Array.isArray(finalVerificationResult.issues) ? finalVerificationResult.issues.length : 0;
-                csAttemptDetails.push({ attempt: csAttempt, score: csScore, isValid: !!finalVerificationResult.isValid, issuesCount: csIssuesCount });
-                
-                if (finalVerificationResult.isValid) {
-                    this.notifications.showInfo('Final review passed with no cross-section issues found.');
-                    break;
-                }
-                
-                if (csAttempt >= csMaxAttempts) {
-                    this.notifications.showInfo('Max cross-section improvement attempts reached. Proceeding with best version available.');
-                    break;
-                }
-                
-                const improvementNotificationId = Date.now();
-                this.notifications.showInfo(`Applying cross-section improvements (attempt ${csAttempt}/${csMaxAttempts})...`, improvementNotificationId);
-                
-                // Attempt to improve the script with focus on cross-section issues via ScriptImprover
-                // Prefer structured JSON for downstream cross-section improvement if available
-                const csFeedback = (finalVerificationResult && finalVerificationResult.rawJson)
-                    ? JSON.stringify(finalVerificationResult.rawJson)
-                    : finalVerificationResult.summary;
-
-                const improvedScript = await this.scriptImprover.improveCrossSectionIssues(
-                    finalScript,
-                    csFeedback,
-                    outlineData.outline,
-                    documentContent,
-                    characterData,
-                    apiData,
-                    this.totalPodcastDuration
-                );
-                
-                // Clear the improvement notification
-                this.notifications.clearNotification(improvementNotificationId);
-                
-                // Respect cancellation immediately after cross-section improvement completes
-                if (this.cancelGeneration) {
-                    this.cancelGeneration = false;
-                    throw new Error('Script generation cancelled');
-                }
-                
-                if (improvedScript && improvedScript.trim() && improvedScript.trim() !== finalScript.trim()) {
-                    finalScript = improvedScript;
-                    // Update the UI with the latest cross-section improved script without disturbing user view
-                    this.updateScriptViewPreservingUserState(function updateValue(textarea) {
-                        textarea.value = finalScript;
-                    });
-                    this.notifications.showInfo('Cross-section improvements applied. Re-reviewing...');
-                } else {
-                    this.notifications.showInfo('Cross-section improvement produced no changes. Stopping further attempts.');
-                    break;
-                }
-            }
-            
-            // Choose and apply the best cross-section candidate (lowest score wins)
-            const bestCross = this.selectBestSectionCandidate(csCandidates);
-            const chosenFinalScript = bestCross ? bestCross.text : finalScript;
-            // Persist cross-section diagnostics summary similar to per-section attempts
-            this.crossSectionReview = {
-                attempts: csAttemptDetails,
-                chosen: bestCross ? {
-                    attempt: bestCross.attempt,
-                    score: bestCross.score,
-                    issuesCount: Array.isArray(bestCross.verificationResult && bestCross.verificationResult.issues) ? bestCross.verificationResult.issues.length : 0,
-                    isValid: !!(bestCross.verificationResult && bestCross.verificationResult.isValid)
-                } : null,
-                totalAttempts: csAttempt,
-                candidatesCount: Array.isArray(csCandidates) ? csCandidates.length : 0
-            };
-            // Update the textarea with the best-scoring final script
-            this.updateScriptViewPreservingUserState(function applyFinal(textarea) {
-                textarea.value = chosenFinalScript;
-            });
-            finalScript = chosenFinalScript;
+            // Iterative final cross-section review and improvement
+            const finalScript = await this.reviewCrossSections(
+                this.getCompiledScriptFromGeneratedSections() || this.scriptData,
+                characterData,
+                apiData
+            );
             // Optionally persist cross-section attempt metadata for diagnostics
             // Not stored per-section; can be extended to store globally if desired
-            this.saveScriptData();
+            this.saveScriptData(finalScript);
+            this.saveCheckpoint(sections, 'complete');
             // Final progress/size log
             this.logScriptProgress();
             
@@ -623,17 +558,283 @@ class ScriptGenerator {
             // Show success message
             this.notifications.showSuccess('Script generated successfully!');
             
+            // Point the user at issues the improvement rounds could not fix
+            this.reportPersistentIssues();
+            
             // Update progress to complete
             this.updateCompositeProgress('script-progress', 100);
             
         } catch (error) {
-            // If not cancelled, rethrow
-            if (error.message !== 'Script generation cancelled') {
+            // If not cancelled (or aborted, e.g. while the sources were digested), rethrow
+            if (error.message !== 'Script generation cancelled' && error.status !== 'ABORTED') {
                 throw error;
             }
         }
     }
     
+    /**
+     * Review the whole script for cross-section issues and improve it (up to 3 attempts),
+     * then show and return the best-scoring version
+     * @param {string} scriptText - Compiled script
+     * @param {Object} characterData - Host and guest character data
+     * @param {Object} apiData - API credentials and model data
+     * @returns {string} - Best-scoring script
+     */
+    async reviewCrossSections(scriptText, characterData, apiData) {
+    
+        // After all sections complete, move progress through full-script verification band
+        const afterFullVerify = (PROG_SECTIONS_WEIGHT + PROG_FULL_VERIFY_WEIGHT) * 100; // 92%
+        
+        // Get document and outline data
+        const documentData = this.storageManager.load('data', {});
+        const outlineData = this.storageManager.load('outlineData', {});
+        const documentContent = await this.documentPreparer.getReviewContent(documentData, apiData);
+        
+        // The script is reviewed as a whole but kept per section: locked sections keep their text
+        let finalSections = this.splitScriptIntoSections(scriptText);
+        let finalScript = finalSections ? this.compileSectionContents(finalSections) : scriptText;
+        
+        // Iterative final cross-section review and improvement (up to 3 attempts)
+        let csAttempt = 0;
+        const csMaxAttempts = 3;
+        let finalVerificationResult = { isValid: true, summary: '' };
+        const csCandidates = [];
+        const csAttemptDetails = [];
+        const csHistory = new ImprovementHistory();
+        
+        while (csAttempt < csMaxAttempts) {
+            csAttempt++;
+            const finalReviewNotificationId = Date.now();
+            this.notifications.showInfo(`Performing cross-section review (attempt ${csAttempt}/${csMaxAttempts})...`, finalReviewNotificationId);
+            
+            // Call cross-section verification via ScriptVerifier
+            finalVerificationResult = await this.scriptVerifier.verifyScriptForCrossSectionIssues(
+                finalScript,
+                outlineData.outline,
+                documentContent,
+                characterData,
+                apiData,
+                this.totalPodcastDuration,
+                this.getEpisodeFormat()
+            );
+            
+            // Clear the verification notification
+            this.notifications.clearNotification(finalReviewNotificationId);
+            
+            // Respect cancellation immediately after cross-section verification completes
+            if (this.cancelGeneration) {
+                this.cancelGeneration = false;
+                throw new Error('Script generation cancelled');
+            }
+            
+            // Log verification summary
+            this.logVerificationFeedback(`Final Cross-Section Review (Attempt ${csAttempt})`, finalVerificationResult);
+            // Mark completion of full-script verification phase
+            this.updateCompositeProgress('script-progress', afterFullVerify);
+            
+            // Without a usable review the script is kept as it is rather than edited blindly
+            if (finalVerificationResult.status === 'unavailable') {
+                csAttemptDetails.push({ attempt: csAttempt, score: null, status: 'unavailable', isValid: false, issuesCount: 0 });
+                this.notifications.showError(`Script kept without a cross-section review. ${finalVerificationResult.summary}`);
+                break;
+            }
+            
+            // Compute and record score for this cross-section attempt
+            const csScore = this.computeSectionScore(finalVerificationResult);
+            csCandidates.push({ text: finalScript, sections: finalSections, score: csScore, verificationResult: finalVerificationResult, attempt: csAttempt });
+            const csIssuesCount = Array.isArray(finalVerificationResult.issues) ? finalVerificationResult.issues.length : 0;
+            csAttemptDetails.push({ attempt: csAttempt, score: csScore, status: finalVerificationResult.status, isValid: !!finalVerificationResult.isValid, issuesCount: csIssuesCount });
+            csHistory.addVerificationResult(finalVerificationResult, finalScript, 'cross-section');
+            
+            if (finalVerificationResult.isValid) {
+                this.notifications.showInfo('Final review passed with no cross-section issues found.');
+                break;
+            }
+            
+            if (csAttempt >= csMaxAttempts) {
+                this.notifications.showInfo('Max cross-section improvement attempts reached. Proceeding with best version available.');
+                break;
+            }
+            
+            // Stop early when the last improvement resolved too few of the issues
+            if (!csHistory.shouldContinueImprovement(csMaxAttempts)) {
+                this.notifications.showInfo(`Cross-section improvements stalled after attempt ${csAttempt}. Proceeding with best version available.`);
+                break;
+            }
+            
+            const improvementNotificationId = Date.now();
+            this.notifications.showInfo(`Applying cross-section improvements (attempt ${csAttempt}/${csMaxAttempts})...`, improvementNotificationId);
+            
+            // Attempt to improve the script with focus on cross-section issues via ScriptImprover
+            // Prefer structured JSON for downstream cross-section improvement if available
+            const csFeedback = (finalVerificationResult && finalVerificationResult.rawJson)
+                ? JSON.stringify(finalVerificationResult.rawJson)
+                : finalVerificationResult.summary;
+
+            const improvedScript = await this.scriptImprover.improveCrossSectionIssues(
+                finalScript,
+                csFeedback,
+                outlineData.outline,
+                documentContent,
+                characterData,
+                apiData,
+                this.totalPodcastDuration,
+                csAttempt > 1 ? csHistory.generateHistorySummary() : '',
+                this.getEpisodeFormat()
+            );
+            
+            // Clear the improvement notification
+            this.notifications.clearNotification(improvementNotificationId);
+            
+            // Respect cancellation immediately after cross-section improvement completes
+            if (this.cancelGeneration) {
+                this.cancelGeneration = false;
+                throw new Error('Script generation cancelled');
+            }
+            
+            // Changes to locked sections are undone; an improvement that lost the sections is not used
+            const improvedSections = finalSections && improvedScript ? this.splitScriptIntoSections(improvedScript) : null;
+            if (finalSections && improvedScript && improvedScript.trim() && !improvedSections) {
+                this.notifications.showInfo('Cross-section improvement lost the section structure. Stopping further attempts.');
+                break;
+            }
+            const keptScript = improvedSections ? this.compileSectionContents(improvedSections) : improvedScript;
+            
+            if (keptScript && keptScript.trim() && keptScript.trim() !== finalScript.trim()) {
+                finalScript = keptScript;
+                finalSections = improvedSections;
+                // Update the UI with the latest cross-section improved script without disturbing user view
+                this.updateScriptViewPreservingUserState(function updateValue(textarea) {
+                    textarea.value = finalScript;
+                });
+                this.notifications.showInfo('Cross-section improvements applied. Re-reviewing...');
+            } else {
+                this.notifications.showInfo('Cross-section improvement produced no changes. Stopping further attempts.');
+                break;
+            }
+        }
+        
+        // Choose and apply the best cross-section candidate (lowest score wins)
+        const bestCross = this.selectBestSectionCandidate(csCandidates);
+        const chosenFinalScript = bestCross ? bestCross.text : finalScript;
+        const chosenSections = bestCross ? bestCross.sections : finalSections;
+        if (chosenSections) {
+            // The sections follow the chosen script, so a later single-section regeneration keeps its edits
+            this.generatedSections.forEach(function applyContent(section, index) {
+                section.content = chosenSections[index];
+            });
+        }
+        // Persist cross-section diagnostics summary similar to per-section attempts
+        this.crossSectionReview = {
+            attempts: csAttemptDetails,
+            chosen: bestCross ? {
+                attempt: bestCross.attempt,
+                score: bestCross.score,
+                issuesCount: Array.isArray(bestCross.verificationResult && bestCross.verificationResult.issues) ? bestCross.verificationResult.issues.length : 0,
+                isValid: !!(bestCross.verificationResult && bestCross.verificationResult.isValid)
+            } : null,
+            // Status of the review the chosen script rests on: 'passed', 'failed' or 'unavailable'
+            verification: bestCross ? bestCross.verificationResult.status : finalVerificationResult.status,
+            totalAttempts: csAttempt,
+            candidatesCount: Array.isArray(csCandidates) ? csCandidates.length : 0,
+            persistentIssues: bestCross && bestCross.verificationResult && bestCross.verificationResult.isValid ? '' : csHistory.describePersistentIssues()
+        };
+        // Update the textarea with the best-scoring final script
+        this.updateScriptViewPreservingUserState(function applyFinal(textarea) {
+            textarea.value = chosenFinalScript;
+        });
+        return chosenFinalScript;
+    }
+    
+    /**
+     * Split a script back into the generated sections. The script keeps the order of the sections
+     * but may have been rewritten (cross-section improvements, edits in the textarea): a section starts
+     * at the turn most like its own first turn, the one its turn count leads to among equals, so an
+     * unchanged script splits exactly as it was compiled. Locked sections keep their text.
+     * @param {string} scriptText - Script compiled from the generated sections, possibly rewritten
+     * @returns {Array<string>|null} - Content of each generated section, or null without generated
+     * sections or when the script has fewer turns than sections
+     */
+    splitScriptIntoSections(scriptText) {
+    
+        const sectionTurns = this.generatedSections.map(function getTurns(section) { return this.splitTurns(section.content); }, this);
+        const turns = this.splitTurns(scriptText);
+        if (sectionTurns.length === 0 || turns.length < sectionTurns.length) {
+            return null;
+        }
+        
+        const totalTurns = sectionTurns.reduce(function addTurns(sum, list) { return sum + list.length; }, 0);
+        const starts = [0];
+        let counted = 0;
+        for (let k = 1; k < sectionTurns.length; k++) {
+            counted += sectionTurns[k - 1].length;
+            // Each section keeps at least one turn
+            const earliest = starts[k - 1] + 1;
+            const latest = turns.length - (sectionTurns.length - k);
+            const expected = Math.min(latest, Math.max(earliest, Math.round(counted * turns.length / totalTurns)));
+            starts.push(this.findSectionStart(turns, sectionTurns[k][0] || '', earliest, latest, expected));
+        }
+        
+        return this.generatedSections.map(function getContent(section, k) {
+            if (this.isSectionLocked(section)) {
+                return section.content;
+            }
+            return turns.slice(starts[k], k + 1 < starts.length ? starts[k + 1] : turns.length).join('\n\n');
+        }, this);
+    }
+
+    /**
+     * Find the turn a section starts at in a rewritten script
+     * @param {Array<string>} turns - Turns of the script from splitTurns()
+     * @param {string} firstTurn - Original first turn of the section
+     * @param {number} earliest - First possible turn
+     * @param {number} latest - Last possible turn
+     * @param {number} expected - Turn the section would start at if it kept its share of the turns
+     * @returns {number} - The turn sharing most words with the original first turn (the nearest to
+     * the expected one among equals), or the expected turn when none shares a word
+     */
+    findSectionStart(turns, firstTurn, earliest, latest, expected) {
+    
+        const words = this.getWordSet(firstTurn);
+        let best = expected;
+        let bestSimilarity = 0;
+        for (let i = earliest; i <= latest; i++) {
+            const candidate = this.getWordSet(turns[i]);
+            let shared = 0;
+            candidate.forEach(function countShared(word) {
+                if (words.has(word)) {
+                    shared++;
+                }
+            });
+            const similarity = shared / ((words.size + candidate.size - shared) || 1);
+            if (similarity > bestSimilarity || (similarity === bestSimilarity && similarity > 0 && Math.abs(i - expected) < Math.abs(best - expected))) {
+                best = i;
+                bestSimilarity = similarity;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Get the lower-case words of a text
+     * @param {string} text - Text
+     * @returns {Set<string>}
+     */
+    getWordSet(text) {
+    
+        return new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    }
+
+    /**
+     * Compile section contents into a script, as getCompiledScriptFromGeneratedSections() does
+     * @param {Array<string>} contents - Content of each section
+     * @returns {string}
+     */
+    compileSectionContents(contents) {
+    
+        return this.getCompiledScriptFromGeneratedSections(contents.map(function toSection(content) { return { content: content }; }));
+    }
+
     /**
      * Add language instruction to system prompt
      * @param {string} systemPrompt - Base system prompt
@@ -658,14 +859,18 @@ class ScriptGenerator {
         const aggregatedSummaries = this.buildAggregatedSummaries();
         const aggregatedTopics = this.buildAggregatedTopics();
 
-        return getSectionGenerateUser(
+        return this.promptLibrary.build('sectionGenerateUser',
             section,
             this.totalPodcastDuration,
             this.lastDialogueExchanges,
             this.topicsSummary,
             partType,
             aggregatedSummaries,
-            aggregatedTopics
+            aggregatedTopics,
+            this.castSpeakers,
+            this.nextSectionContext ? this.nextSectionContext.exchanges : '',
+            this.nextSectionContext ? this.nextSectionContext.summary : '',
+            this.getEpisodeFormat()
         );
     }
 
@@ -726,13 +931,16 @@ class ScriptGenerator {
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
      * @param {boolean} isLastSection - Whether this is the final section
+     * @param {Object} sectionOptions - Section generation options
+     * @param {number} sectionOptions.replaceIndex - Regenerate the section at this index in place instead of appending it
      */
-    async generateScriptSection(section, characterData, apiData, partType = '') {
+    async generateScriptSection(section, characterData, apiData, partType = '', sectionOptions = {}) {
     
         try {
-            // Get the full document content first
+            // Get the source documents first: the full text, or only the excerpts relevant
+            // to this section when the sources do not fit in the model context
             const data = this.storageManager.load('data', {});
-            const documentContent = data.document?.content || '';
+            const documentContent = await this.documentPreparer.getSectionContent(data, apiData, section);
             
             // Build system prompt for section with document content
             const systemPrompt = this.buildSystemPrompt(characterData, partType, documentContent);
@@ -766,20 +974,12 @@ class ScriptGenerator {
                 options
             );
             
-            // generateScriptSection: Call OpenAI API with retry logic
-            const responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
+            // generateScriptSection: Call OpenAI API with retry logic, streaming the section into the script view
+            const replaceIndex = typeof sectionOptions.replaceIndex === 'number' ? sectionOptions.replaceIndex : -1;
+            const stage = `section ${section.number}`;
+            const responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey, stage, this.createStreamOptions(stage, replaceIndex, apiData.signal));
             let sectionText = responseData.choices[0]?.message?.content?.trim();
             
-            // Track token usage if available
-            if (responseData.usage) {
-                const modelName = apiData.models.script;
-                const promptTokens = responseData.usage.prompt_tokens || 0;
-                const completionTokens = responseData.usage.completion_tokens || 0;
-                
-                // Track usage via API manager
-                this.apiManager.trackCompletionUsage(modelName, promptTokens, completionTokens);
-            }
-            
             if (sectionText) {
                 // Process the text to remove stage directions and ensure proper formatting
                 sectionText = this.processScriptText(sectionText);
@@ -789,8 +989,8 @@ class ScriptGenerator {
                 const afterGen = this.computeSectionCompositePercent(i, n, SEC_GEN);
                 this.updateCompositeProgress('script-progress', afterGen);
                 
-                // Previous sections for context in verification
-                const previousSections = [...this.generatedSections]; // Copy current sections before adding this one
+                // Previous sections for context in verification (only those before a section regenerated in place)
+                const previousSections = replaceIndex >= 0 ? this.generatedSections.slice(0, replaceIndex) : [...this.generatedSections];
                 
                 // Iterative verification and improvement (up to 3 attempts)
                 let finalSectionText = sectionText;
@@ -799,6 +999,7 @@ class ScriptGenerator {
                 let verificationResult = { isValid: true, summary: '' };
                 const candidates = [];
                 const attemptDetails = [];
+                const history = new ImprovementHistory();
                 
                 while (attempt < maxAttempts) {
                     attempt++;
@@ -829,14 +1030,22 @@ class ScriptGenerator {
                     // Composite progress: after verification stage
                     const afterVer = this.computeSectionCompositePercent(i, n, SEC_GEN + SEC_VER);
                     this.updateCompositeProgress('script-progress', afterVer);
+                    
+                    // A section whose review did not run is kept as it is (or as last verified), never counted as passed
+                    if (verificationResult.status === 'unavailable') {
+                        attemptDetails.push({ attempt: attempt, score: null, status: 'unavailable', isValid: false, issuesCount: 0 });
+                        this.notifications.showError(`Section ${section.number} was not verified. ${verificationResult.summary}`);
+                        break;
+                    }
 
                     // Compute and record score for this attempt
                     const score = this.computeSectionScore(verificationResult);
                     candidates.push({ text: finalSectionText, score: score, verificationResult: verificationResult, attempt: attempt });
-                    attemptDetails.push({ attempt: attempt, score: score, isValid: !!verificationResult.isValid, issuesCount: Array.isArray(verificationResult.issues) ? verificationResult.issues.length : 0 });
+                    attemptDetails.push({ attempt: attempt, score: score, status: verificationResult.status, isValid: !!verificationResult.isValid, issuesCount: Array.isArray(verificationResult.issues) ? verificationResult.issues.length : 0 });
+                    history.addVerificationResult(verificationResult, finalSectionText, `section-${section.number}`);
 
                     // Show interim version of script including current best for this section
-                    this.renderInterimWithCurrentSection(finalSectionText);
+                    this.renderInterimWithCurrentSection(finalSectionText, replaceIndex);
                     
                     if (verificationResult.isValid) {
                         this.notifications.showInfo(`Section ${section.number} verification passed on attempt ${attempt}.`);
@@ -848,6 +1057,12 @@ class ScriptGenerator {
                         break;
                     }
                     
+                    // Stop early when the last improvement resolved too few of the issues
+                    if (!history.shouldContinueImprovement(maxAttempts)) {
+                        this.notifications.showInfo(`Section ${section.number} improvements stalled after attempt ${attempt}. Proceeding with best version available.`);
+                        break;
+                    }
+                    
                     // Show improvement notification
                     const improvementNotificationId = Date.now();
                     this.notifications.showInfo(`Improving section ${section.number} (attempt ${attempt}/${maxAttempts})...`, improvementNotificationId);
@@ -865,7 +1080,8 @@ class ScriptGenerator {
                         previousSections,
                         documentContent,
                         characterData,
-                        apiData
+                        apiData,
+                        attempt > 1 ? history.generateHistorySummary() : ''
                     );
                     
                     // Clear the improvement notification
@@ -884,7 +1100,7 @@ class ScriptGenerator {
                         const afterImp = this.computeSectionCompositePercent(i, n, SEC_GEN + SEC_VER + SEC_IMP);
                         this.updateCompositeProgress('script-progress', afterImp);
                         // Update interim preview after improvement
-                        this.renderInterimWithCurrentSection(finalSectionText);
+                        this.renderInterimWithCurrentSection(finalSectionText, replaceIndex);
                     } else {
                         this.notifications.showInfo(`Section ${section.number} did not change after improvement attempt. Stopping further attempts.`);
                         break;
@@ -901,14 +1117,23 @@ class ScriptGenerator {
                 const chosenScore = best ? best.score : this.computeSectionScore(verificationResult);
 
                 // Store this section for summary generation, including scoring details
-                this.generatedSections.push({
+                const generatedSection = {
                     number: section.number,
                     title: section.title,
+                    outline: section.content,
                     content: chosenText,
                     verificationResult: chosenVerification,
+                    verification: chosenVerification.status,
+                    citations: chosenVerification.citations || [],
                     score: chosenScore,
-                    attempts: attemptDetails
-                });
+                    attempts: attemptDetails,
+                    persistentIssues: chosenVerification && chosenVerification.isValid ? '' : history.describePersistentIssues()
+                };
+                if (replaceIndex >= 0) {
+                    this.generatedSections[replaceIndex] = generatedSection;
+                } else {
+                    this.generatedSections.push(generatedSection);
+                }
                 
                 // Store the last dialogue turns for continuity
                 this.lastDialogueExchanges = this.extractLastExchanges(chosenText, 3); // Get last 3 turns
@@ -923,6 +1148,12 @@ class ScriptGenerator {
             }
             
         } catch (error) {
+            // The cancel button aborts the request in flight; drop the partly streamed section from the view
+            if (error.status === 'ABORTED') {
+                this.cancelGeneration = false;
+                this.renderFinalizedScript();
+                throw new Error('Script generation cancelled');
+            }
             throw error;
         }
     }
@@ -945,12 +1176,21 @@ class ScriptGenerator {
      */
     buildSystemPrompt(characterData, partType, documentContent = '') {
     
-        const host = characterData.host || {};
-        const guest = characterData.guest || {};
+        const speakers = characterData.speakers || this.speakers.getSpeakers(characterData);
         const outlineData = this.storageManager.load('outlineData', {});
         const podcastFocus = outlineData.podcastFocus || '';
         
-        return getSectionGenerateSystem(host, guest, podcastFocus, partType, documentContent);
+        return this.promptLibrary.build('sectionGenerateSystem', speakers, podcastFocus, partType, documentContent, resolveEpisodeFormat(outlineData.episodeFormat));
+    }
+    
+    /**
+     * Get the episode format chosen for the outline
+     * @returns {string} - Episode format id (interview, debate, ...)
+     */
+    getEpisodeFormat() {
+    
+        const outlineData = this.storageManager.load('outlineData', {});
+        return resolveEpisodeFormat(outlineData.episodeFormat);
     }
     
     /**
@@ -965,26 +1205,19 @@ class ScriptGenerator {
      */
     async verifyScriptSection(sectionText, section, previousSections, documentContent, characterData, apiData) {
     
-        try {
-            // Delegate to ScriptVerifier
-            const result = await this.scriptVerifier.verifyScriptSection(
-                sectionText,
-                section,
-                previousSections, 
-                documentContent, 
-                characterData, 
-                apiData,
-                this.totalPodcastDuration
-            );
-            
-            return result;
-        } catch (error) {
-            console.error('Error during section verification:', error);
-            // Default to assuming it's valid to avoid blocking workflow
-            return { isValid: true, summary: 'Verification error. Using original section.' };
-        }
-    }
-
+        // Delegate to ScriptVerifier; API and schema failures come back as an unavailable review, a cancellation is thrown
+        return await this.scriptVerifier.verifyScriptSection(
+            sectionText,
+            section,
+            previousSections, 
+            documentContent, 
+            characterData, 
+            apiData,
+            this.totalPodcastDuration,
+            this.getEpisodeFormat()
+        );
+    }
+
     /**
      * Compute a numeric score for a verification result.
      * Lower is better. Severity weights: critical=5, major=3, minor=1.
@@ -1064,7 +1297,9 @@ class ScriptGenerator {
                 documentContent,
                 characterData,
                 apiData,
-                this.totalPodcastDuration
+                this.totalPodcastDuration,
+                '',
+                this.getEpisodeFormat()
             );
             
             return this.processScriptText(improvedScriptText);
@@ -1096,18 +1331,25 @@ class ScriptGenerator {
             // Remove stray lines that only say 'markdown' or 'md'
             .replace(/^(?:markdown|md)\s*$/gim, '');
         
+        // Labels of this episode's speakers (HOST/GUEST unless a panel or solo cast is set)
+        const speakers = this.getCastSpeakers();
+        const labels = this.speakers.getLabelPattern(speakers);
+        
         // Fix cases where separator and label are on the same line (e.g., ---HOST: or --- GUEST:)
-        processedText = processedText.replace(/(^|\n)---\s*(HOST|GUEST):/g, '$1---\n$2:');
+        processedText = processedText.replace(new RegExp(`(^|\\n)---[^\\S\\n]*(${labels}):`, 'g'), '$1---\n$2:');
+        
+        // Map character names and letter case variants to the canonical labels
+        processedText = this.speakers.normalizeScriptLabels(processedText, speakers);
         
         // Ensure each speaker label is on its own line
-        processedText = processedText.replace(/([^\n])\s*(HOST:|GUEST:)/g, '$1\n$2');
+        processedText = processedText.replace(new RegExp(`([^\\n])[^\\S\\n]*((?:${labels}):)`, 'g'), '$1\n$2');
         
         // Insert a '---' line immediately before any speaker label that does not already have one
         // Only insert when not already immediately preceded by a separator line
-        processedText = processedText.replace(/(^|\n)(?!---\s*\n)(HOST:|GUEST:)/g, '$1---\n$2');
+        processedText = processedText.replace(new RegExp(`(^|\\n)(?!---\\s*\\n)((?:${labels}):)`, 'g'), '$1---\n$2');
         
         // Collapse any duplicate separators before a label (e.g., "---\n---\nHOST:" => "---\nHOST:")
-        processedText = processedText.replace(/(^|\n)(?:---\s*\n)+(?=(HOST:|GUEST:))/g, '$1---\n');
+        processedText = processedText.replace(new RegExp(`(^|\\n)(?:---\\s*\\n)+(?=(?:${labels}):)`, 'g'), '$1---\n');
         
         // Remove any stage directions [like this]
         processedText = processedText.replace(/\[[^\]]*\]/g, '');
@@ -1134,20 +1376,66 @@ class ScriptGenerator {
     }
     
     /**
-     * Extract the last few turns between HOST and GUEST from a dialogue.
-     * Each "turn" is a single speaker block (HOST or GUEST).
+     * Get the speakers of the current run, falling back to the stored cast
+     * @returns {Array<Object>} - Speakers from Speakers.getSpeakers()
+     */
+    getCastSpeakers() {
+    
+        if (!this.castSpeakers) {
+            this.castSpeakers = this.speakers.getSpeakers(this.storageManager.load('data', {}));
+        }
+        return this.castSpeakers;
+    }
+    
+    /**
+     * Extract the last few turns between the speakers from a dialogue.
+     * Each "turn" is a single speaker block (e.g. HOST or GUEST).
      * @param {string} text - The dialogue text to extract from
      * @param {number} exchangeCount - Number of turns to extract (last N speaker turns)
      * @returns {string} - The extracted turns, preserving clean formatting
      */
     extractLastExchanges(text, exchangeCount = 3) {
     
+        const formattedSegments = this.splitTurns(text);
+        
+        // Get the last N turns (speaker blocks)
+        const turnsToKeep = Math.min(Math.max(0, exchangeCount | 0), formattedSegments.length);
+        if (turnsToKeep === 0) {
+            return formattedSegments.length > 0 ? formattedSegments[formattedSegments.length - 1] : '';
+        }
+        const startIdx = formattedSegments.length - turnsToKeep;
+        const lastExchanges = formattedSegments.slice(startIdx);
+        
+        // Join with a single blank line between segments
+        return lastExchanges.join('\n\n');
+    }
+    
+    /**
+     * Extract the first few turns of a dialogue (the opening of the following section
+     * when a section is regenerated in place)
+     * @param {string} text - The dialogue text to extract from
+     * @param {number} exchangeCount - Number of turns to extract (first N speaker turns)
+     * @returns {string} - The extracted turns, preserving clean formatting
+     */
+    extractFirstExchanges(text, exchangeCount = 3) {
+    
+        return this.splitTurns(text).slice(0, Math.max(0, exchangeCount | 0)).join('\n\n');
+    }
+    
+    /**
+     * Split a dialogue into speaker turns formatted as "---\nLABEL:\nbody"
+     * @param {string} text - The dialogue text
+     * @returns {Array<string>} - Turns in order
+     */
+    splitTurns(text) {
+    
         if (!text || typeof text !== 'string') {
-            return '';
+            return [];
         }
         
         // Split by speaker markers
-        const speakerSegments = text.split(/---\s*\n(HOST:|GUEST:)/g);
+        const labels = this.speakers.getLabelPattern(this.getCastSpeakers());
+        const speakerSegments = text.split(new RegExp(`---\\s*\\n((?:${labels}):)`, 'g'));
         
         // Reconstruct properly formatted segments
         const formattedSegments = [];
@@ -1162,16 +1450,7 @@ class ScriptGenerator {
             }
         }
         
-        // Get the last N turns (speaker blocks)
-        const turnsToKeep = Math.min(Math.max(0, exchangeCount | 0), formattedSegments.length);
-        if (turnsToKeep === 0) {
-            return formattedSegments.length > 0 ? formattedSegments[formattedSegments.length - 1] : '';
-        }
-        const startIdx = formattedSegments.length - turnsToKeep;
-        const lastExchanges = formattedSegments.slice(startIdx);
-        
-        // Join with a single blank line between segments
-        return lastExchanges.join('\n\n');
+        return formattedSegments;
     }
     
     /**
@@ -1185,7 +1464,7 @@ class ScriptGenerator {
      */
     buildConversationSummaryPrompt(lastSection) {
     
-        return getSummaryGenerateUser(lastSection.content);
+        return this.promptLibrary.build('summaryGenerateUser', lastSection.content);
     }
     
     async updateConversationSummary(apiData) {
@@ -1199,77 +1478,101 @@ class ScriptGenerator {
             // Get the most recent section
             const lastSection = this.generatedSections[this.generatedSections.length - 1];
             
-            // Enhanced prompt for structured summarization
-            const prompt = this.buildConversationSummaryPrompt(lastSection);
-            
-            // Create message array
-            const messages = [
-                { role: 'system', content: getSummaryGenerateSystem() },
-                { role: 'user', content: prompt }
-            ];
-            
-            // Configure options
-            const options = {
-                /*maxTokens: 300,*/
-                temperature: 0.5
-            };
-            
-            // Get request body using the OpenAIManager helper
-            const requestBody = this.apiManager.createRequestBody(
-                apiData.models.outline, // Using outline model for summarization
-                messages,
-                options
-            );
-            
-            // updateConversationSummary: Call OpenAI API for summarization with retry logic
-            const responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
-            
-            const summary = responseData.choices[0]?.message?.content?.trim();
-            
-            // Track token usage if available
-            if (responseData.usage) {
-                const modelName = apiData.models.outline;
-                const promptTokens = responseData.usage.prompt_tokens || 0;
-                const completionTokens = responseData.usage.completion_tokens || 0;
-                
-                // Track usage via API manager
-                this.apiManager.trackCompletionUsage(modelName, promptTokens, completionTokens);
-            }
-            
-            if (summary) {
-                // Parse the structured summary
-                const summaryMatch = summary.match(/SUMMARY:\s*(.*?)(?=\n\n|\n?TOPICS COVERED:)/s);
-                const topicsMatch = summary.match(/TOPICS COVERED:\s*([\s\S]*?)(?=\n\n|$)/s);
-                
-                const generalSummary = summaryMatch ? summaryMatch[1].trim() : summary;
-                const topicsText = topicsMatch ? topicsMatch[1].trim() : '';
-                
-                // Store both general summary and structured topics
-                this.conversationSummary = generalSummary;
-                this.topicsSummary = topicsText; // New property to store topics
-                
-                // Store the last section summary
-                this.lastSectionSummary = generalSummary;
-
-                // Append to cumulative arrays (no size caps)
-                this.allSectionSummaries.push({
-                    number: lastSection.number,
-                    title: lastSection.title,
-                    summary: generalSummary
-                });
-                this.allTopicsCovered.push({
-                    number: lastSection.number,
-                    title: lastSection.title,
-                    topics: topicsText
-                });
+            const result = await this.summarizeSection(lastSection, apiData);
+            if (result) {
+                this.applySectionSummary(lastSection, result.summary, result.topics);
             }
             
         } catch (error) {
+            // A cancelled generation stops before the section is checkpointed without its summary
+            if (error.status === 'ABORTED') {
+                throw error;
+            }
             // Just log the error but don't fail the whole process
             console.error('Error generating conversation summary:', error);
         }
     }
     
+    /**
+     * Summarize a generated section and list the topics it covers
+     * @param {Object} section - Generated section
+     * @param {Object} apiData - API credentials and model data
+     * @returns {Object|null} - { summary, topics } or null when the model returned nothing
+     */
+    async summarizeSection(section, apiData) {
+    
+        // Enhanced prompt for structured summarization
+        const prompt = this.buildConversationSummaryPrompt(section);
+        
+        // Create message array
+        const messages = [
+            { role: 'system', content: this.promptLibrary.build('summaryGenerateSystem') },
+            { role: 'user', content: prompt }
+        ];
+        
+        // Configure options
+        const options = {
+            /*maxTokens: 300,*/
+            temperature: 0.5
+        };
+        
+        // Get request body using the OpenAIManager helper
+        const requestBody = this.apiManager.createRequestBody(
+            apiData.models.outline, // Using outline model for summarization
+            messages,
+            options
+        );
+        
+        // summarizeSection: Call OpenAI API for summarization with retry logic
+        const responseData = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey, `section ${section.number} summary`, { signal: apiData.signal });
+        
+        const summary = responseData.choices[0]?.message?.content?.trim();
+        
+        if (!summary) {
+            return null;
+        }
+        
+        // Parse the structured summary
+        const summaryMatch = summary.match(/SUMMARY:\s*(.*?)(?=\n\n|\n?TOPICS COVERED:)/s);
+        const topicsMatch = summary.match(/TOPICS COVERED:\s*([\s\S]*?)(?=\n\n|$)/s);
+        
+        return {
+            summary: summaryMatch ? summaryMatch[1].trim() : summary,
+            topics: topicsMatch ? topicsMatch[1].trim() : ''
+        };
+    }
+    
+    /**
+     * Use a section's summary as conversation context for the next section, and keep it
+     * on the section so it can serve as context again when a neighbour is regenerated
+     * @param {Object} section - Generated section
+     * @param {string} generalSummary - Section summary
+     * @param {string} topicsText - Topics covered in the section
+     */
+    applySectionSummary(section, generalSummary, topicsText) {
+    
+        // Store both general summary and structured topics
+        this.conversationSummary = generalSummary;
+        this.topicsSummary = topicsText; // New property to store topics
+        
+        // Store the last section summary
+        this.lastSectionSummary = generalSummary;
+        section.summary = generalSummary;
+        section.topics = topicsText;
+
+        // Append to cumulative arrays (no size caps)
+        this.allSectionSummaries.push({
+            number: section.number,
+            title: section.title,
+            summary: generalSummary
+        });
+        this.allTopicsCovered.push({
+            number: section.number,
+            title: section.title,
+            topics: topicsText
+        });
+    }
+    
     /**
      * Extract key facts from outline section content
      * @param {string} sectionContent - Section content from outline
@@ -1326,14 +1629,20 @@ class ScriptGenerator {
      * Render interim view combining finalized sections with a pending section text.
      * Does not persist to storage. Preserves user scroll/selection.
      * @param {string} currentSectionText
+     * @param {number} replaceIndex - Index of the section regenerated in place (-1 when appending)
      */
-    renderInterimWithCurrentSection(currentSectionText) {
+    renderInterimWithCurrentSection(currentSectionText, replaceIndex = -1) {
         if (!this.scriptTextarea) {
             return;
         }
-        const base = this.getCompiledScriptFromGeneratedSections();
+        const before = replaceIndex >= 0 ? this.generatedSections.slice(0, replaceIndex) : this.generatedSections;
+        const base = this.getCompiledScriptFromGeneratedSections(before);
         const pending = currentSectionText || '';
-        const preview = base ? (base + (base.endsWith('\n\n') ? '' : '\n\n') + pending) : pending;
+        let preview = base ? (base + (base.endsWith('\n\n') ? '' : '\n\n') + pending) : pending;
+        const after = replaceIndex >= 0 ? this.getCompiledScriptFromGeneratedSections(this.generatedSections.slice(replaceIndex + 1)) : '';
+        if (after) {
+            preview = `${preview}\n\n${after}`;
+        }
         this.updateScriptViewPreservingUserState(function previewSetter(textarea) {
             textarea.value = preview;
         });
@@ -1341,15 +1650,16 @@ class ScriptGenerator {
 
     /**
      * Build combined script from already finalized generated sections.
+     * @param {Array<Object>} sectionList - Sections to combine (defaults to all generated sections)
      * @returns {string}
      */
-    getCompiledScriptFromGeneratedSections() {
-        if (!Array.isArray(this.generatedSections) || this.generatedSections.length === 0) {
+    getCompiledScriptFromGeneratedSections(sectionList = this.generatedSections) {
+        if (!Array.isArray(sectionList) || sectionList.length === 0) {
             return '';
         }
         const parts = [];
-        for (let idx = 0; idx < this.generatedSections.length; idx++) {
-            const s = this.generatedSections[idx];
+        for (let idx = 0; idx < sectionList.length; idx++) {
+            const s = sectionList[idx];
             if (s && typeof s.content === 'string' && s.content.trim()) {
                 parts.push(s.content.trim());
             }
@@ -1456,18 +1766,496 @@ class ScriptGenerator {
     
     /**
      * Save script data to storage
+     * @param {string} scriptText - Optional explicit script text (used when there is no textarea, e.g. headless)
      */
-    saveScriptData() {
+    saveScriptData(scriptText) {
     
-        const currentScript = this.scriptTextarea ? (this.scriptTextarea.value || '') : (this.getCompiledScriptFromGeneratedSections() || this.scriptData || '');
+        let currentScript;
+        if (typeof scriptText === 'string') {
+            currentScript = scriptText;
+        } else if (this.scriptTextarea) {
+            currentScript = this.scriptTextarea.value || '';
+        } else {
+            currentScript = this.getCompiledScriptFromGeneratedSections() || this.scriptData || '';
+        }
+
+        // Keep other script preferences (e.g. language) stored alongside the text
+        const existing = this.storageManager.load('scriptData', {}) || {};
         const scriptData = {
+            ...existing,
             script: currentScript,
             timestamp: new Date().toISOString()
         };
         
+        // The sections are kept so single sections can be regenerated or locked later,
+        // and so the audio export can place a chapter marker at each of them
+        scriptData.generatedSections = this.generatedSections.map(this.serializeSection);
+        
         this.storageManager.save('scriptData', scriptData);
         this.scriptData = currentScript;
     }
+
+    /**
+     * Reduce a generated section to the fields kept in storage (drops the full verification result)
+     * @param {Object} section - Generated section
+     * @returns {Object}
+     */
+    serializeSection(section) {
+    
+        return {
+            number: section.number,
+            title: section.title,
+            outline: section.outline || '',
+            content: section.content,
+            score: section.score,
+            attempts: section.attempts,
+            verification: section.verification || '',
+            citations: section.citations || [],
+            persistentIssues: section.persistentIssues || '',
+            summary: section.summary || '',
+            topics: section.topics || ''
+        };
+    }
+
+    /**
+     * Regenerate one section in place, using the neighbouring sections' dialogue and summaries
+     * as context, then re-run only the cross-section review on the whole script
+     * @param {Array} sections - Parsed outline sections
+     * @param {string} sectionNumber - Outline number of the section to regenerate
+     * @param {Object} characterData - Host and guest character data
+     * @param {Object} apiData - API credentials and model data
+     */
+    async regenerateSection(sections, sectionNumber, characterData, apiData) {
+    
+        const index = sections.findIndex(function isSection(section) { return String(section.number) === String(sectionNumber); });
+        if (index < 0) {
+            throw new Error(`Section ${sectionNumber} is not in the outline.`);
+        }
+        if (!this.hasSectionsFor(sections)) {
+            throw new Error('The script sections do not match the current outline. Please generate the full script first.');
+        }
+        if (this.isSectionLocked(this.generatedSections[index])) {
+            throw new Error(`Section ${sectionNumber} is locked. Unlock it before regenerating.`);
+        }
+        
+        try {
+            this.castSpeakers = characterData.speakers || this.speakers.getSpeakers(characterData);
+            const oldSection = this.generatedSections[index];
+            const previousSections = this.generatedSections.slice(0, index);
+            const lastSection = previousSections[previousSections.length - 1];
+            const nextSection = this.generatedSections[index + 1];
+            const currentScript = this.scriptTextarea ? this.scriptTextarea.value : this.scriptData;
+            
+            // Rebuild the conversation context the section was first written with
+            this.allSectionSummaries = previousSections.filter(function hasSummary(section) { return section.summary; }).map(function toSummary(section) {
+                return {
+                    number: section.number,
+                    title: section.title,
+                    summary: section.summary
+                };
+            });
+            this.allTopicsCovered = previousSections.filter(function hasTopics(section) { return section.topics; }).map(function toTopics(section) {
+                return {
+                    number: section.number,
+                    title: section.title,
+                    topics: section.topics
+                };
+            });
+            this.conversationSummary = lastSection ? lastSection.summary || '' : '';
+            this.lastSectionSummary = this.conversationSummary;
+            this.topicsSummary = lastSection ? lastSection.topics || '' : '';
+            this.lastDialogueExchanges = lastSection ? this.extractLastExchanges(lastSection.content, 3) : '';
+            this.nextSectionContext = nextSection ? {
+                exchanges: this.extractFirstExchanges(nextSection.content, 3),
+                summary: nextSection.summary || ''
+            } : null;
+            
+            // Progress covers the one section, then the cross-section review
+            this.currentSection = 1;
+            this.totalSections = 1;
+            this._lastProgress = 0;
+            if (this.progressManager) {
+                this.progressManager.resetProgress('script-progress');
+                this.progressManager.updateProgress('script-progress', 0);
+            }
+            
+            const partType = (index === 0) ? 'intro' : (index === sections.length - 1 ? 'outro' : 'section');
+            await this.generateScriptSection(sections[index], characterData, apiData, partType, { replaceIndex: index });
+            const regenerated = this.generatedSections[index];
+            
+            if (this.cancelGeneration) {
+                this.cancelGeneration = false;
+                throw new Error('Script generation cancelled');
+            }
+            
+            // Refresh the summary used as context when a neighbouring section is regenerated
+            if (index < sections.length - 1) {
+                try {
+                    const result = await this.summarizeSection(regenerated, apiData);
+                    if (result) {
+                        regenerated.summary = result.summary;
+                        regenerated.topics = result.topics;
+                    }
+                } catch (error) {
+                    console.error('Error generating conversation summary:', error);
+                }
+            }
+            
+            // Swap the new text into the current script so edits elsewhere are kept
+            let script = this.getCompiledScriptFromGeneratedSections();
+            const oldContent = (oldSection.content || '').trim();
+            if (oldContent && currentScript.includes(oldContent)) {
+                script = currentScript.replace(oldContent, function getContent() { return regenerated.content.trim(); });
+            } else if (currentScript.trim()) {
+                this.notifications.showInfo(`The previous text of section ${sectionNumber} was edited, so the script was rebuilt from its sections.`);
+            }
+            this.updateScriptViewPreservingUserState(function applyRegenerated(textarea) {
+                textarea.value = script;
+            });
+            this.saveScriptData(script);
+            this.saveCheckpoint(sections, 'complete');
+            
+            // Only the cross-section review runs again; the other sections are kept as they are
+            const finalScript = await this.reviewCrossSections(script, characterData, apiData);
+            this.saveScriptData(finalScript);
+            this.saveCheckpoint(sections, 'complete');
+            this.logScriptProgress();
+            
+            this.contentStateManager.updateState('hasScript', true);
+            this.notifications.showSuccess(`Section ${sectionNumber} regenerated successfully!`);
+            this.reportPersistentIssues();
+            this.updateCompositeProgress('script-progress', 100);
+            
+        } catch (error) {
+            // If not cancelled (or aborted, e.g. while the sources were digested), rethrow
+            if (error.message !== 'Script generation cancelled' && error.status !== 'ABORTED') {
+                throw error;
+            }
+        } finally {
+            this.nextSectionContext = null;
+        }
+    }
+
+    /**
+     * Check that the generated sections belong to the given outline sections
+     * @param {Array} sections - Parsed outline sections
+     * @returns {boolean}
+     */
+    hasSectionsFor(sections) {
+    
+        return this.generatedSections.length === sections.length &&
+            sections.every(function isGenerated(section, index) {
+                return String(this.generatedSections[index].number) === String(section.number) &&
+                    this.generatedSections[index].title === section.title;
+            }, this);
+    }
+
+    /**
+     * Get the stored lock for an outline section; a lock only applies while the section's
+     * number, title and outline text are unchanged
+     * @param {Object} section - Parsed outline section ({ number, title, content })
+     * @returns {Object|null} - Locked section { number, title, outline, content, summary, topics } or null
+     */
+    findLockedSection(section) {
+    
+        const scriptData = this.storageManager.load('scriptData', {}) || {};
+        const locks = Array.isArray(scriptData.lockedSections) ? scriptData.lockedSections : [];
+        return locks.find(function isLock(lock) {
+            return String(lock.number) === String(section.number) &&
+                lock.title === section.title &&
+                lock.outline === section.content;
+        }) || null;
+    }
+
+    /**
+     * Check whether a generated section is locked
+     * @param {Object} generatedSection - Generated section
+     * @returns {boolean}
+     */
+    isSectionLocked(generatedSection) {
+    
+        if (!generatedSection) {
+            return false;
+        }
+        return !!this.findLockedSection({
+            number: generatedSection.number,
+            title: generatedSection.title,
+            content: generatedSection.outline || ''
+        });
+    }
+
+    /**
+     * Lock or unlock a generated section. Locked sections keep their current text when the
+     * whole script is regenerated and cannot be regenerated on their own.
+     * @param {string} sectionNumber - Outline number of the section
+     * @param {boolean} locked - Whether to lock or unlock the section
+     */
+    setSectionLocked(sectionNumber, locked) {
+    
+        const section = this.generatedSections.find(function isSection(item) { return String(item.number) === String(sectionNumber); });
+        if (locked && !section) {
+            throw new Error(`Section ${sectionNumber} has not been generated yet.`);
+        }
+        
+        const scriptData = this.storageManager.load('scriptData', {}) || {};
+        const locks = (scriptData.lockedSections || []).filter(function isOtherLock(lock) { return String(lock.number) !== String(sectionNumber); });
+        if (locked) {
+            // Keep a copy: a cancelled full regeneration must not lose the locked text
+            locks.push({
+                number: section.number,
+                title: section.title,
+                outline: section.outline || '',
+                content: section.content,
+                citations: section.citations || [],
+                summary: section.summary || '',
+                topics: section.topics || ''
+            });
+        }
+        scriptData.lockedSections = locks;
+        this.storageManager.save('scriptData', scriptData);
+        this.renderSectionList();
+    }
+
+    /**
+     * Add a locked section to the script being generated instead of generating it
+     * @param {Object} section - Parsed outline section
+     * @param {Object} locked - Stored locked section
+     */
+    keepLockedSection(section, locked) {
+    
+        this.notifications.showInfo(`Keeping locked section ${section.number}.`);
+        this.generatedSections.push({
+            number: section.number,
+            title: section.title,
+            outline: section.content,
+            content: locked.content,
+            score: null,
+            attempts: [],
+            citations: locked.citations || [],
+            persistentIssues: ''
+        });
+        this.lastDialogueExchanges = this.extractLastExchanges(locked.content, 3);
+        this.renderFinalizedScript();
+        this.saveScriptData();
+    }
+
+    /**
+     * List the generated sections for display
+     * @returns {Array<Object>} - Sections as { number, title, words, locked, verification, unsupportedClaims, persistentIssues }
+     */
+    getSectionList() {
+    
+        return this.generatedSections
+            .filter(function hasContent(section) { return section && typeof section.content === 'string' && section.content.trim(); })
+            .map(function describeSection(section) {
+                return {
+                    number: section.number,
+                    title: section.title,
+                    words: this.countWords(section.content),
+                    locked: this.isSectionLocked(section),
+                    verification: section.verification || '',
+                    unsupportedClaims: (section.citations || []).filter(function isUnsupported(citation) { return !citation.supported; }).length,
+                    persistentIssues: section.persistentIssues || ''
+                };
+            }, this);
+    }
+
+    /**
+     * Render the section list with lock and regenerate buttons below the script
+     */
+    renderSectionList() {
+    
+        if (!this.sectionList) {
+            return;
+        }
+        
+        const sections = this.getSectionList();
+        this.sectionList.innerHTML = '';
+        this.sectionList.classList.toggle('hidden', sections.length === 0);
+        sections.forEach(function renderSection(section) {
+            this.sectionList.appendChild(this.createSectionItem(section));
+        }, this);
+        
+        if (this.showNotesButton) {
+            this.showNotesButton.disabled = this.isGenerating || !this.getShowNotes('md');
+        }
+    }
+
+    /**
+     * List the claims of each generated section with the source passages that support them
+     * @returns {Array<Object>} - Sections as { number, title, citations: [{ speaker, claim, supported, coverage, missingNumbers, source }] }
+     */
+    getCitations() {
+    
+        return this.generatedSections
+            .filter(function hasContent(section) { return section && typeof section.content === 'string' && section.content.trim(); })
+            .map(function listCitations(section) {
+                return {
+                    number: section.number,
+                    title: section.title,
+                    citations: section.citations || []
+                };
+            });
+    }
+
+    /**
+     * Format the citations as show notes
+     * @param {string} format - 'md' for the sources of the supported claims, 'json' for every claim
+     * @returns {string} - Show notes ('' when no claim is cited)
+     */
+    getShowNotes(format = 'md') {
+    
+        return this.scriptVerifier.factChecker.formatShowNotes(this.getCitations(), format);
+    }
+
+    /**
+     * Handle show notes download button click
+     */
+    handleDownloadShowNotes() {
+    
+        const text = this.getShowNotes('md');
+        if (!text) {
+            this.notifications.showError('No citations available. Generate the script first.');
+            return;
+        }
+        
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/markdown;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'show-notes.md';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Create a section list row
+     * @param {Object} section - Section from getSectionList()
+     * @returns {HTMLElement} - Row element
+     */
+    createSectionItem(section) {
+    
+        const self = this;
+        const item = document.createElement('div');
+        item.className = 'script-section-item';
+        item.innerHTML = `
+            <div class="script-section-info">
+                <div class="script-section-title"></div>
+                <div class="script-section-meta"></div>
+            </div>
+            <button class="btn-text script-section-lock"></button>
+            <button class="btn-secondary script-section-regenerate">Regenerate</button>
+        `;
+        
+        // Set section details as text to avoid injecting outline titles as HTML
+        item.querySelector('.script-section-title').textContent = `${section.number}. ${section.title}`;
+        const meta = [`${section.words} words`];
+        if (section.verification === 'unavailable') {
+            meta.push('Not verified');
+        }
+        if (section.unsupportedClaims > 0) {
+            meta.push(`${section.unsupportedClaims} unsupported claim${section.unsupportedClaims === 1 ? '' : 's'}`);
+        }
+        if (section.locked) {
+            meta.push('Locked');
+        }
+        item.querySelector('.script-section-meta').textContent = meta.join(' • ');
+        if (section.persistentIssues) {
+            item.title = section.persistentIssues;
+        }
+        
+        const lockButton = item.querySelector('.script-section-lock');
+        lockButton.textContent = section.locked ? 'Unlock' : 'Lock';
+        lockButton.title = 'Locked sections are kept when the whole script is regenerated';
+        lockButton.disabled = this.isGenerating;
+        lockButton.addEventListener('click', function() {
+            self.handleToggleSectionLock(section.number, !section.locked);
+        });
+        
+        const regenerateButton = item.querySelector('.script-section-regenerate');
+        regenerateButton.disabled = this.isGenerating || section.locked;
+        regenerateButton.addEventListener('click', function() {
+            self.handleRegenerateSection(section.number);
+        });
+        
+        return item;
+    }
+
+    /**
+     * Build a signature identifying the outline sections a checkpoint belongs to
+     * @param {Array} sections - Parsed outline sections
+     * @returns {string} - Signature string
+     */
+    buildOutlineSignature(sections) {
+    
+        return sections.map(function sectionKey(section) {
+            return `${section.number}|${section.title}|${section.durationMinutes}`;
+        }).join('\n');
+    }
+
+    /**
+     * Persist completed sections and conversation context so an interrupted run can resume
+     * @param {Array} sections - Parsed outline sections
+     * @param {string} phase - 'sections' while generating sections, 'complete' once the script is finalized
+     */
+    saveCheckpoint(sections, phase) {
+    
+        const checkpoint = {
+            outlineSignature: this.buildOutlineSignature(sections),
+            phase: phase,
+            generatedSections: this.generatedSections.map(this.serializeSection),
+            allSectionSummaries: this.allSectionSummaries,
+            allTopicsCovered: this.allTopicsCovered,
+            conversationSummary: this.conversationSummary,
+            lastSectionSummary: this.lastSectionSummary,
+            topicsSummary: this.topicsSummary,
+            lastDialogueExchanges: this.lastDialogueExchanges,
+            timestamp: new Date().toISOString()
+        };
+        this.storageManager.save('scriptCheckpoint', checkpoint);
+    }
+
+    /**
+     * Restore completed sections and conversation context from the stored checkpoint
+     * @param {Array} sections - Parsed outline sections
+     * @returns {number} - Number of sections restored (index of the next section to generate)
+     */
+    restoreCheckpoint(sections) {
+    
+        const checkpoint = this.storageManager.load('scriptCheckpoint', null);
+        if (!checkpoint || !Array.isArray(checkpoint.generatedSections)) {
+            return 0;
+        }
+        if (checkpoint.outlineSignature !== this.buildOutlineSignature(sections)) {
+            console.log('Script checkpoint belongs to a different outline; starting from the beginning');
+            return 0;
+        }
+
+        const restoredCount = Math.min(checkpoint.generatedSections.length, sections.length);
+        this.generatedSections = checkpoint.generatedSections.slice(0, restoredCount);
+        this.allSectionSummaries = checkpoint.allSectionSummaries || [];
+        this.allTopicsCovered = checkpoint.allTopicsCovered || [];
+        this.conversationSummary = checkpoint.conversationSummary || '';
+        this.lastSectionSummary = checkpoint.lastSectionSummary || '';
+        this.topicsSummary = checkpoint.topicsSummary || '';
+        this.lastDialogueExchanges = checkpoint.lastDialogueExchanges || '';
+        return restoredCount;
+    }
+
+    /**
+     * Get the phase of the stored checkpoint for the given outline sections
+     * @param {Array} sections - Parsed outline sections
+     * @returns {string|null} - 'sections', 'complete' or null when no matching checkpoint exists
+     */
+    getCheckpointPhase(sections) {
+    
+        const checkpoint = this.storageManager.load('scriptCheckpoint', null);
+        if (!checkpoint || checkpoint.outlineSignature !== this.buildOutlineSignature(sections)) {
+            return null;
+        }
+        return checkpoint.phase || null;
+    }
     
     /**
      * Handle API error response
@@ -1506,7 +2294,7 @@ class ScriptGenerator {
         
         // Log the validation status
         console.log(
-            `%cValidation: ${result.isValid ? 'PASSED ✅' : 'NEEDS IMPROVEMENT ⚠️'}`,
+            `%cValidation: ${result.status === 'unavailable' ? 'UNAVAILABLE ❔' : (result.isValid ? 'PASSED ✅' : 'NEEDS IMPROVEMENT ⚠️')}`,
             validStyle
         );
         
@@ -1529,6 +2317,25 @@ class ScriptGenerator {
         console.groupEnd();
     }
     
+    /**
+     * Show one notification listing the issues that survived every improvement round,
+     * per section and for the cross-section review
+     */
+    reportPersistentIssues() {
+
+        const lines = this.generatedSections
+            .filter(function hasPersistentIssues(section) { return section.persistentIssues; })
+            .map(function describeSection(section) { return `Section ${section.number} (${section.title}): ${section.persistentIssues}`; });
+        if (this.crossSectionReview && this.crossSectionReview.persistentIssues) {
+            lines.push(`Cross-section review: ${this.crossSectionReview.persistentIssues}`);
+        }
+        if (lines.length === 0) {
+            return;
+        }
+
+        this.notifications.showInfo(`Some issues could not be fixed automatically. Consider editing these parts of the script manually. ${lines.join(' | ')}`);
+    }
+    
     /**
      * Improve a single script section based on verification feedback
      * @param {string} sectionText - The original section text
@@ -1538,9 +2345,10 @@ class ScriptGenerator {
      * @param {string} documentContent - Original document content
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
+     * @param {string} historySummary - Summary of earlier verify/improve rounds ('' on the first round)
      * @returns {string} - Improved section text
      */
-    async improveScriptSection(sectionText, feedback, section, previousSections, documentContent, characterData, apiData) {
+    async improveScriptSection(sectionText, feedback, section, previousSections, documentContent, characterData, apiData, historySummary = '') {
     
         try {
             // Format previously covered topics for continuity checking
@@ -1559,7 +2367,9 @@ class ScriptGenerator {
                 documentContent,
                 characterData,
                 apiData,
-                this.totalPodcastDuration
+                this.totalPodcastDuration,
+                historySummary,
+                this.getEpisodeFormat()
             );
             
             return improvedSectionText;
@@ -1592,7 +2402,9 @@ class ScriptGenerator {
                 documentContent,
                 characterData,
                 apiData,
-                this.totalPodcastDuration
+                this.totalPodcastDuration,
+                '',
+                this.getEpisodeFormat()
             );
             
             return improvedScriptText;
@@ -1,11 +1,7 @@
 // Podcastinator App - Script Improvement Module
 import NotificationsManager from '../ui/notifications.js';
-import {
-    getSectionImproveSystem,
-    getSectionImproveUser,
-    getScriptImproveSystem,
-    getScriptImproveUser
-} from './prompts/scriptPrompts.js';
+import Speakers from '../characters/speakers.js';
+import PromptLibrary from './promptLibrary.js';
 
 /**
  * ScriptImprover class
@@ -21,24 +17,27 @@ class ScriptImprover {
     
         this.apiManager = apiManager;
         this.notifications = new NotificationsManager();
+        this.speakers = new Speakers();
+        this.promptLibrary = new PromptLibrary(apiManager.storageManager);
     }
     
     /**
-     * Escape a string for safe use inside RegExp constructor
-     * @param {string} str
-     * @returns {string}
+     * Get the speakers of the episode from character data
+     * @param {Object} characterData - Host and guest character data
+     * @returns {Array<Object>} - Speakers from Speakers.getSpeakers()
      */
-    escapeRegExp(str) {
+    getCastSpeakers(characterData) {
     
-        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return (characterData && characterData.speakers) || this.speakers.getSpeakers(characterData || {});
     }
     
     /**
      * Process script text to ensure proper formatting and remove unwanted elements
      * @param {string} scriptText - Raw script text from AI response
+     * @param {Array<Object>} speakers - Speakers whose labels to normalize
      * @returns {string} - Processed script text
      */
-    processScriptText(scriptText) {
+    processScriptText(scriptText, speakers) {
     
         // Remove markdown code blocks if present
         let processedText = scriptText
@@ -55,9 +54,9 @@ class ScriptImprover {
         // Remove any stage directions [like this] that might have been added
         processedText = processedText.replace(/\[[^\]]+\]/g, '');
         
-        // Ensure proper speaker format (HOST: and GUEST:)
-        processedText = processedText.replace(/^HOST\s*:/gm, 'HOST:');
-        processedText = processedText.replace(/^GUEST\s*:/gm, 'GUEST:');
+        // Ensure proper speaker format (HOST:, GUEST: or the episode's own labels);
+        // character names accidentally used as labels are mapped back as well
+        processedText = this.speakers.normalizeScriptLabels(processedText, speakers);
         
         return processedText;
     }
@@ -71,23 +70,26 @@ class ScriptImprover {
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
      * @param {number} totalPodcastDuration - Total podcast duration in minutes
+     * @param {string} improvementHistory - Summary of earlier verify/improve rounds ('' on the first round)
+     * @param {string} [episodeFormat] - Episode format id (interview, debate, ...)
      * @returns {string} - Improved section text
      */
-    async improveScriptSection(originalSectionText, feedback, section, documentContent, characterData, apiData, totalPodcastDuration) {
+    async improveScriptSection(originalSectionText, feedback, section, documentContent, characterData, apiData, totalPodcastDuration, improvementHistory = '', episodeFormat) {
     
         try {
             // Get model name in lowercase for easier comparison (kept for logging if needed)
             const modelName = apiData.models.script.toLowerCase(); // Use the main script generation model
             
             // Create prompts via centralized builders
-            const systemPrompt = getSectionImproveSystem();
-            const userPrompt = getSectionImproveUser(
+            const systemPrompt = this.promptLibrary.build('sectionImproveSystem', this.getCastSpeakers(characterData), episodeFormat);
+            const userPrompt = this.promptLibrary.build('sectionImproveUser',
                 originalSectionText,
                 feedback,
                 section,
                 documentContent,
                 totalPodcastDuration,
-                ''
+                '',
+                improvementHistory
             );
             
             // Do not inject character names/styles to avoid the model switching labels to names
@@ -118,7 +120,7 @@ class ScriptImprover {
             // Create API request with retry logic
             let data;
             try {
-                data = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
+                data = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey, `section ${section.number} improve`, { signal: apiData.signal });
             } catch (error) {
                 console.error('Section improvement failed:', error);
                 return originalSectionText; // Return original section if improvement fails
@@ -126,32 +128,9 @@ class ScriptImprover {
             
             let improvedSectionText = data.choices[0]?.message?.content?.trim();
             
-            // Track token usage if available
-            if (data.usage) {
-                const modelName = apiData.models.script;
-                const promptTokens = data.usage.prompt_tokens || 0;
-                const completionTokens = data.usage.completion_tokens || 0;
-                
-                // Track usage via API manager
-                this.apiManager.trackCompletionUsage(modelName, promptTokens, completionTokens);
-            }
-            
             if (improvedSectionText) {
-                // Normalize any accidental use of character names as labels back to HOST:/GUEST:
-                if (characterData) {
-                    const hostName = characterData.host && characterData.host.name ? characterData.host.name.trim() : '';
-                    const guestName = characterData.guest && characterData.guest.name ? characterData.guest.name.trim() : '';
-                    if (hostName) {
-                        const re = new RegExp('^' + this.escapeRegExp(hostName) + '\\s*:', 'gm');
-                        improvedSectionText = improvedSectionText.replace(re, 'HOST:');
-                    }
-                    if (guestName) {
-                        const re = new RegExp('^' + this.escapeRegExp(guestName) + '\\s*:', 'gm');
-                        improvedSectionText = improvedSectionText.replace(re, 'GUEST:');
-                    }
-                }
                 // Process the text to remove stage directions and ensure proper formatting
-                improvedSectionText = this.processScriptText(improvedSectionText);
+                improvedSectionText = this.processScriptText(improvedSectionText, this.getCastSpeakers(characterData));
                 return improvedSectionText;
             } else {
                 console.warn('Empty response from improvement API. Using original section.');
@@ -173,9 +152,11 @@ class ScriptImprover {
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
      * @param {number} totalPodcastDuration - Total podcast duration in minutes
+     * @param {string} improvementHistory - Summary of earlier cross-section rounds ('' on the first round)
+     * @param {string} [episodeFormat] - Episode format id (interview, debate, ...)
      * @returns {string} - Improved script text
      */
-    async improveCrossSectionIssues(originalScriptText, feedback, outlineText, documentContent, characterData, apiData, totalPodcastDuration) {
+    async improveCrossSectionIssues(originalScriptText, feedback, outlineText, documentContent, characterData, apiData, totalPodcastDuration, improvementHistory = '', episodeFormat) {
     
         try {
             // Calculate original script length to ensure we maintain comparable size
@@ -186,20 +167,21 @@ class ScriptImprover {
             const modelName = apiData.models.script.toLowerCase(); // Use the main script generation model
             
             // Create prompts via centralized builders
-            const systemPrompt = getScriptImproveSystem();
+            const systemPrompt = this.promptLibrary.build('scriptImproveSystem', this.getCastSpeakers(characterData), episodeFormat);
             
             // Get language setting from scriptData
             const scriptStore2 = this.apiManager.storageManager ? this.apiManager.storageManager.load('scriptData', {}) : {};
             const scriptLanguage = scriptStore2.language || 'english';
             
-            const userPrompt = getScriptImproveUser(
+            const userPrompt = this.promptLibrary.build('scriptImproveUser',
                 originalScriptText,
                 feedback,
                 outlineText,
                 documentContent,
                 totalPodcastDuration,
                 originalScriptLength,
-                characterData
+                characterData,
+                improvementHistory
             );
             
             // Do NOT add character context to avoid the model switching labels to names
@@ -226,7 +208,7 @@ class ScriptImprover {
             // Create API request with retry logic
             let data;
             try {
-                data = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
+                data = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey, 'cross-section improve', { signal: apiData.signal });
             } catch (error) {
                 console.error('Cross-section improvement failed:', error);
                 return originalScriptText; // Return original script if improvement fails
@@ -234,32 +216,9 @@ class ScriptImprover {
             
             let improvedScriptText = data.choices[0]?.message?.content?.trim();
             
-            // Track token usage if available
-            if (data.usage) {
-                const modelName = apiData.models.script;
-                const promptTokens = data.usage.prompt_tokens || 0;
-                const completionTokens = data.usage.completion_tokens || 0;
-                
-                // Track usage via API manager
-                this.apiManager.trackCompletionUsage(modelName, promptTokens, completionTokens);
-            }
-            
             if (improvedScriptText) {
-                // Normalize any accidental use of character names as labels back to HOST:/GUEST:
-                if (characterData) {
-                    const hostName = characterData.host && characterData.host.name ? characterData.host.name.trim() : '';
-                    const guestName = characterData.guest && characterData.guest.name ? characterData.guest.name.trim() : '';
-                    if (hostName) {
-                        const re = new RegExp('^' + this.escapeRegExp(hostName) + '\\s*:', 'gm');
-                        improvedScriptText = improvedScriptText.replace(re, 'HOST:');
-                    }
-                    if (guestName) {
-                        const re = new RegExp('^' + this.escapeRegExp(guestName) + '\\s*:', 'gm');
-                        improvedScriptText = improvedScriptText.replace(re, 'GUEST:');
-                    }
-                }
                 // Process the text to remove stage directions and ensure proper formatting
-                improvedScriptText = this.processScriptText(improvedScriptText);
+                improvedScriptText = this.processScriptText(improvedScriptText, this.getCastSpeakers(characterData));
                 return improvedScriptText;
             } else {
                 console.warn('Empty response from improvement API. Using original script.');
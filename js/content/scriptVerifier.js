@@ -1,11 +1,10 @@
 // Podcastinator App - Script Verification Module
 import NotificationsManager from '../ui/notifications.js';
-import {
-    getSectionVerifySystem,
-    getSectionVerifyUser,
-    getScriptVerifySystem,
-    getScriptVerifyUser
-} from './prompts/scriptPrompts.js';
+import Speakers from '../characters/speakers.js';
+import PromptLibrary from './promptLibrary.js';
+import VerificationFormat from './verificationFormat.js';
+import ContentLinter from './contentLinter.js';
+import FactChecker from './factChecker.js';
 
 /**
  * ScriptVerifier class
@@ -21,6 +20,11 @@ class ScriptVerifier {
     
         this.apiManager = apiManager;
         this.notifications = new NotificationsManager();
+        this.speakers = new Speakers();
+        this.promptLibrary = new PromptLibrary(apiManager.storageManager);
+        this.verificationFormat = new VerificationFormat();
+        this.contentLinter = new ContentLinter(apiManager.storageManager);
+        this.factChecker = new FactChecker(apiManager.storageManager);
     }
     
     /**
@@ -31,7 +35,7 @@ class ScriptVerifier {
     logVerificationFeedback(title, result) {
     
         console.group(`🔍 ${title}`);
-        console.log(`✅ Valid: ${result.isValid}`);
+        console.log(result.status === 'unavailable' ? '⚠️ Verification unavailable' : `✅ Valid: ${result.isValid}`);
         console.log(`💬 Summary: ${result.summary || result.feedback || ''}`);
         console.groupEnd();
     }
@@ -45,202 +49,111 @@ class ScriptVerifier {
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
      * @param {number} totalPodcastDuration - Total podcast duration in minutes
-     * @returns {Object} - Verification result with isValid flag, feedback, issues, and rawJson when available
+     * @param {string} [episodeFormat] - Episode format id (interview, debate, ...)
+     * @returns {Object} - Verification result with status ('passed', 'failed' or 'unavailable'), isValid flag, summary, issues,
+     *   citations (claims matched to the source documents), and rawJson when available
      */
-    async verifyScriptSection(sectionText, section, previousSections, documentContent, characterData, apiData, totalPodcastDuration) {
+    async verifyScriptSection(sectionText, section, previousSections, documentContent, characterData, apiData, totalPodcastDuration, episodeFormat) {
     
-        try {
-            // Helpers: word counting and duration issue injection
-            function computeWordCount(input) {
-            
-                if (!input || typeof input !== 'string') {
-                    return 0;
-                }
-                // Normalize newlines
-                let t = input.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-                // Remove separators-only lines
-                t = t.replace(/^---\s*$/gm, '');
-                // Remove speaker labels at line starts
-                t = t.replace(/^HOST\s*:\s*/gm, '').replace(/^GUEST\s*:\s*/gm, '');
-                // Remove stage directions like [laughs]
-                t = t.replace(/\[[^\]]+\]/g, '');
-                // Collapse multiple whitespace
-                t = t.replace(/\s+/g, ' ').trim();
-                // Word-like tokens (basic latin + common accented letters + digits)
-                const matches = t.match(/[A-Za-zÀ-ÖØ-öø-ÿ0-9]+(?:'[A-Za-zÀ-ÖØ-öø-ÿ0-9]+)?/g);
-                return matches ? matches.length : 0;
-            }
+        // Speaker labels of this episode (HOST/GUEST for an interview)
+        const speakers = (characterData && characterData.speakers) || this.speakers.getSpeakers(characterData || {});
 
-            function ensureDurationIssue(resultJsonObj, targetWords, actualWords) {
-            
-                if (!resultJsonObj) {
-                    return;
-                }
-                if (!Array.isArray(resultJsonObj.issues)) {
-                    resultJsonObj.issues = [];
-                }
-                const hasDuration = resultJsonObj.issues.some(function(issue) { return issue && issue.category === 'DURATION'; });
-                // Allow a small tolerance ~80 words (~0.5 minute at 160 wpm)
-                const tolerance = 160 / 2;
-                if (Math.abs(actualWords - targetWords) > tolerance && !hasDuration) {
-                    const underTarget = actualWords < targetWords;
-                    const delta = Math.abs(targetWords - actualWords);
-                    const deficit = targetWords - actualWords; // may be negative when over target
-                    const issue = {
-                        category: 'DURATION',
-                        severity: 'critical',
-                        description: `Word count ${actualWords} ${underTarget ? '<' : '>'} target ${targetWords} (${underTarget ? 'short by' : 'over by'} ${delta}).`,
-                        evidence: `Overall script length across HOST and GUEST turns is ${underTarget ? 'under' : 'over'} target.`,
-                        fix: underTarget
-                            ? 'Expand GUEST answers with concrete examples and add one brief HOST follow-up to reach target words.'
-                            : 'Tighten GUEST answers (remove redundancy) and keep HOST follow-ups concise to reduce word count.',
-                        actions: underTarget
-                            ? [
-                                'Add 2–4 sentences of expert, document-grounded elaboration in a GUEST turn that explains the core point',
-                                'Add a short HOST follow-up question prompting one more concise GUEST explanation'
-                              ]
-                            : [
-                                'Remove redundant or repetitive sentences in a GUEST turn while preserving unique information',
-                                'Merge or shorten a HOST prompt to be more concise',
-                                'Replace verbose phrasing with tighter wording without losing meaning'
-                              ],
-                        notes: 'Aim to meet target duration with substance; prefer clarity over filler.'
-                    };
-                    resultJsonObj.issues.push(issue);
-                    // Force invalid due to hard duration requirement
-                    resultJsonObj.isValid = false;
-                }
-            }
+        const wordTarget = Math.round(((section && section.durationMinutes) ? section.durationMinutes : 0) * 160);
+        const wordCount = this.contentLinter.countWords(sectionText, speakers);
 
-            const wordTarget = Math.round(((section && section.durationMinutes) ? section.durationMinutes : 0) * 160);
-            const wordCount = computeWordCount(sectionText);
+        // Mechanical checks first (length, turns, formatting); while they fail the paid review can be skipped
+        const lintIssues = this.contentLinter.lintScriptSection(sectionText, speakers, wordTarget);
 
-            // Create prompts via builders
-            const systemPrompt = getSectionVerifySystem();
-            // Determine last previous section TEXT (builder expects string)
-            let previousSectionText = '';
-            if (previousSections && previousSections.length > 0) {
-                const last = previousSections[previousSections.length - 1];
-                if (typeof last === 'string') {
-                    previousSectionText = last;
-                } else if (last && typeof last === 'object') {
-                    previousSectionText = last.content || last.text || '';
-                }
-            }
-            const userPrompt = getSectionVerifyUser(
-                section,
-                sectionText,
-                documentContent,
-                totalPodcastDuration,
-                previousSectionText
-            );
-            
-            // Create messages array
-            const messages = [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ];
-            
-            // Configure options with lower temperature for consistent evaluation
-            const options = {
-                temperature: 0.3
+        // Claims are matched to the source documents; unsupported ones are reported with the review's issues
+        // but do not skip it, since the model may still find them grounded in other words
+        const factCheck = this.factChecker.checkSection(sectionText, speakers);
+        const localIssues = lintIssues.concat(factCheck.issues);
+
+        if (this.contentLinter.shouldSkipReview(lintIssues)) {
+            const summary = this.contentLinter.describeFailures(lintIssues);
+            return {
+                status: 'failed',
+                isValid: false,
+                summary: summary,
+                issues: localIssues,
+                citations: factCheck.citations,
+                rawJson: { isValid: false, issues: localIssues, wordTarget: wordTarget, wordCount: wordCount, summary: summary, reviewSkipped: true }
             };
-            
-            // Get request body using the OpenAIManager helper
-            const requestBody = this.apiManager.createRequestBody(
-                apiData.models.scriptVerify,
-                messages,
-                options
-            );
-            
-            // Create API request with retry logic
-            let data;
-            try {
-                data = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
-            } catch (error) {
-                console.error('Section verification failed:', error);
-                // Even on API failure, return a rawJson with duration metrics
-                const fallback = {
-                    isValid: wordCount >= wordTarget,
-                    issues: [],
-                    wordTarget: wordTarget,
-                    wordCount: wordCount,
-                    summary: 'Verification skipped due to API error.'
-                };
-                ensureDurationIssue(fallback, wordTarget, wordCount);
-                return { isValid: fallback.isValid, summary: fallback.summary, issues: fallback.issues, rawJson: fallback };
-            }
-            
-            const verificationText = data.choices[0]?.message?.content?.trim();
-            
-            // Track token usage if available
-            if (data.usage) {
-                const modelName = apiData.models.scriptVerify;
-                const promptTokens = data.usage.prompt_tokens || 0;
-                const completionTokens = data.usage.completion_tokens || 0;
-                
-                // Track usage via API manager
-                this.apiManager.trackCompletionUsage(modelName, promptTokens, completionTokens);
-            }
-            
-            // Parse verification result
-            try {
-                // Extract JSON from the response (handling cases where there might be text before/after JSON)
-                const jsonMatch = verificationText.match(/{[\s\S]*}/m);
-                if (jsonMatch) {
-                    const resultJson = JSON.parse(jsonMatch[0]);
-                    // Inject JS-computed duration metrics
-                    resultJson.wordTarget = wordTarget;
-                    resultJson.wordCount = wordCount;
-                    ensureDurationIssue(resultJson, wordTarget, wordCount);
-                    
-                    // Return with structured issues if available
-                    return {
-                        isValid: !!resultJson.isValid, // Ensure boolean
-                        summary: resultJson.summary || 'No specific summary provided.',
-                        issues: Array.isArray(resultJson.issues) ? resultJson.issues : [],
-                        rawJson: resultJson
-                    };
-                } else {
-                    // Fallback if no JSON found
-                    const isPositive = verificationText.toLowerCase().includes('valid') || 
-                                      verificationText.toLowerCase().includes('coherent') ||
-                                      verificationText.toLowerCase().includes('good');
-                    // Build a minimal JSON payload with JS-computed duration info
-                    const minimalJson = {
-                        isValid: isPositive && (wordCount >= wordTarget),
-                        issues: [],
-                        wordTarget: wordTarget,
-                        wordCount: wordCount,
-                        summary: verificationText.substring(0, 200) + '...'
-                    };
-                    ensureDurationIssue(minimalJson, wordTarget, wordCount);
-                    return {
-                        isValid: minimalJson.isValid,
-                        summary: minimalJson.summary,
-                        issues: minimalJson.issues,
-                        rawJson: minimalJson
-                    };
-                }
-            } catch (error) {
-                console.error('Error parsing verification result:', error);
-                // Default to assuming it's valid to avoid blocking workflow
-                const fallbackJson = {
-                    isValid: wordCount >= wordTarget,
-                    issues: [],
-                    wordTarget: wordTarget,
-                    wordCount: wordCount,
-                    summary: 'Unable to parse verification result. Using original section.'
-                };
-                ensureDurationIssue(fallbackJson, wordTarget, wordCount);
-                return { isValid: fallbackJson.isValid, summary: fallbackJson.summary, issues: fallbackJson.issues, rawJson: fallbackJson };
+        }
+
+        // Create prompts via builders
+        const systemPrompt = this.promptLibrary.build('sectionVerifySystem', speakers, episodeFormat);
+        // Determine last previous section TEXT (builder expects string)
+        let previousSectionText = '';
+        if (previousSections && previousSections.length > 0) {
+            const last = previousSections[previousSections.length - 1];
+            if (typeof last === 'string') {
+                previousSectionText = last;
+            } else if (last && typeof last === 'object') {
+                previousSectionText = last.content || last.text || '';
             }
-            
+        }
+        const userPrompt = this.promptLibrary.build('sectionVerifyUser',
+            section,
+            sectionText,
+            documentContent,
+            totalPodcastDuration,
+            previousSectionText
+        );
+        
+        // Create messages array
+        const messages = [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ];
+        
+        // Configure options with lower temperature for consistent evaluation
+        const options = {
+            temperature: 0.3,
+            responseFormat: this.verificationFormat.getResponseFormat('section')
+        };
+        
+        // Get request body using the OpenAIManager helper
+        const requestBody = this.apiManager.createRequestBody(
+            apiData.models.scriptVerify,
+            messages,
+            options
+        );
+        
+        // Request the review, asking again when the reply does not match the schema
+        let resultJson;
+        try {
+            resultJson = await this.verificationFormat.request(this.apiManager, requestBody, apiData, `section ${section.number} verify`, 'section');
         } catch (error) {
-            console.error('Error during section verification:', error);
-            // Default to assuming it's valid to avoid blocking workflow
-            return { isValid: true, summary: 'Verification error. Using original section.', issues: [], rawJson: null };
+            if (this.verificationFormat.isCancellation(error, apiData)) {
+                throw error;
+            }
+            console.error('Section verification failed:', error);
+            // The local checks need no model, so they are still reported with the unavailable review
+            const unavailable = this.verificationFormat.createUnavailableResult(error.message);
+            const fallback = {
+                isValid: false,
+                issues: localIssues,
+                wordTarget: wordTarget,
+                wordCount: wordCount,
+                summary: unavailable.summary
+            };
+            return { ...unavailable, issues: fallback.issues, citations: factCheck.citations, rawJson: fallback };
         }
+        
+        // Inject JS-computed duration metrics, the local checks' and the fact check's issues
+        resultJson.wordTarget = wordTarget;
+        resultJson.wordCount = wordCount;
+        this.contentLinter.mergeIssues(resultJson, localIssues);
+        
+        return {
+            status: resultJson.isValid ? 'passed' : 'failed',
+            isValid: resultJson.isValid,
+            summary: resultJson.summary || 'No specific summary provided.',
+            issues: resultJson.issues,
+            citations: factCheck.citations,
+            rawJson: resultJson
+        };
     }
     
     
@@ -252,87 +165,56 @@ class ScriptVerifier {
      * @param {Object} characterData - Host and guest character data
      * @param {Object} apiData - API credentials and model data
      * @param {number} totalPodcastDuration - Total podcast duration in minutes 
-     * @returns {Object} - Verification result with isValid flag, feedback, and rawJson when available
+     * @param {string} [episodeFormat] - Episode format id (interview, debate, ...)
+     * @returns {Object} - Verification result with status ('passed', 'failed' or 'unavailable'), isValid flag, summary, issues, and rawJson when available
      */
-    async verifyScriptForCrossSectionIssues(scriptText, outlineText, documentContent, characterData, apiData, totalPodcastDuration) {
+    async verifyScriptForCrossSectionIssues(scriptText, outlineText, documentContent, characterData, apiData, totalPodcastDuration, episodeFormat) {
     
+        const systemPrompt = this.promptLibrary.build('scriptVerifySystem', episodeFormat);
+        const userPrompt = this.promptLibrary.build('scriptVerifyUser',
+            scriptText,
+            outlineText,
+            totalPodcastDuration
+        );
+        
+        // Create messages array
+        const messages = [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ];
+        
+        // Configure options with lower temperature for consistent evaluation
+        const options = {
+            temperature: 0.3,
+            responseFormat: this.verificationFormat.getResponseFormat('crossSection')
+        };
+        
+        // Get request body using the OpenAIManager helper
+        const requestBody = this.apiManager.createRequestBody(
+            apiData.models.scriptVerify,
+            messages,
+            options
+        );
+        
+        // Request the review, asking again when the reply does not match the schema
+        let resultJson;
         try {
-            const systemPrompt = getScriptVerifySystem();
-            const userPrompt = getScriptVerifyUser(
-                scriptText,
-                outlineText,
-                totalPodcastDuration
-            );
-            
-            // Create messages array
-            const messages = [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ];
-            
-            // Configure options with lower temperature for consistent evaluation
-            const options = {
-                temperature: 0.3
-            };
-            
-            // Get request body using the OpenAIManager helper
-            const requestBody = this.apiManager.createRequestBody(
-                apiData.models.scriptVerify,
-                messages,
-                options
-            );
-            
-            // Create API request with retry logic
-            let data;
-            try {
-                data = await this.apiManager.createChatCompletion(requestBody, apiData.apiKey);
-            } catch (error) {
-                console.error('Cross-section verification failed:', error);
-                return { isValid: true, summary: 'Cross-section verification skipped due to API error.' };
-            }
-            const verificationText = data.choices[0]?.message?.content?.trim();
-            
-            // Track token usage if available
-            if (data.usage) {
-                const modelName = apiData.models.scriptVerify;
-                const promptTokens = data.usage.prompt_tokens || 0;
-                const completionTokens = data.usage.completion_tokens || 0;
-                
-                // Track usage via API manager
-                this.apiManager.trackCompletionUsage(modelName, promptTokens, completionTokens);
-            }
-            
-            // Parse verification result
-            try {
-                // Extract JSON from the response (handling cases where there might be text before/after JSON)
-                const jsonMatch = verificationText.match(/{[\s\S]*}/m);
-                if (jsonMatch) {
-                    const resultJson = JSON.parse(jsonMatch[0]);
-                    return {
-                        isValid: !!resultJson.isValid, // Ensure boolean
-                        summary: resultJson.summary || 'No specific cross-section issues found.',
-                        rawJson: resultJson
-                    };
-                } else {
-                    // Fallback if no JSON found
-                    const isPositive = verificationText.toLowerCase().includes('valid') || 
-                                      verificationText.toLowerCase().includes('coherent') ||
-                                      verificationText.toLowerCase().includes('good');
-                    return {
-                        isValid: isPositive,
-                        summary: verificationText.substring(0, 200) + '...',
-                        rawJson: null
-                    };
-                }
-            } catch (error) {
-                console.error('Error parsing cross-section verification result:', error);
-                return { isValid: true, summary: 'Unable to parse verification result.', rawJson: null };
-            }
-            
+            resultJson = await this.verificationFormat.request(this.apiManager, requestBody, apiData, 'cross-section verify', 'crossSection');
         } catch (error) {
-            console.error('Error during cross-section verification:', error);
-            return { isValid: true, summary: 'Verification error.', rawJson: null };
+            if (this.verificationFormat.isCancellation(error, apiData)) {
+                throw error;
+            }
+            console.error('Cross-section verification failed:', error);
+            return this.verificationFormat.createUnavailableResult(error.message);
         }
+        
+        return {
+            status: resultJson.isValid ? 'passed' : 'failed',
+            isValid: resultJson.isValid,
+            summary: resultJson.summary || 'No specific cross-section issues found.',
+            issues: resultJson.issues,
+            rawJson: resultJson
+        };
     }
 }
 
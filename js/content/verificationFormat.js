@@ -0,0 +1,298 @@
+// Podcastinator App - Verification Format
+
+// Issue categories each review may report
+const CATEGORIES = {
+    outline: ['TIMING', 'FACTS', 'FOCUS', 'STRUCTURE', 'FORMAT'],
+    section: ['FACTS', 'OUTLINE', 'REDUNDANCY', 'CONVERSATION', 'SPEAKER_TURN', 'CONTINUITY', 'CHARACTER', 'FORMAT', 'DURATION'],
+    crossSection: ['REDUNDANCY', 'TRANSITION', 'CONTINUITY', 'FLOW', 'CHARACTER']
+};
+
+const SEVERITIES = ['critical', 'major', 'minor'];
+
+// Requests per review: a reply that does not match the schema is asked for once more
+const MAX_ATTEMPTS = 2;
+
+// Schema names sent with the structured output request
+const SCHEMA_NAMES = {
+    outline: 'outline_review',
+    section: 'section_review',
+    crossSection: 'cross_section_review'
+};
+
+/**
+ * JSON schemas of the outline, section and cross-section review results:
+ * { isValid, issues: [{ category, severity, description, evidence, fix, actions, notes }], summary },
+ * plus { section, suggestedDuration } per issue and { totalDuration, targetDuration, durationDelta } for outlines.
+ * Reviews are requested as structured output where the model supports it and validated either way,
+ * so a reply that does not match is never mistaken for a passed review.
+ */
+class VerificationFormat {
+
+    /**
+     * Get the response_format for requesting a review as structured output
+     * @param {string} kind - 'outline', 'section' or 'crossSection'
+     * @returns {Object} - Chat completions response_format
+     */
+    getResponseFormat(kind) {
+
+        const issueProperties = {
+            category: { type: 'string', enum: CATEGORIES[kind] },
+            severity: { type: 'string', enum: SEVERITIES },
+            description: { type: 'string', description: 'What is wrong' },
+            evidence: { type: 'string', description: 'Exact quotes of the problematic parts' },
+            fix: { type: 'string', description: 'Concrete instruction for how to fix it' },
+            actions: { type: 'array', items: { type: 'string' }, description: 'Precise edit steps' },
+            notes: { type: 'string', description: 'Rationale' }
+        };
+        if (kind === 'outline') {
+            issueProperties.section = { type: ['string', 'null'], description: 'Section number, null if global' };
+            issueProperties.suggestedDuration = { type: ['number', 'null'], description: 'New duration in minutes if a timing edit is needed' };
+        }
+
+        const properties = {
+            isValid: { type: 'boolean' },
+            issues: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: Object.keys(issueProperties),
+                    properties: issueProperties
+                }
+            },
+            summary: { type: 'string', description: 'High-level assessment in 1-3 sentences' }
+        };
+        if (kind === 'outline') {
+            properties.totalDuration = { type: 'number', description: 'Sum of all section durations' };
+            properties.targetDuration = { type: 'number' };
+            properties.durationDelta = { type: 'number', description: 'totalDuration - targetDuration' };
+        }
+
+        return {
+            type: 'json_schema',
+            json_schema: {
+                name: SCHEMA_NAMES[kind],
+                strict: true,
+                schema: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: Object.keys(properties),
+                    properties: properties
+                }
+            }
+        };
+    }
+
+    /**
+     * Request a review and parse it, asking again when the reply does not match the schema
+     * @param {Object} apiManager - API manager used for the chat completion
+     * @param {Object} requestBody - Chat completion request body (with the response_format where supported)
+     * @param {Object} apiData - API key and abort signal
+     * @param {string} stage - Stage recorded in the usage ledger
+     * @param {string} kind - 'outline', 'section' or 'crossSection'
+     * @returns {Promise<Object>} - Normalized review result
+     * @throws {Error} - API errors as they are, or the schema violation of the last attempt
+     */
+    async request(apiManager, requestBody, apiData, stage, kind) {
+
+        let messages = requestBody.messages;
+        let lastError = null;
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const data = await apiManager.createChatCompletion({ ...requestBody, messages: messages }, apiData.apiKey, stage, { signal: apiData.signal });
+            const content = data.choices[0]?.message?.content || '';
+            try {
+                return this.parse(content, kind);
+            } catch (error) {
+                lastError = error;
+                console.warn(`${stage} (attempt ${attempt}/${MAX_ATTEMPTS}): ${error.message}`);
+                // Show the model its reply and what is wrong with it
+                messages = requestBody.messages.concat([
+                    { role: 'assistant', content: content },
+                    { role: 'user', content: `${error.message}. Reply again with the review as JSON only, following the required structure exactly.` }
+                ]);
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Parse and validate a review reply
+     * @param {string} content - Reply text (code fences allowed)
+     * @param {string} kind - 'outline', 'section' or 'crossSection'
+     * @returns {Object} - Normalized review result
+     * @throws {Error} - With status 'SCHEMA_VIOLATION' when the reply is not JSON or does not match the schema
+     */
+    parse(content, kind) {
+
+        const json = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        if (!json) {
+            throw this.createError('the reply is empty');
+        }
+
+        let result;
+        try {
+            result = JSON.parse(json);
+        } catch (error) {
+            throw this.createError(`the reply is not valid JSON (${error.message})`);
+        }
+
+        const errors = this.validate(result, kind);
+        if (errors.length > 0) {
+            throw this.createError(errors.join('; '));
+        }
+        return this.normalize(result, kind);
+    }
+
+    /**
+     * Validate a parsed review against the schema
+     * @param {Object} result - Parsed review
+     * @param {string} kind - 'outline', 'section' or 'crossSection'
+     * @returns {Array<string>} - Problems found, empty when the review is valid
+     */
+    validate(result, kind) {
+
+        if (!result || typeof result !== 'object' || Array.isArray(result)) {
+            return ['expected a JSON object'];
+        }
+
+        const errors = [];
+
+        if (typeof result.isValid !== 'boolean') {
+            errors.push('"isValid" must be true or false');
+        }
+        if (typeof result.summary !== 'string') {
+            errors.push('"summary" must be a string');
+        }
+        if (!Array.isArray(result.issues)) {
+            errors.push('"issues" must be an array');
+        } else {
+            result.issues.forEach(function validateIssue(issue, index) {
+                const name = `issue ${index + 1}`;
+                if (!issue || typeof issue !== 'object') {
+                    errors.push(`${name} is not an object`);
+                    return;
+                }
+                if (!CATEGORIES[kind].includes(issue.category)) {
+                    errors.push(`${name} has category ${JSON.stringify(issue.category)}, expected one of ${CATEGORIES[kind].join(', ')}`);
+                }
+                if (!SEVERITIES.includes(issue.severity)) {
+                    errors.push(`${name} has severity ${JSON.stringify(issue.severity)}, expected one of ${SEVERITIES.join(', ')}`);
+                }
+                if (typeof issue.description !== 'string' || !issue.description.trim()) {
+                    errors.push(`${name} needs a description`);
+                }
+                ['evidence', 'fix', 'notes', 'section'].forEach(function validateText(field) {
+                    if (!this.isOptionalText(issue[field])) {
+                        errors.push(`${name} "${field}" must be a string`);
+                    }
+                }, this);
+                if (issue.actions !== undefined && !(Array.isArray(issue.actions) && issue.actions.every(function isText(action) { return typeof action === 'string'; }))) {
+                    errors.push(`${name} "actions" must be a list of strings`);
+                }
+                if (!this.isOptionalNumber(issue.suggestedDuration)) {
+                    errors.push(`${name} "suggestedDuration" must be a number`);
+                }
+            }, this);
+            if (result.isValid === true && result.issues.some(function isCritical(issue) { return issue && issue.severity === 'critical'; })) {
+                errors.push('"isValid" is true although a critical issue is reported');
+            }
+        }
+
+        if (kind === 'outline') {
+            ['totalDuration', 'targetDuration', 'durationDelta'].forEach(function validateNumber(field) {
+                if (!this.isOptionalNumber(result[field])) {
+                    errors.push(`"${field}" must be a number`);
+                }
+            }, this);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check that an optional field is a string when present
+     * @param {*} value - Field value
+     * @returns {boolean}
+     */
+    isOptionalText(value) {
+
+        return value === undefined || value === null || typeof value === 'string';
+    }
+
+    /**
+     * Check that an optional field is a finite number when present
+     * @param {*} value - Field value
+     * @returns {boolean}
+     */
+    isOptionalNumber(value) {
+
+        return value === undefined || value === null || (typeof value === 'number' && isFinite(value));
+    }
+
+    /**
+     * Fill in the optional issue fields so consumers can rely on them
+     * @param {Object} result - Validated review
+     * @param {string} kind - 'outline', 'section' or 'crossSection'
+     * @returns {Object} - Normalized review
+     */
+    normalize(result, kind) {
+
+        return {
+            ...result,
+            issues: result.issues.map(function normalizeIssue(issue) {
+                const normalizedIssue = {
+                    ...issue,
+                    evidence: issue.evidence || '',
+                    fix: issue.fix || '',
+                    actions: Array.isArray(issue.actions) ? issue.actions : [],
+                    notes: issue.notes || ''
+                };
+                if (kind === 'outline') {
+                    normalizedIssue.section = issue.section === undefined ? null : issue.section;
+                    normalizedIssue.suggestedDuration = issue.suggestedDuration === undefined ? null : issue.suggestedDuration;
+                }
+                return normalizedIssue;
+            })
+        };
+    }
+
+    /**
+     * Whether a review request failed because the generation was cancelled. Such errors are passed
+     * on so the generation stops; only API and schema failures make a review unavailable.
+     * @param {Error} error - Error from request()
+     * @param {Object} apiData - API key and abort signal
+     * @returns {boolean}
+     */
+    isCancellation(error, apiData) {
+
+        return !!(apiData && apiData.signal && apiData.signal.aborted)
+            || error.name === 'AbortError'
+            || error.status === 'ABORTED';
+    }
+
+    /**
+     * Build the result reported when no usable review could be obtained. It is neither a pass
+     * nor a failure: the reviewed text is kept as it is and no edits are attempted.
+     * @param {string} reason - Why the review is unavailable
+     * @returns {Object} - { status: 'unavailable', isValid: false, summary, feedback, issues: [], rawJson: null }
+     */
+    createUnavailableResult(reason) {
+
+        const summary = `Verification unavailable: ${reason}`;
+        return { status: 'unavailable', isValid: false, summary: summary, feedback: summary, issues: [], rawJson: null };
+    }
+
+    /**
+     * Build a schema violation error
+     * @param {string} message - What does not match
+     * @returns {Error} - Error with status 'SCHEMA_VIOLATION'
+     */
+    createError(message) {
+
+        const error = new Error(`Review does not match the expected format: ${message}`);
+        error.status = 'SCHEMA_VIOLATION';
+        return error;
+    }
+}
+
+export default VerificationFormat;
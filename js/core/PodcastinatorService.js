@@ -8,6 +8,13 @@ import ScriptGenerator from '../content/scriptGenerator.js';
 import AudioGenerator from '../content/audioGenerator.js';
 import ContentStateManager from '../content/contentStateManager.js';
 import SectionManager from '../ui/sectionManager.js';
+import DocumentExtractor from '../document/documentExtractor.js';
+import SourceDocuments from '../document/sourceDocuments.js';
+import Speakers from '../characters/speakers.js';
+import { getEpisodeFormats, isEpisodeFormat, resolveEpisodeFormat } from '../content/prompts/formatPrompts.js';
+import PromptLibrary from '../content/promptLibrary.js';
+import ContentLinter from '../content/contentLinter.js';
+import CostEstimator from '../usage/costEstimator.js';
 
 /**
  * PodcastinatorService provides a UI-agnostic facade over the app's functionality.
@@ -32,9 +39,29 @@ class PodcastinatorService {
         this.script = new ScriptGenerator(this.storage, this.contentState, this.api);
         this.audio = new AudioGenerator(this.storage, this.contentState, this.api);
 
+        // Generator whose generation cancel() aborts, null when idle
+        this._runningGenerator = null;
+
+        // Source document handling (text extraction, multi-document storage)
+        this.documentExtractor = new DocumentExtractor();
+        this.sourceDocuments = new SourceDocuments();
+
+        // Episode cast (host plus guests, or a solo narrator)
+        this.speakers = new Speakers();
+
+        // Per-project prompt overrides (shared with the generators through storage)
+        this.prompts = new PromptLibrary(this.storage);
+
+        // Local pre-checks run before the model reviews (settings shared with the verifiers through storage)
+        this.linter = new ContentLinter(this.storage);
+
+        // Pre-run cost and time estimates from catalog prices
+        this.costEstimator = new CostEstimator(this.storage, this.api);
+
         // Optional headless adapters for notifications/progress
         if (options.notifications) {
             this.api.notifications = options.notifications;
+            this.api.budget.notifications = options.notifications;
             this.outline.notifications = options.notifications;
             this.script.notifications = options.notifications;
             this.audio.notifications = options.notifications;
@@ -44,6 +71,12 @@ class PodcastinatorService {
             this.script.progressManager = options.progress;
             this.audio.progressManager = options.progress;
         }
+
+        // Optional TTS segment cache (AudioBlobStore interface) keyed by request content; used for
+        // resumable runs and to re-synthesize only changed turns after a script edit
+        if (options.segmentStore) {
+            this.audio.segmentStore = options.segmentStore;
+        }
     }
 
     // ---------- Configuration ----------
@@ -82,12 +115,20 @@ class PodcastinatorService {
         return {
             apiKey: data.apiKey || '',
             models: data.models || {},
+            provider: data.provider || { type: 'openai' },
             podcast: {
                 duration: outlineData.podcastDuration || 30,
                 focus: outlineData.podcastFocus || '',
+                format: resolveEpisodeFormat(outlineData.episodeFormat),
                 language: scriptData.language || 'english',
-                silenceMs: audioData.silenceDuration || 500
-            }
+                silenceMs: audioData.silenceDuration || 500,
+                ttsConcurrency: audioData.ttsConcurrency || 4,
+                title: audioData.episodeTitle || '',
+                show: audioData.showName || ''
+            },
+            prompts: this.prompts.getTemplates(),
+            budget: this.api.budget.getLimits(),
+            lint: this.linter.getSettings()
         };
     }
 
@@ -95,7 +136,7 @@ class PodcastinatorService {
         if (!config || typeof config !== 'object') {
             return;
         }
-        if (config.apiKey !== undefined || config.models !== undefined) {
+        if (config.apiKey !== undefined || config.models !== undefined || config.provider !== undefined) {
             const existing = this.storage.load('data', {}) || {};
             if (config.apiKey !== undefined) {
                 existing.apiKey = config.apiKey || '';
@@ -103,6 +144,16 @@ class PodcastinatorService {
             if (config.models) {
                 existing.models = { ...(existing.models || {}), ...config.models };
             }
+            if (config.provider) {
+                existing.provider = { type: 'openai', ...config.provider };
+            }
+            // Headless runs have no model selects to fall back on; use catalog defaults for unset roles
+            const catalog = this.api.modelCatalog;
+            ['outline', 'outlineVerify', 'script', 'scriptVerify', 'backstory', 'tts'].forEach(function fillModel(role) {
+                if (!existing.models || !existing.models[role]) {
+                    existing.models = { ...(existing.models || {}), [role]: catalog.getDefaultModel(role) };
+                }
+            });
             this.storage.save('data', existing);
             this._updateStateFlag('hasApiKey', !!existing.apiKey);
 
@@ -111,9 +162,13 @@ class PodcastinatorService {
             if (this.api && this.api.data) {
                 this.api.data.apiKey = existing.apiKey || '';
                 this.api.data.models = existing.models || {};
+                this.api.applyProviderSettings(existing.provider || { type: 'openai' });
             }
         }
         if (config.podcast) {
+            if (config.podcast.format !== undefined && !isEpisodeFormat(config.podcast.format)) {
+                throw new Error(`Unknown episode format "${config.podcast.format}" (expected ${getEpisodeFormats().map(function getId(format) { return format.id; }).join(', ')})`);
+            }
             const outlineData = this.storage.load('outlineData', {}) || {};
             const scriptData = this.storage.load('scriptData', {}) || {};
             const audioData = this.storage.load('audioData', {}) || {};
@@ -123,12 +178,24 @@ class PodcastinatorService {
             if (config.podcast.focus !== undefined) {
                 outlineData.podcastFocus = config.podcast.focus;
             }
+            if (config.podcast.format !== undefined) {
+                outlineData.episodeFormat = config.podcast.format;
+            }
             if (config.podcast.language !== undefined) {
                 scriptData.language = config.podcast.language;
             }
             if (config.podcast.silenceMs !== undefined) {
                 audioData.silenceDuration = config.podcast.silenceMs;
             }
+            if (config.podcast.ttsConcurrency !== undefined) {
+                audioData.ttsConcurrency = config.podcast.ttsConcurrency;
+            }
+            if (config.podcast.title !== undefined) {
+                audioData.episodeTitle = config.podcast.title || '';
+            }
+            if (config.podcast.show !== undefined) {
+                audioData.showName = config.podcast.show || '';
+            }
             this.storage.save('outlineData', outlineData);
             this.storage.save('scriptData', scriptData);
             this.storage.save('audioData', audioData);
@@ -141,54 +208,264 @@ class PodcastinatorService {
                 if (outlineData.podcastFocus !== undefined) {
                     this.outline.podcastFocus = outlineData.podcastFocus;
                 }
+                this.outline.episodeFormat = resolveEpisodeFormat(outlineData.episodeFormat);
+            }
+        }
+        if (config.prompts && typeof config.prompts === 'object') {
+            // { id: template }; a null or empty template goes back to the built-in prompt
+            const ids = Object.keys(config.prompts);
+            const unknown = ids.filter(function isUnknown(id) { return !this.prompts.isPromptId(id); }, this);
+            if (unknown.length > 0) {
+                throw new Error(`Unknown prompt${unknown.length > 1 ? 's' : ''} ${unknown.map(function quoteId(id) { return `"${id}"`; }).join(', ')} (expected ${this.prompts.listPrompts().map(function getId(prompt) { return prompt.id; }).join(', ')})`);
             }
+            ids.forEach(function applyPrompt(id) {
+                const value = config.prompts[id];
+                const template = value && typeof value === 'object' ? value.template : value;
+                if (typeof template === 'string' && template.trim()) {
+                    this.prompts.setOverride(id, template);
+                } else {
+                    this.prompts.resetOverride(id);
+                }
+            }, this);
         }
+        if (config.budget && typeof config.budget === 'object') {
+            this.api.budget.setLimits(config.budget);
+        }
+        if (config.lint && typeof config.lint === 'object') {
+            this.linter.setSettings(config.lint);
+        }
+    }
+
+    // Selectable episode formats: [{ id, name, description }]; podcast.format takes one of the ids
+    getEpisodeFormats() {
+        return getEpisodeFormats();
+    }
+
+    // Prompts that can be overridden: [{ id, description, placeholders, overridden, version }]
+    listPrompts() {
+        return this.prompts.listPrompts();
+    }
+
+    // Stored overrides with their version history: { id: { template, version, updatedAt, history } }
+    getPromptOverrides() {
+        return this.prompts.getOverrides();
+    }
+
+    // Stores a new version of a prompt template; {{default}} inserts the built-in prompt
+    setPromptOverride(id, template) {
+        return this.prompts.setOverride(id, template);
+    }
+
+    // Goes back to the built-in prompt (earlier versions stay in the history)
+    resetPromptOverride(id) {
+        this.prompts.resetOverride(id);
+    }
+
+    // ---------- Budget ----------
+
+    // Spending caps in USD (0 for no cap) and the share of a cap at which a warning is shown
+    getBudget() {
+        return this.api.budget.getLimits();
+    }
+
+    setBudget({ maxRunCost, maxDailyCost, warnAt } = {}) {
+        this.api.budget.setLimits({ maxRunCost, maxDailyCost, warnAt });
+    }
+
+    // Spend of this service instance (one run) and of today: { runCost, dailyCost, exceeded }
+    getSpend() {
+        return this.api.budget.getSpend();
+    }
+
+    // ---------- Local Checks ----------
+
+    // skipReview skips the paid review while the local checks fail; bannedWords are flagged in script sections
+    getLintSettings() {
+        return this.linter.getSettings();
+    }
+
+    setLintSettings({ skipReview, bannedWords } = {}) {
+        this.linter.setSettings({ skipReview, bannedWords });
+    }
+
+    // Local checks of the stored outline and script sections, without any API call:
+    // { outline: [issue], sections: [{ number, title, issues }], failed } with issues as the reviewers report them
+    lintContent() {
+        const outlineData = this.storage.load('outlineData', {}) || {};
+        const outlineText = outlineData.outline || '';
+        const outline = outlineText.trim() ? this.linter.lintOutline(outlineText, outlineData.podcastDuration || 30) : [];
+        const speakers = this.script.getCastSpeakers();
+        const sections = this.script.generatedSections
+            .filter(function hasContent(section) { return section && typeof section.content === 'string' && section.content.trim(); })
+            .map(function lintSection(section) {
+                return {
+                    number: section.number,
+                    title: section.title,
+                    issues: this.linter.lintScriptSection(section.content, speakers, Math.round(this.linter.getOutlineDuration(section.outline || '') * 160))
+                };
+            }, this);
+        const failed = this.linter.hasFailures(outline) || sections.some(function hasFailures(section) { return this.linter.hasFailures(section.issues); }, this);
+        return { outline, sections, failed };
+    }
+
+    // ---------- Usage Ledger ----------
+
+    // Groups the following API calls in a new ledger run and resets the run budget
+    startRun(label) {
+        this.api.startRun(label);
+    }
+
+    // Stored runs, oldest first: [{ id, label, episode, startedAt, entries: [{ timestamp, stage, model, requestId, inputTokens, outputTokens, characters, cost }] }]
+    getUsageLedger() {
+        return this.api.usageLedger.getRuns();
+    }
+
+    // Per-run totals: [{ id, label, episode, startedAt, calls, cost, stages: [{ stage, calls, inputTokens, outputTokens, characters, cost }] }]
+    getUsageSummary() {
+        const ledger = this.api.usageLedger;
+        return ledger.getRuns().map(function summarizeRun(run) {
+            return {
+                id: run.id,
+                label: run.label,
+                episode: run.episode,
+                startedAt: run.startedAt,
+                ...ledger.summarizeRun(run)
+            };
+        });
+    }
+
+    // All runs as 'csv' (one row per API call) or 'json'
+    exportUsageLedger(format = 'csv') {
+        if (format !== 'csv' && format !== 'json') {
+            throw new Error(`Unknown usage export format "${format}" (expected csv or json)`);
+        }
+        return format === 'csv' ? this.api.usageLedger.toCsv() : this.api.usageLedger.toJson();
+    }
+
+    clearUsageLedger() {
+        this.api.usageLedger.clear();
     }
 
     // ---------- Inputs ----------
 
-    async loadDocumentFromText(text) {
-        const now = new Date().toISOString();
+    // Replaces all source documents with a single text document
+    async loadDocumentFromText(text, options = {}) {
+        this.clearDocuments();
+        await this.addDocumentFromText(text, { name: 'document.txt', ...options });
+    }
+
+    // Adds a source document; weight (default 1) sets its relative share of coverage
+    async addDocumentFromText(text, { name, type = 'text/plain', weight = 1 } = {}) {
         const data = this.storage.load('data', {}) || {};
-        data.document = {
-            name: 'document.txt',
-            type: 'text/plain',
+        const documents = this.sourceDocuments.getDocuments(data);
+        documents.push({
+            name: name || `document-${documents.length + 1}.txt`,
+            type,
             size: (text || '').length,
             content: text || '',
-            timestamp: now
-        };
+            weight,
+            timestamp: new Date().toISOString()
+        });
+        this.sourceDocuments.setDocuments(data, documents);
         this.storage.save('data', data);
-        this._updateStateFlag('hasDocument', !!(text && text.trim()));
+        this._updateStateFlag('hasDocument', this.sourceDocuments.hasDocuments(data));
     }
 
-    getDocument() {
+    // Extracts text from PDF/DOCX/HTML/EPUB/text bytes and stores it like loadDocumentFromText
+    async loadDocumentFromFile(bytes, fileName, mimeType, options = {}) {
+        const text = await this.documentExtractor.extract(bytes, fileName, mimeType);
+        this.clearDocuments();
+        await this.addDocumentFromText(text, { ...options, name: fileName, type: mimeType || 'text/plain' });
+    }
+
+    async addDocumentFromFile(bytes, fileName, mimeType, options = {}) {
+        const text = await this.documentExtractor.extract(bytes, fileName, mimeType);
+        await this.addDocumentFromText(text, { ...options, name: fileName, type: mimeType || 'text/plain' });
+    }
+
+    clearDocuments() {
         const data = this.storage.load('data', {}) || {};
-        return data.document ? { ...data.document } : { content: '' };
+        this.sourceDocuments.setDocuments(data, []);
+        this.storage.save('data', data);
+        this._updateStateFlag('hasDocument', false);
+    }
+
+    getDocuments() {
+        const data = this.storage.load('data', {}) || {};
+        return this.sourceDocuments.getDocuments(data);
+    }
+
+    // First source document (kept for single-document callers)
+    getDocument() {
+        const documents = this.getDocuments();
+        return documents.length ? { ...documents[0] } : { content: '' };
     }
 
-    async setCharacters({ host = {}, guest = {} } = {}) {
+    // guests (up to four) takes precedence over a single guest; solo makes the host narrate alone
+    async setCharacters({ host = {}, guest = {}, guests, solo } = {}) {
         const data = this.storage.load('data', {}) || {};
         if (host && Object.keys(host).length) {
             data.host = host;
             this._updateStateFlag('hasHostCharacter', true);
         }
-        if (guest && Object.keys(guest).length) {
-            data.guest = guest;
-            this._updateStateFlag('hasGuestCharacter', true);
+        if (solo !== undefined) {
+            data.solo = !!solo;
+        }
+        const guestList = Array.isArray(guests) ? guests : (guest && Object.keys(guest).length ? [guest] : null);
+        if (guestList) {
+            this.speakers.setGuests(data, guestList.filter(function isGuest(item) { return item && Object.keys(item).length; }));
         }
+        this._updateStateFlag('hasGuestCharacter', data.solo ? !!data.host : this.speakers.getGuests(data).length > 0);
         this.storage.save('data', data);
     }
 
     getCharacters() {
         const data = this.storage.load('data', {}) || {};
+        const characterData = this.speakers.getCharacterData(data);
         return {
-            host: data.host || {},
-            guest: data.guest || {}
+            host: characterData.host,
+            guest: characterData.guest,
+            guests: characterData.guests,
+            solo: characterData.solo,
+            speakers: characterData.speakers.map(function describeSpeaker(speaker) { return { role: speaker.role, label: speaker.label, name: speaker.character.name || '' }; })
         };
     }
 
+    // Replaces the stored outline; accepts the text form or a JSON outline (object or JSON text),
+    // which is validated and rendered to the text form. Returns the stored outline text.
+    setOutline(outline) {
+        const format = this.outline.outlineFormat;
+        const isJson = typeof outline === 'object' || format.isJson(outline);
+        const text = isJson ? format.toText(format.fromJson(outline)) : String(outline || '');
+        const outlineData = this.storage.load('outlineData', {}) || {};
+        outlineData.outline = text;
+        this.storage.save('outlineData', outlineData);
+        this.outline.outlineData = text;
+        this._updateStateFlag('hasOutline', !!text.trim());
+        return text;
+    }
+
     // ---------- Generation ----------
 
+    // Stream the outline and script sections as they are written: callback({ stage, delta, text }) gets each
+    // piece of text, then an empty delta when the request ends (stage as in the usage ledger, e.g. 'section 2').
+    // Requests are only streamed while a listener is set; pass null to remove it.
+    setStreamListener(callback) {
+        this.outline.streamListener = callback || null;
+        this.script.streamListener = callback || null;
+    }
+
+    // Cancel the running generation: its requests in flight (chat and TTS) are aborted and the generation
+    // method throws an error with status 'CANCELLED'. Completed script sections stay checkpointed and
+    // finished TTS segments cached, so the work can be resumed. Returns false when nothing was running.
+    cancel() {
+        if (!this._runningGenerator) {
+            return false;
+        }
+        this._runningGenerator.handleCancelGeneration();
+        return true;
+    }
+
     async generateOutline({ duration, focus } = {}) {
         // Persist desired settings first
         const outlineData = this.storage.load('outlineData', {}) || {};
@@ -213,26 +490,37 @@ class PodcastinatorService {
         // Surface coupling: OutlineGenerator expects DOM for notifications/progress; we are not calling init().
         // However, its core API (generateOutline) can run if storage and api data are present.
         const data = this.storage.load('data', {}) || {};
-        if (!data.apiKey) {
+        if (!this._hasCredentials(data, 'outline')) {
             throw new Error('API key not set. Call setApiKey() first.');
         }
-        if (!data.document || !data.document.content) {
+        if (!this.sourceDocuments.hasDocuments(data)) {
             throw new Error('Document not loaded. Call loadDocumentFromText() first.');
         }
-        if (!data.host || !data.guest) {
+        if (!this.speakers.hasCast(data)) {
             throw new Error('Characters not set. Call setCharacters() first.');
         }
 
-        // Delegate to OutlineGenerator core method
+        // Delegate to OutlineGenerator core method (sources too large for the context are digested first)
+        this._stopIfOverBudget();
         const apiData = this.api.getApiData();
-        await this.outline.generateOutline({ content: data.document.content }, data, apiData);
+        const self = this;
+        try {
+            await this._runCancellable(this.outline, async function generate(signal) {
+                apiData.signal = signal;
+                const content = await self.outline.documentPreparer.getOutlineContent(data, apiData);
+                await self.outline.generateOutline({ content: content }, self.speakers.getCharacterData(data), apiData);
+            });
+        } catch (error) {
+            this._stopIfOverBudget();
+            throw error;
+        }
 
         const saved = this.storage.load('outlineData', {}) || {};
         this._updateStateFlag('hasOutline', !!(saved.outline && saved.outline.trim()));
         return saved.outline || '';
     }
 
-    async generateScript({ language } = {}) {
+    async generateScript({ language, resume = false } = {}) {
         // Persist language preference
         const scriptData = this.storage.load('scriptData', {}) || {};
         if (language) {
@@ -242,97 +530,148 @@ class PodcastinatorService {
 
         const data = this.storage.load('data', {}) || {};
         const outlineData = this.storage.load('outlineData', {}) || {};
-        if (!data.apiKey) {
+        if (!this._hasCredentials(data, 'script')) {
             throw new Error('API key not set. Call setApiKey() first.');
         }
         if (!outlineData.outline) {
             throw new Error('Outline not available. Call generateOutline() first.');
         }
-        if (!data.host || !data.guest) {
+        if (!this.speakers.hasCast(data)) {
             throw new Error('Characters not set. Call setCharacters() first.');
         }
 
         const sections = this.script.parseOutlineSections(outlineData.outline);
         const apiData = this.api.getApiData();
-        await this.script.generateFullScript(sections, { host: data.host, guest: data.guest }, apiData);
+        this._stopIfOverBudget();
+        const self = this;
+        await this._runCancellable(this.script, async function generate(signal) {
+            apiData.signal = signal;
+            await self.script.generateFullScript(sections, self.speakers.getCharacterData(data), apiData, { resume });
+        });
+        this._stopIfOverBudget();
 
         const saved = this.storage.load('scriptData', {}) || {};
         this._updateStateFlag('hasScript', !!(saved.script && saved.script.trim()));
         return saved.script || '';
     }
 
-    async generateAudio({ silenceMs, outputPath } = {}) {
-        // Persist silence preference
+    // Regenerate one script section in place (locked sections cannot be regenerated), then re-run the cross-section review
+    async regenerateSection(sectionNumber) {
+        const data = this.storage.load('data', {}) || {};
+        const outlineData = this.storage.load('outlineData', {}) || {};
+        if (!this._hasCredentials(data, 'script')) {
+            throw new Error('API key not set. Call setApiKey() first.');
+        }
+        if (!outlineData.outline) {
+            throw new Error('Outline not available. Call generateOutline() first.');
+        }
+        if (!this.speakers.hasCast(data)) {
+            throw new Error('Characters not set. Call setCharacters() first.');
+        }
+
+        const sections = this.script.parseOutlineSections(outlineData.outline);
+        const apiData = this.api.getApiData();
+        this._stopIfOverBudget();
+        const self = this;
+        await this._runCancellable(this.script, async function regenerate(signal) {
+            apiData.signal = signal;
+            await self.script.regenerateSection(sections, sectionNumber, self.speakers.getCharacterData(data), apiData);
+        });
+        this._stopIfOverBudget();
+        return this.getScript();
+    }
+
+    // Locked sections keep their text when the whole script is regenerated
+    setSectionLocked(sectionNumber, locked = true) {
+        this.script.setSectionLocked(sectionNumber, locked);
+    }
+
+    // title/show override the stored episode metadata; cover ({ mime, data: Uint8Array }) is embedded as cover art
+    async generateAudio({ silenceMs, outputPath, title, show, cover } = {}) {
+        // Persist silence and episode metadata preferences
         const audioData = this.storage.load('audioData', {}) || {};
         if (silenceMs !== undefined) {
             audioData.silenceDuration = silenceMs;
-            this.storage.save('audioData', audioData);
         }
+        if (title !== undefined) {
+            audioData.episodeTitle = title || '';
+        }
+        if (show !== undefined) {
+            audioData.showName = show || '';
+        }
+        this.storage.save('audioData', audioData);
 
         const data = this.storage.load('data', {}) || {};
         const scriptData = this.storage.load('scriptData', {}) || {};
-        if (!data.apiKey) {
+        if (!this._hasCredentials(data, 'tts')) {
             throw new Error('API key not set. Call setApiKey() first.');
         }
         if (!scriptData.script) {
             throw new Error('Script not available. Call generateScript() first.');
         }
-        if (!data.host || !data.guest) {
+        if (!this.speakers.hasCast(data)) {
             throw new Error('Characters not set. Call setCharacters() first.');
         }
 
-        const segments = this.audio.parseScriptSegments(scriptData.script);
+        const characterData = this.speakers.getCharacterData(data);
+        const segments = this.audio.parseScriptSegments(scriptData.script, characterData.speakers);
 
         const apiData = this.api.getApiData();
 
+        // Keep generator silence in sync with persisted preference
+        const silence = audioData.silenceDuration !== undefined ? audioData.silenceDuration : 500;
+        this.audio.silenceDuration = silence;
+        this.audio.ttsConcurrency = audioData.ttsConcurrency || 4;
+        this.audio.episodeTitle = audioData.episodeTitle || '';
+        this.audio.showName = audioData.showName || '';
+        if (cover !== undefined) {
+            this.audio.coverArt = cover && cover.data ? cover : null;
+        }
+
         // Node path: no window global
+        this._stopIfOverBudget();
+        const self = this;
         if (typeof window === 'undefined') {
-            // Generate MP3 per segment and concatenate buffers (experimental, widely supported by players)
-            const buffers = [];
-            for (let i = 0; i < segments.length; i++) {
-                const segment = segments[i];
-                const isHost = segment.speaker === 'HOST';
-                const voice = isHost ? (data.host.voice || '') : (data.guest.voice || '');
-                const language = (this.storage.load('scriptData', {}) || {}).language || 'english';
-                const body = {
-                    model: apiData.models.tts,
-                    voice: voice,
-                    input: segment.text,
-                    response_format: 'mp3',
-                    language: language
-                };
-                const res = await fetch('https://api.openai.com/v1/audio/speech', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${apiData.apiKey}`
-                    },
-                    body: JSON.stringify(body)
+            // Request WAV per segment, decode PCM, insert silence and encode a single MP3
+            // through the same Mp3Encoder/lamejs pipeline used in the browser.
+            await this._ensureLamejs();
+            let mp3Blob;
+            try {
+                mp3Blob = await this._runCancellable(this.audio, function encode(signal) {
+                    apiData.signal = signal;
+                    return self.audio.encodePodcastMp3(segments, characterData, apiData);
                 });
-                if (!res.ok) {
-                    const errTxt = await res.text();
-                    throw new Error(`TTS failed (${res.status}): ${errTxt}`);
-                }
-                const ab = await res.arrayBuffer();
-                buffers.push(Buffer.from(ab));
+            } catch (error) {
+                this._stopIfOverBudget();
+                throw error;
             }
-
-            // Naive concat of MP3 frames
-            const combined = Buffer.concat(buffers);
+            const combined = Buffer.from(await mp3Blob.arrayBuffer());
 
             // If outputPath provided, write file (caller responsibility in CLI); otherwise return buffer
             this._updateStateFlag('hasAudio', combined.length > 0);
-            return { hasAudio: combined.length > 0, mime: 'audio/mpeg', silenceMs: silenceMs || (this.storage.load('audioData', {}) || {}).silenceDuration || 500, buffer: combined, path: outputPath || '' };
+            return { hasAudio: combined.length > 0, mime: 'audio/mpeg', silenceMs: silence, buffer: combined, path: outputPath || '' };
         }
 
         // Browser path: use existing AudioGenerator pipeline (requires Web Audio APIs in browser).
         await this.audio.initAudioContext();
-        await this.audio.generatePodcastAudio(segments, { host: data.host, guest: data.guest }, apiData);
+        await this._runCancellable(this.audio, function generate(signal) {
+            apiData.signal = signal;
+            return self.audio.generatePodcastAudio(segments, characterData, apiData);
+        });
+        this._stopIfOverBudget();
         const result = this.getAudioMeta();
         this._updateStateFlag('hasAudio', !!result.hasAudio);
         return result;
     }
 
+    // ---------- Estimates ----------
+
+    // Cost and running time of the outline, script and audio stages as { min, expected, max } ranges,
+    // from the stored sources, models, outline and script; duration overrides the stored target
+    estimateCost({ duration, ttsConcurrency } = {}) {
+        return this.costEstimator.estimate({ duration, ttsConcurrency });
+    }
+
     // ---------- Generated Content Getters ----------
 
     getOutline() {
@@ -340,11 +679,37 @@ class PodcastinatorService {
         return outlineData.outline || '';
     }
 
+    // Outline in the canonical JSON form: { sections: [{ number, title, durationMinutes, overview, keyFacts, uniqueFocus, carryover }] }
+    getOutlineJson() {
+        return this.outline.outlineFormat.fromText(this.getOutline());
+    }
+
     getScript() {
         const scriptData = this.storage.load('scriptData', {}) || {};
         return scriptData.script || '';
     }
 
+    // Sections of the stored script: [{ number, title, words, locked, verification, unsupportedClaims, persistentIssues }]
+    getScriptSections() {
+        return this.script.getSectionList();
+    }
+
+    // Claims of each section matched to the source documents during verification:
+    // [{ number, title, citations: [{ speaker, claim, supported, coverage, missingNumbers, source: { id, name, start, end, text } | null }] }]
+    getCitations() {
+        return this.script.getCitations();
+    }
+
+    // Show notes citing the sources of the supported claims: format is 'md' or 'json' (every claim)
+    getShowNotes(format = 'md') {
+        return this.script.getShowNotes(format);
+    }
+
+    // Transcript of the latest audio with real turn timings: format is 'srt', 'vtt' or 'md'
+    getTranscript(format = 'srt') {
+        return this.audio.getTranscript(format);
+    }
+
     getAudioMeta() {
         // In browser, AudioGenerator stores Blob in IndexedDB and generates object URL tracked internally.
         // We can’t access the Blob directly here without refactoring; expose best-effort flags.
@@ -357,6 +722,28 @@ class PodcastinatorService {
         };
     }
 
+    // ---------- Checkpoints ----------
+
+    getCheckpointStatus() {
+        // Summarizes which pipeline units are already completed in storage (used to resume runs)
+        const outline = this.getOutline();
+        const script = this.getScript();
+        const checkpoint = this.storage.load('scriptCheckpoint', null);
+        const sections = outline ? this.script.parseOutlineSections(outline) : [];
+        const phase = sections.length ? this.script.getCheckpointPhase(sections) : null;
+        return {
+            hasOutline: !!outline.trim(),
+            hasScript: !!script.trim(),
+            scriptPhase: phase,
+            sectionsDone: phase && checkpoint ? checkpoint.generatedSections.length : 0,
+            sectionsTotal: sections.length
+        };
+    }
+
+    clearCheckpoints() {
+        this.storage.remove('scriptCheckpoint');
+    }
+
     // ---------- State ----------
 
     getState() {
@@ -365,10 +752,70 @@ class PodcastinatorService {
 
     // ---------- Helpers ----------
 
+    _hasCredentials(data, task) {
+        const models = data.models || {};
+        return this.api.hasCredentialsFor(models[task], data.apiKey);
+    }
+
+    async _runCancellable(generator, task) {
+        // One abort controller per generation, aborted by cancel() through the generator's cancel handler.
+        // Generators end quietly when cancelled, so a cancellation is turned into an error here.
+        generator.cancelGeneration = false;
+        generator.abortController = new AbortController();
+        this._runningGenerator = generator;
+        const signal = generator.abortController.signal;
+        try {
+            const result = await task(signal);
+            if (signal.aborted) {
+                throw this._createCancelError();
+            }
+            return result;
+        } catch (error) {
+            if (signal.aborted && error.status !== 'CANCELLED') {
+                throw this._createCancelError();
+            }
+            throw error;
+        } finally {
+            generator.cancelGeneration = false;
+            generator.abortController = null;
+            this._runningGenerator = null;
+        }
+    }
+
+    _createCancelError() {
+        const error = new Error('Generation cancelled');
+        error.status = 'CANCELLED';
+        return error;
+    }
+
+    _stopIfOverBudget() {
+        // A reached cap cancels the generators; turn that into an error so callers stop instead of moving on
+        const budget = this.api.budget;
+        if (!budget.isExceeded()) {
+            return;
+        }
+        this.outline.cancelGeneration = false;
+        this.script.cancelGeneration = false;
+        this.audio.cancelGeneration = false;
+        const spend = budget.getSpend();
+        throw budget.createError(`Spending budget reached (${budget.formatCost(spend.runCost)} spent in this run, ${budget.formatCost(spend.dailyCost)} today)`);
+    }
+
     _updateStateFlag(key, value) {
         // ContentStateManager persists state and emits events in browser; safe to call without UI listeners
         this.contentState.updateState(key, !!value);
     }
+
+    async _ensureLamejs() {
+        // Browser loads lamejs via <script>; in Node evaluate the same bundled library into the global scope
+        if (typeof globalThis.lamejs !== 'undefined') {
+            return;
+        }
+        const fs = await import('fs/promises');
+        const vm = await import('vm');
+        const source = await fs.readFile(new URL('../lib/lame.min.js', import.meta.url), 'utf8');
+        vm.runInThisContext(source, { filename: 'lame.min.js' });
+    }
 }
 
 export default PodcastinatorService;
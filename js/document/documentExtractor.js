@@ -0,0 +1,126 @@
+// Podcastinator App - Document Extractor
+import HtmlExtractor from './htmlExtractor.js';
+import DocxExtractor from './docxExtractor.js';
+import EpubExtractor from './epubExtractor.js';
+import PdfExtractor from './pdfExtractor.js';
+
+// File extension -> format
+const EXTENSION_FORMATS = {
+    txt: 'text',
+    md: 'text',
+    markdown: 'text',
+    html: 'html',
+    htm: 'html',
+    xhtml: 'html',
+    pdf: 'pdf',
+    docx: 'docx',
+    epub: 'epub'
+};
+
+// MIME type -> format (used when the file name has no known extension)
+const MIME_FORMATS = {
+    'text/plain': 'text',
+    'text/markdown': 'text',
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/epub+zip': 'epub'
+};
+
+/**
+ * Converts uploaded documents (text, Markdown, HTML, PDF, DOCX, EPUB) into
+ * markdown-ish plain text. Shared by the browser FileUploader and the CLI.
+ */
+class DocumentExtractor {
+    constructor() {
+
+        this.htmlExtractor = new HtmlExtractor();
+        this.extractors = {
+            pdf: new PdfExtractor(),
+            docx: new DocxExtractor(),
+            epub: new EpubExtractor()
+        };
+    }
+
+    /**
+     * Detect a document's format
+     * @param {string} fileName - File name
+     * @param {string} [mimeType] - MIME type, if known
+     * @returns {string|null} - 'text', 'html', 'pdf', 'docx', 'epub' or null if unsupported
+     */
+    getFormat(fileName, mimeType) {
+
+        const name = String(fileName || '');
+        const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+        return EXTENSION_FORMATS[extension] || MIME_FORMATS[String(mimeType || '').toLowerCase()] || null;
+    }
+
+    /**
+     * Check whether a document can be extracted
+     * @param {string} fileName - File name
+     * @param {string} [mimeType] - MIME type, if known
+     * @returns {boolean}
+     */
+    isSupported(fileName, mimeType) {
+
+        return this.getFormat(fileName, mimeType) !== null;
+    }
+
+    /**
+     * Get the accepted file extensions (for file inputs and help text)
+     * @returns {Array<string>} - Extensions with leading dot
+     */
+    getAcceptedExtensions() {
+
+        return Object.keys(EXTENSION_FORMATS).map(function addDot(extension) { return `.${extension}`; });
+    }
+
+    /**
+     * Extract text from a document
+     * @param {ArrayBuffer|Uint8Array} data - File bytes
+     * @param {string} fileName - File name
+     * @param {string} [mimeType] - MIME type, if known
+     * @returns {Promise<string>} - Extracted text
+     */
+    async extract(data, fileName, mimeType) {
+
+        const format = this.getFormat(fileName, mimeType);
+        if (!format) {
+            throw new Error(`Unsupported document format: ${fileName}. Supported formats: ${this.getAcceptedExtensions().join(', ')}`);
+        }
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        let text;
+        if (format === 'text') {
+            text = this.decodeText(bytes);
+        } else if (format === 'html') {
+            text = this.htmlExtractor.extract(this.decodeText(bytes));
+        } else {
+            try {
+                text = await this.extractors[format].extract(bytes);
+            } catch (error) {
+                throw new Error(`Could not read ${fileName}: ${error.message}`);
+            }
+        }
+
+        text = text.replace(/\r\n?/g, '\n');
+        if (!text.trim()) {
+            const hint = format === 'pdf' ? ' Scanned (image-only) PDFs are not supported.' : '';
+            throw new Error(`No text could be extracted from ${fileName}.${hint}`);
+        }
+        return text;
+    }
+
+    /**
+     * Decode UTF-8 text, dropping a byte order mark
+     * @param {Uint8Array} bytes - Encoded text
+     * @returns {string}
+     */
+    decodeText(bytes) {
+
+        return new TextDecoder('utf-8').decode(bytes).replace(/^﻿/, '');
+    }
+}
+
+export default DocumentExtractor;
@@ -0,0 +1,134 @@
+// Podcastinator App - DOCX Extractor
+import ZipReader from './zipReader.js';
+import HtmlExtractor from './htmlExtractor.js';
+
+/**
+ * Extracts markdown-ish text from Word (.docx) documents.
+ * Paragraph styles mapped to headings become '#' lines and numbered/bulleted
+ * paragraphs become '-' items; tables are flattened to one line per cell paragraph.
+ */
+class DocxExtractor {
+    constructor() {
+
+        this.htmlExtractor = new HtmlExtractor();
+    }
+
+    /**
+     * Extract text from a DOCX file
+     * @param {ArrayBuffer|Uint8Array} data - DOCX bytes
+     * @returns {Promise<string>} - Markdown-ish text
+     */
+    async extract(data) {
+
+        const zip = new ZipReader(data);
+        if (!zip.hasEntry('word/document.xml')) {
+            throw new Error('Invalid Word document: word/document.xml not found');
+        }
+
+        const documentXml = await zip.readText('word/document.xml');
+        const headingLevels = zip.hasEntry('word/styles.xml') ? this.readHeadingStyles(await zip.readText('word/styles.xml')) : {};
+
+        const paragraphs = documentXml.match(/<w:p(?:\s[^>]*)?(?:\/>|>[\s\S]*?<\/w:p>)/g) || [];
+        const lines = [];
+        for (const paragraph of paragraphs) {
+            const text = this.readParagraphText(paragraph).trim();
+            if (!text) {
+                continue;
+            }
+
+            const styleId = (paragraph.match(/<w:pStyle\s+w:val="([^"]+)"/) || [null, ''])[1];
+            const level = headingLevels[styleId] || this.getBuiltInHeadingLevel(styleId);
+            const listLevel = this.getListLevel(paragraph, styleId);
+
+            if (level) {
+                lines.push('', `${'#'.repeat(level)} ${text}`, '');
+            } else if (listLevel !== null) {
+                lines.push(`${'  '.repeat(listLevel)}- ${text}`);
+            } else {
+                lines.push('', text, '');
+            }
+        }
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Concatenate the text runs of a paragraph
+     * @param {string} paragraphXml - <w:p> element
+     * @returns {string}
+     */
+    readParagraphText(paragraphXml) {
+
+        const tokens = paragraphXml.match(/<w:t(?:\s[^>]*)?>[\s\S]*?<\/w:t>|<w:tab\/>|<w:br(?:\s[^>]*)?\/>|<w:cr\/>|<w:noBreakHyphen\/>/g) || [];
+        const self = this;
+        return tokens.map(function tokenText(token) {
+            if (token.startsWith('<w:tab')) {
+                return '\t';
+            }
+            if (token.startsWith('<w:br') || token.startsWith('<w:cr')) {
+                return '\n';
+            }
+            if (token.startsWith('<w:noBreakHyphen')) {
+                return '-';
+            }
+            return self.htmlExtractor.decodeEntities(token.replace(/^<w:t(?:\s[^>]*)?>/, '').replace(/<\/w:t>$/, ''));
+        }).join('');
+    }
+
+    /**
+     * Map paragraph style ids to heading levels using styles.xml (handles localized style names)
+     * @param {string} stylesXml - styles.xml content
+     * @returns {Object} - styleId -> level (1-6)
+     */
+    readHeadingStyles(stylesXml) {
+
+        const levels = {};
+        const styles = stylesXml.match(/<w:style\s[^>]*w:type="paragraph"[\s\S]*?<\/w:style>/g) || [];
+        for (const style of styles) {
+            const styleId = (style.match(/w:styleId="([^"]+)"/) || [null, ''])[1];
+            const name = (style.match(/<w:name\s+w:val="([^"]+)"/) || [null, ''])[1].toLowerCase();
+            const outlineLevel = style.match(/<w:outlineLvl\s+w:val="(\d)"/);
+            const headingName = name.match(/^heading\s*(\d)$/);
+
+            if (name === 'title') {
+                levels[styleId] = 1;
+            } else if (headingName) {
+                levels[styleId] = Math.min(6, parseInt(headingName[1], 10));
+            } else if (outlineLevel && parseInt(outlineLevel[1], 10) < 6) {
+                levels[styleId] = parseInt(outlineLevel[1], 10) + 1;
+            }
+        }
+        return levels;
+    }
+
+    /**
+     * Heading level for default style ids when styles.xml is missing
+     * @param {string} styleId - Paragraph style id
+     * @returns {number|null}
+     */
+    getBuiltInHeadingLevel(styleId) {
+
+        if (styleId === 'Title') {
+            return 1;
+        }
+        const match = styleId.match(/^Heading(\d)$/i);
+        return match ? Math.min(6, parseInt(match[1], 10)) : null;
+    }
+
+    /**
+     * Nesting level of a list paragraph, or null for normal paragraphs
+     * @param {string} paragraphXml - <w:p> element
+     * @param {string} styleId - Paragraph style id
+     * @returns {number|null}
+     */
+    getListLevel(paragraphXml, styleId) {
+
+        if (paragraphXml.includes('<w:numPr>')) {
+            const level = paragraphXml.match(/<w:ilvl\s+w:val="(\d+)"/);
+            return level ? parseInt(level[1], 10) : 0;
+        }
+        return /^List/i.test(styleId) ? 0 : null;
+    }
+}
+
+export default DocxExtractor;
@@ -0,0 +1,121 @@
+// Podcastinator App - EPUB Extractor
+import ZipReader from './zipReader.js';
+import HtmlExtractor from './htmlExtractor.js';
+
+/**
+ * Extracts markdown-ish text from EPUB e-books by converting the
+ * XHTML chapters listed in the package spine, in reading order.
+ */
+class EpubExtractor {
+    constructor() {
+
+        this.htmlExtractor = new HtmlExtractor();
+    }
+
+    /**
+     * Extract text from an EPUB file
+     * @param {ArrayBuffer|Uint8Array} data - EPUB bytes
+     * @returns {Promise<string>} - Markdown-ish text
+     */
+    async extract(data) {
+
+        const zip = new ZipReader(data);
+        const packagePath = await this.findPackagePath(zip);
+        const packageXml = await zip.readText(packagePath);
+        const baseDir = packagePath.includes('/') ? packagePath.slice(0, packagePath.lastIndexOf('/') + 1) : '';
+
+        // Manifest: id -> { href, mediaType }
+        const manifest = {};
+        const items = packageXml.match(/<(?:opf:)?item\s[^>]*>/g) || [];
+        for (const item of items) {
+            const id = this.getAttribute(item, 'id');
+            if (id) {
+                manifest[id] = {
+                    href: this.getAttribute(item, 'href'),
+                    mediaType: this.getAttribute(item, 'media-type')
+                };
+            }
+        }
+
+        const spine = (packageXml.match(/<(?:opf:)?itemref\s[^>]*>/g) || [])
+            .filter(function isLinear(itemref) { return this.getAttribute(itemref, 'linear') !== 'no'; }, this)
+            .map(function getItem(itemref) { return manifest[this.getAttribute(itemref, 'idref')]; }, this)
+            .filter(function isDocument(item) { return item && item.href && /html|xml/i.test(item.mediaType || 'html'); });
+
+        const chapters = [];
+        for (const item of spine) {
+            const chapterPath = this.resolvePath(baseDir, item.href);
+            if (!zip.hasEntry(chapterPath)) {
+                continue;
+            }
+            const text = this.htmlExtractor.extract(await zip.readText(chapterPath));
+            if (text) {
+                chapters.push(text);
+            }
+        }
+
+        return chapters.join('\n\n');
+    }
+
+    /**
+     * Locate the OPF package document via META-INF/container.xml
+     * @param {ZipReader} zip - Opened archive
+     * @returns {Promise<string>} - Package document path
+     */
+    async findPackagePath(zip) {
+
+        if (zip.hasEntry('META-INF/container.xml')) {
+            const container = await zip.readText('META-INF/container.xml');
+            const rootfile = container.match(/<rootfile\s[^>]*>/);
+            const fullPath = rootfile ? this.getAttribute(rootfile[0], 'full-path') : '';
+            if (fullPath && zip.hasEntry(fullPath)) {
+                return fullPath;
+            }
+        }
+
+        const opf = zip.getEntryNames().find(function isPackage(name) { return name.toLowerCase().endsWith('.opf'); });
+        if (!opf) {
+            throw new Error('Invalid EPUB: package document not found');
+        }
+        return opf;
+    }
+
+    /**
+     * Read an XML attribute value from a start tag
+     * @param {string} tag - Start tag source
+     * @param {string} name - Attribute name
+     * @returns {string}
+     */
+    getAttribute(tag, name) {
+
+        const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+        return match ? this.htmlExtractor.decodeEntities(match[2] !== undefined ? match[2] : match[3]) : '';
+    }
+
+    /**
+     * Resolve a manifest href against the package directory
+     * @param {string} baseDir - Package directory ('' or ending in '/')
+     * @param {string} href - Relative href
+     * @returns {string} - Archive entry path
+     */
+    resolvePath(baseDir, href) {
+
+        const parts = [];
+        let decoded = href.split('#')[0];
+        try {
+            decoded = decodeURIComponent(decoded);
+        } catch (e) {
+            // Keep the raw href
+        }
+        for (const part of (baseDir + decoded).split('/')) {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        }
+        return parts.join('/');
+    }
+}
+
+export default EpubExtractor;
@@ -1,13 +1,17 @@
 // Podcastinator App - File Uploader
 import NotificationsManager from '../ui/notifications.js';
+import DocumentExtractor from './documentExtractor.js';
+import SourceDocuments from './sourceDocuments.js';
 
 class FileUploader {
     constructor(storageManager, contentStateManager) {
         this.storageManager = storageManager;
         this.contentStateManager = contentStateManager;
         this.notifications = new NotificationsManager();
+        this.documentExtractor = new DocumentExtractor();
+        this.sourceDocuments = new SourceDocuments();
         this.data = {
-            document: this.storageManager.load('data', {})?.document || null
+            documents: this.sourceDocuments.getDocuments(this.storageManager.load('data', {}))
         };
     }
 
@@ -18,7 +22,7 @@ class FileUploader {
     
         this.attachUploadAreaEventListeners();
         this.initPodcastFocusListener();
-        if (this.data.document) {
+        if (this.data.documents.length > 0) {
             this.updateDocumentPreview();
         }
     }
@@ -64,39 +68,51 @@ class FileUploader {
     }
 
     /**
-     * Handle file upload
-     * @param {File} file - File object to upload
+     * Handle file upload; each file is added as another source document
+     * @param {File|FileList|Array<File>} files - File(s) to upload
      */
-    handleFileUpload(file) {
+    async handleFileUpload(files) {
     
-        if (!file) {
-            return;
-        }
+        const fileList = files && typeof files.length === 'number' ? Array.from(files) : [files];
+        const validFiles = fileList.filter(Boolean).filter(function isSupported(file) {
+            // Check file format
+            if (!this.documentExtractor.isSupported(file.name, file.type)) {
+                this.notifications.showError(`${file.name}: please upload a text (.txt), Markdown (.md), PDF (.pdf), Word (.docx), HTML (.html) or EPUB (.epub) file`);
+                return false;
+            }
+            return true;
+        }, this);
 
-        // Check file extension
-        const fileExtension = file.name.split('.').pop().toLowerCase();
-        const validExtensions = ['txt', 'md', 'markdown'];
-        const validTypes = ['text/plain', 'text/markdown'];
-        
-        if (!validExtensions.includes(fileExtension) && !validTypes.includes(file.type)) {
-            this.notifications.showError('Please upload a plain text (.txt) or Markdown (.md) file');
+        if (validFiles.length === 0) {
             return;
         }
         
         // Warn about large files
         const maxSizeMB = 25; // OpenAI's effective limit for document processing
-        const fileSizeMB = file.size / (1024 * 1024);
-        
-        if (fileSizeMB > maxSizeMB) {
-            this.notifications.showError(`Warning: File is ${Math.round(fileSizeMB)}MB which exceeds OpenAI's recommended ${maxSizeMB}MB limit. Processing may be incomplete.`);
-            // Continue anyway - we'll let the user decide if they want to try
+        for (const file of validFiles) {
+            const fileSizeMB = file.size / (1024 * 1024);
+            if (fileSizeMB > maxSizeMB) {
+                this.notifications.showError(`Warning: ${file.name} is ${Math.round(fileSizeMB)}MB which exceeds OpenAI's recommended ${maxSizeMB}MB limit. Processing may be incomplete.`);
+                // Continue anyway - we'll let the user decide if they want to try
+            }
         }
 
         // Show loading state by toggling CSS classes
-        this.showUploadLoadingState(file.name);
+        this.showUploadLoadingState(validFiles.map(function getName(file) { return file.name; }).join(', '));
+
+        // Process the files one at a time to keep the source order stable
+        for (const file of validFiles) {
+            const content = await this.readFile(file);
+            if (content !== null) {
+                this.processFileContent(file, content);
+            }
+        }
 
-        // Process the file
-        this.readFile(file);
+        if (this.data.documents.length > 0) {
+            this.updateDocumentPreview();
+        } else {
+            this.resetUploadArea();
+        }
     }
     
     /**
@@ -120,60 +136,79 @@ class FileUploader {
     }
     
     /**
-     * Read file content
+     * Read file content and extract its text
      * @param {File} file - File to read
+     * @returns {Promise<string|null>} - Extracted text, or null if the file could not be read
      */
     readFile(file) {
-    
-        const reader = new FileReader();
-        
+
         // Use named function instead of arrow function
         const self = this;
-        reader.onload = function(event) {
-            self.processFileContent(file, event.target.result);
-        };
-        
-        reader.onerror = function() {
-            self.notifications.showError('Error reading file. Please try again.');
-            self.resetUploadArea();
-        };
-        
-        // Read as text (not base64)
-        reader.readAsText(file);
+        return new Promise(function readDocument(resolve) {
+            const reader = new FileReader();
+
+            reader.onload = async function(event) {
+                try {
+                    resolve(await self.documentExtractor.extract(event.target.result, file.name, file.type));
+                } catch (error) {
+                    console.error('Error extracting document text:', error);
+                    self.notifications.showError(error.message);
+                    resolve(null);
+                }
+            };
+
+            reader.onerror = function() {
+                self.notifications.showError(`Error reading ${file.name}. Please try again.`);
+                resolve(null);
+            };
+
+            // Read raw bytes; binary formats (PDF, DOCX, EPUB) are converted to text by the extractor
+            reader.readAsArrayBuffer(file);
+        });
     }
-    
+
     /**
      * Process file content after reading
      * @param {File} file - File object
-     * @param {string} content - File content as plain text
+     * @param {string} content - Extracted plain text
      */
     processFileContent(file, content) {
     
-        // Store file data - now with direct text content, not base64
-        this.data.document = {
+        // Add as another source document - direct text content, not base64
+        this.data.documents.push({
             name: file.name,
             type: file.type,
             size: file.size,
             lastModified: file.lastModified,
             content: content, // Plain text content, no need to decode
-            isPlainText: true // Flag to indicate this is plain text
-        };
+            isPlainText: true, // Flag to indicate this is plain text
+            weight: 1 // Relative share of coverage among sources
+        });
+        
+        // Get existing data and only update the documents portion
+        this.saveDocuments();
         
         // Update UI
         this.updateDocumentPreview();
         
-        // Get existing data and only update the document portion
-        const existingData = this.storageManager.load('data', {});
-        existingData.document = this.data.document;
-        this.storageManager.save('data', existingData);
-        
         // Save podcast focus if available
         this.savePodcastFocus();
         
         // Update content state to indicate we have a document
         this.contentStateManager.updateState('hasDocument', true);
         
-        this.notifications.showSuccess('Document uploaded successfully!');
+        this.notifications.showSuccess(`Document ${file.name} added successfully!`);
+    }
+
+    /**
+     * Save the source document list without affecting other data
+     */
+    saveDocuments() {
+
+        const existingData = this.storageManager.load('data', {});
+        this.sourceDocuments.setDocuments(existingData, this.data.documents);
+        this.storageManager.save('data', existingData);
+        this.data.documents = this.sourceDocuments.getDocuments(existingData);
     }
     
     /**
@@ -194,13 +229,13 @@ class FileUploader {
     }
 
     /**
-     * Update document preview
+     * Update document preview with one row per source document
      */
     updateDocumentPreview() {
     
-        const file = this.data.document;
+        const documents = this.data.documents;
         
-        if (!file) {
+        if (documents.length === 0) {
             this.resetUploadArea();
             return;
         }
@@ -208,23 +243,21 @@ class FileUploader {
         // Format file size
         const formatSize = function(bytes) {
         
-            if (bytes === 0) return '0 Bytes';
+            if (!bytes) return '0 Bytes';
             const k = 1024;
             const sizes = ['Bytes', 'KB', 'MB', 'GB'];
             const i = Math.floor(Math.log(bytes) / Math.log(k));
             return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
         };
         
-        // Update document preview elements
-        const docIcon = document.getElementById('document-icon');
-        const docName = document.getElementById('document-name');
-        const docSize = document.getElementById('document-size');
-        const docDate = document.getElementById('document-date');
-        
-        // Set document details
-        if (docName) docName.textContent = file.name;
-        if (docSize) docSize.textContent = formatSize(file.size);
-        if (docDate) docDate.textContent = new Date(file.lastModified).toLocaleDateString();
+        // Rebuild the document list
+        const list = document.getElementById('document-list');
+        if (list) {
+            list.innerHTML = '';
+            documents.forEach(function renderDocument(doc, index) {
+                list.appendChild(this.createDocumentItem(doc, index, formatSize));
+            }, this);
+        }
         
         // Hide loading and placeholder states
         document.getElementById('upload-loading').classList.add('hidden');
@@ -239,6 +272,77 @@ class FileUploader {
         // Add change button event listener
         this.setupChangeDocumentListener();
     }
+
+    /**
+     * Create a document list row with weight input and remove button
+     * @param {Object} doc - Source document
+     * @param {number} index - Position in the document list
+     * @param {Function} formatSize - File size formatter
+     * @returns {HTMLElement} - Row element
+     */
+    createDocumentItem(doc, index, formatSize) {
+
+        const self = this;
+        const item = document.createElement('div');
+        item.className = 'document-item';
+        item.innerHTML = `
+            <div class="document-icon"><img src="images/document.svg" alt="Document"></div>
+            <div class="document-info">
+                <div class="document-name"></div>
+                <div class="document-meta">
+                    <span class="document-tag"></span>
+                    <span>•</span>
+                    <span class="document-size"></span>
+                    <span>•</span>
+                    <span class="document-date"></span>
+                </div>
+            </div>
+            <label class="document-weight" title="Relative share of the episode given to this source">
+                Weight
+                <input type="number" min="0.1" step="0.5">
+            </label>
+            <button class="btn-text document-remove" title="Remove document">Remove</button>
+        `;
+
+        // Set document details as text to avoid injecting file names as HTML
+        item.querySelector('.document-name').textContent = doc.name;
+        item.querySelector('.document-tag').textContent = doc.id || `S${index + 1}`;
+        item.querySelector('.document-size').textContent = formatSize(doc.size);
+        item.querySelector('.document-date').textContent = new Date(doc.lastModified || doc.timestamp || Date.now()).toLocaleDateString();
+
+        const weightInput = item.querySelector('input');
+        weightInput.value = doc.weight;
+        weightInput.addEventListener('click', function(e) {
+            e.stopPropagation();
+        });
+        weightInput.addEventListener('change', function() {
+            self.data.documents[index].weight = self.sourceDocuments.normalizeWeight(weightInput.value);
+            weightInput.value = self.data.documents[index].weight;
+            self.saveDocuments();
+        });
+
+        item.querySelector('.document-remove').addEventListener('click', function(e) {
+            e.stopPropagation();
+            self.removeDocument(index);
+        });
+
+        return item;
+    }
+
+    /**
+     * Remove a source document
+     * @param {number} index - Position in the document list
+     */
+    removeDocument(index) {
+
+        this.data.documents.splice(index, 1);
+        if (this.data.documents.length === 0) {
+            this.resetUploadArea();
+            return;
+        }
+        this.saveDocuments();
+        this.updateDocumentPreview();
+    }
     
     /**
      * Update upload buttons visibility
@@ -246,18 +350,21 @@ class FileUploader {
     updateUploadButtons() {
     
         const browseButton = document.getElementById('browse-file');
+        const addButton = document.getElementById('add-document');
         const changeButton = document.getElementById('change-document');
         
         if (browseButton && changeButton) {
         
-            if (this.data.document) {
-                // If we have a document, show Change and hide Browse
+            if (this.data.documents.length > 0) {
+                // If we have documents, show Add and Clear and hide Browse
                 browseButton.classList.add('hidden');
                 changeButton.classList.remove('hidden');
+                if (addButton) addButton.classList.remove('hidden');
             } else {
-                // If no document, show Browse and hide Change
+                // If no document, show Browse and hide Add and Clear
                 browseButton.classList.remove('hidden');
                 changeButton.classList.add('hidden');
+                if (addButton) addButton.classList.add('hidden');
             }
         }
     }
@@ -296,13 +403,9 @@ class FileUploader {
         // Show upload placeholder
         document.getElementById('upload-placeholder').classList.remove('hidden');
         
-        // Remove existing document data without affecting other data
-        this.data.document = null;
-        
-        // Get existing data and only update the document portion
-        const existingData = this.storageManager.load('data', {});
-        existingData.document = null;
-        this.storageManager.save('data', existingData);
+        // Remove existing documents without affecting other data
+        this.data.documents = [];
+        this.saveDocuments();
         
         // Update content state to indicate we no longer have a document
         this.contentStateManager.updateState('hasDocument', false);
@@ -325,6 +428,7 @@ class FileUploader {
         // Get references to elements
         const self = this;
         const browseButton = document.getElementById('browse-file');
+        const addButton = document.getElementById('add-document');
         const fileInput = document.getElementById('file-input');
         const uploadArea = document.getElementById('upload-area');
         
@@ -339,12 +443,23 @@ class FileUploader {
                 document.getElementById('file-input').click();
             };
         }
+
+        if (addButton) {
+
+            addButton.onclick = function(e) {
+                e.preventDefault();
+                document.getElementById('file-input').click();
+            };
+        }
         
         // File input change handler
         if (fileInput) {
         
             fileInput.onchange = function(e) {
-                self.handleFileUpload(e.target.files[0]);
+                const files = Array.from(e.target.files);
+                // Clear the input so the same file can be picked again later
+                e.target.value = '';
+                self.handleFileUpload(files);
             };
         }
         
@@ -363,13 +478,13 @@ class FileUploader {
             uploadArea.ondrop = function(e) {
                 e.preventDefault();
                 uploadArea.classList.remove('dragover');
-                self.handleFileUpload(e.dataTransfer.files[0]);
+                self.handleFileUpload(e.dataTransfer.files);
             };
             
             // Add click handler to make the upload area clickable
             uploadArea.onclick = function(e) {
                 // Only trigger if clicking on the placeholder area (not when document is already uploaded)
-                if (!self.data.document && e.target.closest('#upload-placeholder')) {
+                if (self.data.documents.length === 0 && e.target.closest('#upload-placeholder')) {
                     document.getElementById('file-input').click();
                 }
             };
@@ -377,12 +492,12 @@ class FileUploader {
     }
 
     /**
-     * Get current document data
-     * @returns {Object} - Document data
+     * Get current source documents
+     * @returns {Array<Object>} - Source documents
      */
     getDocumentData() {
     
-        return this.data.document;
+        return this.data.documents;
     }
 }
 
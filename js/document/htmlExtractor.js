@@ -0,0 +1,144 @@
+// Podcastinator App - HTML Extractor
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    copy: '©', reg: '®', trade: '™', deg: '°', euro: '€', pound: '£', shy: ''
+};
+
+// Elements that start a new paragraph
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote',
+    'figure', 'figcaption', 'table', 'tr', 'dl', 'dt', 'dd', 'hr', 'address', 'details', 'summary'
+]);
+
+// Elements whose content is never readable text
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'head', 'nav', 'iframe', 'object'];
+
+/**
+ * Converts HTML/XHTML (saved web pages, EPUB chapters) into markdown-ish text.
+ * Headings become '#' lines, list items become '-' or numbered lines; everything
+ * else is reduced to paragraphs. Works without a DOM so it also runs in Node.
+ */
+class HtmlExtractor {
+    /**
+     * Extract text from HTML
+     * @param {string} html - HTML source
+     * @returns {string} - Markdown-ish text
+     */
+    extract(html) {
+
+        let source = String(html || '').replace(/<!--[\s\S]*?-->/g, '').replace(/<![A-Za-z][^>]*>|<\?[\s\S]*?\?>/g, '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+        SKIPPED_TAGS.forEach(function removeTag(tag) {
+            source = source.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), ' ');
+        });
+
+        const out = [];
+        const lists = [];
+        let preDepth = 0;
+        let pendingPrefix = '';
+        const tagRegex = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)([^>]*)>/g;
+        let lastIndex = 0;
+        let match;
+
+        const self = this;
+        const appendText = function appendText(text) {
+            let value = self.decodeEntities(text);
+            if (!preDepth) {
+                value = value.replace(/\s+/g, ' ');
+            }
+            if (!value.trim() && !preDepth) {
+                if (value && out.length && !/\s$/.test(out[out.length - 1])) {
+                    out.push(' ');
+                }
+                return;
+            }
+            if (pendingPrefix) {
+                value = pendingPrefix + value.replace(/^\s+/, '');
+                pendingPrefix = '';
+            }
+            out.push(value);
+        };
+
+        while ((match = tagRegex.exec(source)) !== null) {
+            appendText(source.slice(lastIndex, match.index));
+            lastIndex = tagRegex.lastIndex;
+
+            const closing = match[1] === '/';
+            const tag = match[2].toLowerCase().replace(/^.*:/, '');
+
+            if (/^h[1-6]$/.test(tag)) {
+                out.push('\n\n');
+                if (!closing) {
+                    pendingPrefix = '#'.repeat(parseInt(tag.charAt(1), 10)) + ' ';
+                }
+            } else if (tag === 'ul' || tag === 'ol') {
+                if (closing) {
+                    lists.pop();
+                } else {
+                    lists.push({ ordered: tag === 'ol', counter: 0 });
+                }
+                // Nested lists continue their parent item; only the outermost list is its own block
+                if (lists.length === (closing ? 0 : 1)) {
+                    out.push('\n\n');
+                }
+            } else if (tag === 'li') {
+                if (!closing) {
+                    const list = lists[lists.length - 1] || { ordered: false, counter: 0 };
+                    list.counter++;
+                    const indent = '  '.repeat(Math.max(0, lists.length - 1));
+                    out.push('\n');
+                    pendingPrefix = indent + (list.ordered ? `${list.counter}. ` : '- ');
+                }
+            } else if (tag === 'br') {
+                out.push('\n');
+            } else if (tag === 'pre') {
+                preDepth += closing ? -1 : 1;
+                preDepth = Math.max(0, preDepth);
+                out.push('\n\n');
+            } else if (tag === 'td' || tag === 'th') {
+                out.push(' ');
+            } else if (BLOCK_TAGS.has(tag)) {
+                out.push('\n\n');
+            }
+        }
+        appendText(source.slice(lastIndex));
+
+        return this.normalize(out.join(''));
+    }
+
+    /**
+     * Decode HTML/XML character entities
+     * @param {string} text - Encoded text
+     * @returns {string}
+     */
+    decodeEntities(text) {
+
+        return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, function decode(entity, code) {
+            if (code.charAt(0) === '#') {
+                const value = code.charAt(1).toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isFinite(value) && value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : '';
+            }
+            const named = NAMED_ENTITIES[code.toLowerCase()];
+            return named !== undefined ? named : entity;
+        });
+    }
+
+    /**
+     * Trim lines and collapse runs of blank lines
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    normalize(text) {
+
+        return text
+            .split('\n')
+            .map(function trimLine(line) { return line.replace(/[ \t ]+$/g, '').replace(/^[ \t ]+(?![ \t ]|[-\d])/, ''); })
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+}
+
+export default HtmlExtractor;
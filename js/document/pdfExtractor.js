@@ -0,0 +1,959 @@
+// Podcastinator App - PDF Extractor
+import { inflate } from './zipReader.js';
+
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+// WinAnsiEncoding differs from Latin-1 in 0x80-0x9F
+const WIN_ANSI_HIGH = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+    0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+    0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+// Glyph names used in /Differences arrays that are not single characters
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+    period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?',
+    at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_',
+    grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', zero: '0', one: '1', two: '2',
+    three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9', bullet: '•',
+    endash: '–', emdash: '—', quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”',
+    quotesinglbase: '‚', quotedblbase: '„', ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+    dagger: '†', daggerdbl: '‡', trademark: '™', copyright: '©', registered: '®', degree: '°', section: '§',
+    paragraph: '¶', periodcentered: '·', minus: '−', multiply: '×', divide: '÷', germandbls: 'ß', ae: 'æ',
+    AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', nbspace: ' ', sterling: '£', Euro: '€', yen: '¥', cent: '¢'
+};
+
+const ACCENTS = {
+    acute: '\u0301', grave: '\u0300', circumflex: '\u0302', dieresis: '\u0308',
+    tilde: '\u0303', ring: '\u030A', cedilla: '\u0327', caron: '\u030C'
+};
+
+/**
+ * Tokenizer for PDF object and content stream syntax over a binary string
+ */
+class PdfLexer {
+    /**
+     * Create a lexer
+     * @param {string} source - Binary string (one char per byte)
+     * @param {number} [position] - Start offset
+     */
+    constructor(source, position = 0) {
+
+        this.source = source;
+        this.position = position;
+    }
+
+    /**
+     * Read the next token
+     * @returns {Object|null} - Token ({ type, value }) or null at end of input
+     */
+    next() {
+
+        const s = this.source;
+        while (this.position < s.length) {
+            const c = s[this.position];
+            if (WHITESPACE.includes(c)) {
+                this.position++;
+            } else if (c === '%') {
+                while (this.position < s.length && s[this.position] !== '\n' && s[this.position] !== '\r') {
+                    this.position++;
+                }
+            } else {
+                break;
+            }
+        }
+        if (this.position >= s.length) {
+            return null;
+        }
+
+        const c = s[this.position];
+        if (c === '<' && s[this.position + 1] === '<') {
+            this.position += 2;
+            return { type: 'dictStart' };
+        }
+        if (c === '>' && s[this.position + 1] === '>') {
+            this.position += 2;
+            return { type: 'dictEnd' };
+        }
+        if (c === '[' || c === ']') {
+            this.position++;
+            return { type: c === '[' ? 'arrayStart' : 'arrayEnd' };
+        }
+        if (c === '/') {
+            return { type: 'name', value: this.readName() };
+        }
+        if (c === '(') {
+            return { type: 'string', value: this.readLiteralString() };
+        }
+        if (c === '<') {
+            return { type: 'string', value: this.readHexString() };
+        }
+        if (/[0-9+\-.]/.test(c)) {
+            const start = this.position;
+            this.position++;
+            while (this.position < s.length && /[0-9.]/.test(s[this.position])) {
+                this.position++;
+            }
+            const value = parseFloat(s.slice(start, this.position));
+            return { type: 'number', value: Number.isFinite(value) ? value : 0 };
+        }
+
+        // Keyword / operator
+        const start = this.position;
+        this.position++;
+        while (this.position < s.length && !WHITESPACE.includes(s[this.position]) && !DELIMITERS.includes(s[this.position])) {
+            this.position++;
+        }
+        return { type: 'op', value: s.slice(start, this.position) };
+    }
+
+    /**
+     * Read a name (after '/'), decoding #xx escapes
+     * @returns {string}
+     */
+    readName() {
+
+        const s = this.source;
+        const start = ++this.position;
+        while (this.position < s.length && !WHITESPACE.includes(s[this.position]) && !DELIMITERS.includes(s[this.position])) {
+            this.position++;
+        }
+        return s.slice(start, this.position).replace(/#([0-9a-fA-F]{2})/g, function decode(m, hex) {
+            return String.fromCharCode(parseInt(hex, 16));
+        });
+    }
+
+    /**
+     * Read a literal string with escapes and balanced parentheses
+     * @returns {string} - Binary string
+     */
+    readLiteralString() {
+
+        const s = this.source;
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        let depth = 1;
+        let out = '';
+        this.position++;
+
+        while (this.position < s.length) {
+            const c = s[this.position++];
+            if (c === '\\') {
+                const e = s[this.position++];
+                if (escapes[e] !== undefined) {
+                    out += escapes[e];
+                } else if (/[0-7]/.test(e)) {
+                    let octal = e;
+                    while (octal.length < 3 && /[0-7]/.test(s[this.position])) {
+                        octal += s[this.position++];
+                    }
+                    out += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+                } else if (e === '\r') {
+                    if (s[this.position] === '\n') {
+                        this.position++;
+                    }
+                } else if (e !== '\n') {
+                    out += e;
+                }
+            } else if (c === '(') {
+                depth++;
+                out += c;
+            } else if (c === ')') {
+                depth--;
+                if (depth === 0) {
+                    break;
+                }
+                out += c;
+            } else {
+                out += c;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Read a hex string
+     * @returns {string} - Binary string
+     */
+    readHexString() {
+
+        const s = this.source;
+        const end = s.indexOf('>', this.position);
+        const hex = s.slice(this.position + 1, end === -1 ? s.length : end).replace(/[^0-9a-fA-F]/g, '');
+        this.position = end === -1 ? s.length : end + 1;
+        let out = '';
+        for (let i = 0; i < hex.length; i += 2) {
+            out += String.fromCharCode(parseInt(hex.substr(i, 2).padEnd(2, '0'), 16));
+        }
+        return out;
+    }
+
+    /**
+     * Read a complete value (dictionary, array, reference or primitive)
+     * @param {Object} [token] - Already read first token
+     * @returns {*} - Dict as object, array, { ref } for references, '/Name' strings for names,
+     *                { str } for strings, numbers, booleans, null, or { op } for operators
+     */
+    readValue(token = this.next()) {
+
+        if (!token) {
+            return null;
+        }
+        switch (token.type) {
+            case 'dictStart': {
+                const dict = {};
+                let key = this.next();
+                while (key && key.type !== 'dictEnd') {
+                    if (key.type === 'name') {
+                        dict[key.value] = this.readValue();
+                    }
+                    key = this.next();
+                }
+                return dict;
+            }
+            case 'arrayStart': {
+                const array = [];
+                let item = this.next();
+                while (item && item.type !== 'arrayEnd') {
+                    array.push(this.readValue(item));
+                    item = this.next();
+                }
+                return array;
+            }
+            case 'name':
+                return '/' + token.value;
+            case 'string':
+                return { str: token.value };
+            case 'number': {
+                // "<num> <gen> R" is an indirect reference
+                if (Number.isInteger(token.value)) {
+                    const saved = this.position;
+                    const generation = this.next();
+                    if (generation && generation.type === 'number' && Number.isInteger(generation.value)) {
+                        const keyword = this.next();
+                        if (keyword && keyword.type === 'op' && keyword.value === 'R') {
+                            return { ref: token.value };
+                        }
+                    }
+                    this.position = saved;
+                }
+                return token.value;
+            }
+            case 'op':
+                if (token.value === 'true' || token.value === 'false') {
+                    return token.value === 'true';
+                }
+                if (token.value === 'null') {
+                    return null;
+                }
+                return { op: token.value };
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * Extracts text from PDF documents without external libraries.
+ * Handles Flate-compressed content and object streams, ToUnicode CMaps and
+ * simple font encodings. Larger-than-body font sizes become '#' headings and
+ * bullet glyphs become '-' list items. Scanned (image-only) PDFs yield no text.
+ */
+class PdfExtractor {
+    /**
+     * Extract text from a PDF
+     * @param {ArrayBuffer|Uint8Array} data - PDF bytes
+     * @returns {Promise<string>} - Markdown-ish text
+     */
+    async extract(data) {
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const source = this.toBinaryString(bytes);
+        if (source.slice(0, 1024).indexOf('%PDF') === -1) {
+            throw new Error('Invalid PDF: header not found');
+        }
+        const trailerIndex = source.lastIndexOf('trailer');
+        if (/\/Encrypt[\s<\d]/.test(trailerIndex === -1 ? source : source.slice(trailerIndex))) {
+            throw new Error('Encrypted PDFs are not supported');
+        }
+
+        this.objects = this.readObjects(source, bytes);
+        await this.expandObjectStreams();
+        this.fontCache = new Map();
+
+        const lines = [];
+        for (const page of this.getPages()) {
+            const pageLines = [];
+            // Contents is a stream reference or an (indirect) array of them
+            const resolvedContents = this.resolve(page.dict.Contents);
+            const contents = Array.isArray(resolvedContents) ? resolvedContents : this.toArray(page.dict.Contents);
+            let content = '';
+            for (const ref of contents) {
+                content += (await this.getStreamText(ref)) + '\n';
+            }
+            await this.readContent(content, page.resources, pageLines, 0);
+            if (pageLines.length > 0) {
+                lines.push(...pageLines, { text: '', size: 0, pageBreak: true });
+            }
+        }
+
+        return this.formatLines(lines);
+    }
+
+    /**
+     * Convert bytes to a binary string (one char per byte)
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string}
+     */
+    toBinaryString(bytes) {
+
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            out += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        return out;
+    }
+
+    /**
+     * Index all "n g obj ... endobj" objects; later revisions override earlier ones
+     * @param {string} source - Binary string of the file
+     * @param {Uint8Array} bytes - File bytes
+     * @returns {Map<number, Object>} - Object number -> { value, stream }
+     */
+    readObjects(source, bytes) {
+
+        const objects = new Map();
+        const headerRegex = /(\d+)\s+\d+\s+obj\b/g;
+        let match;
+
+        while ((match = headerRegex.exec(source)) !== null) {
+            const lexer = new PdfLexer(source, headerRegex.lastIndex);
+            let value;
+            try {
+                value = lexer.readValue();
+            } catch (e) {
+                continue;
+            }
+
+            const entry = { value: value, stream: null };
+            const after = lexer.next();
+            if (after && after.type === 'op' && after.value === 'stream') {
+                let start = lexer.position;
+                if (source[start] === '\r') {
+                    start++;
+                }
+                if (source[start] === '\n') {
+                    start++;
+                }
+                const length = value && typeof value.Length === 'number' ? value.Length : -1;
+                let end = length >= 0 ? start + length : -1;
+                if (end < 0 || source.slice(end, end + 12).indexOf('endstream') === -1) {
+                    end = source.indexOf('endstream', start);
+                    while (end > start && (source[end - 1] === '\n' || source[end - 1] === '\r')) {
+                        end--;
+                    }
+                }
+                if (end > start) {
+                    entry.stream = bytes.subarray(start, end);
+                    headerRegex.lastIndex = end;
+                }
+            }
+            objects.set(parseInt(match[1], 10), entry);
+        }
+        return objects;
+    }
+
+    /**
+     * Unpack compressed object streams (PDF 1.5+) into the object index
+     */
+    async expandObjectStreams() {
+
+        for (const entry of Array.from(this.objects.values())) {
+            if (!entry.stream || !entry.value || entry.value.Type !== '/ObjStm') {
+                continue;
+            }
+            const decoded = await this.decodeStream(entry);
+            if (!decoded) {
+                continue;
+            }
+            const text = this.toBinaryString(decoded);
+            const first = entry.value.First || 0;
+            const header = new PdfLexer(text.slice(0, first));
+            const pairs = [];
+            for (let i = 0; i < (entry.value.N || 0); i++) {
+                const number = header.next();
+                const offset = header.next();
+                if (!number || !offset) {
+                    break;
+                }
+                pairs.push([number.value, offset.value]);
+            }
+            for (const [number, offset] of pairs) {
+                if (!this.objects.has(number)) {
+                    this.objects.set(number, { value: new PdfLexer(text, first + offset).readValue(), stream: null });
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve an indirect reference
+     * @param {*} value - Value or { ref }
+     * @returns {*} - Resolved value
+     */
+    resolve(value) {
+
+        let current = value;
+        for (let depth = 0; current && current.ref !== undefined && depth < 10; depth++) {
+            const entry = this.objects.get(current.ref);
+            current = entry ? entry.value : null;
+        }
+        return current;
+    }
+
+    /**
+     * Wrap a value into an array
+     * @param {*} value - Value
+     * @returns {Array}
+     */
+    toArray(value) {
+
+        if (value === null || value === undefined) {
+            return [];
+        }
+        return Array.isArray(value) ? value : [value];
+    }
+
+    /**
+     * Decode a stream's data (FlateDecode only; other filters are skipped)
+     * @param {Object} entry - Object entry with stream
+     * @returns {Promise<Uint8Array|null>}
+     */
+    async decodeStream(entry) {
+
+        const filters = this.toArray(this.resolve(entry.value && entry.value.Filter)).map(this.resolve, this);
+        let data = entry.stream;
+        for (const filter of filters) {
+            if (filter !== '/FlateDecode' && filter !== '/Fl') {
+                return null;
+            }
+            try {
+                data = await inflate(data, 'deflate');
+            } catch (e) {
+                try {
+                    data = await inflate(data.subarray(2), 'deflate-raw');
+                } catch (rawError) {
+                    return null;
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Get a referenced stream's decoded content as binary string
+     * @param {Object} ref - { ref } reference to a stream object
+     * @returns {Promise<string>}
+     */
+    async getStreamText(ref) {
+
+        const entry = ref && ref.ref !== undefined ? this.objects.get(ref.ref) : null;
+        if (!entry || !entry.stream) {
+            return '';
+        }
+        const decoded = await this.decodeStream(entry);
+        return decoded ? this.toBinaryString(decoded) : '';
+    }
+
+    /**
+     * Collect pages in reading order with inherited resources
+     * @returns {Array<Object>} - { dict, resources }
+     */
+    getPages() {
+
+        const pages = [];
+        const visited = new Set();
+        const self = this;
+        const walk = function walk(node, inheritedResources) {
+            const dict = self.resolve(node);
+            if (!dict || typeof dict !== 'object' || visited.has(dict)) {
+                return;
+            }
+            visited.add(dict);
+            const resources = self.resolve(dict.Resources) || inheritedResources;
+            if (dict.Type === '/Pages' || Array.isArray(self.resolve(dict.Kids))) {
+                self.toArray(self.resolve(dict.Kids)).forEach(function walkKid(kid) {
+                    walk(kid, resources);
+                });
+            } else {
+                pages.push({ dict: dict, resources: resources || {} });
+            }
+        };
+
+        const catalog = Array.from(this.objects.values()).map(function getValue(object) { return object.value; }).find(function isCatalog(value) { return value && value.Type === '/Catalog'; });
+        if (catalog) {
+            walk(catalog.Pages, null);
+        }
+        if (pages.length === 0) {
+            // Broken page tree: fall back to page objects in file order
+            for (const number of Array.from(this.objects.keys()).sort(function byNumber(a, b) { return a - b; })) {
+                const value = this.objects.get(number).value;
+                if (value && value.Type === '/Page') {
+                    pages.push({ dict: value, resources: this.resolve(value.Resources) || {} });
+                }
+            }
+        }
+        return pages;
+    }
+
+    /**
+     * Interpret a content stream, collecting text lines
+     * @param {string} content - Content stream (binary string)
+     * @param {Object} resources - Resource dictionary
+     * @param {Array<Object>} lines - Output lines ({ text, size, y })
+     * @param {number} depth - Form XObject nesting depth
+     */
+    async readContent(content, resources, lines, depth) {
+
+        const lexer = new PdfLexer(content);
+        const operands = [];
+        let font = null;
+        let fontSize = 12;
+        let leading = 0;
+        let textMatrix = [1, 0, 0, 1, 0, 0];
+        let lineMatrix = [1, 0, 0, 1, 0, 0];
+        let line = null;
+        let lastRunEndX = 0;
+
+        const self = this;
+        const effectiveSize = function effectiveSize() {
+            return Math.abs(fontSize * (textMatrix[3] || textMatrix[0] || 1));
+        };
+        const moveTo = function moveTo(tx, ty) {
+            lineMatrix = [lineMatrix[0], lineMatrix[1], lineMatrix[2], lineMatrix[3],
+                tx * lineMatrix[0] + ty * lineMatrix[2] + lineMatrix[4],
+                tx * lineMatrix[1] + ty * lineMatrix[3] + lineMatrix[5]];
+            textMatrix = lineMatrix.slice();
+        };
+        const showText = function showText(text, width) {
+            if (!text) {
+                return;
+            }
+            const size = effectiveSize();
+            const x = textMatrix[4];
+            const y = textMatrix[5];
+            if (!line || Math.abs(line.y - y) > size * 0.5) {
+                line = { text: '', size: size, y: y };
+                lines.push(line);
+            } else if (x - lastRunEndX > size * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(text)) {
+                line.text += ' ';
+            }
+            line.text += text;
+            line.size = Math.max(line.size, size);
+            const advance = width * fontSize * (textMatrix[0] || 1);
+            textMatrix[4] += advance;
+            lastRunEndX = textMatrix[4];
+        };
+
+        let token = lexer.next();
+        while (token) {
+            if (token.type !== 'op') {
+                operands.push(lexer.readValue(token));
+                token = lexer.next();
+                continue;
+            }
+
+            const op = token.value;
+            switch (op) {
+                case 'BT':
+                    textMatrix = [1, 0, 0, 1, 0, 0];
+                    lineMatrix = [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'Tf':
+                    font = await this.getFont(resources, operands[0]);
+                    fontSize = typeof operands[1] === 'number' ? operands[1] : fontSize;
+                    break;
+                case 'TL':
+                    leading = operands[0] || 0;
+                    break;
+                case 'Td':
+                    moveTo(operands[0] || 0, operands[1] || 0);
+                    break;
+                case 'TD':
+                    leading = -(operands[1] || 0);
+                    moveTo(operands[0] || 0, operands[1] || 0);
+                    break;
+                case 'Tm':
+                    lineMatrix = operands.slice(0, 6).map(function toNumber(value) { return typeof value === 'number' ? value : 0; });
+                    textMatrix = lineMatrix.slice();
+                    break;
+                case 'T*':
+                    moveTo(0, -leading);
+                    break;
+                case "'":
+                case '"': {
+                    moveTo(0, -leading);
+                    const decoded = this.decodeText(font, operands[operands.length - 1]);
+                    showText(decoded.text, decoded.width);
+                    break;
+                }
+                case 'Tj': {
+                    const decoded = this.decodeText(font, operands[0]);
+                    showText(decoded.text, decoded.width);
+                    break;
+                }
+                case 'TJ': {
+                    for (const item of this.toArray(operands[0])) {
+                        if (typeof item === 'number') {
+                            // Large negative adjustments are word gaps
+                            if (item < -200 && line && !/\s$/.test(line.text)) {
+                                line.text += ' ';
+                            }
+                            textMatrix[4] -= item / 1000 * fontSize * (textMatrix[0] || 1);
+                            lastRunEndX = textMatrix[4];
+                        } else {
+                            const decoded = this.decodeText(font, item);
+                            showText(decoded.text, decoded.width);
+                        }
+                    }
+                    break;
+                }
+                case 'Do': {
+                    const xObjects = this.resolve(resources && resources.XObject) || {};
+                    const xObjectRef = xObjects[String(operands[0]).slice(1)];
+                    const xObject = this.resolve(xObjectRef);
+                    if (depth < 5 && xObject && xObject.Subtype === '/Form') {
+                        const formResources = this.resolve(xObject.Resources) || resources;
+                        await this.readContent(await this.getStreamText(xObjectRef), formResources, lines, depth + 1);
+                        line = null;
+                    }
+                    break;
+                }
+                case 'BI': {
+                    // Skip inline image data
+                    const dataStart = content.indexOf('ID', lexer.position);
+                    const end = dataStart === -1 ? -1 : content.slice(dataStart + 2).search(/\sEI(\s|$)/);
+                    lexer.position = end === -1 ? content.length : dataStart + 2 + end + 3;
+                    break;
+                }
+                default:
+                    break;
+            }
+            operands.length = 0;
+            token = lexer.next();
+        }
+    }
+
+    /**
+     * Load font decoding information for a resource name
+     * @param {Object} resources - Resource dictionary
+     * @param {string} name - Font resource name ('/F1')
+     * @returns {Promise<Object|null>} - { cmap, codeLength, encoding, widths, firstChar, defaultWidth }
+     */
+    async getFont(resources, name) {
+
+        const fonts = this.resolve(resources && resources.Font) || {};
+        const fontRef = fonts[String(name).slice(1)];
+        const key = fontRef && fontRef.ref !== undefined ? fontRef.ref : String(name);
+        if (this.fontCache.has(key)) {
+            return this.fontCache.get(key);
+        }
+
+        const dict = this.resolve(fontRef);
+        if (!dict) {
+            this.fontCache.set(key, null);
+            return null;
+        }
+
+        const font = {
+            composite: dict.Subtype === '/Type0',
+            cmap: null,
+            codeLength: dict.Subtype === '/Type0' ? 2 : 1,
+            encoding: this.buildSimpleEncoding(this.resolve(dict.Encoding)),
+            widths: null,
+            firstChar: dict.FirstChar || 0,
+            defaultWidth: 500
+        };
+
+        if (dict.ToUnicode) {
+            const parsed = this.parseCMap(await this.getStreamText(dict.ToUnicode));
+            if (parsed.map.size > 0) {
+                font.cmap = parsed.map;
+                font.codeLength = parsed.codeLength || font.codeLength;
+            }
+        }
+
+        if (font.composite) {
+            const descendant = this.resolve(this.toArray(this.resolve(dict.DescendantFonts))[0]) || {};
+            font.defaultWidth = typeof descendant.DW === 'number' ? descendant.DW : 1000;
+            font.widths = this.parseCidWidths(this.resolve(descendant.W));
+        } else {
+            const widths = this.resolve(dict.Widths);
+            if (Array.isArray(widths)) {
+                font.widths = new Map(widths.map(function toWidth(width, i) { return [font.firstChar + i, this.resolve(width)]; }, this));
+            }
+        }
+
+        this.fontCache.set(key, font);
+        return font;
+    }
+
+    /**
+     * Parse a CID font /W array into code -> width
+     * @param {Array} w - /W array
+     * @returns {Map<number, number>}
+     */
+    parseCidWidths(w) {
+
+        const widths = new Map();
+        const items = Array.isArray(w) ? w.map(this.resolve, this) : [];
+        for (let i = 0; i < items.length;) {
+            const first = items[i];
+            if (Array.isArray(items[i + 1])) {
+                items[i + 1].forEach(function setWidth(width, offset) {
+                    widths.set(first + offset, width);
+                });
+                i += 2;
+            } else {
+                for (let code = first; code <= items[i + 1]; code++) {
+                    widths.set(code, items[i + 2]);
+                }
+                i += 3;
+            }
+        }
+        return widths;
+    }
+
+    /**
+     * Build a code -> text table for simple fonts
+     * @param {*} encoding - /Encoding value (name or dictionary)
+     * @returns {Object} - Code -> text overrides
+     */
+    buildSimpleEncoding(encoding) {
+
+        const table = {};
+        const baseName = typeof encoding === 'string' ? encoding : (encoding && encoding.BaseEncoding);
+        if (baseName !== '/MacRomanEncoding') {
+            Object.assign(table, WIN_ANSI_HIGH);
+        }
+        const differences = encoding && typeof encoding === 'object' ? this.resolve(encoding.Differences) : null;
+        if (Array.isArray(differences)) {
+            let code = 0;
+            for (const item of differences) {
+                if (typeof item === 'number') {
+                    code = item;
+                } else if (typeof item === 'string') {
+                    const glyph = this.glyphToText(item.slice(1));
+                    if (glyph !== null) {
+                        table[code] = glyph;
+                    }
+                    code++;
+                }
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Map a glyph name to text
+     * @param {string} name - Glyph name
+     * @returns {string|null}
+     */
+    glyphToText(name) {
+
+        if (GLYPH_NAMES[name] !== undefined) {
+            return GLYPH_NAMES[name];
+        }
+        if (/^[A-Za-z]$/.test(name)) {
+            return name;
+        }
+        const unicode = name.match(/^uni([0-9A-Fa-f]{4,6})$/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+        if (unicode) {
+            return String.fromCodePoint(parseInt(unicode[1], 16));
+        }
+        const accented = name.match(/^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|ring|cedilla|caron)$/);
+        if (accented) {
+            return (accented[1] + ACCENTS[accented[2]]).normalize('NFC');
+        }
+        return null;
+    }
+
+    /**
+     * Parse a ToUnicode CMap
+     * @param {string} text - CMap stream content
+     * @returns {Object} - { map: Map<code, string>, codeLength }
+     */
+    parseCMap(text) {
+
+        const map = new Map();
+        let codeLength = 0;
+        const toUnicode = function toUnicode(hex) {
+            let out = '';
+            for (let i = 0; i + 4 <= hex.length; i += 4) {
+                out += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+            }
+            if (hex.length % 4 === 2) {
+                out += String.fromCharCode(parseInt(hex.slice(-2), 16));
+            }
+            return out;
+        };
+
+        const codespace = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+        if (codespace) {
+            codeLength = codespace[1].length / 2;
+        }
+
+        const charBlocks = text.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+        for (const block of charBlocks) {
+            const pairRegex = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+            let pair;
+            while ((pair = pairRegex.exec(block)) !== null) {
+                map.set(parseInt(pair[1], 16), toUnicode(pair[2]));
+                codeLength = codeLength || pair[1].length / 2;
+            }
+        }
+
+        const rangeBlocks = text.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+        for (const block of rangeBlocks) {
+            const rangeRegex = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+            let range;
+            while ((range = rangeRegex.exec(block)) !== null) {
+                const low = parseInt(range[1], 16);
+                const high = parseInt(range[2], 16);
+                codeLength = codeLength || range[1].length / 2;
+                if (range[3].startsWith('[')) {
+                    const targets = range[3].match(/<([0-9a-fA-F]*)>/g) || [];
+                    targets.forEach(function setTarget(target, offset) {
+                        map.set(low + offset, toUnicode(target.slice(1, -1)));
+                    });
+                } else {
+                    const base = toUnicode(range[3].slice(1, -1));
+                    for (let code = low; code <= high && code - low < 65536; code++) {
+                        const last = base.charCodeAt(base.length - 1) + (code - low);
+                        map.set(code, base.slice(0, -1) + String.fromCharCode(last));
+                    }
+                }
+            }
+        }
+
+        return { map: map, codeLength: codeLength };
+    }
+
+    /**
+     * Decode a shown string to text and compute its advance width (text space units / font size)
+     * @param {Object|null} font - Font info from getFont
+     * @param {*} value - { str } operand
+     * @returns {Object} - { text, width }
+     */
+    decodeText(font, value) {
+
+        const raw = value && typeof value.str === 'string' ? value.str : '';
+        if (!raw) {
+            return { text: '', width: 0 };
+        }
+        const codeLength = font ? font.codeLength : 1;
+        let text = '';
+        let width = 0;
+
+        for (let i = 0; i + codeLength <= raw.length; i += codeLength) {
+            let code = 0;
+            for (let j = 0; j < codeLength; j++) {
+                code = (code << 8) | raw.charCodeAt(i + j);
+            }
+
+            if (font && font.cmap) {
+                text += font.cmap.has(code) ? font.cmap.get(code) : '';
+            } else if (font && font.composite) {
+                // Composite font without ToUnicode: glyph ids cannot be mapped to text
+                text += '';
+            } else {
+                text += font && font.encoding[code] !== undefined ? font.encoding[code] : String.fromCharCode(code);
+            }
+
+            const glyphWidth = font && font.widths && font.widths.has(code) ? font.widths.get(code) : (font ? font.defaultWidth : 500);
+            width += (typeof glyphWidth === 'number' ? glyphWidth : 500) / 1000;
+        }
+
+        // Drop control characters left over from unmapped codes
+        return { text: text.replace(/[\x00-\x08\x0B-\x1F]/g, ''), width: width };
+    }
+
+    /**
+     * Turn positioned lines into markdown-ish paragraphs, headings and list items
+     * @param {Array<Object>} lines - Lines ({ text, size, y, pageBreak })
+     * @returns {string}
+     */
+    formatLines(lines) {
+
+        // Body size = size covering most characters
+        const sizeCounts = new Map();
+        for (const line of lines) {
+            if (line.text) {
+                const size = Math.round(line.size * 2) / 2;
+                sizeCounts.set(size, (sizeCounts.get(size) || 0) + line.text.length);
+            }
+        }
+        let bodySize = 0;
+        let bodyCount = -1;
+        sizeCounts.forEach(function pickBodySize(count, size) {
+            if (count > bodyCount) {
+                bodyCount = count;
+                bodySize = size;
+            }
+        });
+
+        const blocks = [];
+        let paragraph = '';
+        let previous = null;
+        const flush = function flush() {
+            if (paragraph.trim()) {
+                blocks.push(paragraph.trim());
+            }
+            paragraph = '';
+        };
+
+        for (const line of lines) {
+            const text = line.text.replace(/\s+/g, ' ').trim();
+            if (line.pageBreak || !text) {
+                if (line.pageBreak) {
+                    previous = null;
+                }
+                continue;
+            }
+
+            const isHeading = bodySize > 0 && line.size >= bodySize * 1.2 && text.length <= 120;
+            const bullet = text.match(/^[•●▪◦‣∙·■–-]\s*(.+)$/);
+            const gap = previous ? Math.abs(previous.y - line.y) : 0;
+
+            if (isHeading) {
+                flush();
+                const level = line.size >= bodySize * 1.6 ? 1 : 2;
+                if (previous && previous.heading && previous.size === line.size) {
+                    // Wrapped heading continues on the next line
+                    blocks[blocks.length - 1] += ' ' + text;
+                } else {
+                    blocks.push(`${'#'.repeat(level)} ${text}`);
+                }
+            } else if (bullet) {
+                flush();
+                paragraph = `- ${bullet[1]}`;
+            } else if (previous && !previous.heading && gap <= line.size * 1.8) {
+                // Keep the line break so lines, list items and sentences stay apart; only hyphenated words are joined
+                paragraph = /[A-Za-z]-$/.test(paragraph) && /^[a-z]/.test(text)
+                    ? paragraph.slice(0, -1) + text
+                    : paragraph + '\n' + text;
+            } else {
+                flush();
+                paragraph = text;
+            }
+            previous = { y: line.y, size: line.size, heading: isHeading };
+        }
+        flush();
+
+        return blocks.join('\n\n');
+    }
+}
+
+export default PdfExtractor;
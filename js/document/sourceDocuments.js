@@ -0,0 +1,105 @@
+// Podcastinator App - Source Documents
+
+/**
+ * Manages the list of source documents an episode is built from.
+ * Documents are stored in data.documents as { name, type, size, lastModified, content, weight };
+ * older saves with a single data.document are read as a one-item list.
+ * Each document gets a source tag (S1, S2, ...) by position, used by the
+ * prompts to delimit sources and by the outline's KEY FACTS to cite them.
+ */
+class SourceDocuments {
+    /**
+     * Get the source documents from stored data
+     * @param {Object} data - Contents of the 'data' storage key
+     * @returns {Array<Object>} - Documents with id, name, content and weight
+     */
+    getDocuments(data) {
+
+        let documents = [];
+        if (data && Array.isArray(data.documents)) {
+            documents = data.documents;
+        } else if (data && data.document) {
+            documents = [data.document];
+        }
+
+        const self = this;
+        return documents
+            .filter(function hasContent(doc) { return doc && typeof doc.content === 'string' && doc.content.trim(); })
+            .map(function normalizeDocument(doc, index) {
+                return {
+                    ...doc,
+                    id: `S${index + 1}`,
+                    name: doc.name || `document-${index + 1}.txt`,
+                    weight: self.normalizeWeight(doc.weight)
+                };
+            });
+    }
+
+    /**
+     * Check whether any source document has content
+     * @param {Object} data - Contents of the 'data' storage key
+     * @returns {boolean}
+     */
+    hasDocuments(data) {
+
+        return this.getDocuments(data).length > 0;
+    }
+
+    /**
+     * Store the document list, replacing the legacy single-document field
+     * @param {Object} data - Contents of the 'data' storage key (modified in place)
+     * @param {Array<Object>} documents - Documents to store
+     * @returns {Object} - Updated data
+     */
+    setDocuments(data, documents) {
+
+        const self = this;
+        data.documents = (documents || []).map(function stripId(doc) {
+            const stored = { ...doc, weight: self.normalizeWeight(doc.weight) };
+            delete stored.id;
+            return stored;
+        });
+        delete data.document;
+        return data;
+    }
+
+    /**
+     * Clamp a weight to a positive number (default 1)
+     * @param {*} weight - Raw weight
+     * @returns {number}
+     */
+    normalizeWeight(weight) {
+
+        const value = parseFloat(weight);
+        return Number.isFinite(value) && value > 0 ? value : 1;
+    }
+
+    /**
+     * Format documents as clearly delimited sources for prompts
+     * @param {Array<Object>} documents - Documents from getDocuments()
+     * @returns {string} - Source blocks, each opened and closed with its tag
+     */
+    formatSources(documents) {
+
+        const totalWeight = documents.reduce(function addWeight(sum, doc) { return sum + doc.weight; }, 0);
+        const showWeights = documents.length > 1;
+
+        return documents.map(function formatSource(doc) {
+            const share = Math.round((doc.weight / totalWeight) * 100);
+            const emphasis = showWeights ? ` (weight ${doc.weight}, ~${share}% of coverage)` : '';
+            return `=== SOURCE [${doc.id}]: ${doc.name}${emphasis} ===\n${doc.content.trim()}\n=== END SOURCE [${doc.id}] ===`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Get the formatted sources for stored data
+     * @param {Object} data - Contents of the 'data' storage key
+     * @returns {string} - Formatted sources ('' if there are none)
+     */
+    getSourcesText(data) {
+
+        return this.formatSources(this.getDocuments(data));
+    }
+}
+
+export default SourceDocuments;
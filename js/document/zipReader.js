@@ -0,0 +1,135 @@
+// Podcastinator App - ZIP Reader
+
+/**
+ * Decompress data with the platform DecompressionStream (browser and Node 18+)
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} format - 'deflate' (zlib, used by PDF) or 'deflate-raw' (used by ZIP)
+ * @returns {Promise<Uint8Array>} - Decompressed bytes
+ */
+export async function inflate(bytes, format = 'deflate-raw') {
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Minimal ZIP archive reader for DOCX and EPUB containers.
+ * Supports stored and deflated entries (no ZIP64, no encryption).
+ */
+class ZipReader {
+    /**
+     * Open an archive
+     * @param {ArrayBuffer|Uint8Array} data - Archive bytes
+     */
+    constructor(data) {
+
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.entries = this.readCentralDirectory();
+    }
+
+    /**
+     * Read the central directory into a map of entry name -> entry info
+     * @returns {Map<string, Object>}
+     */
+    readCentralDirectory() {
+
+        // The end of central directory record sits in the last 22 bytes plus an optional comment (max 64 KB)
+        const minOffset = Math.max(0, this.bytes.length - 22 - 0xFFFF);
+        let eocd = -1;
+        for (let offset = this.bytes.length - 22; offset >= minOffset; offset--) {
+            if (this.view.getUint32(offset, true) === 0x06054b50) {
+                eocd = offset;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Invalid archive: end of central directory not found');
+        }
+
+        const count = this.view.getUint16(eocd + 10, true);
+        let offset = this.view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > this.bytes.length || this.view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Invalid archive: corrupt central directory');
+            }
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            entries.set(name, {
+                name: name,
+                method: this.view.getUint16(offset + 10, true),
+                compressedSize: this.view.getUint32(offset + 20, true),
+                size: this.view.getUint32(offset + 24, true),
+                localOffset: this.view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Check whether an entry exists
+     * @param {string} name - Entry path
+     * @returns {boolean}
+     */
+    hasEntry(name) {
+
+        return this.entries.has(name);
+    }
+
+    /**
+     * Get all entry paths
+     * @returns {Array<string>}
+     */
+    getEntryNames() {
+
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Read an entry's uncompressed bytes
+     * @param {string} name - Entry path
+     * @returns {Promise<Uint8Array>}
+     */
+    async readBytes(name) {
+
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Archive entry not found: ${name}`);
+        }
+
+        const offset = entry.localOffset;
+        if (this.view.getUint32(offset, true) !== 0x04034b50) {
+            throw new Error(`Invalid archive: corrupt local header for ${name}`);
+        }
+        const dataStart = offset + 30 + this.view.getUint16(offset + 26, true) + this.view.getUint16(offset + 28, true);
+        const compressed = this.bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return compressed;
+        }
+        if (entry.method === 8) {
+            return await inflate(compressed, 'deflate-raw');
+        }
+        throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+    }
+
+    /**
+     * Read an entry as UTF-8 text
+     * @param {string} name - Entry path
+     * @returns {Promise<string>}
+     */
+    async readText(name) {
+
+        return new TextDecoder('utf-8').decode(await this.readBytes(name));
+    }
+}
+
+export default ZipReader;
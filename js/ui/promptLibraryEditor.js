@@ -0,0 +1,147 @@
+// Podcastinator App - Prompt Library Editor
+import NotificationsManager from './notifications.js';
+import PromptLibrary from '../content/promptLibrary.js';
+
+/**
+ * Edits the project's prompt overrides: pick a prompt, edit its template,
+ * save it as a new version, restore an earlier version or go back to the built-in prompt
+ */
+class PromptLibraryEditor {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.promptLibrary = new PromptLibrary(storageManager);
+        this.notifications = new NotificationsManager();
+    }
+
+    /**
+     * Initialize the editor
+     */
+    init() {
+
+        this.promptSelect = document.getElementById('prompt-id');
+        this.templateTextarea = document.getElementById('prompt-template');
+        this.placeholdersLabel = document.getElementById('prompt-placeholders');
+        this.versionSelect = document.getElementById('prompt-version');
+        this.saveButton = document.getElementById('save-prompt');
+        this.resetButton = document.getElementById('reset-prompt');
+        this.restoreButton = document.getElementById('restore-prompt');
+
+        if (!this.promptSelect || !this.templateTextarea) {
+            return;
+        }
+
+        this.promptSelect.addEventListener('change', this.refresh.bind(this));
+        if (this.saveButton) {
+            this.saveButton.addEventListener('click', this.handleSave.bind(this));
+        }
+        if (this.resetButton) {
+            this.resetButton.addEventListener('click', this.handleReset.bind(this));
+        }
+        if (this.restoreButton) {
+            this.restoreButton.addEventListener('click', this.handleRestore.bind(this));
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Re-read the library and show the selected prompt (e.g. after a configuration was loaded)
+     */
+    refresh() {
+
+        if (!this.promptSelect) {
+            return;
+        }
+
+        const selectedId = this.promptSelect.value;
+        const prompts = this.promptLibrary.listPrompts();
+        this.promptSelect.innerHTML = '';
+        prompts.forEach(function addPromptOption(prompt) {
+            const option = document.createElement('option');
+            option.value = prompt.id;
+            option.textContent = `${prompt.description}${prompt.overridden ? ` (custom v${prompt.version})` : ''}`;
+            this.promptSelect.appendChild(option);
+        }, this);
+        this.promptSelect.value = selectedId || prompts[0].id;
+
+        const prompt = prompts.find(function isSelected(item) { return item.id === this.promptSelect.value; }, this);
+        const override = this.promptLibrary.getOverrides()[prompt.id];
+        this.templateTextarea.value = override && typeof override.template === 'string' ? override.template : '';
+        if (this.placeholdersLabel) {
+            this.placeholdersLabel.textContent = `Template (placeholders: ${this.promptLibrary.formatPlaceholders(prompt.placeholders)}):`;
+        }
+        this.renderVersions(override);
+    }
+
+    /**
+     * List the stored versions of the selected prompt, newest first
+     * @param {Object} override - Stored override or undefined
+     */
+    renderVersions(override) {
+
+        if (!this.versionSelect) {
+            return;
+        }
+
+        this.versionSelect.innerHTML = '';
+        const versions = override ? override.history.concat([override]) : [];
+        versions.slice().reverse().forEach(function addVersionOption(entry) {
+            const option = document.createElement('option');
+            option.value = String(entry.version);
+            const state = entry.template === null ? 'built-in' : `${entry.template.length} chars`;
+            option.textContent = `v${entry.version}${entry === override ? ' (current)' : ''}: ${state}, ${new Date(entry.updatedAt).toLocaleString()}`;
+            this.versionSelect.appendChild(option);
+        }, this);
+        this.versionSelect.disabled = versions.length === 0;
+        if (this.restoreButton) {
+            this.restoreButton.disabled = versions.length < 2;
+        }
+    }
+
+    /**
+     * Save the template as a new version; an empty template goes back to the built-in prompt
+     */
+    handleSave() {
+
+        const id = this.promptSelect.value;
+        try {
+            if (this.templateTextarea.value.trim()) {
+                const override = this.promptLibrary.setOverride(id, this.templateTextarea.value);
+                this.notifications.showSuccess(`Prompt saved as version ${override.version}.`);
+            } else {
+                this.promptLibrary.resetOverride(id);
+                this.notifications.showSuccess('Prompt reset to the built-in version.');
+            }
+            this.refresh();
+        } catch (error) {
+            this.notifications.showError(error.message);
+        }
+    }
+
+    /**
+     * Go back to the built-in prompt
+     */
+    handleReset() {
+
+        this.promptLibrary.resetOverride(this.promptSelect.value);
+        this.refresh();
+        this.notifications.showSuccess('Prompt reset to the built-in version.');
+    }
+
+    /**
+     * Make the selected version current again
+     */
+    handleRestore() {
+
+        const version = parseInt(this.versionSelect.value, 10);
+        try {
+            const override = this.promptLibrary.restoreVersion(this.promptSelect.value, version);
+            this.refresh();
+            this.notifications.showSuccess(`Version ${version} restored as version ${override.version}.`);
+        } catch (error) {
+            this.notifications.showError(error.message);
+        }
+    }
+}
+
+export default PromptLibraryEditor;
@@ -0,0 +1,346 @@
+// Podcastinator App - Cost Estimator
+import ModelCatalog from '../utils/modelCatalog.js';
+import DocumentPreparer from '../content/documentPreparer.js';
+import OutlineFormat from '../content/outlineFormat.js';
+
+// Speaking rate the outline and script prompts plan with
+const WORDS_PER_MINUTE = 160;
+
+// Token and character sizes of generated text
+const TOKENS_PER_WORD = 1.35;
+const CHARS_PER_WORD = 6;
+const WORDS_PER_TURN = 45;
+
+// Prompt sizes beyond the sources and the text under review (instructions, cast, examples)
+const PROMPT_TOKENS = 1800;
+const CONTEXT_TOKENS = 700; // previous exchanges and section summaries in a section prompt
+const SHORT_PROMPT_TOKENS = 300; // digest and summary instructions
+
+// Answer sizes
+const OUTLINE_TOKENS_PER_SECTION = 250;
+const REVIEW_TOKENS = 800;
+const SUMMARY_TOKENS = 250;
+const DIGEST_TOKENS = 330;
+
+// Review rounds of the outline, section and cross-section loops (each round after the first follows an edit)
+const MAX_REVIEW_ROUNDS = 3;
+
+// Sections when there is no outline yet: about one per 5 minutes, at most 10 minutes each
+const MINUTES_PER_SECTION = 5;
+const MAX_SECTION_MINUTES = 10;
+
+// Request timing: latency per request, prompt processing and generation speed
+const REQUEST_SECONDS = 2;
+const INPUT_TOKENS_PER_SECOND = 4000;
+const OUTPUT_TOKENS_PER_SECOND = 50;
+const TTS_REQUEST_SECONDS = 1.5;
+const TTS_REALTIME_FACTOR = 6; // seconds of speech synthesized per second
+
+// Scenarios: how many review rounds each loop needs, how far the script strays from the target
+// length and how many hidden reasoning tokens reasoning models spend per answer token
+const SCENARIOS = {
+    min: { reviewRounds: 1, lengthFactor: 0.9, reasoningFactor: 1 },
+    expected: { reviewRounds: 2, lengthFactor: 1, reasoningFactor: 1.5 },
+    max: { reviewRounds: MAX_REVIEW_ROUNDS, lengthFactor: 1.15, reasoningFactor: 2.5 }
+};
+
+const STAGES = ['outline', 'script', 'audio'];
+
+/**
+ * Estimates the cost and running time of the outline, script and audio stages before they run.
+ *
+ * Costs come from the ModelCatalog prices of the selected models (models the mock provider serves
+ * are free, as in the usage ledger); token counts are derived from
+ * the source size (or its digest when the sources do not fit the model context), the target
+ * duration at 160 words per minute, the number of outline sections and the verify/improve loops.
+ * Each figure is given as { min, expected, max }:
+ * - min: every review passes on the first round and the script comes out 10% short
+ * - expected: one edit per review loop
+ * - max: every loop runs to its ceiling and the script runs 15% long
+ * An existing outline fixes the sections and an existing script fixes the audio length, unless a
+ * different duration is requested (the run then writes a new outline and script).
+ */
+class CostEstimator {
+    constructor(storageManager, apiManager = null) {
+        this.storageManager = storageManager;
+        this.apiManager = apiManager;
+        this.modelCatalog = new ModelCatalog();
+        this.documentPreparer = new DocumentPreparer(null, storageManager);
+        this.outlineFormat = new OutlineFormat();
+    }
+
+    /**
+     * Estimate all stages from the stored project
+     * @param {Object} options - Overrides of the stored settings
+     * @param {number} options.duration - Target duration in minutes
+     * @param {number} options.ttsConcurrency - Parallel TTS requests
+     * @returns {Object} - { stages: { outline, script, audio }, total, duration, sections, words, fromOutline,
+     *   fromScript, unpricedModels } where each stage and the total are { requests, cost, seconds } of { min, expected, max }
+     */
+    estimate(options = {}) {
+
+        const inputs = this.collectInputs(options);
+        const estimate = {
+            stages: {},
+            total: { requests: this.createRange(), cost: this.createRange(), seconds: this.createRange() },
+            duration: inputs.duration,
+            sections: inputs.sections.length,
+            words: Math.round(inputs.words),
+            fromOutline: inputs.fromOutline,
+            fromScript: !!inputs.script,
+            unpricedModels: []
+        };
+        STAGES.forEach(function createStage(stage) {
+            estimate.stages[stage] = { requests: this.createRange(), cost: this.createRange(), seconds: this.createRange() };
+        }, this);
+
+        Object.keys(SCENARIOS).forEach(function estimateScenario(name) {
+            const tally = this.createTally();
+            this.estimateOutline(tally.outline, inputs, SCENARIOS[name]);
+            this.estimateScript(tally.script, inputs, SCENARIOS[name]);
+            this.estimateAudio(tally.audio, inputs, SCENARIOS[name]);
+
+            STAGES.forEach(function addStage(stage) {
+                ['requests', 'cost', 'seconds'].forEach(function addField(field) {
+                    estimate.stages[stage][field][name] = tally[stage][field];
+                    estimate.total[field][name] += tally[stage][field];
+                });
+                tally[stage].unpriced.forEach(function addUnpriced(modelId) {
+                    if (estimate.unpricedModels.indexOf(modelId) === -1) {
+                        estimate.unpricedModels.push(modelId);
+                    }
+                });
+            });
+        }, this);
+
+        return estimate;
+    }
+
+    /**
+     * Gather what the estimate depends on from storage
+     * @param {Object} options - Overrides (duration, ttsConcurrency)
+     * @returns {Object} - Models, source plan, sections (and whether they come from the stored outline), words and script details
+     */
+    collectInputs(options) {
+
+        const data = this.storageManager.load('data', {}) || {};
+        const outlineData = this.storageManager.load('outlineData', {}) || {};
+        const scriptData = this.storageManager.load('scriptData', {}) || {};
+        const audioData = this.storageManager.load('audioData', {}) || {};
+        const models = { ...(data.models || {}) };
+        ['outline', 'outlineVerify', 'script', 'scriptVerify', 'tts'].forEach(function fillModel(role) {
+            if (!models[role]) {
+                models[role] = this.modelCatalog.getDefaultModel(role);
+            }
+        }, this);
+
+        const apiData = { models: models };
+        const plan = this.documentPreparer.planDocument(data, apiData);
+        const requestedDuration = parseFloat(options.duration) || 0;
+        const outlineSections = outlineData.outline && outlineData.outline.trim()
+            ? this.outlineFormat.parseSections(outlineData.outline).map(function toSection(section) { return { durationMinutes: section.durationMinutes || 0 }; })
+            : [];
+        const outlineMinutes = outlineSections.reduce(function addMinutes(sum, section) { return sum + section.durationMinutes; }, 0);
+
+        // The stored outline and script only apply to the duration the outline was written for;
+        // a different requested duration means the run writes new ones
+        const useStored = !requestedDuration || !outlineMinutes || Math.abs(outlineMinutes - requestedDuration) < 0.01;
+        const duration = requestedDuration || (useStored && outlineMinutes) || parseFloat(outlineData.podcastDuration) || 30;
+
+        // An existing outline fixes the sections; otherwise split the target duration evenly
+        const fromOutline = useStored && outlineSections.length > 0;
+        let sections = outlineSections;
+        if (!fromOutline) {
+            const count = Math.max(3, Math.round(duration / MINUTES_PER_SECTION), Math.ceil(duration / MAX_SECTION_MINUTES));
+            sections = Array.from({ length: count }, function createSection() { return { durationMinutes: duration / count }; });
+        }
+        const sectionMinutes = sections.reduce(function addMinutes(sum, section) { return sum + section.durationMinutes; }, 0) || duration;
+
+        const script = useStored && scriptData.script && scriptData.script.trim() ? scriptData.script : '';
+        const turnPattern = /^[^\S\n]*[A-Z][A-Z0-9 ]{0,30}:/gm;
+
+        return {
+            models: models,
+            document: this.documentPreparer.estimatePlan(plan),
+            duration: duration,
+            sections: sections,
+            fromOutline: fromOutline,
+            words: sectionMinutes * WORDS_PER_MINUTE,
+            script: script ? {
+                chars: script.replace(turnPattern, '').replace(/\s+/g, ' ').trim().length,
+                turns: (script.match(turnPattern) || []).length
+            } : null,
+            ttsConcurrency: Math.max(1, parseInt(options.ttsConcurrency, 10) || audioData.ttsConcurrency || 4)
+        };
+    }
+
+    /**
+     * Outline stage: source digests (long sources only), generation and the review/edit loop
+     * @param {Object} stage - Stage tally
+     * @param {Object} inputs - Inputs from collectInputs()
+     * @param {Object} scenario - Scenario settings
+     */
+    estimateOutline(stage, inputs, scenario) {
+
+        const models = inputs.models;
+        const doc = inputs.document;
+        const outlineTokens = inputs.sections.length * OUTLINE_TOKENS_PER_SECTION;
+        const edits = scenario.reviewRounds - 1;
+
+        this.addRequests(stage, models.outline, doc.digestCalls, SHORT_PROMPT_TOKENS + doc.chunkTokens, DIGEST_TOKENS, scenario);
+        this.addRequests(stage, models.outline, doc.mergeCalls, SHORT_PROMPT_TOKENS + 4 * DIGEST_TOKENS, DIGEST_TOKENS, scenario);
+        this.addRequests(stage, models.outline, 1, PROMPT_TOKENS + doc.reviewTokens, outlineTokens, scenario);
+        this.addRequests(stage, models.outlineVerify, scenario.reviewRounds, PROMPT_TOKENS + doc.reviewTokens + outlineTokens, REVIEW_TOKENS, scenario);
+        this.addRequests(stage, models.outline, edits, 2 * PROMPT_TOKENS + doc.reviewTokens + outlineTokens + REVIEW_TOKENS, outlineTokens, scenario);
+    }
+
+    /**
+     * Script stage: per section generation, summary and review/edit loop, then the cross-section loop
+     * @param {Object} stage - Stage tally
+     * @param {Object} inputs - Inputs from collectInputs()
+     * @param {Object} scenario - Scenario settings
+     */
+    estimateScript(stage, inputs, scenario) {
+
+        const models = inputs.models;
+        const doc = inputs.document;
+        const edits = scenario.reviewRounds - 1;
+        const scriptTokens = inputs.words * scenario.lengthFactor * TOKENS_PER_WORD;
+        const outlineTokens = inputs.sections.length * OUTLINE_TOKENS_PER_SECTION;
+
+        inputs.sections.forEach(function estimateSection(section, index) {
+            const sectionTokens = section.durationMinutes * WORDS_PER_MINUTE * scenario.lengthFactor * TOKENS_PER_WORD;
+            const previousTokens = index > 0 ? inputs.sections[index - 1].durationMinutes * WORDS_PER_MINUTE * TOKENS_PER_WORD : 0;
+
+            this.addRequests(stage, models.script, 1, PROMPT_TOKENS + doc.sectionTokens + CONTEXT_TOKENS + OUTLINE_TOKENS_PER_SECTION, sectionTokens, scenario);
+            this.addRequests(stage, models.outline, 1, SHORT_PROMPT_TOKENS + sectionTokens, SUMMARY_TOKENS, scenario);
+            this.addRequests(stage, models.scriptVerify, scenario.reviewRounds, PROMPT_TOKENS + doc.sectionTokens + sectionTokens + previousTokens, REVIEW_TOKENS, scenario);
+            this.addRequests(stage, models.script, edits, PROMPT_TOKENS + doc.sectionTokens + sectionTokens + REVIEW_TOKENS, sectionTokens, scenario);
+        }, this);
+
+        this.addRequests(stage, models.scriptVerify, scenario.reviewRounds, PROMPT_TOKENS + doc.reviewTokens + scriptTokens + outlineTokens, REVIEW_TOKENS, scenario);
+        this.addRequests(stage, models.script, edits, PROMPT_TOKENS + doc.reviewTokens + scriptTokens + outlineTokens + REVIEW_TOKENS, scriptTokens, scenario);
+    }
+
+    /**
+     * Audio stage: one TTS request per speaker turn, run in parallel
+     * @param {Object} stage - Stage tally
+     * @param {Object} inputs - Inputs from collectInputs()
+     * @param {Object} scenario - Scenario settings
+     */
+    estimateAudio(stage, inputs, scenario) {
+
+        const words = inputs.script ? inputs.script.chars / CHARS_PER_WORD : inputs.words * scenario.lengthFactor;
+        const chars = inputs.script ? inputs.script.chars : words * CHARS_PER_WORD;
+        const turns = (inputs.script && inputs.script.turns) || Math.max(1, Math.ceil(words / WORDS_PER_TURN));
+        const meta = this.modelCatalog.getModel(inputs.models.tts);
+        const free = this.isFreeModel(inputs.models.tts);
+
+        if (!free && (!meta || !meta.costPer1kChars)) {
+            stage.unpriced.push(inputs.models.tts);
+        }
+        const speechSeconds = words / WORDS_PER_MINUTE * 60;
+        const batches = Math.ceil(turns / inputs.ttsConcurrency);
+
+        stage.requests += turns;
+        stage.cost += meta && !free ? chars / 1000 * (meta.costPer1kChars || 0) : 0;
+        stage.seconds += batches * TTS_REQUEST_SECONDS + speechSeconds / TTS_REALTIME_FACTOR / inputs.ttsConcurrency;
+    }
+
+    /**
+     * Add sequential chat requests to a stage
+     * @param {Object} stage - Stage tally
+     * @param {string} modelId - Model used
+     * @param {number} count - Number of requests
+     * @param {number} inputTokens - Prompt tokens per request
+     * @param {number} outputTokens - Answer tokens per request
+     * @param {Object} scenario - Scenario settings
+     */
+    addRequests(stage, modelId, count, inputTokens, outputTokens, scenario) {
+
+        if (count <= 0) {
+            return;
+        }
+        const meta = this.modelCatalog.getModel(modelId);
+        const free = this.isFreeModel(modelId);
+        if (!free && (!meta || (!meta.costPer1kInput && !meta.costPer1kOutput)) && stage.unpriced.indexOf(modelId) === -1) {
+            stage.unpriced.push(modelId);
+        }
+        const billedOutput = outputTokens * (meta && meta.supportsReasoning ? scenario.reasoningFactor : 1);
+
+        stage.requests += count;
+        if (meta && !free) {
+            stage.cost += count * (inputTokens / 1000 * (meta.costPer1kInput || 0) + billedOutput / 1000 * (meta.costPer1kOutput || 0));
+        }
+        stage.seconds += count * (REQUEST_SECONDS + inputTokens / INPUT_TOKENS_PER_SECOND + billedOutput / OUTPUT_TOKENS_PER_SECOND);
+    }
+
+    /**
+     * Check whether a model's requests cost nothing: the serving provider is the mock provider
+     * @param {string} modelId - Model identifier
+     * @returns {boolean}
+     */
+    isFreeModel(modelId) {
+
+        return !!this.apiManager && this.apiManager.isMockModel(modelId);
+    }
+
+    /**
+     * Create an empty per-scenario tally of every stage
+     * @returns {Object}
+     */
+    createTally() {
+
+        const tally = {};
+        STAGES.forEach(function createStageTally(stage) {
+            tally[stage] = { requests: 0, cost: 0, seconds: 0, unpriced: [] };
+        });
+        return tally;
+    }
+
+    /**
+     * Create an empty { min, expected, max } range
+     * @returns {Object}
+     */
+    createRange() {
+
+        return { min: 0, expected: 0, max: 0 };
+    }
+
+    /**
+     * Format a cost in dollars
+     * @param {number} cost - Cost in dollars
+     * @returns {string}
+     */
+    formatCost(cost) {
+
+        return `$${cost.toFixed(cost < 1 ? 3 : 2)}`;
+    }
+
+    /**
+     * Format a running time as m:ss, or h:mm:ss from an hour on
+     * @param {number} seconds - Time in seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+
+    /**
+     * One-line summary of a stage or total: expected cost and time with their ranges
+     * @param {Object} figures - { cost, seconds } ranges
+     * @returns {string}
+     */
+    formatSummary(figures) {
+
+        return `${this.formatCost(figures.cost.expected)} (${this.formatCost(figures.cost.min)}–${this.formatCost(figures.cost.max)}), ` +
+            `~${this.formatDuration(figures.seconds.expected)} (${this.formatDuration(figures.seconds.min)}–${this.formatDuration(figures.seconds.max)})`;
+    }
+}
+
+export default CostEstimator;
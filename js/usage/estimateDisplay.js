@@ -0,0 +1,89 @@
+// Podcastinator App - Estimate Display
+import CostEstimator from './costEstimator.js';
+
+// Wait after the last edit before estimating again
+const REFRESH_DELAY_MS = 300;
+
+/**
+ * Shows the estimated cost and time of the outline, script and audio stages next to their
+ * generate buttons, refreshed whenever settings, sources or generated content change
+ */
+class EstimateDisplay {
+    constructor(storageManager, apiManager) {
+        this.storageManager = storageManager;
+        this.costEstimator = new CostEstimator(storageManager, apiManager);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Initialize the display
+     */
+    init() {
+
+        this.elements = {
+            outline: document.getElementById('outline-estimate'),
+            script: document.getElementById('script-estimate'),
+            audio: document.getElementById('audio-estimate')
+        };
+
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    /**
+     * Refresh on input changes, on content state changes and right before a stage is started
+     */
+    setupEventListeners() {
+
+        const scheduleRefresh = this.scheduleRefresh.bind(this);
+        document.addEventListener('change', scheduleRefresh);
+        document.addEventListener('input', scheduleRefresh);
+        document.addEventListener('contentStateChanged', scheduleRefresh);
+
+        ['generate-outline', 'generate-script', 'generate-audio'].forEach(function watchButton(id) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('mouseenter', this.refresh.bind(this));
+                button.addEventListener('focus', this.refresh.bind(this));
+            }
+        }, this);
+    }
+
+    /**
+     * Refresh once edits have paused
+     */
+    scheduleRefresh() {
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(this.refresh.bind(this), REFRESH_DELAY_MS);
+    }
+
+    /**
+     * Estimate from the stored project and show every stage
+     */
+    refresh() {
+
+        clearTimeout(this.refreshTimer);
+        let estimate;
+        try {
+            estimate = this.costEstimator.estimate();
+        } catch (error) {
+            console.warn('Cost estimate failed:', error);
+            return;
+        }
+
+        Object.keys(this.elements).forEach(function showStage(stage) {
+            const element = this.elements[stage];
+            if (!element) {
+                return;
+            }
+            const figures = estimate.stages[stage];
+            element.textContent = `Estimate: ${this.costEstimator.formatSummary(figures)}`;
+            element.title = `${figures.requests.min === figures.requests.max ? figures.requests.expected : `${figures.requests.min}–${figures.requests.max}`} requests` +
+                ` for a ${estimate.duration}-minute episode in ${estimate.sections} sections` +
+                (estimate.unpricedModels.length ? `; no price known for ${estimate.unpricedModels.join(', ')}` : '');
+        }, this);
+    }
+}
+
+export default EstimateDisplay;
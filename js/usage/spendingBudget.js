@@ -0,0 +1,346 @@
+// Podcastinator App - Spending Budget
+import NotificationsManager from '../ui/notifications.js';
+import ModelCatalog from '../utils/modelCatalog.js';
+
+// Default share of a cap at which a warning is shown
+const DEFAULT_WARN_AT = 0.8;
+
+// Rough characters per token when estimating a request before it is sent
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Per-run and per-day spending caps checked before every chat completion and speech request.
+ * Spend is priced with the costs edited in the usage drawer (catalog prices otherwise); a warning is
+ * shown once a cap is mostly used, and reaching a cap notifies the generators so they cancel cleanly.
+ * Requests sent side by side (speech segments) reserve their cost until they are recorded, so together
+ * they cannot go over a cap. A limit of 0 means no cap.
+ */
+class SpendingBudget {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.notifications = new NotificationsManager();
+        this.modelCatalog = new ModelCatalog();
+        this.listeners = [];
+        this.reservedCost = 0;
+
+        const savedLimits = this.storageManager.load('budgetData', {}) || {};
+        this.limits = {
+            maxRunCost: savedLimits.maxRunCost || 0,
+            maxDailyCost: savedLimits.maxDailyCost || 0,
+            warnAt: savedLimits.warnAt || DEFAULT_WARN_AT
+        };
+
+        this.startRun();
+    }
+
+    /**
+     * Current limits
+     * @returns {Object} - { maxRunCost, maxDailyCost, warnAt }
+     */
+    getLimits() {
+
+        return { ...this.limits };
+    }
+
+    /**
+     * Update and store the limits
+     * @param {Object} limits - Any of { maxRunCost, maxDailyCost, warnAt }; costs in USD, warnAt as a share (0-1)
+     */
+    setLimits(limits = {}) {
+
+        ['maxRunCost', 'maxDailyCost'].forEach(function applyLimit(key) {
+            if (limits[key] === undefined || limits[key] === null || limits[key] === '') {
+                return;
+            }
+            const value = Number(limits[key]);
+            if (!isFinite(value) || value < 0) {
+                throw new Error(`${key} must be a cost in USD (0 for no cap)`);
+            }
+            this.limits[key] = value;
+        }, this);
+
+        if (limits.warnAt !== undefined && limits.warnAt !== null && limits.warnAt !== '') {
+            const warnAt = Number(limits.warnAt);
+            if (!isFinite(warnAt) || warnAt <= 0 || warnAt > 1) {
+                throw new Error('warnAt must be a share of the cap between 0 and 1');
+            }
+            this.limits.warnAt = warnAt;
+        }
+
+        this.storageManager.save('budgetData', this.limits);
+        this.refused = false;
+    }
+
+    /**
+     * Start a new run: the run spend goes back to zero (the daily spend is kept)
+     */
+    startRun() {
+
+        this.runCost = 0;
+        this.refused = false;
+        this.warned = { run: false, day: false };
+    }
+
+    /**
+     * Spend of the current run and of today
+     * @returns {Object} - { runCost, dailyCost, exceeded }
+     */
+    getSpend() {
+
+        return {
+            runCost: this.runCost,
+            dailyCost: this.getDailyCost(),
+            exceeded: this.isExceeded()
+        };
+    }
+
+    /**
+     * Spend recorded today (local date)
+     * @returns {number} - Cost in USD
+     */
+    getDailyCost() {
+
+        const spendData = this.storageManager.load('spendData', {}) || {};
+        return spendData.day === this.getToday() ? (spendData.cost || 0) : 0;
+    }
+
+    /**
+     * Whether a cap has been reached or a request was refused in this run
+     * @returns {boolean} - True when no more requests should be sent
+     */
+    isExceeded() {
+
+        return this.refused ||
+            (this.limits.maxRunCost > 0 && this.runCost >= this.limits.maxRunCost) ||
+            (this.limits.maxDailyCost > 0 && this.getDailyCost() >= this.limits.maxDailyCost);
+    }
+
+    /**
+     * Register a callback for when a cap is reached
+     * @param {Function} callback - Called with the budget error
+     */
+    onExceeded(callback) {
+
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Estimate the cost a chat completion will at least have: its prompt plus its token limit, if any
+     * @param {Object} requestBody - Chat completion request body
+     * @returns {number} - Cost in USD
+     */
+    estimateChatCost(requestBody) {
+
+        const outputTokens = requestBody.max_completion_tokens || requestBody.max_tokens || 0;
+        return this.getTokenCost(requestBody.model, this.estimateTokens(JSON.stringify(requestBody.messages || [])), outputTokens);
+    }
+
+    /**
+     * Estimate the usage of a chat completion whose server did not report it (a stream without include_usage)
+     * @param {Object} requestBody - Chat completion request body
+     * @param {string} content - Text of the answer
+     * @returns {Object} - { prompt_tokens, completion_tokens }
+     */
+    estimateChatUsage(requestBody, content) {
+
+        return {
+            prompt_tokens: this.estimateTokens(JSON.stringify(requestBody.messages || [])),
+            completion_tokens: this.estimateTokens(content)
+        };
+    }
+
+    /**
+     * Rough token count of a text
+     * @param {string} text - Text
+     * @returns {number} - Tokens
+     */
+    estimateTokens(text) {
+
+        return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Cost of a chat completion
+     * @param {string} model - Model identifier
+     * @param {number} inputTokens - Input tokens
+     * @param {number} outputTokens - Output tokens
+     * @returns {number} - Cost in USD
+     */
+    getTokenCost(model, inputTokens, outputTokens) {
+
+        const price = this.getPrice(model) || {};
+        return (inputTokens || 0) / 1000 * (price.input || 0) + (outputTokens || 0) / 1000 * (price.output || 0);
+    }
+
+    /**
+     * Cost of a speech request
+     * @param {string} model - TTS model identifier
+     * @param {number} characters - Characters of input text
+     * @returns {number} - Cost in USD
+     */
+    getSpeechCost(model, characters) {
+
+        const price = this.getPrice(model);
+        return (characters || 0) / 1000 * (typeof price === 'number' ? price : 0);
+    }
+
+    /**
+     * Price of a model as edited in the usage drawer, else from the catalog
+     * @param {string} model - Model identifier
+     * @returns {Object|number|undefined} - { input, output } per 1K tokens, or per 1K characters for TTS models
+     */
+    getPrice(model) {
+
+        const savedCosts = this.storageManager.load('costData', {}) || {};
+        if (savedCosts.costs && savedCosts.costs[model] !== undefined) {
+            return savedCosts.costs[model];
+        }
+
+        const meta = this.modelCatalog.getModel(model);
+        if (!meta) {
+            return undefined;
+        }
+        return meta.category === 'tts'
+            ? meta.costPer1kChars || 0
+            : { input: meta.costPer1kInput || 0, output: meta.costPer1kOutput || 0 };
+    }
+
+    /**
+     * Refuse a request that would go over a cap
+     * @param {number} cost - Known cost of the request in USD
+     * @throws {Error} - With status 'BUDGET_EXCEEDED' when a cap is reached or would be exceeded
+     */
+    checkRequest(cost) {
+
+        const dailyCost = this.getDailyCost();
+        let message = '';
+        if (this.limits.maxRunCost > 0 && this.runCost + this.reservedCost + cost > this.limits.maxRunCost) {
+            message = `Run budget of ${this.formatCost(this.limits.maxRunCost)} reached (${this.formatCost(this.runCost)} spent)`;
+        } else if (this.limits.maxDailyCost > 0 && dailyCost + this.reservedCost + cost > this.limits.maxDailyCost) {
+            message = `Daily budget of ${this.formatCost(this.limits.maxDailyCost)} reached (${this.formatCost(dailyCost)} spent today)`;
+        } else if (this.refused) {
+            message = 'Budget reached earlier in this run';
+        }
+
+        if (message) {
+            const alreadyRefused = this.refused;
+            this.refused = true;
+            const error = this.createError(message);
+            if (!alreadyRefused) {
+                this.notifyExceeded(error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Refuse a request that would go over a cap, else hold its cost until release() while it is in flight
+     * @param {number} cost - Known cost of the request in USD
+     * @throws {Error} - With status 'BUDGET_EXCEEDED' when a cap is reached or would be exceeded
+     */
+    reserve(cost) {
+
+        this.checkRequest(cost);
+        this.reservedCost += cost;
+    }
+
+    /**
+     * Give back a cost held by reserve() once its request is recorded or has failed
+     * @param {number} cost - Reserved cost in USD
+     */
+    release(cost) {
+
+        this.reservedCost = Math.max(0, this.reservedCost - (cost || 0));
+    }
+
+    /**
+     * Add the cost of a completed request to the run and daily spend
+     * @param {number} cost - Cost in USD
+     */
+    recordSpend(cost) {
+
+        if (!cost) {
+            return;
+        }
+
+        const today = this.getToday();
+        const dailyCost = this.getDailyCost() + cost;
+        this.storageManager.save('spendData', { day: today, cost: dailyCost });
+        this.runCost += cost;
+
+        this.checkThreshold('run', this.runCost, this.limits.maxRunCost);
+        this.checkThreshold('day', dailyCost, this.limits.maxDailyCost);
+
+        if (!this.refused && this.isExceeded()) {
+            this.refused = true;
+            const message = this.limits.maxRunCost > 0 && this.runCost >= this.limits.maxRunCost
+                ? `Run budget of ${this.formatCost(this.limits.maxRunCost)} reached (${this.formatCost(this.runCost)} spent)`
+                : `Daily budget of ${this.formatCost(this.limits.maxDailyCost)} reached (${this.formatCost(dailyCost)} spent today)`;
+            this.notifyExceeded(this.createError(message));
+        }
+    }
+
+    /**
+     * Warn once per run (or day) when the spend passes the warning share of a cap
+     * @param {string} scope - 'run' or 'day'
+     * @param {number} spent - Spend in USD
+     * @param {number} cap - Cap in USD (0 for none)
+     */
+    checkThreshold(scope, spent, cap) {
+
+        if (!cap || this.warned[scope] || spent < cap * this.limits.warnAt || spent >= cap) {
+            return;
+        }
+        this.warned[scope] = true;
+        const label = scope === 'run' ? 'this run' : 'today';
+        this.notifications.showInfo(`Budget warning: ${this.formatCost(spent)} of ${this.formatCost(cap)} spent ${label}.`);
+    }
+
+    /**
+     * Tell the generators to stop and the user why
+     * @param {Error} error - Budget error
+     */
+    notifyExceeded(error) {
+
+        this.notifications.showError(`${error.message}. Generation stopped.`);
+        this.listeners.forEach(function notifyListener(callback) {
+            callback(error);
+        });
+    }
+
+    /**
+     * Build a budget error
+     * @param {string} message - Error message
+     * @returns {Error} - Error with status 'BUDGET_EXCEEDED'
+     */
+    createError(message) {
+
+        const error = new Error(message);
+        error.status = 'BUDGET_EXCEEDED';
+        return error;
+    }
+
+    /**
+     * Local date used to reset the daily spend
+     * @returns {string} - YYYY-MM-DD
+     */
+    getToday() {
+
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Format a cost in USD
+     * @param {number} cost - Cost in USD
+     * @returns {string} - e.g. '$0.42'
+     */
+    formatCost(cost) {
+
+        return `$${cost.toFixed(cost < 1 ? 3 : 2)}`;
+    }
+}
+
+export default SpendingBudget;
@@ -109,6 +109,46 @@ class UsageCounter {
             </tfoot>
         `;
         
+        // Create spending budget settings
+        const budget = document.createElement('div');
+        budget.className = 'usage-budget';
+        budget.innerHTML = `
+            <h3>Spending Budget</h3>
+            <div class="budget-fields">
+                <label for="budget-run">Max cost per run ($)
+                    <input type="number" id="budget-run" class="budget-input" data-limit="maxRunCost" step="0.01" min="0" placeholder="No cap">
+                </label>
+                <label for="budget-day">Max cost per day ($)
+                    <input type="number" id="budget-day" class="budget-input" data-limit="maxDailyCost" step="0.01" min="0" placeholder="No cap">
+                </label>
+                <label for="budget-warn">Warn at (% of a cap)
+                    <input type="number" id="budget-warn" class="budget-input" data-limit="warnAt" step="1" min="1" max="100">
+                </label>
+            </div>
+            <p id="budget-status" class="budget-status"></p>
+        `;
+        
+        // Create usage ledger: every API call of the stored runs, by stage or one row per call
+        const ledger = document.createElement('div');
+        ledger.className = 'usage-ledger';
+        ledger.innerHTML = `
+            <h3>Usage Ledger</h3>
+            <div class="ledger-controls">
+                <select id="ledger-run" aria-label="Run"></select>
+                <select id="ledger-view" aria-label="View">
+                    <option value="stages">By stage</option>
+                    <option value="calls">Every call</option>
+                </select>
+                <button id="export-ledger-csv" class="btn-secondary">Export CSV</button>
+                <button id="export-ledger-json" class="btn-secondary">Export JSON</button>
+                <button id="clear-ledger" class="btn-secondary">Clear Ledger</button>
+            </div>
+            <table class="usage-table ledger-table">
+                <thead id="ledger-table-head"></thead>
+                <tbody id="ledger-table-body"></tbody>
+            </table>
+        `;
+        
         // Create footer with reset button
         const footer = document.createElement('div');
         footer.className = 'usage-footer';
@@ -129,6 +169,8 @@ class UsageCounter {
         // Assemble drawer
         content.appendChild(header);
         content.appendChild(table);
+        content.appendChild(budget);
+        content.appendChild(ledger);
         content.appendChild(footer);
         drawer.appendChild(gripper);
         drawer.appendChild(content);
@@ -167,6 +209,41 @@ class UsageCounter {
                 self.resetCosts();
             });
         }
+        
+        // Browse, export and clear the usage ledger
+        ['ledger-run', 'ledger-view'].forEach(function(id) {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', function() {
+                    self.populateLedger();
+                });
+            }
+        });
+        const exportCsvButton = document.getElementById('export-ledger-csv');
+        if (exportCsvButton) {
+            exportCsvButton.addEventListener('click', function() {
+                self.exportLedger('csv');
+            });
+        }
+        const exportJsonButton = document.getElementById('export-ledger-json');
+        if (exportJsonButton) {
+            exportJsonButton.addEventListener('click', function() {
+                self.exportLedger('json');
+            });
+        }
+        const clearLedgerButton = document.getElementById('clear-ledger');
+        if (clearLedgerButton) {
+            clearLedgerButton.addEventListener('click', function() {
+                self.clearLedger();
+            });
+        }
+        
+        // Update spending caps
+        document.querySelectorAll('.budget-input').forEach(function(input) {
+            input.addEventListener('change', function() {
+                self.updateBudget(this.dataset.limit, this.value);
+            });
+        });
     }
     
     /**
@@ -249,6 +326,12 @@ class UsageCounter {
         // Update total cost
         document.getElementById('total-cost').textContent = `$${totalCost.toFixed(4)}`;
         
+        // Show the spending caps and what has been spent against them
+        this.populateBudget();
+        
+        // Show the runs of the usage ledger
+        this.populateLedger();
+        
         // Add event listeners to cost input fields
         const costInputs = document.querySelectorAll('.cost-input');
         const self = this;
@@ -290,6 +373,152 @@ class UsageCounter {
         this.notifications.showSuccess('Cost updated successfully');
     }
     
+    /**
+     * Show the spending caps and the spend of the current run and of today
+     */
+    populateBudget() {
+    
+        const budget = this.apiManager && this.apiManager.budget;
+        if (!budget) return;
+        
+        const limits = budget.getLimits();
+        const values = {
+            'budget-run': limits.maxRunCost || '',
+            'budget-day': limits.maxDailyCost || '',
+            'budget-warn': Math.round(limits.warnAt * 100)
+        };
+        Object.keys(values).forEach(function(id) {
+            const input = document.getElementById(id);
+            if (input && document.activeElement !== input) {
+                input.value = values[id];
+            }
+        });
+        
+        const status = document.getElementById('budget-status');
+        if (status) {
+            const spend = budget.getSpend();
+            status.textContent = `Spent in the last run: ${budget.formatCost(spend.runCost)} · today: ${budget.formatCost(spend.dailyCost)}` +
+                (spend.exceeded ? ' · budget reached' : '');
+            status.classList.toggle('exceeded', spend.exceeded);
+        }
+    }
+    
+    /**
+     * Show the selected run of the usage ledger, totalled by stage or one row per call
+     */
+    populateLedger() {
+    
+        const ledger = this.apiManager && this.apiManager.usageLedger;
+        const runSelect = document.getElementById('ledger-run');
+        const tableHead = document.getElementById('ledger-table-head');
+        const tableBody = document.getElementById('ledger-table-body');
+        if (!ledger || !runSelect || !tableHead || !tableBody) return;
+        
+        // Newest run first; keep the selection unless a new run was added
+        const runs = ledger.getRuns().slice().reverse();
+        const selectedId = runSelect.dataset.latest === (runs[0] && runs[0].id) ? runSelect.value : '';
+        runSelect.innerHTML = '';
+        runs.forEach(function addRunOption(run) {
+            const option = document.createElement('option');
+            option.value = run.id;
+            option.textContent = `${new Date(run.startedAt).toLocaleString()} · ${run.label}${run.episode ? ` · ${run.episode}` : ''} · $${ledger.summarizeRun(run).cost.toFixed(4)}`;
+            runSelect.appendChild(option);
+        });
+        runSelect.dataset.latest = runs.length ? runs[0].id : '';
+        runSelect.value = selectedId || runSelect.dataset.latest;
+        runSelect.disabled = runs.length === 0;
+        
+        const run = runs.find(function isSelectedRun(item) { return item.id === runSelect.value; });
+        const view = document.getElementById('ledger-view');
+        const showCalls = view && view.value === 'calls';
+        tableHead.innerHTML = showCalls
+            ? '<tr><th>Time</th><th>Stage</th><th>Model</th><th>Usage</th><th>Cost</th><th>Request</th></tr>'
+            : '<tr><th>Stage</th><th>Calls</th><th>Usage</th><th>Cost</th></tr>';
+        tableBody.innerHTML = '';
+        if (!run) {
+            tableBody.innerHTML = `<tr><td colspan="${showCalls ? 6 : 4}">No API calls recorded yet.</td></tr>`;
+            return;
+        }
+        
+        const rows = showCalls ? run.entries : ledger.summarizeRun(run).stages;
+        rows.forEach(function addLedgerRow(item) {
+            const row = document.createElement('tr');
+            const cells = showCalls
+                ? [new Date(item.timestamp).toLocaleTimeString(), item.stage, item.model, this.formatLedgerUsage(item), `$${item.cost.toFixed(4)}`, item.requestId]
+                : [item.stage, item.calls, this.formatLedgerUsage(item), `$${item.cost.toFixed(4)}`];
+            cells.forEach(function addCell(value) {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tableBody.appendChild(row);
+        }, this);
+    }
+    
+    /**
+     * Describe the usage of a ledger call or stage total
+     * @param {Object} item - Ledger entry or stage summary ({ characters, inputTokens, outputTokens })
+     * @returns {string} - e.g. '1200 chars' or '850 / 420 tokens'
+     */
+    formatLedgerUsage(item) {
+    
+        return (item.characters ? `${item.characters} chars` : '') +
+            (item.characters && (item.inputTokens || item.outputTokens) ? ', ' : '') +
+            (item.inputTokens || item.outputTokens ? `${item.inputTokens} / ${item.outputTokens} tokens` : '');
+    }
+    
+    /**
+     * Download all runs of the usage ledger
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportLedger(format) {
+    
+        const ledger = this.apiManager.usageLedger;
+        if (ledger.getRuns().length === 0) {
+            this.notifications.showInfo('The usage ledger is empty.');
+            return;
+        }
+        
+        const content = format === 'csv' ? ledger.toCsv() : ledger.toJson();
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        link.download = `podcastinator-usage-${new Date().toISOString().slice(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Remove all runs from the usage ledger
+     */
+    clearLedger() {
+    
+        this.apiManager.usageLedger.clear();
+        this.populateLedger();
+        
+        this.notifications.showSuccess('Usage ledger cleared');
+    }
+    
+    /**
+     * Update a spending cap when the user edits it
+     * @param {string} limit - maxRunCost, maxDailyCost or warnAt
+     * @param {string} value - Input value (empty for no cap; warnAt in percent)
+     */
+    updateBudget(limit, value) {
+    
+        const number = value === '' ? 0 : parseFloat(value);
+        try {
+            this.apiManager.budget.setLimits({ [limit]: limit === 'warnAt' ? number / 100 : number });
+            this.notifications.showSuccess('Spending budget updated');
+        } catch (error) {
+            this.notifications.showError(error.message);
+        }
+        this.populateUsageTable();
+    }
+    
     /**
      * Track token usage from an API call
      * @param {string} model - Model identifier
@@ -0,0 +1,186 @@
+// Podcastinator App - Usage Ledger
+import SourceDocuments from '../document/sourceDocuments.js';
+
+// Runs kept in storage; older runs are dropped first
+const MAX_RUNS = 20;
+
+// Columns of the CSV export, one row per API call
+const CSV_COLUMNS = [
+    'runId', 'runLabel', 'episode', 'runStartedAt',
+    'timestamp', 'stage', 'provider', 'model', 'requestId',
+    'inputTokens', 'outputTokens', 'characters', 'cost'
+];
+
+/**
+ * Records every API call (stage, provider, model, tokens or characters, cost, request id) grouped by run,
+ * so spend can be attributed per episode and per pipeline stage. A run starts with each generation
+ * (or service instance) and is only stored once it has made a call.
+ */
+class UsageLedger {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.sourceDocuments = new SourceDocuments();
+        this.runLabel = 'run';
+        this.currentRunId = null;
+    }
+
+    /**
+     * Group the following calls in a new run
+     * @param {string} label - What started the run (e.g. 'outline', 'script', 'audio')
+     */
+    startRun(label) {
+
+        this.runLabel = label || 'run';
+        this.currentRunId = null;
+    }
+
+    /**
+     * Stored runs, oldest first
+     * @returns {Array<Object>} - [{ id, label, episode, startedAt, entries }]
+     */
+    getRuns() {
+
+        const ledger = this.storageManager.load('usageLedger', {}) || {};
+        return Array.isArray(ledger.runs) ? ledger.runs : [];
+    }
+
+    /**
+     * Add an API call to the current run
+     * @param {Object} entry - { stage, provider, model, requestId, cost } plus { inputTokens, outputTokens } or { characters }
+     */
+    addEntry(entry) {
+
+        const runs = this.getRuns();
+        const currentRunId = this.currentRunId;
+        let run = runs.find(function isCurrentRun(item) { return item.id === currentRunId; });
+        if (!run) {
+            run = {
+                id: this.createRunId(),
+                label: this.runLabel,
+                episode: this.getEpisodeName(),
+                startedAt: new Date().toISOString(),
+                entries: []
+            };
+            this.currentRunId = run.id;
+            runs.push(run);
+        }
+
+        run.entries.push({
+            timestamp: new Date().toISOString(),
+            stage: entry.stage || 'other',
+            provider: entry.provider || '', // provider type; 'mock' calls were answered offline and cost nothing
+            model: entry.model || '',
+            requestId: entry.requestId || '',
+            inputTokens: entry.inputTokens || 0,
+            outputTokens: entry.outputTokens || 0,
+            characters: entry.characters || 0,
+            cost: entry.cost || 0
+        });
+
+        this.storageManager.save('usageLedger', { runs: runs.slice(-MAX_RUNS) });
+    }
+
+    /**
+     * Remove all runs
+     */
+    clear() {
+
+        this.currentRunId = null;
+        this.storageManager.save('usageLedger', { runs: [] });
+    }
+
+    /**
+     * Totals of a run, overall and per stage (in the order the stages were first called)
+     * @param {Object} run - Stored run
+     * @returns {Object} - { calls, cost, stages: [{ stage, calls, inputTokens, outputTokens, characters, cost }] }
+     */
+    summarizeRun(run) {
+
+        const stages = [];
+        const summary = { calls: run.entries.length, cost: 0, stages: stages };
+        run.entries.forEach(function addEntry(entry) {
+            let stage = stages.find(function isEntryStage(item) { return item.stage === entry.stage; });
+            if (!stage) {
+                stage = { stage: entry.stage, calls: 0, inputTokens: 0, outputTokens: 0, characters: 0, cost: 0 };
+                stages.push(stage);
+            }
+            stage.calls++;
+            stage.inputTokens += entry.inputTokens;
+            stage.outputTokens += entry.outputTokens;
+            stage.characters += entry.characters;
+            stage.cost += entry.cost;
+            summary.cost += entry.cost;
+        });
+        return summary;
+    }
+
+    /**
+     * Export runs as CSV, one row per API call
+     * @param {Array<Object>} [runs] - Runs to export (all by default)
+     * @returns {string} - CSV text with a header row
+     */
+    toCsv(runs = this.getRuns()) {
+
+        const rows = [CSV_COLUMNS.join(',')];
+        runs.forEach(function addRun(run) {
+            run.entries.forEach(function addEntry(entry) {
+                const values = {
+                    runId: run.id,
+                    runLabel: run.label,
+                    episode: run.episode,
+                    runStartedAt: run.startedAt,
+                    ...entry,
+                    cost: entry.cost.toFixed(6)
+                };
+                rows.push(CSV_COLUMNS.map(function toCell(column) { return this.escapeCsv(values[column]); }, this).join(','));
+            }, this);
+        }, this);
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * Export runs as JSON
+     * @param {Array<Object>} [runs] - Runs to export (all by default)
+     * @returns {string} - { version, exportedAt, runs } as indented JSON
+     */
+    toJson(runs = this.getRuns()) {
+
+        return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), runs: runs }, null, 2);
+    }
+
+    /**
+     * Quote a CSV value when needed
+     * @param {*} value - Cell value
+     * @returns {string}
+     */
+    escapeCsv(value) {
+
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Name of the episode the run belongs to: the episode title, else the first source document
+     * @returns {string}
+     */
+    getEpisodeName() {
+
+        const audioData = this.storageManager.load('audioData', {}) || {};
+        if (audioData.episodeTitle) {
+            return audioData.episodeTitle;
+        }
+        const documents = this.sourceDocuments.getDocuments(this.storageManager.load('data', {}) || {});
+        return documents.length > 0 ? documents[0].name : '';
+    }
+
+    /**
+     * Create a run id that sorts by start time
+     * @returns {string}
+     */
+    createRunId() {
+
+        return `run-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`;
+    }
+}
+
+export default UsageLedger;
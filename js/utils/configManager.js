@@ -1,8 +1,13 @@
 // Podcastinator App - Configuration Manager
 import AudioBlobStore from '../utils/idbAudio.js';
+import SourceDocuments from '../document/sourceDocuments.js';
+import Speakers from '../characters/speakers.js';
+import { resolveEpisodeFormat } from '../content/prompts/formatPrompts.js';
+import PromptLibrary from '../content/promptLibrary.js';
+import ContentLinter from '../content/contentLinter.js';
 
 class ConfigManager {
-    constructor(storageManager, contentStateManager, apiManager, fileUploader, characterManager, outlineGenerator, scriptGenerator, audioGenerator) {
+    constructor(storageManager, contentStateManager, apiManager, fileUploader, characterManager, outlineGenerator, scriptGenerator, audioGenerator, promptLibraryEditor) {
         this.storageManager = storageManager;
         this.contentStateManager = contentStateManager;
         this.apiManager = apiManager;
@@ -11,7 +16,12 @@ class ConfigManager {
         this.outlineGenerator = outlineGenerator;
         this.scriptGenerator = scriptGenerator;
         this.audioGenerator = audioGenerator;
+        this.promptLibraryEditor = promptLibraryEditor;
+        this.promptLibrary = new PromptLibrary(storageManager);
+        this.contentLinter = new ContentLinter(storageManager);
         this.audioStore = new AudioBlobStore();
+        this.sourceDocuments = new SourceDocuments();
+        this.speakers = new Speakers();
     }
 
     async exportConfig(sections) {
@@ -19,6 +29,7 @@ class ConfigManager {
         const outlineData = this.storageManager.load('outlineData', {}) || {};
         const scriptData = this.storageManager.load('scriptData', {}) || {};
         const audioData = this.storageManager.load('audioData', {}) || {};
+        const guests = this.speakers.getGuests(data);
 
         // Try to get audio blob from IndexedDB and convert to base64
         let mp3Base64 = null;
@@ -44,30 +55,23 @@ class ConfigManager {
                     script: data.models?.script || '',
                     scriptVerify: data.models?.scriptVerify || '',
                     tts: data.models?.tts || ''
-                }
+                },
+                provider: this.getExportableProviderSettings(data.provider),
+                budget: this.storageManager.load('budgetData', null) || undefined,
+                lint: this.storageManager.load('lintData', null) || undefined
             } : undefined,
             contents: (!sections || sections.contents) ? {
-                document: data.document || null,
+                documents: data.documents || (data.document ? [data.document] : []),
                 podcastFocus: outlineData.podcastFocus || ''
             } : undefined,
-            hostCharacter: (!sections || sections.host) && data.host ? {
-                name: data.host.name || '',
-                personality: data.host.personality || '',
-                voice: data.host.voice || '',
-                speechRate: data.host.speechRate || 1.0,
-                voiceInstructions: data.host.voiceInstructions || '',
-                backstory: data.host.backstory || ''
-            } : undefined,
-            guestCharacter: (!sections || sections.guest) && data.guest ? {
-                name: data.guest.name || '',
-                personality: data.guest.personality || '',
-                voice: data.guest.voice || '',
-                speechRate: data.guest.speechRate || 1.0,
-                voiceInstructions: data.guest.voiceInstructions || '',
-                backstory: data.guest.backstory || ''
-            } : undefined,
+            hostCharacter: (!sections || sections.host) && data.host ? this.exportCharacter(data.host) : undefined,
+            solo: (!sections || sections.host) ? this.speakers.isSolo(data) : undefined,
+            // guestCharacter keeps the first guest for older readers; guestCharacters holds the whole panel
+            guestCharacter: (!sections || sections.guest) && guests.length ? this.exportCharacter(guests[0]) : undefined,
+            guestCharacters: (!sections || sections.guest) && guests.length ? guests.map(this.exportCharacter, this) : undefined,
             outline: (!sections || sections.outline) ? {
                 targetDurationMinutes: outlineData.podcastDuration || 30,
+                episodeFormat: resolveEpisodeFormat(outlineData.episodeFormat),
                 outlineText: outlineData.outline || ''
             } : undefined,
             script: (!sections || sections.script) ? {
@@ -76,8 +80,12 @@ class ConfigManager {
             } : undefined,
             audio: (!sections || sections.audio) ? {
                 silenceBetweenSpeakersMs: audioData.silenceDuration || 400,
+                ttsConcurrency: audioData.ttsConcurrency || 4,
+                episodeTitle: audioData.episodeTitle || '',
+                showName: audioData.showName || '',
                 mp3Base64: mp3Base64
-            } : undefined
+            } : undefined,
+            prompts: (!sections || sections.prompts) ? this.promptLibrary.getOverrides() : undefined
         };
 
         const json = JSON.stringify(payload, null, 2);
@@ -86,7 +94,7 @@ class ConfigManager {
         // Build filename based on content document name
         let filename = 'podcastinator-config.json';
         try {
-            const docName = data?.document?.name;
+            const docName = this.sourceDocuments.getDocuments(data)[0]?.name;
             if (docName) {
                 const base = docName.replace(/\.[^/.]+$/, '');
                 filename = `podcastinator-config-${base}.json`;
@@ -98,6 +106,49 @@ class ConfigManager {
         this.triggerDownload(blob, filename);
     }
 
+    // Character fields for export
+    exportCharacter(character) {
+        return {
+            name: character.name || '',
+            label: character.label || '',
+            personality: character.personality || '',
+            voice: character.voice || '',
+            speechRate: character.speechRate || 1.0,
+            voiceInstructions: character.voiceInstructions || '',
+            backstory: character.backstory || ''
+        };
+    }
+
+    // A character is complete once it has a name, personality and voice
+    isCompleteCharacter(character) {
+        return !!(character && character.name && character.personality && character.voice);
+    }
+
+    // Character fields from an imported config; the voice preset only lives in local storage
+    importCharacter(source, existing) {
+        const character = {
+            name: source.name || '',
+            personality: source.personality || '',
+            voice: source.voice || '',
+            backstory: source.backstory || '',
+            voiceInstructions: source.voiceInstructions || '',
+            voiceInstructionsPreset: existing?.voiceInstructionsPreset || '',
+            speechRate: source.speechRate || 1.0
+        };
+        const label = this.speakers.normalizeLabel(source.label);
+        if (label) {
+            character.label = label;
+        }
+        return character;
+    }
+
+    // Provider settings for export; the provider API key is a secret like the OpenAI key
+    getExportableProviderSettings(provider) {
+        const settings = { type: 'openai', ...(provider || {}) };
+        delete settings.apiKey;
+        return settings;
+    }
+
     async importConfigFile(file, sections) {
         if (!file) {
             return;
@@ -113,12 +164,20 @@ class ConfigManager {
             throw new Error('Invalid configuration file.');
         }
 
-        // 1) Models (exclude apiKey)
+        // 1) Provider and models (exclude apiKey)
         if (!sections || sections.ai) {
             const data = this.storageManager.load('data', {}) || {};
             data.models = { ...(data.models || {}), ...(config.aiParameters?.models || {}) };
             this.storageManager.save('data', data);
 
+            // Provider first, so model selects offer the provider's models
+            if (config.aiParameters?.provider && this.apiManager && typeof this.apiManager.setProviderSettings === 'function') {
+                const provider = { ...config.aiParameters.provider, apiKey: data.provider?.apiKey || '' };
+                this.apiManager.setProviderSettings(provider);
+                this.apiManager.initializeProviderFields();
+                this.apiManager.populateAllModelSelectors();
+            }
+
             // Reflect models into UI selects and persist via OpenAIManager
             this.setSelectIfExists('backstory-model', data.models.backstory);
             this.setSelectIfExists('outline-model', data.models.outline);
@@ -130,17 +189,30 @@ class ConfigManager {
             if (this.apiManager && typeof this.apiManager.saveAllModelSelections === 'function') {
                 this.apiManager.saveAllModelSelections();
             }
+
+            // Spending caps, shown in the usage drawer
+            if (config.aiParameters?.budget && this.apiManager && this.apiManager.budget) {
+                this.apiManager.budget.setLimits(config.aiParameters.budget);
+                if (this.apiManager.usageCounter) {
+                    this.apiManager.usageCounter.populateUsageTable();
+                }
+            }
+
+            // Local checks run before the model reviews
+            if (config.aiParameters?.lint) {
+                this.contentLinter.setSettings(config.aiParameters.lint);
+            }
         }
 
-        // 2) Contents (document + podcastFocus)
-        if ((!sections || sections.contents) && config.contents && config.contents.document) {
-            const doc = config.contents.document;
+        // 2) Contents (documents + podcastFocus); older exports carry a single contents.document
+        if ((!sections || sections.contents) && config.contents && (config.contents.documents || config.contents.document)) {
+            const docs = Array.isArray(config.contents.documents) ? config.contents.documents : [config.contents.document];
             // Save to storage and FileUploader state
             const existing = this.storageManager.load('data', {}) || {};
-            existing.document = doc;
+            this.sourceDocuments.setDocuments(existing, this.sourceDocuments.getDocuments({ documents: docs }));
             this.storageManager.save('data', existing);
             if (this.fileUploader) {
-                this.fileUploader.data.document = doc;
+                this.fileUploader.data.documents = this.sourceDocuments.getDocuments(existing);
                 this.fileUploader.updateDocumentPreview();
             }
         }
@@ -157,31 +229,19 @@ class ConfigManager {
         // 3) Characters
         const existing = this.storageManager.load('data', {}) || {};
         if ((!sections || sections.host) && config.hostCharacter) {
-            existing.host = {
-                name: config.hostCharacter.name || '',
-                personality: config.hostCharacter.personality || '',
-                voice: config.hostCharacter.voice || '',
-                backstory: config.hostCharacter.backstory || '',
-                voiceInstructions: config.hostCharacter.voiceInstructions || '',
-                voiceInstructionsPreset: existing.host?.voiceInstructionsPreset || '',
-                speechRate: config.hostCharacter.speechRate || 1.0
-            };
+            existing.host = this.importCharacter(config.hostCharacter, existing.host);
         }
-        if ((!sections || sections.guest) && config.guestCharacter) {
-            existing.guest = {
-                name: config.guestCharacter.name || '',
-                personality: config.guestCharacter.personality || '',
-                voice: config.guestCharacter.voice || '',
-                backstory: config.guestCharacter.backstory || '',
-                voiceInstructions: config.guestCharacter.voiceInstructions || '',
-                voiceInstructionsPreset: existing.guest?.voiceInstructionsPreset || '',
-                speechRate: config.guestCharacter.speechRate || 1.0
-            };
+        if ((!sections || sections.host) && typeof config.solo === 'boolean') {
+            existing.solo = config.solo;
+        }
+        const importedGuests = Array.isArray(config.guestCharacters) ? config.guestCharacters : (config.guestCharacter ? [config.guestCharacter] : null);
+        if ((!sections || sections.guest) && importedGuests) {
+            const existingGuests = this.speakers.getGuests(existing);
+            this.speakers.setGuests(existing, importedGuests.map(function importGuest(guest, index) { return this.importCharacter(guest || {}, existingGuests[index]); }, this));
         }
         this.storageManager.save('data', existing);
         if (this.characterManager) {
-            this.characterManager.data.host = existing.host || {};
-            this.characterManager.data.guest = existing.guest || {};
+            this.characterManager.loadCharacters(existing);
             this.characterManager.populateCharacterData();
         }
 
@@ -191,6 +251,7 @@ class ConfigManager {
             if (!sections || sections.outline) {
                 outlineData.outline = config.outline?.outlineText || outlineData.outline || '';
                 outlineData.podcastDuration = config.outline?.targetDurationMinutes || outlineData.podcastDuration || 30;
+                outlineData.episodeFormat = resolveEpisodeFormat(config.outline?.episodeFormat || outlineData.episodeFormat);
             }
             if ((!sections || sections.contents) && typeof config.contents?.podcastFocus === 'string') {
                 outlineData.podcastFocus = config.contents.podcastFocus;
@@ -204,8 +265,13 @@ class ConfigManager {
             if (durationEl && outlineData.podcastDuration && (!sections || sections.outline)) {
                 durationEl.value = outlineData.podcastDuration;
             }
+            const formatEl = document.getElementById('episode-format');
+            if (formatEl && (!sections || sections.outline)) {
+                formatEl.value = outlineData.episodeFormat;
+            }
             if (this.outlineGenerator && typeof this.outlineGenerator.handleOutlineChange === 'function' && (!sections || sections.outline)) {
                 this.outlineGenerator.outlineData = outlineData.outline || '';
+                this.outlineGenerator.episodeFormat = outlineData.episodeFormat;
                 this.outlineGenerator.handleOutlineChange();
             }
         }
@@ -213,6 +279,14 @@ class ConfigManager {
         // 5) Script
         if (!sections || sections.script) {
             const scriptStore = this.storageManager.load('scriptData', {}) || {};
+            if ((config.script?.scriptText || '') !== (scriptStore.script || '')) {
+                // Section sizes belong to the generated script; chapters are unknown for an imported one
+                delete scriptStore.sections;
+                delete scriptStore.generatedSections;
+                if (this.scriptGenerator) {
+                    this.scriptGenerator.generatedSections = [];
+                }
+            }
             scriptStore.script = config.script?.scriptText || '';
             if (typeof config.script?.language === 'string') {
                 scriptStore.language = config.script.language || 'english';
@@ -232,19 +306,40 @@ class ConfigManager {
             if (this.scriptGenerator && typeof this.scriptGenerator.handleScriptChange === 'function') {
                 this.scriptGenerator.scriptData = scriptStore.script;
                 this.scriptGenerator.handleScriptChange();
+                this.scriptGenerator.renderSectionList();
             }
         }
 
         // 6) Audio prefs and audio blob (mp3)
         if (!sections || sections.audio) {
             const audioPrefs = {
-                silenceDuration: (config.audio && typeof config.audio.silenceBetweenSpeakersMs === 'number') ? config.audio.silenceBetweenSpeakersMs : 400
+                silenceDuration: (config.audio && typeof config.audio.silenceBetweenSpeakersMs === 'number') ? config.audio.silenceBetweenSpeakersMs : 400,
+                ttsConcurrency: (config.audio && typeof config.audio.ttsConcurrency === 'number') ? config.audio.ttsConcurrency : 4,
+                episodeTitle: (config.audio && typeof config.audio.episodeTitle === 'string') ? config.audio.episodeTitle : '',
+                showName: (config.audio && typeof config.audio.showName === 'string') ? config.audio.showName : ''
             };
             this.storageManager.save('audioData', audioPrefs);
             const silenceEl = document.getElementById('silence-duration');
             if (silenceEl) {
                 silenceEl.value = audioPrefs.silenceDuration;
             }
+            const concurrencyEl = document.getElementById('tts-concurrency');
+            if (concurrencyEl) {
+                concurrencyEl.value = audioPrefs.ttsConcurrency;
+            }
+            const titleEl = document.getElementById('episode-title');
+            if (titleEl) {
+                titleEl.value = audioPrefs.episodeTitle;
+            }
+            const showEl = document.getElementById('show-name');
+            if (showEl) {
+                showEl.value = audioPrefs.showName;
+            }
+            if (this.audioGenerator) {
+                this.audioGenerator.episodeTitle = audioPrefs.episodeTitle;
+                this.audioGenerator.showName = audioPrefs.showName;
+                this.audioGenerator.ttsConcurrency = audioPrefs.ttsConcurrency;
+            }
 
             if (config.audio && config.audio.mp3Base64) {
                 try {
@@ -264,7 +359,15 @@ class ConfigManager {
             }
         }
 
-        // 7) Update section workflow flags
+        // 7) Prompt library overrides (configs without prompts keep the current ones)
+        if ((!sections || sections.prompts) && config.prompts && typeof config.prompts === 'object') {
+            this.promptLibrary.importOverrides(config.prompts);
+            if (this.promptLibraryEditor) {
+                this.promptLibraryEditor.refresh();
+            }
+        }
+
+        // 8) Update section workflow flags
         this.updateContentStateFlags();
         this.contentStateManager.updateSections();
     }
@@ -275,9 +378,10 @@ class ConfigManager {
         const scriptData = this.storageManager.load('scriptData', {}) || {};
 
         this.contentStateManager.updateState('hasApiKey', !!(data.apiKey && data.apiKey.trim()));
-        this.contentStateManager.updateState('hasDocument', !!data.document);
-        this.contentStateManager.updateState('hasHostCharacter', !!(data.host && data.host.name && data.host.personality && data.host.voice));
-        this.contentStateManager.updateState('hasGuestCharacter', !!(data.guest && data.guest.name && data.guest.personality && data.guest.voice));
+        this.contentStateManager.updateState('hasDocument', this.sourceDocuments.hasDocuments(data));
+        const hasHost = this.isCompleteCharacter(data.host);
+        this.contentStateManager.updateState('hasHostCharacter', hasHost);
+        this.contentStateManager.updateState('hasGuestCharacter', this.speakers.isSolo(data) ? hasHost : this.speakers.getGuests(data).some(this.isCompleteCharacter));
         const hasChars = this.contentStateManager.getState('hasHostCharacter') && this.contentStateManager.getState('hasGuestCharacter');
         this.contentStateManager.updateState('hasCharacters', !!hasChars);
         this.contentStateManager.updateState('hasOutline', !!(outlineData.outline && outlineData.outline.trim()));
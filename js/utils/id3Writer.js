@@ -0,0 +1,263 @@
+// Podcastinator App - ID3 Tag Writer
+
+// Text encodings defined by ID3v2.3
+const ENCODING_LATIN1 = 0x00;
+const ENCODING_UTF16 = 0x01;
+
+// CTOC flags: top-level table of contents, children are ordered
+const CTOC_TOP_LEVEL_ORDERED = 0x03;
+
+// APIC picture type "Cover (front)"
+const PICTURE_FRONT_COVER = 0x03;
+
+/**
+ * Builds ID3v2.3 tags (text frames, comment, cover art and CHAP/CTOC chapters)
+ * to prepend to an MP3 stream
+ */
+class Id3Writer {
+
+    /**
+     * Build a complete ID3v2.3 tag
+     * @param {Object} info - Tag contents
+     * @param {string} info.title - Episode title (TIT2)
+     * @param {string} info.artist - Artist, e.g. the host (TPE1)
+     * @param {string} info.album - Album / show name (TALB)
+     * @param {string} info.language - ISO 639-2 language code (TLAN, COMM)
+     * @param {string} info.comment - Comment text (COMM)
+     * @param {Object} info.cover - Cover art { mime, data: Uint8Array } (APIC)
+     * @param {Array<Object>} info.chapters - Chapters { title, startMs, endMs } in order (CHAP + CTOC)
+     * @returns {Uint8Array} - Tag bytes (header included)
+     */
+    buildTag(info = {}) {
+
+        const frames = [];
+        const language = /^[a-z]{3}$/i.test(info.language || '') ? info.language.toLowerCase() : 'und';
+
+        if (info.title) {
+            frames.push(this.textFrame('TIT2', info.title));
+        }
+        if (info.artist) {
+            frames.push(this.textFrame('TPE1', info.artist));
+        }
+        if (info.album) {
+            frames.push(this.textFrame('TALB', info.album));
+        }
+        if (info.language && language !== 'und') {
+            frames.push(this.textFrame('TLAN', language));
+        }
+        if (info.comment) {
+            frames.push(this.commentFrame(language, info.comment));
+        }
+        if (info.cover && info.cover.data && info.cover.data.length > 0) {
+            frames.push(this.pictureFrame(info.cover.mime || 'image/jpeg', info.cover.data));
+        }
+
+        const chapters = Array.isArray(info.chapters) ? info.chapters.slice(0, 255) : [];
+        if (chapters.length > 0) {
+            const ids = chapters.map(function getId(chapter, index) { return `chp${index}`; });
+            frames.push(this.tocFrame('toc', ids, 'Chapters'));
+            chapters.forEach(function addChapter(chapter, index) {
+                frames.push(this.chapterFrame(ids[index], chapter));
+            }, this);
+        }
+
+        const body = this.concat(frames);
+        const header = new Uint8Array(10);
+        header.set([0x49, 0x44, 0x33, 0x03, 0x00, 0x00]);
+        header.set(this.syncsafe(body.length), 6);
+        return this.concat([header, body]);
+    }
+
+    /**
+     * Build a text information frame (TIT2, TPE1, ...)
+     * @param {string} id - Frame ID
+     * @param {string} text - Frame text
+     * @returns {Uint8Array}
+     */
+    textFrame(id, text) {
+
+        const encoding = this.getEncoding(text);
+        return this.frame(id, this.concat([Uint8Array.of(encoding), this.encodeText(text, encoding)]));
+    }
+
+    /**
+     * Build a COMM frame with an empty description
+     * @param {string} language - ISO 639-2 language code
+     * @param {string} text - Comment text
+     * @returns {Uint8Array}
+     */
+    commentFrame(language, text) {
+
+        const encoding = this.getEncoding(text);
+        return this.frame('COMM', this.concat([
+            Uint8Array.of(encoding),
+            this.encodeLatin1(language),
+            this.terminator(encoding),
+            this.encodeText(text, encoding)
+        ]));
+    }
+
+    /**
+     * Build an APIC front cover frame
+     * @param {string} mime - Image MIME type
+     * @param {Uint8Array} data - Image bytes
+     * @returns {Uint8Array}
+     */
+    pictureFrame(mime, data) {
+
+        return this.frame('APIC', this.concat([
+            Uint8Array.of(ENCODING_LATIN1),
+            this.encodeLatin1(mime),
+            Uint8Array.of(0x00, PICTURE_FRONT_COVER, 0x00),
+            data
+        ]));
+    }
+
+    /**
+     * Build a CHAP frame with a TIT2 sub-frame; byte offsets are left unset
+     * @param {string} elementId - Chapter element ID
+     * @param {Object} chapter - { title, startMs, endMs }
+     * @returns {Uint8Array}
+     */
+    chapterFrame(elementId, chapter) {
+
+        const times = new Uint8Array(16);
+        const view = new DataView(times.buffer);
+        view.setUint32(0, Math.max(0, Math.round(chapter.startMs)));
+        view.setUint32(4, Math.max(0, Math.round(chapter.endMs)));
+        view.setUint32(8, 0xFFFFFFFF);
+        view.setUint32(12, 0xFFFFFFFF);
+
+        return this.frame('CHAP', this.concat([
+            this.encodeLatin1(elementId),
+            Uint8Array.of(0x00),
+            times,
+            this.textFrame('TIT2', chapter.title || elementId)
+        ]));
+    }
+
+    /**
+     * Build a top-level, ordered CTOC frame listing the chapters
+     * @param {string} elementId - Table of contents element ID
+     * @param {Array<string>} childIds - Chapter element IDs in order
+     * @param {string} title - Table of contents title
+     * @returns {Uint8Array}
+     */
+    tocFrame(elementId, childIds, title) {
+
+        const children = [];
+        childIds.forEach(function addChild(id) {
+            children.push(this.encodeLatin1(id), Uint8Array.of(0x00));
+        }, this);
+
+        return this.frame('CTOC', this.concat([
+            this.encodeLatin1(elementId),
+            Uint8Array.of(0x00, CTOC_TOP_LEVEL_ORDERED, childIds.length),
+            this.concat(children),
+            this.textFrame('TIT2', title)
+        ]));
+    }
+
+    /**
+     * Wrap frame content with an ID3v2.3 frame header (plain 32-bit size, no flags)
+     * @param {string} id - Frame ID
+     * @param {Uint8Array} content - Frame content
+     * @returns {Uint8Array}
+     */
+    frame(id, content) {
+
+        const header = new Uint8Array(10);
+        header.set(this.encodeLatin1(id), 0);
+        new DataView(header.buffer).setUint32(4, content.length);
+        return this.concat([header, content]);
+    }
+
+    /**
+     * Pick Latin-1 for plain text and UTF-16 for anything else
+     * @param {string} text - Text to encode
+     * @returns {number} - Encoding byte
+     */
+    getEncoding(text) {
+
+        return /^[\x00-\xff]*$/.test(String(text)) ? ENCODING_LATIN1 : ENCODING_UTF16;
+    }
+
+    /**
+     * Encode text in the given ID3 encoding (UTF-16 with a little-endian BOM)
+     * @param {string} text - Text to encode
+     * @param {number} encoding - Encoding byte
+     * @returns {Uint8Array}
+     */
+    encodeText(text, encoding) {
+
+        const str = String(text);
+        if (encoding === ENCODING_LATIN1) {
+            return this.encodeLatin1(str);
+        }
+
+        const bytes = new Uint8Array(2 + str.length * 2);
+        bytes[0] = 0xFF;
+        bytes[1] = 0xFE;
+        for (let i = 0; i < str.length; i++) {
+            const code = str.charCodeAt(i);
+            bytes[2 + i * 2] = code & 0xFF;
+            bytes[3 + i * 2] = code >> 8;
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode text as Latin-1 (characters outside the range become '?')
+     * @param {string} text - Text to encode
+     * @returns {Uint8Array}
+     */
+    encodeLatin1(text) {
+
+        const str = String(text);
+        const bytes = new Uint8Array(str.length);
+        for (let i = 0; i < str.length; i++) {
+            const code = str.charCodeAt(i);
+            bytes[i] = code <= 0xFF ? code : 0x3F;
+        }
+        return bytes;
+    }
+
+    /**
+     * Get the string terminator for an encoding
+     * @param {number} encoding - Encoding byte
+     * @returns {Uint8Array}
+     */
+    terminator(encoding) {
+
+        return encoding === ENCODING_LATIN1 ? Uint8Array.of(0x00) : Uint8Array.of(0xFF, 0xFE, 0x00, 0x00);
+    }
+
+    /**
+     * Encode a tag size as a 4-byte syncsafe integer
+     * @param {number} size - Size in bytes
+     * @returns {Uint8Array}
+     */
+    syncsafe(size) {
+
+        return Uint8Array.of((size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F);
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {Array<Uint8Array>} parts - Byte arrays
+     * @returns {Uint8Array}
+     */
+    concat(parts) {
+
+        const length = parts.reduce(function addLength(sum, part) { return sum + part.length; }, 0);
+        const result = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(function copy(part) {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
+
+export default Id3Writer;
@@ -187,6 +187,28 @@ class LanguageSupport {
             'yucatec maya': 'Yucatec Maya',
             'zulu': 'Zulu'
         };
+        
+        // ISO 639-2 codes for MP3 tags (TLAN/COMM); languages not listed are tagged 'und'
+        this.isoCodes = {
+            'afrikaans': 'afr', 'albanian': 'alb', 'amharic': 'amh', 'arabic': 'ara', 'armenian': 'arm',
+            'azerbaijani': 'aze', 'basque': 'baq', 'belarusian': 'bel', 'bengali': 'ben', 'bosnian': 'bos',
+            'breton': 'bre', 'bulgarian': 'bul', 'burmese': 'bur', 'catalan': 'cat', 'chinese': 'chi',
+            'croatian': 'hrv', 'czech': 'cze', 'danish': 'dan', 'dutch': 'dut', 'egyptian arabic': 'ara',
+            'english': 'eng', 'estonian': 'est', 'filipino': 'fil', 'finnish': 'fin', 'french': 'fre',
+            'galician': 'glg', 'georgian': 'geo', 'german': 'ger', 'greek': 'gre', 'gujarati': 'guj',
+            'haitian creole': 'hat', 'hausa': 'hau', 'hawaiian': 'haw', 'hebrew': 'heb', 'hindi': 'hin',
+            'hungarian': 'hun', 'icelandic': 'ice', 'igbo': 'ibo', 'indonesian': 'ind', 'irish': 'gle',
+            'italian': 'ita', 'japanese': 'jpn', 'javanese': 'jav', 'kannada': 'kan', 'kazakh': 'kaz',
+            'khmer': 'khm', 'kinyarwanda': 'kin', 'korean': 'kor', 'kurdish': 'kur', 'kyrgyz': 'kir',
+            'lao': 'lao', 'latvian': 'lav', 'lithuanian': 'lit', 'luxembourgish': 'ltz', 'malagasy': 'mlg',
+            'malay': 'may', 'maltese': 'mlt', 'mandarin chinese': 'chi', 'maori': 'mao', 'marathi': 'mar',
+            'nepali': 'nep', 'norwegian': 'nor', 'pashto': 'pus', 'persian': 'per', 'polish': 'pol',
+            'portuguese': 'por', 'punjabi': 'pan', 'romanian': 'rum', 'russian': 'rus', 'serbian': 'srp',
+            'slovak': 'slo', 'slovenian': 'slv', 'somali': 'som', 'spanish': 'spa', 'standard arabic': 'ara',
+            'swahili': 'swa', 'swedish': 'swe', 'tagalog': 'tgl', 'tamil': 'tam', 'telugu': 'tel',
+            'thai': 'tha', 'turkish': 'tur', 'ukrainian': 'ukr', 'urdu': 'urd', 'uzbek': 'uzb',
+            'vietnamese': 'vie', 'welsh': 'wel', 'xhosa': 'xho', 'yoruba': 'yor', 'zulu': 'zul'
+        };
     }
     
     /**
@@ -207,6 +229,15 @@ class LanguageSupport {
         return this.languageDisplayNames[languageCode] || languageCode;
     }
     
+    /**
+     * Get the ISO 639-2 code for a language code
+     * @param {string} languageCode - Language code
+     * @returns {string} - Three-letter code, 'und' if unknown
+     */
+    getIsoCode(languageCode) {
+        return this.isoCodes[String(languageCode || '').toLowerCase()] || 'und';
+    }
+    
     /**
      * Get all supported languages as options for a select element
      * @param {string} model - TTS model name
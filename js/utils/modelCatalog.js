@@ -1,19 +1,24 @@
-// Podcastinator App - OpenAI Model Catalog
-// Centralized source of truth for OpenAI model metadata, capabilities, and pricing
+// Podcastinator App - Model Catalog
+// Centralized source of truth for model metadata, capabilities, and pricing
+
+// Custom models registered at runtime, shared by all catalog instances
+const customModels = {};
 
 class ModelCatalog {
     constructor() {
         // Define all known OpenAI models with metadata
-        this.models = {
+        this.builtInModels = {
             // Frontier text models (current generation)
             'gpt-5.5': {
                 name: 'GPT-5.5',
                 category: 'text',
+                provider: 'openai',
                 description: 'Flagship model for complex reasoning and coding',
                 deprecated: false,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '200kt',
                 costPer1kInput: 0.00375,
                 costPer1kOutput: 0.015
@@ -21,11 +26,13 @@ class ModelCatalog {
             'gpt-5.5-pro': {
                 name: 'GPT-5.5 Pro',
                 category: 'text',
+                provider: 'openai',
                 description: 'GPT-5.5 with more compute for smarter responses',
                 deprecated: false,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '200kt',
                 costPer1kInput: 0.00375,
                 costPer1kOutput: 0.015
@@ -33,11 +40,13 @@ class ModelCatalog {
             'gpt-5.4': {
                 name: 'GPT-5.4',
                 category: 'text',
+                provider: 'openai',
                 description: 'More affordable model for coding and professional work',
                 deprecated: false,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '200kt',
                 costPer1kInput: 0.00125,
                 costPer1kOutput: 0.005
@@ -45,11 +54,13 @@ class ModelCatalog {
             'gpt-5.4-pro': {
                 name: 'GPT-5.4 Pro',
                 category: 'text',
+                provider: 'openai',
                 description: 'GPT-5.4 with more compute for smarter responses',
                 deprecated: false,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '200kt',
                 costPer1kInput: 0.00125,
                 costPer1kOutput: 0.005
@@ -57,11 +68,13 @@ class ModelCatalog {
             'gpt-5.4-mini': {
                 name: 'GPT-5.4 mini',
                 category: 'text',
+                provider: 'openai',
                 description: 'Strongest mini model for coding and cost efficiency',
                 deprecated: false,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '128kt',
                 costPer1kInput: 0.00015,
                 costPer1kOutput: 0.0006
@@ -69,11 +82,13 @@ class ModelCatalog {
             'gpt-5.4-nano': {
                 name: 'GPT-5.4 nano',
                 category: 'text',
+                provider: 'openai',
                 description: 'Cheapest GPT-5.4-class model for simple high-volume tasks',
                 deprecated: false,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '128kt',
                 costPer1kInput: 0.00003,
                 costPer1kOutput: 0.00012
@@ -81,11 +96,13 @@ class ModelCatalog {
             'gpt-5-mini': {
                 name: 'GPT-5 mini',
                 category: 'text',
+                provider: 'openai',
                 description: 'Near-frontier intelligence for cost-sensitive workloads',
                 deprecated: false,
                 supportsTemperature: true,
                 tokenLimitField: 'max_tokens',
                 supportsReasoning: false,
+                supportsStructuredOutputs: true,
                 context: '128kt',
                 costPer1kInput: 0.00015,
                 costPer1kOutput: 0.0006
@@ -93,11 +110,13 @@ class ModelCatalog {
             'gpt-5-nano': {
                 name: 'GPT-5 nano',
                 category: 'text',
+                provider: 'openai',
                 description: 'Fastest, most cost-efficient version of GPT-5',
                 deprecated: false,
                 supportsTemperature: true,
                 tokenLimitField: 'max_tokens',
                 supportsReasoning: false,
+                supportsStructuredOutputs: true,
                 context: '128kt',
                 costPer1kInput: 0.00003,
                 costPer1kOutput: 0.00012
@@ -105,11 +124,13 @@ class ModelCatalog {
             'gpt-5': {
                 name: 'GPT-5',
                 category: 'text',
+                provider: 'openai',
                 description: 'Previous intelligent reasoning model',
                 deprecated: false,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '200kt',
                 costPer1kInput: 0.00125,
                 costPer1kOutput: 0.005
@@ -117,11 +138,13 @@ class ModelCatalog {
             'gpt-4.1': {
                 name: 'GPT-4.1',
                 category: 'text',
+                provider: 'openai',
                 description: 'Smartest non-reasoning model',
                 deprecated: false,
                 supportsTemperature: true,
                 tokenLimitField: 'max_tokens',
                 supportsReasoning: false,
+                supportsStructuredOutputs: true,
                 context: '128kt',
                 costPer1kInput: 0.01,
                 costPer1kOutput: 0.03
@@ -129,11 +152,13 @@ class ModelCatalog {
             'gpt-4.1-mini': {
                 name: 'GPT-4.1 mini',
                 category: 'text',
+                provider: 'openai',
                 description: 'Smaller, faster version of GPT-4.1',
                 deprecated: false,
                 supportsTemperature: true,
                 tokenLimitField: 'max_tokens',
                 supportsReasoning: false,
+                supportsStructuredOutputs: true,
                 context: '128kt',
                 costPer1kInput: 0.005,
                 costPer1kOutput: 0.015
@@ -143,11 +168,13 @@ class ModelCatalog {
             'o3': {
                 name: 'o3',
                 category: 'text',
+                provider: 'openai',
                 description: 'Reasoning model (succeeded by GPT-5)',
                 deprecated: true,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '200kt',
                 costPer1kInput: 0.005,
                 costPer1kOutput: 0.015
@@ -155,11 +182,13 @@ class ModelCatalog {
             'o3-pro': {
                 name: 'o3-pro',
                 category: 'text',
+                provider: 'openai',
                 description: 'o3 with more compute (deprecated)',
                 deprecated: true,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '200kt',
                 costPer1kInput: 0.005,
                 costPer1kOutput: 0.015
@@ -167,11 +196,13 @@ class ModelCatalog {
             'o4-mini': {
                 name: 'o4-mini',
                 category: 'text',
+                provider: 'openai',
                 description: 'Fast reasoning model (succeeded by GPT-5 mini)',
                 deprecated: true,
                 supportsTemperature: false,
                 tokenLimitField: 'max_completion_tokens',
                 supportsReasoning: true,
+                supportsStructuredOutputs: true,
                 context: '200kt',
                 costPer1kInput: 0.0025,
                 costPer1kOutput: 0.0075
@@ -181,11 +212,13 @@ class ModelCatalog {
             'gpt-4.1-nano': {
                 name: 'GPT-4.1 nano',
                 category: 'text',
+                provider: 'openai',
                 description: 'Deprecated fastest version of GPT-4.1',
                 deprecated: true,
                 supportsTemperature: true,
                 tokenLimitField: 'max_tokens',
                 supportsReasoning: false,
+                supportsStructuredOutputs: true,
                 context: '128kt',
                 costPer1kInput: 0.0025,
                 costPer1kOutput: 0.0075
@@ -193,11 +226,13 @@ class ModelCatalog {
             'gpt-3.5-turbo': {
                 name: 'GPT-3.5 Turbo',
                 category: 'text',
+                provider: 'openai',
                 description: 'Deprecated legacy model',
                 deprecated: true,
                 supportsTemperature: true,
                 tokenLimitField: 'max_tokens',
                 supportsReasoning: false,
+                supportsStructuredOutputs: false,
                 context: '4kt',
                 costPer1kInput: 0.0005,
                 costPer1kOutput: 0.0015
@@ -205,11 +240,13 @@ class ModelCatalog {
             'gpt-3.5-turbo-16k': {
                 name: 'GPT-3.5 Turbo 16k',
                 category: 'text',
+                provider: 'openai',
                 description: 'Deprecated legacy model with extended context',
                 deprecated: true,
                 supportsTemperature: true,
                 tokenLimitField: 'max_tokens',
                 supportsReasoning: false,
+                supportsStructuredOutputs: false,
                 context: '16kt',
                 costPer1kInput: 0.001,
                 costPer1kOutput: 0.002
@@ -219,6 +256,7 @@ class ModelCatalog {
             'gpt-4o-mini-tts': {
                 name: 'GPT-4o Mini TTS',
                 category: 'tts',
+                provider: 'openai',
                 description: 'Text-to-speech powered by GPT-4o mini',
                 deprecated: false,
                 supportsTtsInstructions: true,
@@ -228,6 +266,7 @@ class ModelCatalog {
             'tts-1': {
                 name: 'TTS-1',
                 category: 'tts',
+                provider: 'openai',
                 description: 'Text-to-speech optimized for speed',
                 deprecated: false,
                 supportsTtsInstructions: false,
@@ -237,6 +276,7 @@ class ModelCatalog {
             'tts-1-hd': {
                 name: 'TTS-1 HD',
                 category: 'tts',
+                provider: 'openai',
                 description: 'Text-to-speech optimized for quality',
                 deprecated: false,
                 supportsTtsInstructions: false,
@@ -246,6 +286,63 @@ class ModelCatalog {
         };
     }
 
+    /**
+     * All known models: built-in catalog plus registered custom models
+     * @returns {Object} Map of model id to metadata
+     */
+    get models() {
+        return { ...this.builtInModels, ...customModels };
+    }
+
+    /**
+     * Register a model not included in the built-in catalog (e.g. a self-hosted model)
+     * @param {string} modelId - Model identifier as expected by the server
+     * @param {Object} meta - Model metadata; unspecified capabilities default to conservative values
+     */
+    registerModel(modelId, meta = {}) {
+        if (!modelId) {
+            return;
+        }
+        const category = meta.category === 'tts' ? 'tts' : 'text';
+        customModels[modelId] = {
+            name: meta.name || modelId,
+            category: category,
+            provider: meta.provider || 'compatible',
+            description: meta.description || 'Custom model',
+            deprecated: false,
+            supportsTemperature: meta.supportsTemperature !== undefined ? meta.supportsTemperature : true,
+            tokenLimitField: meta.tokenLimitField || 'max_tokens',
+            supportsReasoning: !!meta.supportsReasoning,
+            supportsStructuredOutputs: !!meta.supportsStructuredOutputs,
+            context: meta.context || 'N/A',
+            costPer1kInput: meta.costPer1kInput || 0,
+            costPer1kOutput: meta.costPer1kOutput || 0,
+            supportsTtsInstructions: !!meta.supportsTtsInstructions,
+            supportsTtsSpeed: !!meta.supportsTtsSpeed,
+            costPer1kChars: meta.costPer1kChars || 0,
+            custom: true
+        };
+    }
+
+    /**
+     * Remove all previously registered custom models
+     */
+    clearCustomModels() {
+        for (const modelId of Object.keys(customModels)) {
+            delete customModels[modelId];
+        }
+    }
+
+    /**
+     * Get the provider tag of a model
+     * @param {string} modelId - Model identifier
+     * @returns {string|null} Provider tag or null if the model is unknown
+     */
+    getProviderTag(modelId) {
+        const meta = this.models[modelId];
+        return meta ? (meta.provider || 'openai') : null;
+    }
+
     /**
      * Get all text models (non-TTS)
      * @param {boolean} includeDeprecated - Include deprecated models
@@ -318,10 +415,12 @@ class ModelCatalog {
     /**
      * Get all model options for UI select (non-deprecated only)
      * @param {string} category - 'text' or 'tts'
+     * @param {Array<string>} providerTags - Optional provider tags to include (all when omitted)
      * @returns {Array} Array of {value, label} objects
      */
-    getSelectOptions(category = 'text') {
-        const models = category === 'tts' ? this.getTtsModels() : this.getTextModels(false);
+    getSelectOptions(category = 'text', providerTags = null) {
+        const models = (category === 'tts' ? this.getTtsModels() : this.getTextModels(false))
+            .filter(function hasProviderTag(modelId) { return !providerTags || providerTags.includes(this.getProviderTag(modelId)); }, this);
         return models.map(modelId => {
             const meta = this.models[modelId];
             return {
@@ -334,12 +433,14 @@ class ModelCatalog {
     /**
      * Get all model options including deprecated (for loading old configs)
      * @param {string} category - 'text' or 'tts'
+     * @param {Array<string>} providerTags - Optional provider tags to include (all when omitted)
      * @returns {Array} Array of {value, label, deprecated} objects
      */
-    getAllSelectOptions(category = 'text') {
-        const allModels = category === 'tts' 
-            ? Object.entries(this.models).filter(([_, m]) => m.category === 'tts').map(([id, _]) => id)
-            : Object.entries(this.models).filter(([_, m]) => m.category === 'text').map(([id, _]) => id);
+    getAllSelectOptions(category = 'text', providerTags = null) {
+        const modelCategory = category === 'tts' ? 'tts' : 'text';
+        const allModels = Object.keys(this.models).filter(function isListed(modelId) {
+            return this.models[modelId].category === modelCategory && (!providerTags || providerTags.includes(this.getProviderTag(modelId)));
+        }, this);
         
         return allModels.map(modelId => {
             const meta = this.models[modelId];
@@ -26,6 +26,9 @@ class Mp3Encoder {
         // Buffer for storing MP3 data
         this.mp3Data = [];
         
+        // Samples per channel encoded so far (for chapter timing)
+        this.encodedSamples = 0;
+        
         // Sample block size (multiple of 576 for better encoder efficiency)
         this.sampleBlockSize = 1152;
     }
@@ -104,6 +107,8 @@ class Mp3Encoder {
      * @param {Int16Array} samples - Audio samples as Int16Array
      */
     encodeMonoBuffer(samples) {
+        this.encodedSamples += samples.length;
+        
         // Process samples in chunks
         for (let i = 0; i < samples.length; i += this.sampleBlockSize) {
             // Extract a chunk of samples
@@ -126,6 +131,7 @@ class Mp3Encoder {
      */
     encodeStereoBuffer(left, right) {
         const sampleLength = Math.min(left.length, right.length);
+        this.encodedSamples += sampleLength;
         
         // Process samples in chunks
         for (let i = 0; i < sampleLength; i += this.sampleBlockSize) {
@@ -164,11 +170,20 @@ class Mp3Encoder {
         }
     }
     
+    /**
+     * Get the duration of the audio encoded so far
+     * @returns {number} - Duration in milliseconds
+     */
+    getDurationMs() {
+        return (this.encodedSamples / this.sampleRate) * 1000;
+    }
+    
     /**
      * Finish MP3 encoding and get the resulting MP3 data
+     * @param {Uint8Array} id3Tag - Optional ID3v2 tag to place before the audio frames
      * @returns {Blob} - MP3 data as a Blob
      */
-    finish() {
+    finish(id3Tag = null) {
         // Flush the encoder to get the last frames
         const mp3buf = this.encoder.flush();
         
@@ -177,7 +192,8 @@ class Mp3Encoder {
         }
         
         // Create a Blob from all MP3 data chunks
-        return new Blob(this.mp3Data, {type: 'audio/mp3'});
+        const parts = id3Tag && id3Tag.length > 0 ? [id3Tag, ...this.mp3Data] : this.mp3Data;
+        return new Blob(parts, {type: 'audio/mp3'});
     }
     
     /**
@@ -185,6 +201,7 @@ class Mp3Encoder {
      */
     reset() {
         this.mp3Data = [];
+        this.encodedSamples = 0;
     }
 }
 
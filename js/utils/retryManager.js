@@ -13,6 +13,9 @@ class RetryManager {
         // Maximum delay in milliseconds
         this.maxDelay = options.maxDelay || 10000;
         
+        // Longest server-requested wait (Retry-After) to honor, in milliseconds
+        this.maxRetryAfter = options.maxRetryAfter || 60000;
+        
         // Jitter factor (0-1) to add randomness to delays
         this.jitter = options.jitter || 0.25;
         
@@ -27,17 +30,27 @@ class RetryManager {
      * Execute an async function with retry logic
      * @param {Function} fn - Async function to execute
      * @param {Function} isRetryableError - Function to determine if error is retryable
+     * @param {AbortSignal} [signal] - Stops retrying (and cuts a back-off wait short) once aborted
      * @returns {Promise<any>} - Result of the function
      */
-    async execute(fn, isRetryableError) {
+    async execute(fn, isRetryableError, signal = null) {
         let attempt = 0;
         
         while (true) {
+            if (signal && signal.aborted) {
+                throw this.createAbortError();
+            }
+            
             try {
                 return await fn();
             } catch (error) {
                 attempt++;
                 
+                // An aborted operation is never retried
+                if (signal && signal.aborted) {
+                    throw error;
+                }
+                
                 // Check if we should retry
                 const shouldRetry = 
                     attempt <= this.maxRetries && 
@@ -54,7 +67,7 @@ class RetryManager {
                 }
                 
                 // Calculate delay with exponential backoff and jitter
-                const delay = this.calculateDelay(attempt);
+                const delay = this.getRetryDelay(attempt, error);
                 
                 // Notify about retry if callback exists
                 if (this.onRetry) {
@@ -67,7 +80,7 @@ class RetryManager {
                 }
                 
                 // Wait before retrying
-                await this.wait(delay);
+                await this.wait(delay, signal);
                 
                 // Check again if operation should be cancelled after waiting
                 if (this.shouldCancel && this.shouldCancel()) {
@@ -96,13 +109,51 @@ class RetryManager {
         return Math.min(delay, this.maxDelay);
     }
     
+    /**
+     * Get the delay before a retry: the backoff delay, or longer when the error
+     * carries a server-requested wait (error.retryAfter in ms, e.g. from a 429 response)
+     * @param {number} attempt - Current attempt number (1-based)
+     * @param {Error} error - The error that triggered the retry
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(attempt, error) {
+        const delay = this.calculateDelay(attempt);
+        if (error && error.retryAfter > 0) {
+            return Math.max(delay, Math.min(error.retryAfter, this.maxRetryAfter));
+        }
+        return delay;
+    }
+    
     /**
      * Wait for specified milliseconds
      * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} [signal] - Ends the wait early when aborted
      * @returns {Promise<void>}
      */
-    wait(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    wait(ms, signal = null) {
+        return new Promise(function waitForDelay(resolve) {
+            function finishWait() {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', finishWait);
+                }
+                resolve();
+            }
+            const timer = setTimeout(finishWait, ms);
+            if (signal) {
+                signal.addEventListener('abort', finishWait);
+            }
+        });
+    }
+    
+    /**
+     * Create the error thrown when an aborted operation would be attempted again
+     * @returns {Error} - Error with status 'ABORTED'
+     */
+    createAbortError() {
+        const error = new Error('Operation cancelled during retry');
+        error.status = 'ABORTED';
+        return error;
     }
     
     /**
@@ -0,0 +1,136 @@
+// Podcastinator App - Text Ranker
+
+// BM25 ranking parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words ignored when matching texts
+const STOP_WORDS = new Set([
+    'a', 'about', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been', 'being',
+    'between', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'each', 'for', 'from', 'get', 'had', 'has',
+    'have', 'he', 'her', 'here', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'like',
+    'may', 'more', 'most', 'much', 'my', 'new', 'no', 'not', 'now', 'of', 'on', 'one', 'only', 'or', 'other',
+    'our', 'out', 'over', 'really', 'see', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+    'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'two', 'up', 'us', 'very',
+    'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would',
+    'you', 'your'
+]);
+
+/**
+ * Ranks a fixed set of texts (source excerpts or passages) against queries with BM25.
+ * Texts and queries share one tokenizer: lower-case content words with a light plural
+ * stemming, numbers with their decimals and without thousands separators.
+ */
+class TextRanker {
+    /**
+     * Index the texts to rank
+     * @param {Array<string>} texts - Texts, ranked by their position in this list
+     */
+    constructor(texts) {
+        // Term counts and length of each text
+        this.counts = [];
+        this.lengths = [];
+
+        // Number of texts each term occurs in
+        this.documentFrequency = new Map();
+
+        texts.forEach(function indexText(text) {
+            const terms = this.tokenize(text);
+            const counts = new Map();
+            terms.forEach(function countTerm(term) {
+                counts.set(term, (counts.get(term) || 0) + 1);
+            });
+            counts.forEach(function addTerm(count, term) {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            }, this);
+            this.counts.push(counts);
+            this.lengths.push(terms.length);
+        }, this);
+
+        const totalLength = this.lengths.reduce(function addLength(sum, length) { return sum + length; }, 0);
+        this.averageLength = texts.length > 0 ? Math.max(1, totalLength / texts.length) : 1;
+    }
+
+    /**
+     * Score every text against query terms
+     * @param {Array<string>} terms - Query terms from tokenize(); duplicates count once
+     * @returns {Array<number>} - BM25 score per text (0 when no term occurs)
+     */
+    score(terms) {
+
+        const queryTerms = Array.from(new Set(terms));
+        return this.counts.map(function scoreText(counts, index) {
+            let score = 0;
+            queryTerms.forEach(function addTerm(term) {
+                const frequency = counts.get(term) || 0;
+                if (!frequency) {
+                    return;
+                }
+                const documentFrequency = this.documentFrequency.get(term);
+                const idf = Math.log(1 + (this.counts.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+                score += idf * frequency * (BM25_K1 + 1) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * this.lengths[index] / this.averageLength));
+            }, this);
+            return score;
+        }, this);
+    }
+
+    /**
+     * Rank the texts that match query terms
+     * @param {Array<string>} terms - Query terms from tokenize()
+     * @returns {Array<number>} - Positions of the texts with a score above 0, best first
+     */
+    rank(terms) {
+
+        const scores = this.score(terms);
+        return scores
+            .map(function toPosition(score, index) { return index; })
+            .filter(function isMatch(index) { return scores[index] > 0; })
+            .sort(function byScore(a, b) { return scores[b] - scores[a] || a - b; });
+    }
+
+    /**
+     * Check whether a text contains a term
+     * @param {number} index - Position of the text
+     * @param {string} term - Term from tokenize()
+     * @returns {boolean}
+     */
+    hasTerm(index, term) {
+
+        return this.counts[index].has(term);
+    }
+
+    /**
+     * Split text into lower-case content words; numbers keep their decimals, thousands separators are dropped
+     * @param {string} text - Text
+     * @returns {Array<string>}
+     */
+    tokenize(text) {
+
+        const words = String(text || '')
+            .toLowerCase()
+            .replace(/(\d),(?=\d{3}\b)/g, '$1')
+            .match(/\p{L}+|\p{N}+(?:\.\p{N}+)?/gu) || [];
+        return words
+            .filter(function isContentWord(word) { return (word.length > 1 || /\d/.test(word)) && !STOP_WORDS.has(word); })
+            .map(this.stem);
+    }
+
+    /**
+     * Reduce a plural to its singular (studies -> study, hives -> hive); numbers and short words are kept
+     * @param {string} word - Lower-case word
+     * @returns {string}
+     */
+    stem(word) {
+
+        if (/^\d/.test(word) || word.length <= 3) {
+            return word;
+        }
+        if (word.endsWith('ies') && word.length > 4) {
+            return `${word.slice(0, -3)}y`;
+        }
+        return word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+    }
+}
+
+export default TextRanker;
@@ -0,0 +1,237 @@
+// Podcastinator App - Transcript Formatter
+
+/**
+ * Formats the timed transcript recorded during MP3 encoding as SRT or WebVTT
+ * captions and as a timestamped markdown transcript.
+ * A transcript is { sampleRate, totalSamples, title, turns, chapters } where each
+ * turn is { label, name, text, startSample, endSample } and each chapter is
+ * { title, startMs, endMs }.
+ */
+class TranscriptFormatter {
+    constructor() {
+        // Caption limits: up to two lines of 42 characters per cue
+        this.maxLineLength = 42;
+        this.maxCueLength = 84;
+    }
+
+    /**
+     * Format a transcript
+     * @param {Object} transcript - Timed transcript
+     * @param {string} format - 'srt', 'vtt' or 'md'
+     * @returns {string}
+     */
+    format(transcript, format) {
+
+        switch (format) {
+            case 'srt':
+                return this.toSrt(transcript);
+            case 'vtt':
+                return this.toVtt(transcript);
+            case 'md':
+                return this.toMarkdown(transcript);
+            default:
+                throw new Error(`Unknown transcript format "${format}" (expected srt, vtt or md)`);
+        }
+    }
+
+    /**
+     * Format as SubRip captions; the speaker's name opens each turn
+     * @param {Object} transcript - Timed transcript
+     * @returns {string}
+     */
+    toSrt(transcript) {
+
+        const self = this;
+        return this.getCues(transcript).map(function formatCue(cue, index) {
+            const text = cue.first ? `${cue.name}: ${cue.text}` : cue.text;
+            return `${index + 1}\n${self.formatTimestamp(cue.startMs, ',')} --> ${self.formatTimestamp(cue.endMs, ',')}\n${self.wrapLines(text)}\n`;
+        }).join('\n');
+    }
+
+    /**
+     * Format as WebVTT captions with voice spans for the speakers
+     * @param {Object} transcript - Timed transcript
+     * @returns {string}
+     */
+    toVtt(transcript) {
+
+        const self = this;
+        const cues = this.getCues(transcript).map(function formatCue(cue, index) {
+            return `${index + 1}\n${self.formatTimestamp(cue.startMs, '.')} --> ${self.formatTimestamp(cue.endMs, '.')}\n<v ${self.escapeVtt(cue.name)}>${self.escapeVtt(self.wrapLines(cue.text))}\n`;
+        });
+        return `WEBVTT\n\n${cues.join('\n')}`;
+    }
+
+    /**
+     * Format as a markdown transcript with a timestamp per turn and a heading per chapter
+     * @param {Object} transcript - Timed transcript
+     * @returns {string}
+     */
+    toMarkdown(transcript) {
+
+        const lines = [`# ${transcript.title || 'Transcript'}`, ''];
+        const chapters = (transcript.chapters || []).slice();
+        const self = this;
+
+        this.getTurns(transcript).forEach(function addTurn(turn) {
+            while (chapters.length > 0 && chapters[0].startMs <= turn.startMs + 1) {
+                const chapter = chapters.shift();
+                lines.push(`## ${chapter.title} (${self.formatClock(chapter.startMs)})`, '');
+            }
+            lines.push(`**[${self.formatClock(turn.startMs)}] ${turn.name}:** ${turn.text.replace(/\s*\n\s*/g, ' ')}`, '');
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Get the turns with their times in milliseconds
+     * @param {Object} transcript - Timed transcript
+     * @returns {Array<Object>} - Turns as { name, text, startMs, endMs }
+     */
+    getTurns(transcript) {
+
+        const sampleRate = transcript.sampleRate || 24000;
+        return (transcript.turns || []).map(function toTimedTurn(turn) {
+            return {
+                name: turn.name || turn.label,
+                text: String(turn.text || '').trim(),
+                startMs: (turn.startSample / sampleRate) * 1000,
+                endMs: (turn.endSample / sampleRate) * 1000
+            };
+        });
+    }
+
+    /**
+     * Split the turns into caption-sized cues; each turn's time is shared by its cues
+     * in proportion to their length
+     * @param {Object} transcript - Timed transcript
+     * @returns {Array<Object>} - Cues as { name, text, startMs, endMs, first }
+     */
+    getCues(transcript) {
+
+        const cues = [];
+        const self = this;
+
+        this.getTurns(transcript).forEach(function splitTurn(turn) {
+            const chunks = self.splitText(turn.text);
+            const totalChars = chunks.reduce(function addLength(sum, chunk) { return sum + chunk.length; }, 0) || 1;
+            let start = turn.startMs;
+            let chars = 0;
+            chunks.forEach(function addCue(chunk, index) {
+                chars += chunk.length;
+                const end = index === chunks.length - 1 ? turn.endMs : turn.startMs + (turn.endMs - turn.startMs) * (chars / totalChars);
+                cues.push({ name: turn.name, text: chunk, startMs: start, endMs: end, first: index === 0 });
+                start = end;
+            });
+        });
+
+        return cues;
+    }
+
+    /**
+     * Split text into chunks of at most maxCueLength characters, preferring sentence boundaries
+     * @param {string} text - Turn text
+     * @returns {Array<string>}
+     */
+    splitText(text) {
+
+        const sentences = text.replace(/\s+/g, ' ').match(/[^.!?…]+[.!?…]+["')\]]*\s*|[^.!?…]+$/g) || [];
+        const chunks = [];
+        let current = '';
+        const maxLength = this.maxCueLength;
+
+        function push(part) {
+            if (part.trim()) {
+                chunks.push(part.trim());
+            }
+        }
+
+        sentences.forEach(function addSentence(sentence) {
+            if ((current + sentence).trim().length <= maxLength) {
+                current += sentence;
+                return;
+            }
+            push(current);
+            current = '';
+            // Break sentences that are too long on their own at word boundaries
+            sentence.split(' ').forEach(function addWord(word) {
+                if (current && (current + ' ' + word).trim().length > maxLength) {
+                    push(current);
+                    current = '';
+                }
+                current = current ? `${current} ${word}` : word;
+            });
+            current += ' ';
+        });
+        push(current);
+
+        return chunks;
+    }
+
+    /**
+     * Wrap a cue onto two lines at the space closest to its middle
+     * @param {string} text - Cue text
+     * @returns {string}
+     */
+    wrapLines(text) {
+
+        if (text.length <= this.maxLineLength) {
+            return text;
+        }
+        const middle = Math.floor(text.length / 2);
+        const before = text.lastIndexOf(' ', middle);
+        const after = text.indexOf(' ', middle);
+        let split = before;
+        if (split < 0 || (after >= 0 && after - middle < middle - before)) {
+            split = after;
+        }
+        return split > 0 ? `${text.slice(0, split)}\n${text.slice(split + 1)}` : text;
+    }
+
+    /**
+     * Format milliseconds as HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+     * @param {number} ms - Time in milliseconds
+     * @param {string} separator - Separator before the milliseconds
+     * @returns {string}
+     */
+    formatTimestamp(ms, separator) {
+
+        const total = Math.max(0, Math.round(ms));
+        const millis = String(total % 1000).padStart(3, '0');
+        return `${this.formatClock(total)}${separator}${millis}`;
+    }
+
+    /**
+     * Format milliseconds as HH:MM:SS
+     * @param {number} ms - Time in milliseconds
+     * @returns {string}
+     */
+    formatClock(ms) {
+
+        const seconds = Math.floor(Math.max(0, Math.round(ms)) / 1000);
+        return `${this.pad(Math.floor(seconds / 3600))}:${this.pad(Math.floor(seconds / 60) % 60)}:${this.pad(seconds % 60)}`;
+    }
+
+    /**
+     * Pad a clock field to two digits
+     * @param {number} value - Hours, minutes or seconds
+     * @returns {string}
+     */
+    pad(value) {
+
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * Escape text for WebVTT cue payloads
+     * @param {string} text - Cue text
+     * @returns {string}
+     */
+    escapeVtt(text) {
+
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+export default TranscriptFormatter;
@@ -0,0 +1,144 @@
+// Podcastinator App - TTS Scheduler
+
+/**
+ * Runs segment synthesis with bounded parallelism. Segments are started in script
+ * order and may finish out of order; finished results are handed to the consumer
+ * strictly in script order, so audio can be encoded as a single stream while
+ * later segments are still being synthesized.
+ */
+class TtsScheduler {
+    constructor(options = {}) {
+        // Maximum number of segments synthesized at the same time
+        this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+
+        // How far past the next segment to encode work may run; bounds the audio held in memory
+        this.window = Math.max(this.concurrency, options.window || this.concurrency * 4);
+
+        // Callback with (completed, total) after each finished segment
+        this.onProgress = options.onProgress || null;
+
+        // No new segment is started before this time (shared back-off after a rate limit)
+        this.pausedUntil = 0;
+
+        // Resolvers of workers and the consumer waiting for a state change
+        this.waiters = [];
+    }
+
+    /**
+     * Hold back new segments for a while, e.g. when the API answers 429.
+     * Segments already in flight keep running.
+     * @param {number} ms - Pause in milliseconds
+     */
+    pause(ms) {
+
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Synthesize segments in parallel and consume the results in order
+     * @param {number} count - Number of segments
+     * @param {Function} task - Async function(index) returning the result; synthesizes one segment
+     * @param {Function} consume - Function(index, result), may be async; called in index order
+     * @returns {Promise<void>} - Rejects with the first error once the running tasks have settled
+     */
+    async run(count, task, consume) {
+
+        const state = { nextStart: 0, nextConsume: 0, completed: 0, results: new Map(), error: null };
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, count); i++) {
+            workers.push(this.runWorker(state, count, task));
+        }
+
+        try {
+            while (state.nextConsume < count) {
+                if (state.error) {
+                    throw state.error;
+                } else if (state.results.has(state.nextConsume)) {
+                    const result = state.results.get(state.nextConsume);
+                    state.results.delete(state.nextConsume);
+                    await consume(state.nextConsume, result);
+                    state.nextConsume++;
+                    this.notify();
+                } else {
+                    await this.waitForChange();
+                }
+            }
+        } catch (error) {
+            // Stop starting segments and let the running ones finish before reporting
+            state.error = state.error || error;
+            this.notify();
+            await Promise.all(workers);
+            throw state.error;
+        }
+
+        await Promise.all(workers);
+    }
+
+    /**
+     * Start segments one after another until none are left or a segment failed
+     * @param {Object} state - Shared run state
+     * @param {number} count - Number of segments
+     * @param {Function} task - Segment task
+     * @returns {Promise<void>} - Never rejects; failures are recorded in state.error
+     */
+    async runWorker(state, count, task) {
+
+        while (!state.error && state.nextStart < count) {
+            // Keep buffered results bounded while an earlier segment is still running
+            if (state.nextStart >= state.nextConsume + this.window) {
+                await this.waitForChange();
+                continue;
+            }
+
+            const delay = this.pausedUntil - Date.now();
+            if (delay > 0) {
+                await this.wait(delay);
+                continue;
+            }
+
+            const index = state.nextStart++;
+            try {
+                state.results.set(index, await task(index));
+                state.completed++;
+                if (this.onProgress) {
+                    this.onProgress(state.completed, count);
+                }
+            } catch (error) {
+                state.error = state.error || error;
+            }
+            this.notify();
+        }
+    }
+
+    /**
+     * Wait until a segment finishes, fails or is consumed
+     * @returns {Promise<void>}
+     */
+    waitForChange() {
+
+        const waiters = this.waiters;
+        return new Promise(function addWaiter(resolve) { waiters.push(resolve); });
+    }
+
+    /**
+     * Wake everything waiting for a state change
+     */
+    notify() {
+
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(function wake(resolve) { resolve(); });
+    }
+
+    /**
+     * Wait for specified milliseconds
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+
+        return new Promise(function delay(resolve) { setTimeout(resolve, ms); });
+    }
+}
+
+export default TtsScheduler;
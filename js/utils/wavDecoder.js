@@ -0,0 +1,196 @@
+// Podcastinator App - WAV Decoder Utility
+
+/**
+ * Minimal AudioBuffer-compatible container for decoded PCM data.
+ * Exposes the subset of the Web Audio AudioBuffer interface used by Mp3Encoder,
+ * so headless (Node) code can share the browser encoding path.
+ */
+class PcmAudioBuffer {
+    /**
+     * Create a new PCM audio buffer
+     * @param {Array<Float32Array>} channels - Per-channel float samples in range [-1, 1]
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    constructor(channels, sampleRate) {
+
+        this.channels = channels;
+        this.sampleRate = sampleRate;
+        this.numberOfChannels = channels.length;
+        this.length = channels.length > 0 ? channels[0].length : 0;
+        this.duration = sampleRate > 0 ? this.length / sampleRate : 0;
+    }
+
+    /**
+     * Get samples for a channel
+     * @param {number} channel - Channel index
+     * @returns {Float32Array} - Channel samples
+     */
+    getChannelData(channel) {
+
+        if (channel < 0 || channel >= this.channels.length) {
+            throw new Error(`Channel index ${channel} out of range`);
+        }
+        return this.channels[channel];
+    }
+}
+
+/**
+ * Decodes RIFF/WAVE data (as returned by the TTS API with response_format 'wav')
+ * into PCM samples without relying on the Web Audio API.
+ */
+class WavDecoder {
+    /**
+     * Decode WAV bytes into an AudioBuffer-compatible object
+     * @param {ArrayBuffer|Uint8Array} data - WAV file bytes
+     * @returns {PcmAudioBuffer} - Decoded audio
+     */
+    decode(data) {
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.byteLength < 12 || this.readTag(view, 0) !== 'RIFF' || this.readTag(view, 8) !== 'WAVE') {
+            throw new Error('Invalid WAV data: missing RIFF/WAVE header');
+        }
+
+        let format = null;
+        let offset = 12;
+
+        while (offset + 8 <= view.byteLength) {
+            const chunkId = this.readTag(view, offset);
+            let chunkSize = view.getUint32(offset + 4, true);
+            const chunkStart = offset + 8;
+
+            if (chunkId === 'fmt ') {
+                format = this.readFormat(view, chunkStart, chunkSize);
+            } else if (chunkId === 'data') {
+                if (!format) {
+                    throw new Error('Invalid WAV data: data chunk before fmt chunk');
+                }
+
+                // Streamed responses leave the size unset (0 or 0xFFFFFFFF); use the remaining bytes
+                const remaining = view.byteLength - chunkStart;
+                if (chunkSize === 0 || chunkSize > remaining) {
+                    chunkSize = remaining;
+                }
+
+                return this.decodeSamples(view, chunkStart, chunkSize, format);
+            }
+
+            // Chunks are padded to an even size
+            offset = chunkStart + chunkSize + (chunkSize % 2);
+        }
+
+        throw new Error('Invalid WAV data: no data chunk found');
+    }
+
+    /**
+     * Read the fmt chunk
+     * @param {DataView} view - WAV data view
+     * @param {number} offset - Start of chunk payload
+     * @param {number} size - Chunk payload size
+     * @returns {Object} - Format description
+     */
+    readFormat(view, offset, size) {
+
+        let audioFormat = view.getUint16(offset, true);
+        const numChannels = view.getUint16(offset + 2, true);
+        const sampleRate = view.getUint32(offset + 4, true);
+        const bitsPerSample = view.getUint16(offset + 14, true);
+
+        // WAVE_FORMAT_EXTENSIBLE stores the real format in the sub-format GUID
+        if (audioFormat === 0xFFFE && size >= 26) {
+            audioFormat = view.getUint16(offset + 24, true);
+        }
+
+        if (audioFormat !== 1 && audioFormat !== 3) {
+            throw new Error(`Unsupported WAV encoding (format ${audioFormat})`);
+        }
+
+        return {
+            isFloat: audioFormat === 3,
+            numChannels: numChannels,
+            sampleRate: sampleRate,
+            bitsPerSample: bitsPerSample
+        };
+    }
+
+    /**
+     * Convert interleaved samples to per-channel float arrays
+     * @param {DataView} view - WAV data view
+     * @param {number} offset - Start of sample data
+     * @param {number} size - Sample data size in bytes
+     * @param {Object} format - Format description from readFormat
+     * @returns {PcmAudioBuffer} - Decoded audio
+     */
+    decodeSamples(view, offset, size, format) {
+
+        const bytesPerSample = format.bitsPerSample / 8;
+        const frameSize = bytesPerSample * format.numChannels;
+        const frameCount = Math.floor(size / frameSize);
+        const channels = [];
+
+        for (let c = 0; c < format.numChannels; c++) {
+            channels.push(new Float32Array(frameCount));
+        }
+
+        for (let i = 0; i < frameCount; i++) {
+            const frameOffset = offset + i * frameSize;
+
+            for (let c = 0; c < format.numChannels; c++) {
+                const sampleOffset = frameOffset + c * bytesPerSample;
+                channels[c][i] = this.readSample(view, sampleOffset, format);
+            }
+        }
+
+        return new PcmAudioBuffer(channels, format.sampleRate);
+    }
+
+    /**
+     * Read a single sample as float in range [-1, 1]
+     * @param {DataView} view - WAV data view
+     * @param {number} offset - Sample byte offset
+     * @param {Object} format - Format description
+     * @returns {number} - Float sample
+     */
+    readSample(view, offset, format) {
+
+        if (format.isFloat) {
+            return format.bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+        }
+
+        switch (format.bitsPerSample) {
+            case 8:
+                return (view.getUint8(offset) - 128) / 128;
+            case 16:
+                return view.getInt16(offset, true) / 32768;
+            case 24: {
+                const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                return value / 8388608;
+            }
+            case 32:
+                return view.getInt32(offset, true) / 2147483648;
+            default:
+                throw new Error(`Unsupported WAV bit depth: ${format.bitsPerSample}`);
+        }
+    }
+
+    /**
+     * Read a 4-character chunk tag
+     * @param {DataView} view - WAV data view
+     * @param {number} offset - Tag offset
+     * @returns {string} - Tag
+     */
+    readTag(view, offset) {
+
+        return String.fromCharCode(
+            view.getUint8(offset),
+            view.getUint8(offset + 1),
+            view.getUint8(offset + 2),
+            view.getUint8(offset + 3)
+        );
+    }
+}
+
+export { PcmAudioBuffer };
+export default WavDecoder;